@@ -6,9 +6,12 @@
  */
 
 const {Worker, isMainThread, parentPort, workerData} = require('worker_threads');
+const {PerformanceObserver} = require('perf_hooks');
 const fs = require('fs');
 const path = require('path');
 
+const {sharedRandom, setRandomSeed, structureRegistry, assertConformance} = require('./data_structure_comparison');
+
 /**
  * 高级测试类
  */
@@ -23,9 +26,27 @@ class AdvancedPerformanceTester {
             concurrentThreads: 4,             // 并发线程数
             stressTestDuration: 60 * 1000,    // 压力测试持续时间 (ms)
             checkpointInterval: 5 * 1000,     // 检查点间隔 (ms)
+            sharedStructures: {},             // 基于 SharedArrayBuffer、可被多个线程共享的结构
+            seed: null,                       // 随机种子，为 null 时随机选取
+            plugins: [],                      // 插件模块路径，其中登记的结构可以出现在 dataStructures 中
+            requireConformance: true,         // 是否先对全部结构（包括共享内存结构）执行一致性检查，有结构未通过时抛出错误
             ...testConfig
         };
 
+        // 工作线程按名称从数据结构注册表解析结构类，并按同样的顺序加载这些插件模块
+        structureRegistry.loadModules(this.config.plugins);
+
+        // 与 PerformanceTester 一样，未通过一致性检查的结构不参与测试；高级测试使用数字键，
+        // 共享内存结构按登记的值类型检查（SharedSkipList 只能存放 32 位整数）
+        if (this.config.requireConformance) {
+            this.results.conformance = assertConformance({...this.dataStructures, ...this.config.sharedStructures});
+        }
+
+        // 用种子重置共享随机数流：测试数据、结构内部的随机决策和各工作线程的随机数流都由它决定
+        this.seed = setRandomSeed(this.config.seed);
+        this.random = sharedRandom;
+        this.results.seed = this.seed;
+
         // 确保测试数据目录存在
         if (!fs.existsSync(this.config.basePath)) {
             fs.mkdirSync(this.config.basePath, {recursive: true});
@@ -41,6 +62,9 @@ class AdvancedPerformanceTester {
         // 执行并发读写测试
         await this.runConcurrentTest();
 
+        // 执行共享内存并发测试
+        await this.runSharedConcurrentTest();
+
         // 执行数据倾斜测试
         await this.runDataSkewTest();
 
@@ -95,7 +119,8 @@ class AdvancedPerformanceTester {
                     workers.push(this._createWorker('concurrent', {
                         testFilePath,
                         threadId: i,
-                        operations: threadOperations
+                        operations: threadOperations,
+                        seed: this._workerSeed(`concurrent-${name}`, i)
                     }));
                 }
 
@@ -141,6 +166,112 @@ class AdvancedPerformanceTester {
         return results;
     }
 
+    /**
+     * 共享内存并发测试
+     * 所有工作线程附着到同一个基于 SharedArrayBuffer 的结构实例，
+     * 按线程数统计吞吐量、相对单线程的加速比、锁等待次数和重试次数
+     */
+    async runSharedConcurrentTest(dataSize = 100000, operations = 400000, readRatio = 0.8, threadCounts = [1, 2, 4]) {
+        console.log(`\n开始共享内存并发测试（数据量：${dataSize}，操作数：${operations}，读比例：${readRatio}）...`);
+
+        const results = {};
+        const counts = [...new Set([...threadCounts, this.config.concurrentThreads])].sort((a, b) => a - b);
+
+        for (const [name, SharedClass] of Object.entries(this.config.sharedStructures)) {
+            results[name] = [];
+
+            for (const threads of counts) {
+                console.log(`测试 ${name} 在 ${threads} 个线程共享同一实例时的性能...`);
+
+                try {
+                    // 预装载数据，容量覆盖全部操作都是插入的情况
+                    const testData = this._generateTestData(dataSize);
+                    const ds = new SharedClass({capacity: dataSize + operations});
+
+                    for (const item of testData) {
+                        ds.insert(item.key, item.key);
+                    }
+
+                    // startSignal[0] 为发令标志，startSignal[1] 为已就绪的线程数
+                    const startSignal = new SharedArrayBuffer(8);
+                    const threadOperations = Math.floor(operations / threads);
+                    const workers = [];
+
+                    for (let i = 0; i < threads; i++) {
+                        workers.push(this._createWorker('sharedConcurrent', {
+                            className: name,
+                            buffer: ds.buffer,
+                            startSignal,
+                            threadId: i,
+                            operations: threadOperations,
+                            readRatio,
+                            keySpace: dataSize * 10,
+                            seed: this._workerSeed(`sharedConcurrent-${name}-${threads}`, i)
+                        }));
+                    }
+
+                    const [workerResults] = await Promise.all([Promise.all(workers), this._releaseWorkers(startSignal, threads)]);
+
+                    const record = {
+                        threads,
+                        totalOps: 0,
+                        readLatency: 0,
+                        writeLatency: 0,
+                        lockWaits: 0,
+                        retries: 0,
+                        errors: 0
+                    };
+
+                    let totalReadTime = 0;
+                    let totalWriteTime = 0;
+                    let totalReadOps = 0;
+                    let totalWriteOps = 0;
+                    let totalTime = 0;
+
+                    for (const result of workerResults) {
+                        record.totalOps += result.totalOps;
+                        record.lockWaits += result.lockWaits;
+                        record.retries += result.retries;
+                        record.errors += result.errors;
+                        totalReadTime += result.readTime;
+                        totalWriteTime += result.writeTime;
+                        totalReadOps += result.readOps;
+                        totalWriteOps += result.writeOps;
+                        totalTime = Math.max(totalTime, result.totalTime);
+                    }
+
+                    record.throughput = record.totalOps / (totalTime / 1000); // ops/sec
+                    record.readLatency = totalReadOps > 0 ? totalReadTime / totalReadOps : 0;
+                    record.writeLatency = totalWriteOps > 0 ? totalWriteTime / totalWriteOps : 0;
+
+                    // 所有线程结束后校验共享实例
+                    const validation = ds.validate();
+                    record.valid = validation.valid;
+                    record.size = ds.size;
+
+                    results[name].push(record);
+
+                    console.log(`${name} ${threads} 线程：吞吐量 ${record.throughput.toFixed(2)} ops/sec，锁等待 ${record.lockWaits} 次，重试 ${record.retries} 次，校验${record.valid ? '通过' : '失败'}`);
+                } catch (error) {
+                    console.error(`${name} ${threads} 线程共享内存并发测试失败:`, error);
+                    results[name].push({threads, error: error.message});
+                }
+            }
+
+            // 以单线程吞吐量为基准计算加速比
+            const baseline = results[name].find(record => record.threads === 1 && !record.error);
+
+            for (const record of results[name]) {
+                if (!record.error) {
+                    record.speedup = baseline ? record.throughput / baseline.throughput : null;
+                }
+            }
+        }
+
+        this.results.sharedConcurrent = results;
+        return results;
+    }
+
     /**
      * 数据倾斜测试
      * 测试数据结构在处理非均匀分布数据时的性能表现
@@ -182,12 +313,12 @@ class AdvancedPerformanceTester {
                 const coldspotKeys = [];
 
                 for (let i = 0; i < operations; i++) {
-                    if (Math.random() < skewFactor) {
+                    if (this.random.next() < skewFactor) {
                         // 生成热点区域的键
-                        hotspotKeys.push(Math.floor(Math.random() * hotspotMax));
+                        hotspotKeys.push(Math.floor(this.random.next() * hotspotMax));
                     } else {
                         // 生成冷点区域的键
-                        coldspotKeys.push(Math.floor(Math.random() * (dataSize - hotspotMax)) + hotspotMax);
+                        coldspotKeys.push(Math.floor(this.random.next() * (dataSize - hotspotMax)) + hotspotMax);
                     }
                 }
 
@@ -213,12 +344,12 @@ class AdvancedPerformanceTester {
                 // 准备删除键
                 const deleteKeys = [];
                 for (let i = 0; i < Math.min(operations, dataSize); i++) {
-                    if (Math.random() < skewFactor) {
+                    if (this.random.next() < skewFactor) {
                         // 主要删除热点区域的键
-                        deleteKeys.push(Math.floor(Math.random() * hotspotMax));
+                        deleteKeys.push(Math.floor(this.random.next() * hotspotMax));
                     } else {
                         // 少量删除冷点区域的键
-                        deleteKeys.push(Math.floor(Math.random() * (dataSize - hotspotMax)) + hotspotMax);
+                        deleteKeys.push(Math.floor(this.random.next() * (dataSize - hotspotMax)) + hotspotMax);
                     }
                 }
 
@@ -243,7 +374,8 @@ class AdvancedPerformanceTester {
 
     /**
      * 压力测试
-     * 长时间运行测试，观察性能随时间变化情况
+     * 长时间运行测试，观察性能随时间变化情况；
+     * 内存包含堆外的 ArrayBuffer，并统计预装载之后的垃圾回收次数与暂停时间，用于比较各结构的 GC 压力
      */
     async runStressTest(dataSize = 100000, operationsPerCheckpoint = 10000) {
         console.log(`\n开始压力测试（初始数据量：${dataSize}，每检查点操作数：${operationsPerCheckpoint}）...`);
@@ -257,9 +389,13 @@ class AdvancedPerformanceTester {
                 checkpoints: [],
                 totalOperations: 0,
                 totalTime: 0,
-                peakMemory: 0
+                peakMemory: 0,
+                gcCount: 0,
+                gcTime: 0
             };
 
+            let gc = null;
+
             try {
                 // 创建数据结构实例
                 const ds = new DataStructureClass();
@@ -270,6 +406,7 @@ class AdvancedPerformanceTester {
                     ds.insert(item.key, item.value);
                 }
 
+                gc = this._observeGC();
                 let continueTest = true;
                 let checkpointCount = 0;
                 const startTime = performance.now();
@@ -309,7 +446,11 @@ class AdvancedPerformanceTester {
                     }
 
                     const checkpointEnd = performance.now();
-                    const memoryUsage = process.memoryUsage().heapUsed;
+                    const {heapUsed, arrayBuffers} = process.memoryUsage();
+                    const memoryUsage = heapUsed + arrayBuffers;
+
+                    // 校验数据结构不变量（不计入检查点耗时）
+                    const validation = typeof ds.validate === 'function' ? ds.validate() : null;
 
                     // 记录检查点数据
                     results[name].checkpoints.push({
@@ -320,7 +461,8 @@ class AdvancedPerformanceTester {
                         throughput: operationsPerCheckpoint / ((checkpointEnd - checkpointStart) / 1000),
                         readLatency: readOps > 0 ? readTime / readOps : 0,
                         writeLatency: writeOps > 0 ? writeTime / writeOps : 0,
-                        memory: memoryUsage
+                        memory: memoryUsage,
+                        valid: validation ? validation.valid : null
                     });
 
                     // 更新结果
@@ -333,6 +475,15 @@ class AdvancedPerformanceTester {
                         continueTest = false;
                     }
 
+                    // 结构已损坏时停止测试，并按失败处理，使其不参与评分
+                    if (validation && !validation.valid) {
+                        const sample = validation.violations[0];
+                        results[name].violations = validation.violations.slice(0, 5);
+                        results[name].error = `检查点 ${checkpointCount} 校验失败：${validation.violations.length} 处违规（${sample.rule}: ${sample.message}）`;
+                        console.error(`${name} 压力测试${results[name].error}`);
+                        break;
+                    }
+
                     // 输出进度
                     console.log(`${name} 压力测试 检查点 ${checkpointCount}: ${operationsPerCheckpoint} 操作，吞吐量 ${results[name].checkpoints[checkpointCount].throughput.toFixed(2)} ops/sec`);
 
@@ -349,6 +500,12 @@ class AdvancedPerformanceTester {
                 console.error(`${name} 压力测试失败:`, error);
                 results[name].error = error.message;
             }
+
+            if (gc) {
+                gc.stop();
+                results[name].gcCount = gc.stats.count;
+                results[name].gcTime = gc.stats.time;
+            }
         }
 
         this.results.stress = results;
@@ -436,6 +593,22 @@ class AdvancedPerformanceTester {
 
                 results[name].isValid = isValid;
 
+                // 导出数据按键有序，支持 fromSorted 的结构可直接批量重建，与逐个插入对比
+                if (typeof DataStructureClass.fromSorted === 'function') {
+                    try {
+                        const bulkStart = performance.now();
+                        const bulkData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                        const bulkDs = DataStructureClass.fromSorted(bulkData);
+                        const bulkEnd = performance.now();
+
+                        results[name].bulkDeserializeTime = bulkEnd - bulkStart;
+                        results[name].bulkIsValid = testData.every(item => bulkDs.search(item.key) === item.value);
+                    } catch (error) {
+                        console.error(`${name} 批量加载恢复失败:`, error);
+                        results[name].bulkError = error.message;
+                    }
+                }
+
                 // 清理临时文件
                 fs.unlinkSync(filePath);
 
@@ -458,6 +631,7 @@ class AdvancedPerformanceTester {
             const worker = new Worker(path.join(__dirname, 'worker.js'), {
                 workerData: {
                     testType,
+                    plugins: structureRegistry.modulePaths,
                     ...workerData
                 }
             });
@@ -472,6 +646,60 @@ class AdvancedPerformanceTester {
         });
     }
 
+    /**
+     * 为工作线程派生随机种子：只取决于本次运行的种子、测试标签与线程编号，各线程的随机数流互不相同
+     */
+    _workerSeed(label, threadId) {
+        return this.random.derive(`${label}-${threadId}`).seed;
+    }
+
+    /**
+     * 等待所有工作线程就绪后统一发令开始
+     * 超时（例如有线程启动失败）时同样发令，避免已就绪的线程一直阻塞
+     */
+    async _releaseWorkers(startSignal, threads, timeout = 30 * 1000) {
+        const signal = new Int32Array(startSignal);
+        const deadline = Date.now() + timeout;
+
+        try {
+            while (Atomics.load(signal, 1) < threads) {
+                if (Date.now() > deadline) {
+                    throw new Error(`等待 ${threads} 个工作线程就绪超时`);
+                }
+
+                await new Promise(resolve => setTimeout(resolve, 1));
+            }
+        } finally {
+            Atomics.store(signal, 0, 1);
+            Atomics.notify(signal, 0);
+        }
+    }
+
+    /**
+     * 统计垃圾回收次数与累计暂停时间 (ms)，调用 stop() 结束统计
+     */
+    _observeGC() {
+        const stats = {count: 0, time: 0};
+        const record = entries => {
+            for (const entry of entries) {
+                stats.count++;
+                stats.time += entry.duration;
+            }
+        };
+
+        const observer = new PerformanceObserver(list => record(list.getEntries()));
+        observer.observe({entryTypes: ['gc']});
+
+        return {
+            stats,
+            stop: () => {
+                // 取出尚未投递给回调的记录后再断开
+                record(observer.takeRecords());
+                observer.disconnect();
+            }
+        };
+    }
+
     /**
      * 生成测试数据
      */
@@ -479,7 +707,7 @@ class AdvancedPerformanceTester {
         const data = [];
 
         for (let i = 0; i < size; i++) {
-            const key = Math.floor(Math.random() * size * 10);
+            const key = Math.floor(this.random.next() * size * 10);
             data.push({key, value: `value-${key}`});
         }
 
@@ -496,12 +724,12 @@ class AdvancedPerformanceTester {
         for (let i = 0; i < size; i++) {
             let key;
 
-            if (Math.random() < skewFactor) {
+            if (this.random.next() < skewFactor) {
                 // 80%的概率生成热点区域内的键
-                key = Math.floor(Math.random() * hotspotSize);
+                key = Math.floor(this.random.next() * hotspotSize);
             } else {
                 // 20%的概率生成非热点区域内的键
-                key = Math.floor(Math.random() * (size - hotspotSize)) + hotspotSize;
+                key = Math.floor(this.random.next() * (size - hotspotSize)) + hotspotSize;
             }
 
             data.push({key, value: `value-${key}`});
@@ -517,17 +745,17 @@ class AdvancedPerformanceTester {
         const operations = [];
 
         for (let i = 0; i < count; i++) {
-            const r = Math.random();
+            const r = this.random.next();
 
             if (r < 0.7) {
                 // 70% 查询操作
                 operations.push({
                     type: 'search',
-                    key: Math.floor(Math.random() * dataSize * 2) // 可能包含不存在的键
+                    key: Math.floor(this.random.next() * dataSize * 2) // 可能包含不存在的键
                 });
             } else if (r < 0.85) {
                 // 15% 插入操作
-                const key = Math.floor(Math.random() * dataSize * 2);
+                const key = Math.floor(this.random.next() * dataSize * 2);
                 operations.push({
                     type: 'insert',
                     key,
@@ -537,7 +765,7 @@ class AdvancedPerformanceTester {
                 // 15% 删除操作
                 operations.push({
                     type: 'delete',
-                    key: Math.floor(Math.random() * dataSize * 2) // 可能包含不存在的键
+                    key: Math.floor(this.random.next() * dataSize * 2) // 可能包含不存在的键
                 });
             }
         }
@@ -549,15 +777,22 @@ class AdvancedPerformanceTester {
      * 生成测试报告
      */
     generateReport() {
-        if (Object.keys(this.results).length === 0) {
+        if (Object.keys(this.results).every(key => key === 'seed' || key === 'conformance')) {
             return "请先运行测试";
         }
 
         let report = "# 高级性能测试报告\n\n";
+        report += `随机种子: ${this.seed}\n\n`;
+
+        if (this.results.conformance) {
+            const conformance = Object.values(this.results.conformance);
+            report += `一致性检查: ${conformance.length} 个数据结构（包括共享内存结构）全部通过 ${conformance[0] ? conformance[0].checks : 0} 项检查\n\n`;
+        }
 
         // 并发测试报告
         if (this.results.concurrent) {
             report += "## 并发读写测试\n\n";
+            report += "各线程在各自的私有副本上运行，反映的是并行的单线程性能；多个线程共享同一实例的结果见共享内存并发测试。\n\n";
             report += "| 数据结构 | 吞吐量 (ops/s) | 读延迟 (ms) | 写延迟 (ms) | 错误数 |\n";
             report += "| --- | --- | --- | --- | --- |\n";
 
@@ -572,6 +807,27 @@ class AdvancedPerformanceTester {
             report += "\n";
         }
 
+        // 共享内存并发测试报告
+        if (this.results.sharedConcurrent && Object.keys(this.results.sharedConcurrent).length > 0) {
+            report += "## 共享内存并发测试\n\n";
+            report += "所有线程操作同一个基于 SharedArrayBuffer 的实例，加速比相对单线程吞吐量计算。\n\n";
+            report += "| 数据结构 | 线程数 | 吞吐量 (ops/s) | 加速比 | 读延迟 (ms) | 写延迟 (ms) | 锁等待次数 | 重试次数 | 校验 |\n";
+            report += "| --- | --- | --- | --- | --- | --- | --- | --- | --- |\n";
+
+            for (const [name, records] of Object.entries(this.results.sharedConcurrent)) {
+                for (const record of records) {
+                    if (record.error) {
+                        report += `| ${name} | ${record.threads} | 测试失败 | - | - | - | - | - | - |\n`;
+                    } else {
+                        const speedup = record.speedup !== null ? `${record.speedup.toFixed(2)}x` : '-';
+                        report += `| ${name} | ${record.threads} | ${record.throughput.toFixed(2)} | ${speedup} | ${record.readLatency.toFixed(4)} | ${record.writeLatency.toFixed(4)} | ${record.lockWaits} | ${record.retries} | ${record.valid ? '通过' : '失败'} |\n`;
+                    }
+                }
+            }
+
+            report += "\n";
+        }
+
         // 数据倾斜测试报告
         if (this.results.dataSkew) {
             report += "## 数据倾斜测试\n\n";
@@ -592,18 +848,19 @@ class AdvancedPerformanceTester {
         // 压力测试报告
         if (this.results.stress) {
             report += "## 压力测试\n\n";
-            report += "| 数据结构 | 总操作数 | 总时间 (s) | 平均吞吐量 (ops/s) | 峰值内存 (MB) | 最终延迟 (ms) |\n";
-            report += "| --- | --- | --- | --- | --- | --- |\n";
+            report += "内存为进程堆内存与堆外 ArrayBuffer 之和；GC 统计自预装载完成后开始。\n\n";
+            report += "| 数据结构 | 总操作数 | 总时间 (s) | 平均吞吐量 (ops/s) | 峰值内存 (MB) | 最终延迟 (ms) | GC 次数 | GC 暂停 (ms) |\n";
+            report += "| --- | --- | --- | --- | --- | --- | --- | --- |\n";
 
             for (const [name, results] of Object.entries(this.results.stress)) {
                 if (results.error) {
-                    report += `| ${name} | 测试失败 | - | - | - | - |\n`;
+                    report += `| ${name} | 测试失败 | - | - | - | - | - | - |\n`;
                 } else {
                     const avgThroughput = results.totalOperations / (results.totalTime / 1000);
                     const lastCheckpoint = results.checkpoints[results.checkpoints.length - 1];
                     const finalLatency = (lastCheckpoint.readLatency * 0.7) + (lastCheckpoint.writeLatency * 0.3); // 假设70%读30%写
 
-                    report += `| ${name} | ${results.totalOperations} | ${(results.totalTime / 1000).toFixed(2)} | ${avgThroughput.toFixed(2)} | ${(results.peakMemory / (1024 * 1024)).toFixed(2)} | ${finalLatency.toFixed(4)} |\n`;
+                    report += `| ${name} | ${results.totalOperations} | ${(results.totalTime / 1000).toFixed(2)} | ${avgThroughput.toFixed(2)} | ${(results.peakMemory / (1024 * 1024)).toFixed(2)} | ${finalLatency.toFixed(4)} | ${results.gcCount} | ${results.gcTime.toFixed(2)} |\n`;
                 }
             }
 
@@ -637,14 +894,21 @@ class AdvancedPerformanceTester {
         // 持久化测试报告
         if (this.results.persistence) {
             report += "## 持久化与恢复测试\n\n";
-            report += "| 数据结构 | 序列化时间 (ms) | 反序列化时间 (ms) | 文件大小 (KB) | 数据一致性 |\n";
-            report += "| --- | --- | --- | --- | --- |\n";
+            report += "| 数据结构 | 序列化时间 (ms) | 反序列化时间 (ms) | 批量加载反序列化 (ms) | 文件大小 (KB) | 数据一致性 |\n";
+            report += "| --- | --- | --- | --- | --- | --- |\n";
 
             for (const [name, results] of Object.entries(this.results.persistence)) {
                 if (results.error) {
-                    report += `| ${name} | 测试失败 | - | - | - |\n`;
+                    report += `| ${name} | 测试失败 | - | - | - | - |\n`;
                 } else {
-                    report += `| ${name} | ${results.serializeTime.toFixed(2)} | ${results.deserializeTime.toFixed(2)} | ${(results.fileSize / 1024).toFixed(2)} | ${results.isValid ? '✓' : '✗'} |\n`;
+                    let bulk = '-';
+                    if (results.bulkError) {
+                        bulk = '失败';
+                    } else if (results.bulkDeserializeTime !== undefined) {
+                        bulk = `${results.bulkDeserializeTime.toFixed(2)}${results.bulkIsValid ? '' : ' (数据不一致)'}`;
+                    }
+
+                    report += `| ${name} | ${results.serializeTime.toFixed(2)} | ${results.deserializeTime.toFixed(2)} | ${bulk} | ${(results.fileSize / 1024).toFixed(2)} | ${results.isValid ? '✓' : '✗'} |\n`;
                 }
             }
 
@@ -1072,4 +1336,6 @@ class AdvancedPerformanceTester {
 /*
 // worker.js
 
-*/
\ No newline at end of file
+*/
+
+module.exports = AdvancedPerformanceTester;
@@ -4,9 +4,348 @@
 // 导入必要的库
 const fs = require('fs');
 const path = require('path');
+const v8 = require('v8');
 
 // ====================== 1. 数据结构实现 ======================
 
+// 默认比较器：数字、字符串、BigInt、Date 按自然顺序比较，数组（元组键）按元素字典序比较
+// 各结构的构造函数都接受 {compare} 选项，compare(a, b) 返回负数、0、正数分别表示 a 小于、等于、大于 b
+function defaultCompare(a, b) {
+    if (Array.isArray(a) && Array.isArray(b)) {
+        const length = Math.min(a.length, b.length);
+
+        for (let i = 0; i < length; i++) {
+            const cmp = defaultCompare(a[i], b[i]);
+
+            if (cmp !== 0) {
+                return cmp;
+            }
+        }
+
+        return a.length - b.length;
+    }
+
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// valueOf() 返回原始值的对象键（如 Date）：defaultCompare 按该原始值比较，哈希表的相等判断与哈希也按它计算，
+// 使这类键在树与哈希表中的行为一致
+function hasPrimitiveValue(key) {
+    if (key === null || typeof key !== 'object' || Array.isArray(key)) {
+        return false;
+    }
+
+    const primitive = key.valueOf();
+    return primitive === null || (typeof primitive !== 'object' && typeof primitive !== 'function');
+}
+
+// 哈希表默认的相等判断：元组键逐元素比较，Date 等对象键按 valueOf() 的原始值比较，其余类型使用严格相等
+function defaultEquals(a, b) {
+    if ((Array.isArray(a) && Array.isArray(b)) || (hasPrimitiveValue(a) && hasPrimitiveValue(b))) {
+        return defaultCompare(a, b) === 0;
+    }
+
+    return a === b;
+}
+
+// 哈希表默认的哈希函数，返回 32 位整数，与 defaultEquals 一致（相等的键哈希值相同）：
+// Date 等对象键先取 valueOf() 的原始值；32 位整数直接使用自身；其余数字（负的大数、小数等）按 IEEE 754 位模式
+// 折叠两个 32 位字，0 与 -0 视为同一个键；字符串、元组等其余类型按字符串形式计算
+const HASH_FLOAT_VIEW = new Float64Array(1);
+const HASH_WORD_VIEW = new Int32Array(HASH_FLOAT_VIEW.buffer);
+
+function defaultHash(key) {
+    if (hasPrimitiveValue(key)) {
+        key = key.valueOf();
+    }
+
+    if (typeof key === 'number') {
+        if ((key | 0) === key) {
+            return key | 0;
+        }
+
+        HASH_FLOAT_VIEW[0] = key;
+        return (HASH_WORD_VIEW[0] ^ Math.imul(HASH_WORD_VIEW[1], 0x9e3779b1)) | 0;
+    }
+
+    let hash = 0;
+    const str = String(key);
+
+    for (let i = 0; i < str.length; i++) {
+        hash = (hash << 5) - hash + str.charCodeAt(i);
+        hash |= 0; // 转换为32位整数
+    }
+
+    return hash;
+}
+
+// MurmurHash3 的 32 位终结混合：哈希表取槽下标前先打散哈希值，使连续整数等规律键的低位也分布均匀
+function mixHash32(hash) {
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash | 0;
+}
+
+// 可播种的伪随机数生成器（mulberry32）：相同的种子产生相同的序列，使测试数据与结构内部的随机决策都可以复现
+class SeededRandom {
+    constructor(seed) {
+        this.reseed(seed);
+    }
+
+    reseed(seed) {
+        if (!Number.isInteger(seed)) {
+            throw new Error(`随机种子必须是整数: ${seed}`);
+        }
+
+        this.seed = seed >>> 0;
+        this._state = this.seed;
+    }
+
+    // 返回 [0, 1) 之间的数，用法与 Math.random() 相同
+    next() {
+        this._state = (this._state + 0x6d2b79f5) | 0;
+        let t = Math.imul(this._state ^ (this._state >>> 15), 1 | this._state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // 派生独立的子流：只取决于本流的种子与 label，不消耗本流的随机数；各工作线程以不同的 label 得到各自的流
+    derive(label) {
+        return new SeededRandom(mixHash32(this.seed ^ defaultHash(String(label))));
+    }
+}
+
+// 随机选取种子：调用方未指定种子时使用，选出的种子记录在结果中，以便之后复现
+function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// 进程内共享的随机数流：DataGenerator、测试器，以及结构内部的随机决策（跳表层级、Treap 优先级、布谷鸟哈希更换种子）
+// 默认都从这里取数。setRandomSeed 原地重置这个流，已经持有它的结构也随之使用新的序列
+const sharedRandom = new SeededRandom(randomSeed());
+
+// 重置共享随机数流，返回实际使用的种子；seed 为 null 时随机选取
+function setRandomSeed(seed = null) {
+    sharedRandom.reseed(seed === null ? randomSeed() : seed);
+    return sharedRandom.seed;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// 解析带数值参数的构造函数（跳表、哈希表、B树、B+树）的参数：数值参数 names 可以按位置给出，也可以作为同名字段
+// 放在选项对象中，选项对象总是最后一个参数，因此与其他结构一样可以只传一个选项对象构造；返回 [数值参数..., 其余选项]。
+// 数值参数必须是数字，避免把选项对象等误当作阶数、层数等参数
+function splitConstructorArgs(className, names, args) {
+    const optionsIndex = args.findIndex(isPlainObject);
+    const end = optionsIndex === -1 ? names.length : Math.min(optionsIndex, names.length);
+    const options = optionsIndex === -1 ? {} : {...args[optionsIndex]};
+
+    if (optionsIndex !== -1 && args.slice(optionsIndex + 1).some(arg => arg !== undefined)) {
+        throw new Error(`${className} 的选项对象必须是最后一个参数`);
+    }
+
+    const values = names.map((name, i) => {
+        const value = i < end ? args[i] : options[name];
+        delete options[name];
+
+        if (value !== undefined && typeof value !== 'number') {
+            throw new Error(`${className} 的参数 ${name} 必须是数字，实际为 ${typeof value}；选项对象应作为最后一个参数传入`);
+        }
+
+        return value;
+    });
+
+    return [...values, options];
+}
+
+// 校验批量加载的输入：entries 为 {key, value} 数组，键必须按 compare 严格递增
+function assertSortedEntries(entries, compare) {
+    for (let i = 1; i < entries.length; i++) {
+        if (compare(entries[i - 1].key, entries[i].key) >= 0) {
+            throw new Error(`fromSorted 要求键严格递增，第 ${i} 个键 ${entries[i].key} 不大于前一个键`);
+        }
+    }
+}
+
+// B树/B+树批量加载时把 count 个元素均匀分成若干组，每组元素数不超过 maxPerGroup，
+// 并按 fillFactor 尽量接近 targetPerGroup；返回每组的元素数
+function planGroups(count, targetPerGroup, maxPerGroup) {
+    const groupCount = Math.max(1, Math.ceil(count / maxPerGroup), Math.floor(count / targetPerGroup));
+    const base = Math.floor(count / groupCount);
+    const extra = count % groupCount;
+    const sizes = [];
+
+    for (let i = 0; i < groupCount; i++) {
+        sizes.push(base + (i < extra ? 1 : 0));
+    }
+
+    return sizes;
+}
+
+// 树形统计：节点数、树高（层数，空树为 0）、节点的平均深度与最大深度（根的深度为 0）。
+// children(node) 返回 node 的非空子节点，二叉树与多路树共用；visit(node) 在访问每个节点时调用，用于附加统计
+function treeShape(root, children, visit = null) {
+    const shape = {nodeCount: 0, height: 0, averageDepth: 0, maxDepth: 0};
+
+    if (root === null) {
+        return shape;
+    }
+
+    let depthTotal = 0;
+    const stack = [{node: root, depth: 0}];
+
+    while (stack.length > 0) {
+        const {node, depth} = stack.pop();
+        shape.nodeCount++;
+        depthTotal += depth;
+        shape.maxDepth = Math.max(shape.maxDepth, depth);
+
+        if (visit !== null) {
+            visit(node);
+        }
+
+        for (const child of children(node)) {
+            stack.push({node: child, depth: depth + 1});
+        }
+    }
+
+    shape.height = shape.maxDepth + 1;
+    shape.averageDepth = depthTotal / shape.nodeCount;
+    return shape;
+}
+
+// 在直方图 {值: 次数} 中为 value 计数一次
+function countInto(histogram, value) {
+    histogram[value] = (histogram[value] || 0) + 1;
+}
+
+// 内存模型的对象布局（64 位 V8，启用指针压缩时每个字为 4 字节）：普通对象为 3 个字的头（map、properties、elements）
+// 加每个字段一个字；数组为 4 个字的 JSArray 对象加非空时的元素存储（2 个字的头加每个元素一个字）；
+// 类型化数组只计堆外缓冲区。模型按实际长度计算，不含数组扩容预留的空位和数字字段的装箱（HeapNumber），
+// 这些差异留给堆快照实测（见 measureRetainedMemory）体现
+const MEMORY_WORD_BYTES = process.config.variables.v8_enable_pointer_compression ? 4 : 8;
+
+function objectBytes(fieldCount) {
+    return (3 + fieldCount) * MEMORY_WORD_BYTES;
+}
+
+// 按实例的自有字段数计算对象大小
+function instanceBytes(object) {
+    return objectBytes(Object.keys(object).length);
+}
+
+// count 个数组（共 elementCount 个元素，其中 nonEmpty 个非空）的模型，按堆快照中的名称拆成数组对象与元素存储
+function arrayParts(count, elementCount, nonEmpty = count) {
+    return [
+        ['Array', count * 4 * MEMORY_WORD_BYTES],
+        ['(object elements)', (nonEmpty * 2 + elementCount) * MEMORY_WORD_BYTES]
+    ];
+}
+
+// 汇总 [构造函数名, 字节数] 列表，返回 memoryModel() 的结果 {bytes, breakdown: {构造函数名: 字节数}}
+function modelMemory(parts) {
+    const breakdown = {};
+    let bytes = 0;
+
+    for (const [name, size] of parts) {
+        if (size > 0) {
+            breakdown[name] = (breakdown[name] || 0) + size;
+            bytes += size;
+        }
+    }
+
+    return {bytes, breakdown};
+}
+
+// B树/B+树的内存模型：每个节点对象及其 keys、values、children 数组（B+树内部节点的 values、叶子的 children 为 null）
+function multiwayTreeMemory(root) {
+    let nodes = 0;
+    let arrays = 0;
+    let elements = 0;
+    let nonEmpty = 0;
+    const stack = [root];
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+        nodes++;
+
+        for (const array of [node.keys, node.values, node.children]) {
+            if (array !== null) {
+                arrays++;
+                elements += array.length;
+                nonEmpty += array.length > 0 ? 1 : 0;
+            }
+        }
+
+        if (!node.isLeaf) {
+            stack.push(...node.children);
+        }
+    }
+
+    return modelMemory([[root.constructor.name, nodes * instanceBytes(root)], ...arrayParts(arrays, elements, nonEmpty)]);
+}
+
+// 惰性迭代接口：各有序结构只需实现 _iterate(minKey, maxKey, reverse)，按键序产出边界内（undefined 表示不限制）的 {key, value}，
+// installIteration 在其上为结构类安装 [Symbol.iterator]/entries/keys/values/range
+const ITERATION_METHODS = {
+    // 惰性迭代：按键升序产出 [key, value]，与 Map 的迭代约定一致
+    [Symbol.iterator]() {
+        return this.entries();
+    },
+
+    * entries() {
+        for (const entry of this._iterate(undefined, undefined, false)) {
+            yield [entry.key, entry.value];
+        }
+    },
+
+    * keys() {
+        for (const entry of this._iterate(undefined, undefined, false)) {
+            yield entry.key;
+        }
+    },
+
+    * values() {
+        for (const entry of this._iterate(undefined, undefined, false)) {
+            yield entry.value;
+        }
+    },
+
+    // 惰性范围扫描：产出 [minKey, maxKey] 内的 {key, value}，边界为 undefined 时不限制该侧，
+    // reverse 为 true 时按键降序，最多产出 limit 个，提前结束时不会遍历剩余部分
+    * range(minKey, maxKey, {reverse = false, limit = Infinity} = {}) {
+        if (limit <= 0) {
+            return;
+        }
+
+        let count = 0;
+
+        for (const entry of this._iterate(minKey, maxKey, reverse)) {
+            yield entry;
+
+            if (++count >= limit) {
+                return;
+            }
+        }
+    }
+};
+
+// 为结构类安装迭代方法，类自身定义的同名方法保留不变；子类继承父类安装的方法
+function installIteration(StructureClass) {
+    const proto = StructureClass.prototype;
+
+    for (const name of Reflect.ownKeys(ITERATION_METHODS)) {
+        if (!Object.prototype.hasOwnProperty.call(proto, name)) {
+            proto[name] = ITERATION_METHODS[name];
+        }
+    }
+}
+
 // 1.1 红黑树实现
 class RBNode {
     constructor(key, value = null) {
@@ -16,19 +355,59 @@ class RBNode {
         this.right = null;
         this.parent = null;
         this.color = 'RED'; // 'RED' or 'BLACK'
+        this.size = 1; // 子树节点数，用于顺序统计
     }
 }
 
+// 所有红黑树共享同一个只读的 NIL 哨兵（任何操作都不写入它，冻结后误写会直接抛出异常），
+// 因此 join、union 等操作可以在不同的树之间直接移动节点
+const RB_NIL = new RBNode(null);
+RB_NIL.color = 'BLACK';
+RB_NIL.size = 0;
+Object.freeze(RB_NIL);
+
 class RedBlackTree {
-    constructor() {
-        this.NIL = new RBNode(null);
-        this.NIL.color = 'BLACK';
+    constructor({compare = defaultCompare, allowDuplicates = false} = {}) {
+        this.compare = compare;
+        initMultimap(this, allowDuplicates);
+        this.NIL = RB_NIL;
         this.root = this.NIL;
         this.size = 0;
+        this.counters = null;
+    }
+
+    // 从按键严格递增的 {key, value} 数组以 O(n) 构建红黑树（子类上调用时构建子类实例）：
+    // 取中点递归建树得到除最底层外全满的树，最底层节点着红色，其余为黑色
+    static fromSorted(entries, options = {}) {
+        const tree = new this(options);
+        assertSortedEntries(entries, tree.compare);
+
+        const maxDepth = entries.length > 0 ? Math.floor(Math.log2(entries.length)) : 0;
+        tree.root = tree._buildFromSorted(entries, 0, entries.length - 1, 0, maxDepth, null);
+        tree.size = entries.length;
+
+        return tree;
+    }
+
+    _buildFromSorted(entries, lo, hi, depth, maxDepth, parent) {
+        if (lo > hi) {
+            return this.NIL;
+        }
+
+        const mid = (lo + hi) >>> 1;
+        const node = new RBNode(entries[mid].key, entries[mid].value);
+        node.parent = parent;
+        node.color = depth === maxDepth && depth > 0 ? 'RED' : 'BLACK';
+        node.left = this._buildFromSorted(entries, lo, mid - 1, depth + 1, maxDepth, node);
+        node.right = this._buildFromSorted(entries, mid + 1, hi, depth + 1, maxDepth, node);
+        node.size = hi - lo + 1;
+
+        return node;
     }
 
+    // 插入或更新键值：新增键时返回 true，键已存在时只更新值并返回 false（与 delete 的返回值对应）
     insert(key, value = null) {
-        const newNode = new RBNode(key, value);
+        const newNode = this._createNode(key, value);
         newNode.left = this.NIL;
         newNode.right = this.NIL;
 
@@ -37,15 +416,21 @@ class RedBlackTree {
 
         // 寻找插入位置
         while (current !== this.NIL) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
+
             parent = current;
-            if (key < current.key) {
+            const cmp = this.compare(key, current.key);
+
+            if (cmp < 0) {
                 current = current.left;
-            } else if (key > current.key) {
+            } else if (cmp > 0) {
                 current = current.right;
             } else {
                 // 如果键已存在，则更新值
                 current.value = value;
-                return;
+                return false;
             }
         }
 
@@ -57,25 +442,36 @@ class RedBlackTree {
             this.root = newNode;
             this.size++;
             this.fixInsert(newNode);
-            return;
+            return true;
         }
 
         // 根据键的大小决定是左子节点还是右子节点
-        if (key < parent.key) {
+        if (this.compare(key, parent.key) < 0) {
             parent.left = newNode;
         } else {
             parent.right = newNode;
         }
 
+        // 更新插入路径上各祖先的子树大小
+        for (let ancestor = parent; ancestor !== null; ancestor = ancestor.parent) {
+            ancestor.size++;
+        }
+
         this.size++;
 
         // 如果父节点是根节点，无需修复
         if (parent.parent === null) {
-            return;
+            return true;
         }
 
         // 修复红黑树性质
         this.fixInsert(newNode);
+        return true;
+    }
+
+    // 创建新节点，子类可覆盖以初始化附加字段（如区间树的 max）
+    _createNode(key, value) {
+        return new RBNode(key, value);
     }
 
     fixInsert(node) {
@@ -88,9 +484,9 @@ class RedBlackTree {
 
                 // Case 1: 叔叔节点是红色
                 if (uncle.color === 'RED') {
-                    current.parent.color = 'BLACK';
-                    uncle.color = 'BLACK';
-                    current.parent.parent.color = 'RED';
+                    this._setColor(current.parent, 'BLACK');
+                    this._setColor(uncle, 'BLACK');
+                    this._setColor(current.parent.parent, 'RED');
                     current = current.parent.parent;
                 } else {
                     // Case 2: 叔叔节点是黑色，且当前节点是右子节点
@@ -100,8 +496,8 @@ class RedBlackTree {
                     }
 
                     // Case 3: 叔叔节点是黑色，且当前节点是左子节点
-                    current.parent.color = 'BLACK';
-                    current.parent.parent.color = 'RED';
+                    this._setColor(current.parent, 'BLACK');
+                    this._setColor(current.parent.parent, 'RED');
                     this.rotateRight(current.parent.parent);
                 }
             } else {
@@ -109,9 +505,9 @@ class RedBlackTree {
 
                 // Case 1: 叔叔节点是红色
                 if (uncle.color === 'RED') {
-                    current.parent.color = 'BLACK';
-                    uncle.color = 'BLACK';
-                    current.parent.parent.color = 'RED';
+                    this._setColor(current.parent, 'BLACK');
+                    this._setColor(uncle, 'BLACK');
+                    this._setColor(current.parent.parent, 'RED');
                     current = current.parent.parent;
                 } else {
                     // Case 2: 叔叔节点是黑色，且当前节点是左子节点
@@ -121,15 +517,26 @@ class RedBlackTree {
                     }
 
                     // Case 3: 叔叔节点是黑色，且当前节点是右子节点
-                    current.parent.color = 'BLACK';
-                    current.parent.parent.color = 'RED';
+                    this._setColor(current.parent, 'BLACK');
+                    this._setColor(current.parent.parent, 'RED');
                     this.rotateLeft(current.parent.parent);
                 }
             }
         }
 
-        // 确保根节点是黑色
-        this.root.color = 'BLACK';
+        // 确保根节点是黑色；返回根是否由红变黑（此时黑高加一），供 _join 使用
+        const rootWasRed = this.root.color === 'RED';
+        this._setColor(this.root, 'BLACK');
+        return rootWasRed;
+    }
+
+    // 修改节点颜色；启用计数（instrument）时只统计实际发生变化的染色
+    _setColor(node, color) {
+        if (this.counters !== null && node.color !== color) {
+            this.counters.recolors++;
+        }
+
+        node.color = color;
     }
 
     rotateLeft(node) {
@@ -152,6 +559,10 @@ class RedBlackTree {
 
         rightChild.left = node;
         node.parent = rightChild;
+
+        // 旋转后更新子树大小
+        rightChild.size = node.size;
+        node.size = node.left.size + node.right.size + 1;
     }
 
     rotateRight(node) {
@@ -174,17 +585,27 @@ class RedBlackTree {
 
         leftChild.right = node;
         node.parent = leftChild;
+
+        // 旋转后更新子树大小
+        leftChild.size = node.size;
+        node.size = node.left.size + node.right.size + 1;
     }
 
     search(key) {
         let current = this.root;
 
         while (current !== this.NIL) {
-            if (key === current.key) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
+
+            const cmp = this.compare(key, current.key);
+
+            if (cmp === 0) {
                 return current.value;
             }
 
-            if (key < current.key) {
+            if (cmp < 0) {
                 current = current.left;
             } else {
                 current = current.right;
@@ -200,9 +621,15 @@ class RedBlackTree {
 
         // 寻找要删除的节点
         while (nodeToDelete !== this.NIL && !foundNode) {
-            if (key === nodeToDelete.key) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
+
+            const cmp = this.compare(key, nodeToDelete.key);
+
+            if (cmp === 0) {
                 foundNode = true;
-            } else if (key < nodeToDelete.key) {
+            } else if (cmp < 0) {
                 nodeToDelete = nodeToDelete.left;
             } else {
                 nodeToDelete = nodeToDelete.right;
@@ -214,360 +641,369 @@ class RedBlackTree {
             return false;
         }
 
-        // 删除节点，此处简化实现
-        // 在实际项目中应该实现完整的红黑树删除算法
-        // 这里为了性能测试，使用一个更简单的删除方法
-
-        let replacementNode, originalColor;
+        // replacementNode 可能是共享的 NIL 哨兵，因此单独记录它的父节点，
+        // 而不是像 CLRS 那样写入 NIL.parent
+        let replacementNode, replacementParent;
+        let originalColor = nodeToDelete.color;
 
-        // 情况1: 节点没有子节点或只有一个子节点
-        if (nodeToDelete.left === this.NIL || nodeToDelete.right === this.NIL) {
-            replacementNode = nodeToDelete.left === this.NIL ? nodeToDelete.right : nodeToDelete.left;
-
-            // 将替代节点连接到父节点
-            if (nodeToDelete.parent === null) {
-                this.root = replacementNode;
-            } else if (nodeToDelete === nodeToDelete.parent.left) {
-                nodeToDelete.parent.left = replacementNode;
-            } else {
-                nodeToDelete.parent.right = replacementNode;
+        // 实际被摘除的节点：有两个子节点时为后继节点，否则为节点本身
+        let removedNode = nodeToDelete;
+        if (nodeToDelete.left !== this.NIL && nodeToDelete.right !== this.NIL) {
+            removedNode = nodeToDelete.right;
+            while (removedNode.left !== this.NIL) {
+                removedNode = removedNode.left;
             }
+        }
 
-            if (replacementNode !== this.NIL) {
-                replacementNode.parent = nodeToDelete.parent;
-            }
+        // 更新被摘除节点所有祖先的子树大小
+        for (let ancestor = removedNode.parent; ancestor !== null; ancestor = ancestor.parent) {
+            ancestor.size--;
+        }
 
-            originalColor = nodeToDelete.color;
+        // 情况1: 节点没有子节点或只有一个子节点
+        if (nodeToDelete.left === this.NIL) {
+            replacementNode = nodeToDelete.right;
+            replacementParent = nodeToDelete.parent;
+            this.transplant(nodeToDelete, nodeToDelete.right);
+        } else if (nodeToDelete.right === this.NIL) {
+            replacementNode = nodeToDelete.left;
+            replacementParent = nodeToDelete.parent;
+            this.transplant(nodeToDelete, nodeToDelete.left);
         }
         // 情况2: 节点有两个子节点
         else {
-            // 找到后继节点
-            let successor = nodeToDelete.right;
-            while (successor.left !== this.NIL) {
-                successor = successor.left;
-            }
+            const successor = removedNode;
 
             originalColor = successor.color;
             replacementNode = successor.right;
 
             // 如果后继节点是要删除节点的直接子节点
             if (successor.parent === nodeToDelete) {
-                if (replacementNode !== this.NIL) {
-                    replacementNode.parent = successor;
-                }
+                replacementParent = successor;
             } else {
                 // 将后继节点的右子节点连接到后继节点的父节点
-                if (successor.parent !== null) {
-                    if (successor === successor.parent.left) {
-                        successor.parent.left = replacementNode;
-                    } else {
-                        successor.parent.right = replacementNode;
-                    }
-                }
-
-                if (replacementNode !== this.NIL) {
-                    replacementNode.parent = successor.parent;
-                }
+                replacementParent = successor.parent;
+                this.transplant(successor, successor.right);
 
                 // 连接后继节点到要删除节点的右子节点
                 successor.right = nodeToDelete.right;
-                if (nodeToDelete.right !== this.NIL) {
-                    nodeToDelete.right.parent = successor;
-                }
+                successor.right.parent = successor;
             }
 
             // 将后继节点放到要删除节点的位置
-            if (nodeToDelete.parent === null) {
-                this.root = successor;
-            } else if (nodeToDelete === nodeToDelete.parent.left) {
-                nodeToDelete.parent.left = successor;
-            } else {
-                nodeToDelete.parent.right = successor;
-            }
-
-            successor.parent = nodeToDelete.parent;
+            this.transplant(nodeToDelete, successor);
             successor.left = nodeToDelete.left;
-            if (nodeToDelete.left !== this.NIL) {
-                nodeToDelete.left.parent = successor;
-            }
-            successor.color = nodeToDelete.color;
+            successor.left.parent = successor;
+            this._setColor(successor, nodeToDelete.color);
+            successor.size = nodeToDelete.size;
         }
 
         // 如果删除的是黑色节点，需要修复红黑树性质
         if (originalColor === 'BLACK') {
-            this.fixDelete(replacementNode);
+            this.fixDelete(replacementNode, replacementParent);
         }
 
         this.size--;
         return true;
     }
 
-    fixDelete(node) {
-        // 这里应该实现红黑树删除后的修复算法
-        // 为了简化，我们这里只保证根节点是黑色
-        if (this.root !== this.NIL) {
-            this.root.color = 'BLACK';
+    // 用 replacement 替换 node 在父节点中的位置，不修改 NIL 哨兵
+    transplant(node, replacement) {
+        if (node.parent === null) {
+            this.root = replacement;
+        } else if (node === node.parent.left) {
+            node.parent.left = replacement;
+        } else {
+            node.parent.right = replacement;
         }
-    }
 
-    rangeSearch(minKey, maxKey) {
-        const result = [];
-        this._rangeSearchHelper(this.root, minKey, maxKey, result);
-        return result;
+        if (replacement !== this.NIL) {
+            replacement.parent = node.parent;
+        }
     }
 
-    _rangeSearchHelper(node, minKey, maxKey, result) {
-        if (node === this.NIL) {
-            return;
+    // 删除修复 (CLRS RB-DELETE-FIXUP)，node 携带一层"额外的黑色"
+    // parent 显式传入，因为 node 可能是 NIL 哨兵
+    fixDelete(node, parent) {
+        let current = node;
+        let currentParent = parent;
+
+        while (current !== this.root && current.color === 'BLACK') {
+            if (current === currentParent.left) {
+                let sibling = currentParent.right;
+
+                // Case 1: 兄弟节点是红色
+                if (sibling.color === 'RED') {
+                    this._setColor(sibling, 'BLACK');
+                    this._setColor(currentParent, 'RED');
+                    this.rotateLeft(currentParent);
+                    sibling = currentParent.right;
+                }
+
+                if (sibling.left.color === 'BLACK' && sibling.right.color === 'BLACK') {
+                    // Case 2: 兄弟节点是黑色，且其两个子节点都是黑色
+                    this._setColor(sibling, 'RED');
+                    current = currentParent;
+                    currentParent = current.parent;
+                } else {
+                    // Case 3: 兄弟节点是黑色，其左子节点是红色、右子节点是黑色
+                    if (sibling.right.color === 'BLACK') {
+                        this._setColor(sibling.left, 'BLACK');
+                        this._setColor(sibling, 'RED');
+                        this.rotateRight(sibling);
+                        sibling = currentParent.right;
+                    }
+
+                    // Case 4: 兄弟节点是黑色，且其右子节点是红色
+                    this._setColor(sibling, currentParent.color);
+                    this._setColor(currentParent, 'BLACK');
+                    this._setColor(sibling.right, 'BLACK');
+                    this.rotateLeft(currentParent);
+                    current = this.root;
+                    currentParent = null;
+                }
+            } else {
+                let sibling = currentParent.left;
+
+                // Case 1: 兄弟节点是红色
+                if (sibling.color === 'RED') {
+                    this._setColor(sibling, 'BLACK');
+                    this._setColor(currentParent, 'RED');
+                    this.rotateRight(currentParent);
+                    sibling = currentParent.left;
+                }
+
+                if (sibling.right.color === 'BLACK' && sibling.left.color === 'BLACK') {
+                    // Case 2: 兄弟节点是黑色，且其两个子节点都是黑色
+                    this._setColor(sibling, 'RED');
+                    current = currentParent;
+                    currentParent = current.parent;
+                } else {
+                    // Case 3: 兄弟节点是黑色，其右子节点是红色、左子节点是黑色
+                    if (sibling.left.color === 'BLACK') {
+                        this._setColor(sibling.right, 'BLACK');
+                        this._setColor(sibling, 'RED');
+                        this.rotateLeft(sibling);
+                        sibling = currentParent.left;
+                    }
+
+                    // Case 4: 兄弟节点是黑色，且其左子节点是红色
+                    this._setColor(sibling, currentParent.color);
+                    this._setColor(currentParent, 'BLACK');
+                    this._setColor(sibling.left, 'BLACK');
+                    this.rotateRight(currentParent);
+                    current = this.root;
+                    currentParent = null;
+                }
+            }
         }
 
-        if (node.key > minKey) {
-            this._rangeSearchHelper(node.left, minKey, maxKey, result);
+        if (current !== this.NIL) {
+            this._setColor(current, 'BLACK');
         }
+    }
 
-        if (node.key >= minKey && node.key <= maxKey) {
-            result.push({key: node.key, value: node.value});
+    // 导航操作：返回最小键的键值对，树为空时返回 null
+    min() {
+        if (this.root === this.NIL) {
+            return null;
         }
 
-        if (node.key < maxKey) {
-            this._rangeSearchHelper(node.right, minKey, maxKey, result);
+        let current = this.root;
+        while (current.left !== this.NIL) {
+            current = current.left;
         }
-    }
 
-    inOrderTraversal(callback) {
-        this._inOrderTraversalHelper(this.root, callback);
+        return {key: current.key, value: current.value};
     }
 
-    _inOrderTraversalHelper(node, callback) {
-        if (node === this.NIL) {
-            return;
+    // 导航操作：返回最大键的键值对，树为空时返回 null
+    max() {
+        if (this.root === this.NIL) {
+            return null;
         }
 
-        this._inOrderTraversalHelper(node.left, callback);
-        callback(node);
-        this._inOrderTraversalHelper(node.right, callback);
-    }
-}
+        let current = this.root;
+        while (current.right !== this.NIL) {
+            current = current.right;
+        }
 
-// 1.2 AVL树实现
-class AVLNode {
-    constructor(key, value = null) {
-        this.key = key;
-        this.value = value;
-        this.left = null;
-        this.right = null;
-        this.height = 1;
+        return {key: current.key, value: current.value};
     }
-}
 
-class AVLTree {
-    constructor() {
-        this.root = null;
-        this.size = 0;
+    // 导航操作：小于等于 key 的最大键
+    floor(key) {
+        return this._floorEntry(key, true);
     }
 
-    height(node) {
-        return node ? node.height : 0;
+    // 导航操作：大于等于 key 的最小键
+    ceiling(key) {
+        return this._ceilingEntry(key, true);
     }
 
-    balanceFactor(node) {
-        return node ? this.height(node.left) - this.height(node.right) : 0;
+    // 导航操作：严格小于 key 的最大键
+    lower(key) {
+        return this._floorEntry(key, false);
     }
 
-    updateHeight(node) {
-        if (node) {
-            node.height = Math.max(this.height(node.left), this.height(node.right)) + 1;
-        }
+    // 导航操作：严格大于 key 的最小键
+    higher(key) {
+        return this._ceilingEntry(key, false);
     }
 
-    rotateRight(y) {
-        const x = y.left;
-        const T3 = x.right;
-
-        x.right = y;
-        y.left = T3;
+    _floorEntry(key, inclusive) {
+        let current = this.root;
+        let best = null;
 
-        this.updateHeight(y);
-        this.updateHeight(x);
+        while (current !== this.NIL) {
+            if (this.compare(current.key, key) < 0 || (inclusive && this.compare(current.key, key) === 0)) {
+                best = current;
+                current = current.right;
+            } else {
+                current = current.left;
+            }
+        }
 
-        return x;
+        return best ? {key: best.key, value: best.value} : null;
     }
 
-    rotateLeft(x) {
-        const y = x.right;
-        const T2 = y.left;
+    _ceilingEntry(key, inclusive) {
+        let current = this.root;
+        let best = null;
 
-        y.left = x;
-        x.right = T2;
+        while (current !== this.NIL) {
+            if (this.compare(current.key, key) > 0 || (inclusive && this.compare(current.key, key) === 0)) {
+                best = current;
+                current = current.left;
+            } else {
+                current = current.right;
+            }
+        }
 
-        this.updateHeight(x);
-        this.updateHeight(y);
+        return best ? {key: best.key, value: best.value} : null;
+    }
 
-        return y;
+    rangeSearch(minKey, maxKey) {
+        const result = [];
+        this._rangeSearchHelper(this.root, minKey, maxKey, result);
+        return result;
     }
 
-    rebalance(node) {
-        if (!node) {
-            return null;
+    _rangeSearchHelper(node, minKey, maxKey, result) {
+        if (node === this.NIL) {
+            return;
         }
 
-        this.updateHeight(node);
-
-        const balance = this.balanceFactor(node);
-
-        // 左左情况
-        if (balance > 1 && this.balanceFactor(node.left) >= 0) {
-            return this.rotateRight(node);
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
         }
 
-        // 右右情况
-        if (balance < -1 && this.balanceFactor(node.right) <= 0) {
-            return this.rotateLeft(node);
+        if (this.compare(node.key, minKey) > 0) {
+            this._rangeSearchHelper(node.left, minKey, maxKey, result);
         }
 
-        // 左右情况
-        if (balance > 1 && this.balanceFactor(node.left) < 0) {
-            node.left = this.rotateLeft(node.left);
-            return this.rotateRight(node);
+        if (this.compare(node.key, minKey) >= 0 && this.compare(node.key, maxKey) <= 0) {
+            result.push({key: node.key, value: node.value});
         }
 
-        // 右左情况
-        if (balance < -1 && this.balanceFactor(node.right) > 0) {
-            node.right = this.rotateRight(node.right);
-            return this.rotateLeft(node);
+        if (this.compare(node.key, maxKey) < 0) {
+            this._rangeSearchHelper(node.right, minKey, maxKey, result);
         }
-
-        return node;
     }
 
-    insert(key, value = null) {
-        this.root = this._insertHelper(this.root, key, value);
-        this.size++;
-    }
-
-    _insertHelper(node, key, value) {
-        if (!node) {
-            return new AVLNode(key, value);
-        }
-
-        if (key < node.key) {
-            node.left = this._insertHelper(node.left, key, value);
-        } else if (key > node.key) {
-            node.right = this._insertHelper(node.right, key, value);
-        } else {
-            // 键已存在，更新值
-            node.value = value;
-            this.size--; // 防止在外部重复增加大小
-            return node;
+    // 顺序统计：返回第 k 小（从 0 开始）的键值对，越界时返回 null
+    select(k) {
+        if (k < 0 || k >= this.size) {
+            return null;
         }
 
-        return this.rebalance(node);
-    }
-
-    search(key) {
         let current = this.root;
 
-        while (current) {
-            if (key === current.key) {
-                return current.value;
-            }
+        while (current !== this.NIL) {
+            const leftSize = current.left.size;
 
-            if (key < current.key) {
+            if (k < leftSize) {
                 current = current.left;
-            } else {
+            } else if (k > leftSize) {
+                k -= leftSize + 1;
                 current = current.right;
+            } else {
+                return {key: current.key, value: current.value};
             }
         }
 
         return null;
     }
 
-    minValueNode(node) {
-        let current = node;
-
-        while (current && current.left) {
-            current = current.left;
-        }
-
-        return current;
-    }
-
-    delete(key) {
-        const initialSize = this.size;
-        this.root = this._deleteHelper(this.root, key);
-        return initialSize !== this.size;
+    // 顺序统计：返回严格小于 key 的键的个数
+    rank(key) {
+        return this._countLess(key, false);
     }
 
-    _deleteHelper(node, key) {
-        if (!node) {
-            return null;
+    // 统计 [minKey, maxKey] 内的键数，无需像 rangeSearch 那样构建结果数组
+    countRange(minKey, maxKey) {
+        if (this.compare(minKey, maxKey) > 0) {
+            return 0;
         }
 
-        if (key < node.key) {
-            node.left = this._deleteHelper(node.left, key);
-        } else if (key > node.key) {
-            node.right = this._deleteHelper(node.right, key);
-        } else {
-            // 找到要删除的节点
-
-            // 情况1: 叶子节点或者只有一个子节点
-            if (!node.left || !node.right) {
-                const temp = node.left || node.right;
+        return this._countLess(maxKey, true) - this._countLess(minKey, false);
+    }
 
-                // 没有子节点
-                if (!temp) {
-                    node = null;
-                } else {
-                    // 有一个子节点
-                    node = temp;
-                }
+    // 统计小于 key（inclusive 为 true 时为小于等于）的键的个数
+    _countLess(key, inclusive) {
+        let count = 0;
+        let current = this.root;
 
-                this.size--;
+        while (current !== this.NIL) {
+            if (this.compare(key, current.key) < 0 || (!inclusive && this.compare(key, current.key) === 0)) {
+                current = current.left;
             } else {
-                // 情况2: 有两个子节点
-                // 找到右子树中最小的节点（后继节点）
-                const temp = this.minValueNode(node.right);
-
-                // 复制后继节点的键和值到当前节点
-                node.key = temp.key;
-                node.value = temp.value;
-
-                // 删除后继节点
-                node.right = this._deleteHelper(node.right, temp.key);
-                // 此时 size 已经在递归中减少
+                count += current.left.size + 1;
+                current = current.right;
             }
         }
 
-        // 如果树为空
-        if (!node) {
-            return null;
-        }
-
-        // 重新平衡树
-        return this.rebalance(node);
+        return count;
     }
 
-    rangeSearch(minKey, maxKey) {
-        const result = [];
-        this._rangeSearchHelper(this.root, minKey, maxKey, result);
-        return result;
-    }
+    // 使用显式栈做惰性中序遍历，并跳过范围外的子树
+    * _iterate(minKey, maxKey, reverse) {
+        const stack = [];
+        let current = this.root;
 
-    _rangeSearchHelper(node, minKey, maxKey, result) {
-        if (!node) {
-            return;
-        }
+        while (stack.length > 0 || current !== this.NIL) {
+            if (current !== this.NIL) {
+                if (!reverse) {
+                    // 小于 minKey 的节点连同其左子树都可跳过
+                    if (minKey === undefined || this.compare(current.key, minKey) >= 0) {
+                        stack.push(current);
+                        current = current.left;
+                    } else {
+                        current = current.right;
+                    }
+                } else {
+                    // 大于 maxKey 的节点连同其右子树都可跳过
+                    if (maxKey === undefined || this.compare(current.key, maxKey) <= 0) {
+                        stack.push(current);
+                        current = current.right;
+                    } else {
+                        current = current.left;
+                    }
+                }
+            } else {
+                const node = stack.pop();
 
-        if (node.key > minKey) {
-            this._rangeSearchHelper(node.left, minKey, maxKey, result);
-        }
+                if (!reverse && maxKey !== undefined && this.compare(node.key, maxKey) > 0) {
+                    return;
+                }
 
-        if (node.key >= minKey && node.key <= maxKey) {
-            result.push({key: node.key, value: node.value});
-        }
+                if (reverse && minKey !== undefined && this.compare(node.key, minKey) < 0) {
+                    return;
+                }
 
-        if (node.key < maxKey) {
-            this._rangeSearchHelper(node.right, minKey, maxKey, result);
+                yield {key: node.key, value: node.value};
+                current = reverse ? node.left : node.right;
+            }
         }
     }
 
@@ -576,7 +1012,7 @@ class AVLTree {
     }
 
     _inOrderTraversalHelper(node, callback) {
-        if (!node) {
+        if (node === this.NIL) {
             return;
         }
 
@@ -584,2511 +1020,10846 @@ class AVLTree {
         callback(node);
         this._inOrderTraversalHelper(node.right, callback);
     }
-}
 
-// 1.3 跳表实现
-class SkipNode {
-    constructor(key, value = null, level = 0) {
-        this.key = key;
-        this.value = value;
-        this.forward = new Array(level + 1).fill(null);
-    }
-}
+    // ---------- 拆分、合并与集合运算 ----------
+    // 以下操作会消耗参与运算的树：节点被直接移动到结果树中，原树随后变为空树。
+    // 内部以 {root, bh} 片段表示一棵根为黑色的独立子树，bh 为黑高（不计 NIL）
 
-class SkipList {
-    constructor(maxLevel = 16, p = 0.5) {
-        this.maxLevel = maxLevel;
-        this.p = p;
-        this.level = 0;
-        this.header = new SkipNode(-Infinity, null, maxLevel);
-        this.size = 0;
+    // 按 key 拆分：left 含全部小于 key 的键，right 含全部大于 key 的键，
+    // entry 为 key 对应的条目（不存在时为 null），O(log n)
+    split(key) {
+        const left = new RedBlackTree({compare: this.compare});
+        const right = new RedBlackTree({compare: this.compare});
+        const parts = left._split(this._takePiece(), key);
+
+        left._adoptPiece(parts.left);
+        right._adoptPiece(parts.right);
+
+        return {left, entry: parts.found ? {key: parts.found.key, value: parts.found.value} : null, right};
     }
 
-    randomLevel() {
-        let level = 0;
-        while (Math.random() < this.p && level < this.maxLevel) {
-            level++;
+    // 合并两棵树，要求 left 的键全部小于 right 的键，O(log n)
+    static join(left, right) {
+        const leftMax = left.max();
+        const rightMin = right.min();
+
+        if (leftMax !== null && rightMin !== null && left.compare(leftMax.key, rightMin.key) >= 0) {
+            throw new Error('join 要求左树的键全部小于右树的键');
         }
-        return level;
+
+        const result = new RedBlackTree({compare: left.compare});
+        result._adoptPiece(result._join2(left._takePiece(), right._takePiece()));
+        return result;
     }
 
-    insert(key, value = null) {
-        const update = new Array(this.maxLevel + 1).fill(null);
-        let current = this.header;
+    // 并集，键重复时保留 a 中的值，O(m log(n/m + 1))
+    static union(a, b) {
+        const result = new RedBlackTree({compare: a.compare});
+        result._adoptPiece(result._union(a._takePiece(), b._takePiece()));
+        return result;
+    }
 
-        // 寻找插入位置，并记录每一层的前驱节点
-        for (let i = this.level; i >= 0; i--) {
-            while (current.forward[i] !== null && current.forward[i].key < key) {
-                current = current.forward[i];
+    // 交集，值取自 a
+    static intersection(a, b) {
+        const result = new RedBlackTree({compare: a.compare});
+        result._adoptPiece(result._intersection(a._takePiece(), b._takePiece()));
+        return result;
+    }
+
+    // 差集 a - b
+    static difference(a, b) {
+        const result = new RedBlackTree({compare: a.compare});
+        result._adoptPiece(result._difference(a._takePiece(), b._takePiece()));
+        return result;
+    }
+
+    // 取出整棵树作为片段，树本身变为空树
+    _takePiece() {
+        let bh = 0;
+        for (let node = this.root; node !== this.NIL; node = node.left) {
+            if (node.color === 'BLACK') {
+                bh++;
             }
-            update[i] = current;
         }
 
-        current = current.forward[0];
+        const piece = {root: this.root, bh};
+        this.root = this.NIL;
+        this.size = 0;
 
-        // 如果键已存在，更新值
-        if (current !== null && current.key === key) {
-            current.value = value;
-            return;
-        }
+        return piece;
+    }
 
-        // 生成随机层级
-        const newLevel = this.randomLevel();
+    _adoptPiece(piece) {
+        this.root = piece.root;
+        this.size = piece.root.size;
+    }
 
-        // 如果新层级大于当前层级，更新前驱节点
-        if (newLevel > this.level) {
-            for (let i = this.level + 1; i <= newLevel; i++) {
-                update[i] = this.header;
-            }
-            this.level = newLevel;
+    // 把黑高为 bh 的子树拆下作为独立片段：断开父指针，根为红色时染黑（黑高加一）
+    _detach(node, bh) {
+        if (node === this.NIL) {
+            return {root: this.NIL, bh: 0};
         }
 
-        // 创建新节点
-        const newNode = new SkipNode(key, value, newLevel);
+        node.parent = null;
 
-        // 更新前驱节点的指针
-        for (let i = 0; i <= newLevel; i++) {
-            newNode.forward[i] = update[i].forward[i];
-            update[i].forward[i] = newNode;
+        if (node.color === 'RED') {
+            node.color = 'BLACK';
+            return {root: node, bh: bh + 1};
         }
 
-        this.size++;
+        return {root: node, bh};
     }
 
-    search(key) {
-        let current = this.header;
+    // 以 node 为中间节点连接两个片段（left 的键均小于 node.key，right 的键均大于 node.key）
+    // 沿较高片段的右（左）脊下降到黑高与较矮片段相同的黑色节点，在此挂入红色的 node，
+    // 再用插入修复消除可能出现的红红相邻，耗时 O(|左右黑高差| + 1)
+    _join(left, node, right) {
+        node.parent = null;
 
-        // 从最高层开始搜索
-        for (let i = this.level; i >= 0; i--) {
-            while (current.forward[i] !== null && current.forward[i].key < key) {
-                current = current.forward[i];
+        if (left.bh === right.bh) {
+            node.color = 'BLACK';
+            node.left = left.root;
+            node.right = right.root;
+
+            if (left.root !== this.NIL) {
+                left.root.parent = node;
             }
-        }
 
-        current = current.forward[0];
+            if (right.root !== this.NIL) {
+                right.root.parent = node;
+            }
 
-        // 判断是否找到
-        if (current !== null && current.key === key) {
-            return current.value;
+            node.size = left.root.size + right.root.size + 1;
+            return {root: node, bh: left.bh + 1};
         }
 
-        return null;
-    }
+        const tallLeft = left.bh > right.bh;
+        const tall = tallLeft ? left : right;
+        const short = tallLeft ? right : left;
 
-    delete(key) {
-        const update = new Array(this.maxLevel + 1).fill(null);
-        let current = this.header;
+        let parent = null;
+        let current = tall.root;
+        let bh = tall.bh;
 
-        // 寻找删除位置，并记录每一层的前驱节点
-        for (let i = this.level; i >= 0; i--) {
-            while (current.forward[i] !== null && current.forward[i].key < key) {
-                current = current.forward[i];
+        while (current.color !== 'BLACK' || bh !== short.bh) {
+            if (current.color === 'BLACK') {
+                bh--;
             }
-            update[i] = current;
-        }
-
-        current = current.forward[0];
 
-        // 如果找到，则删除
-        if (current !== null && current.key === key) {
-            // 更新前驱节点的指针
-            for (let i = 0; i <= this.level; i++) {
-                if (update[i].forward[i] !== current) {
-                    break;
-                }
-                update[i].forward[i] = current.forward[i];
-            }
+            parent = current;
+            current = tallLeft ? current.right : current.left;
+        }
 
-            // 更新层级
-            while (this.level > 0 && this.header.forward[this.level] === null) {
-                this.level--;
-            }
+        node.color = 'RED';
+        node.parent = parent;
 
-            this.size--;
-            return true;
+        if (tallLeft) {
+            node.left = current;
+            node.right = short.root;
+            parent.right = node;
+        } else {
+            node.left = short.root;
+            node.right = current;
+            parent.left = node;
         }
 
-        return false;
-    }
-
-    rangeSearch(minKey, maxKey) {
-        const result = [];
-        let current = this.header;
+        if (current !== this.NIL) {
+            current.parent = node;
+        }
 
-        // 先找到范围的起始位置
-        for (let i = this.level; i >= 0; i--) {
-            while (current.forward[i] !== null && current.forward[i].key < minKey) {
-                current = current.forward[i];
-            }
+        if (short.root !== this.NIL) {
+            short.root.parent = node;
         }
 
-        // 移动到第一层
-        current = current.forward[0];
+        node.size = current.size + short.root.size + 1;
 
-        // 收集范围内的所有节点
-        while (current !== null && current.key <= maxKey) {
-            result.push({key: current.key, value: current.value});
-            current = current.forward[0];
+        for (let ancestor = parent; ancestor !== null; ancestor = ancestor.parent) {
+            ancestor.size += short.root.size + 1;
         }
 
-        return result;
+        this.root = tall.root;
+        const grew = this.fixInsert(node);
+
+        return {root: this.root, bh: tall.bh + (grew ? 1 : 0)};
     }
 
-    inOrderTraversal(callback) {
-        let current = this.header.forward[0];
+    // 连接两个片段（left 的键均小于 right 的键），先取出 left 的最大节点作为中间节点
+    _join2(left, right) {
+        if (left.root === this.NIL) {
+            return right;
+        }
 
-        while (current !== null) {
-            callback(current);
-            current = current.forward[0];
+        if (right.root === this.NIL) {
+            return left;
         }
-    }
-}
 
-// 1.4 哈希表实现（简化版）
-class HashTable {
-    constructor(initialCapacity = 16, loadFactor = 0.75) {
-        this.buckets = new Array(initialCapacity);
-        this.loadFactor = loadFactor;
-        this.size = 0;
+        const {rest, last} = this._splitLast(left);
+        return this._join(rest, last, right);
     }
 
-    hash(key) {
-        if (typeof key === 'number') {
-            return key % this.buckets.length;
-        }
-
-        let hash = 0;
-        const str = String(key);
+    _splitLast(piece) {
+        const node = piece.root;
+        const left = this._detach(node.left, piece.bh - 1);
 
-        for (let i = 0; i < str.length; i++) {
-            hash = (hash << 5) - hash + str.charCodeAt(i);
-            hash |= 0; // 转换为32位整数
+        if (node.right === this.NIL) {
+            return {rest: left, last: node};
         }
 
-        return Math.abs(hash) % this.buckets.length;
+        const {rest, last} = this._splitLast(this._detach(node.right, piece.bh - 1));
+        return {rest: this._join(left, node, rest), last};
     }
 
-    insert(key, value) {
-        // 检查是否需要扩容
-        if (this.size / this.buckets.length >= this.loadFactor) {
-            this.resize(this.buckets.length * 2);
+    _split(piece, key) {
+        const node = piece.root;
+
+        if (node === this.NIL) {
+            return {left: piece, found: null, right: {root: this.NIL, bh: 0}};
         }
 
-        const index = this.hash(key);
+        const left = this._detach(node.left, piece.bh - 1);
+        const right = this._detach(node.right, piece.bh - 1);
+        const cmp = this.compare(key, node.key);
 
-        if (!this.buckets[index]) {
-            this.buckets[index] = [];
+        if (cmp === 0) {
+            return {left, found: node, right};
         }
 
-        // 检查键是否已存在
-        for (let i = 0; i < this.buckets[index].length; i++) {
-            if (this.buckets[index][i].key === key) {
-                this.buckets[index][i].value = value;
-                return;
-            }
+        if (cmp < 0) {
+            const parts = this._split(left, key);
+            return {left: parts.left, found: parts.found, right: this._join(parts.right, node, right)};
         }
 
-        // 如果键不存在，则插入新的键值对
-        this.buckets[index].push({key, value});
-        this.size++;
+        const parts = this._split(right, key);
+        return {left: this._join(left, node, parts.left), found: parts.found, right: parts.right};
     }
 
-    search(key) {
-        const index = this.hash(key);
-
-        if (!this.buckets[index]) {
-            return null;
+    _union(a, b) {
+        if (a.root === this.NIL) {
+            return b;
         }
 
-        for (const entry of this.buckets[index]) {
-            if (entry.key === key) {
-                return entry.value;
-            }
+        if (b.root === this.NIL) {
+            return a;
         }
 
-        return null;
+        const node = a.root;
+        const aLeft = this._detach(node.left, a.bh - 1);
+        const aRight = this._detach(node.right, a.bh - 1);
+        const parts = this._split(b, node.key);
+
+        return this._join(this._union(aLeft, parts.left), node, this._union(aRight, parts.right));
     }
 
-    delete(key) {
-        const index = this.hash(key);
+    _intersection(a, b) {
+        if (a.root === this.NIL || b.root === this.NIL) {
+            return {root: this.NIL, bh: 0};
+        }
 
-        if (!this.buckets[index]) {
-            return false;
+        const node = a.root;
+        const aLeft = this._detach(node.left, a.bh - 1);
+        const aRight = this._detach(node.right, a.bh - 1);
+        const parts = this._split(b, node.key);
+        const left = this._intersection(aLeft, parts.left);
+        const right = this._intersection(aRight, parts.right);
+
+        return parts.found ? this._join(left, node, right) : this._join2(left, right);
+    }
+
+    _difference(a, b) {
+        if (a.root === this.NIL || b.root === this.NIL) {
+            return a;
         }
 
-        for (let i = 0; i < this.buckets[index].length; i++) {
-            if (this.buckets[index][i].key === key) {
-                this.buckets[index].splice(i, 1);
-                this.size--;
-                return true;
-            }
+        const node = b.root;
+        const bLeft = this._detach(node.left, b.bh - 1);
+        const bRight = this._detach(node.right, b.bh - 1);
+        const parts = this._split(a, node.key);
+
+        return this._join2(this._difference(parts.left, bLeft), this._difference(parts.right, bRight));
+    }
+
+    // 内存模型（见 modelMemory）：size 个节点，节点大小按实例的字段数计算；NIL 哨兵全局共享，不计入
+    memoryModel() {
+        if (this.root === this.NIL) {
+            return modelMemory([]);
         }
 
-        return false;
+        return modelMemory([[this.root.constructor.name, this.size * instanceBytes(this.root)]]);
     }
 
-    resize(newCapacity) {
-        const oldBuckets = this.buckets;
-        this.buckets = new Array(newCapacity);
-        this.size = 0;
+    // 树形统计（见 treeShape），另加黑高：从根到叶子的任一路径上的黑色节点数（不计 NIL）
+    shapeStats() {
+        const shape = treeShape(this.root === this.NIL ? null : this.root, node => [node.left, node.right].filter(child => child !== this.NIL));
+        shape.blackHeight = 0;
 
-        for (const bucket of oldBuckets) {
-            if (bucket) {
-                for (const entry of bucket) {
-                    this.insert(entry.key, entry.value);
-                }
+        for (let node = this.root; node !== this.NIL; node = node.left) {
+            if (node.color === 'BLACK') {
+                shape.blackHeight++;
             }
         }
+
+        return shape;
     }
 
-    // 哈希表不支持原生的顺序遍历和范围查询
-    // 但可以为测试目的提供一个非高效实现
-    rangeSearch(minKey, maxKey) {
-        const result = [];
+    // 校验红黑树性质：根为黑色、无红红相邻、各路径黑高一致，以及键序、父指针、子树大小和 size
+    validate() {
+        const violations = [];
 
-        for (const bucket of this.buckets) {
-            if (bucket) {
-                for (const entry of bucket) {
-                    if (entry.key >= minKey && entry.key <= maxKey) {
-                        result.push({key: entry.key, value: entry.value});
-                    }
-                }
-            }
+        if (this.NIL.color !== 'BLACK' || this.NIL.parent !== null || this.NIL.size !== 0) {
+            violations.push({rule: 'nil-sentinel', key: null, message: 'NIL 哨兵被修改'});
         }
 
-        // 排序，以保持结果的有序性
-        result.sort((a, b) => a.key - b.key);
+        if (this.root !== this.NIL && this.root.color !== 'BLACK') {
+            violations.push({rule: 'root-color', key: this.root.key, message: '根节点不是黑色'});
+        }
 
-        return result;
+        const state = {count: 0};
+        this._validateHelper(this.root, null, null, null, violations, state);
+
+        if (state.count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际节点数为 ${state.count}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
     }
 
-    inOrderTraversal(callback) {
-        const entries = [];
+    // 返回以 node 为根的子树黑高
+    _validateHelper(node, parent, lower, upper, violations, state) {
+        if (node === this.NIL) {
+            return 1;
+        }
 
-        for (const bucket of this.buckets) {
-            if (bucket) {
-                for (const entry of bucket) {
-                    entries.push(entry);
-                }
-            }
+        state.count++;
+
+        if (node.parent !== parent) {
+            violations.push({rule: 'parent-pointer', key: node.key, message: '父指针与实际父节点不一致'});
         }
 
-        // 排序，以保持遍历的有序性
-        entries.sort((a, b) => a.key - b.key);
+        if ((lower !== null && this.compare(node.key, lower) <= 0) || (upper !== null && this.compare(node.key, upper) >= 0)) {
+            violations.push({rule: 'key-order', key: node.key, message: '键不满足二叉搜索树顺序'});
+        }
 
-        for (const entry of entries) {
-            callback(entry);
+        if (node.color === 'RED' && (node.left.color === 'RED' || node.right.color === 'RED')) {
+            violations.push({rule: 'red-red', key: node.key, message: '红色节点存在红色子节点'});
+        }
+
+        if (node.size !== node.left.size + node.right.size + 1) {
+            violations.push({rule: 'subtree-size', key: node.key, message: `子树大小为 ${node.size}，应为 ${node.left.size + node.right.size + 1}`});
         }
+
+        const leftHeight = this._validateHelper(node.left, node, lower, node.key, violations, state);
+        const rightHeight = this._validateHelper(node.right, node, node.key, upper, violations, state);
+
+        if (leftHeight !== rightHeight) {
+            violations.push({rule: 'black-height', key: node.key, message: `左右子树黑高不一致 (${leftHeight} vs ${rightHeight})`});
+        }
+
+        return Math.max(leftHeight, rightHeight) + (node.color === 'BLACK' ? 1 : 0);
     }
 }
 
-// 1.5 二叉搜索树实现
-class BSTNode {
-    constructor(key, value = null) {
+// 1.1.1 持久化红黑树实现（路径复制）
+// 节点创建后不再修改，插入和删除只复制从根到修改位置的路径，其余子树在各版本间共享；
+// 因此节点不保存父指针，平衡操作采用 Okasaki/Kahrs 的函数式红黑树算法
+class PRBNode {
+    constructor(color, left, key, value, right) {
+        this.color = color; // 'RED' or 'BLACK'
+        this.left = left;
         this.key = key;
         this.value = value;
-        this.left = null;
-        this.right = null;
+        this.right = right;
     }
 }
 
-class BinarySearchTree {
-    constructor() {
-        this.root = null;
-        this.size = 0;
-    }
-
-    insert(key, value = null) {
-        this.root = this._insertHelper(this.root, key, value);
-        this.size++;
-    }
-
-    _insertHelper(node, key, value) {
-        if (!node) {
-            return new BSTNode(key, value);
-        }
+// 持久化红黑树的一个不可变版本，提供全部只读操作
+class PersistentRBVersion {
+    constructor(tree, root, size, version) {
+        this.tree = tree;
+        this.compare = tree.compare;
+        initMultimap(this, tree.allowDuplicates);
 
-        if (key < node.key) {
-            node.left = this._insertHelper(node.left, key, value);
-        } else if (key > node.key) {
-            node.right = this._insertHelper(node.right, key, value);
-        } else {
-            // 键已存在，更新值
-            node.value = value;
-            this.size--; // 防止在外部重复增加大小
+        if (tree.allowDuplicates) {
+            this._duplicateCount = tree._duplicateCount; // 该版本的重复值个数
         }
-
-        return node;
+        this.root = root;
+        this.size = size;
+        this.version = version;
     }
 
     search(key) {
         let current = this.root;
 
-        while (current) {
-            if (key === current.key) {
+        while (current !== null) {
+            const cmp = this.compare(key, current.key);
+
+            if (cmp === 0) {
                 return current.value;
             }
 
-            if (key < current.key) {
-                current = current.left;
-            } else {
-                current = current.right;
-            }
+            current = cmp < 0 ? current.left : current.right;
         }
 
         return null;
     }
 
-    minValueNode(node) {
-        let current = node;
+    // 导航操作：返回 {key, value}，不存在时返回 null
+    min() {
+        if (this.root === null) {
+            return null;
+        }
 
-        while (current && current.left) {
+        let current = this.root;
+        while (current.left !== null) {
             current = current.left;
         }
 
-        return current;
-    }
-
-    delete(key) {
-        const initialSize = this.size;
-        this.root = this._deleteHelper(this.root, key);
-        return initialSize !== this.size;
+        return {key: current.key, value: current.value};
     }
 
-    _deleteHelper(node, key) {
-        if (!node) {
+    max() {
+        if (this.root === null) {
             return null;
         }
 
-        if (key < node.key) {
-            node.left = this._deleteHelper(node.left, key);
-        } else if (key > node.key) {
-            node.right = this._deleteHelper(node.right, key);
-        } else {
-// 继续二叉搜索树的删除操作实现
-            _deleteHelper(node, key)
-            {
-                if (!node) {
-                    return null;
-                }
+        let current = this.root;
+        while (current.right !== null) {
+            current = current.right;
+        }
 
-                if (key < node.key) {
-                    node.left = this._deleteHelper(node.left, key);
-                } else if (key > node.key) {
-                    node.right = this._deleteHelper(node.right, key);
-                } else {
-                    // 找到要删除的节点
-
-                    // 情况1: 叶子节点或者只有一个子节点
-                    if (!node.left) {
-                        this.size--;
-                        return node.right;
-                    } else if (!node.right) {
-                        this.size--;
-                        return node.left;
-                    }
+        return {key: current.key, value: current.value};
+    }
+
+    floor(key) {
+        return this._floorEntry(key, true);
+    }
 
-                    // 情况2: 有两个子节点
-                    // 找到右子树中最小的节点（后继节点）
-                    const temp = this.minValueNode(node.right);
+    ceiling(key) {
+        return this._ceilingEntry(key, true);
+    }
 
-                    // 复制后继节点的键和值到当前节点
-                    node.key = temp.key;
-                    node.value = temp.value;
+    lower(key) {
+        return this._floorEntry(key, false);
+    }
 
-                    // 删除后继节点
-                    node.right = this._deleteHelper(node.right, temp.key);
-                    // 此时 size 已经在递归中减少
-                }
+    higher(key) {
+        return this._ceilingEntry(key, false);
+    }
 
-                return node;
+    _floorEntry(key, inclusive) {
+        let current = this.root;
+        let best = null;
+
+        while (current !== null) {
+            const cmp = this.compare(current.key, key);
+
+            if (cmp < 0 || (inclusive && cmp === 0)) {
+                best = current;
+                current = current.right;
+            } else {
+                current = current.left;
             }
+        }
 
-            rangeSearch(minKey, maxKey)
-            {
-                const result = [];
-                this._rangeSearchHelper(this.root, minKey, maxKey, result);
-                return result;
+        return best ? {key: best.key, value: best.value} : null;
+    }
+
+    _ceilingEntry(key, inclusive) {
+        let current = this.root;
+        let best = null;
+
+        while (current !== null) {
+            const cmp = this.compare(current.key, key);
+
+            if (cmp > 0 || (inclusive && cmp === 0)) {
+                best = current;
+                current = current.left;
+            } else {
+                current = current.right;
             }
+        }
 
-            _rangeSearchHelper(node, minKey, maxKey, result)
-            {
-                if (!node) {
-                    return;
-                }
+        return best ? {key: best.key, value: best.value} : null;
+    }
 
-                if (node.key > minKey) {
-                    this._rangeSearchHelper(node.left, minKey, maxKey, result);
-                }
+    rangeSearch(minKey, maxKey) {
+        const result = [];
 
-                if (node.key >= minKey && node.key <= maxKey) {
-                    result.push({key: node.key, value: node.value});
-                }
+        for (const entry of this._iterate(minKey, maxKey, false)) {
+            result.push(entry);
+        }
+
+        return result;
+    }
+
+    // 使用显式栈做惰性中序遍历，并跳过范围外的子树
+    * _iterate(minKey, maxKey, reverse) {
+        const stack = [];
+        let current = this.root;
 
-                if (node.key < maxKey) {
-                    this._rangeSearchHelper(node.right, minKey, maxKey, result);
+        while (stack.length > 0 || current !== null) {
+            if (current !== null) {
+                if (!reverse) {
+                    if (minKey === undefined || this.compare(current.key, minKey) >= 0) {
+                        stack.push(current);
+                        current = current.left;
+                    } else {
+                        current = current.right;
+                    }
+                } else {
+                    if (maxKey === undefined || this.compare(current.key, maxKey) <= 0) {
+                        stack.push(current);
+                        current = current.right;
+                    } else {
+                        current = current.left;
+                    }
                 }
-            }
+            } else {
+                const node = stack.pop();
 
-            inOrderTraversal(callback)
-            {
-                this._inOrderTraversalHelper(this.root, callback);
-            }
+                if (!reverse && maxKey !== undefined && this.compare(node.key, maxKey) > 0) {
+                    return;
+                }
 
-            _inOrderTraversalHelper(node, callback)
-            {
-                if (!node) {
+                if (reverse && minKey !== undefined && this.compare(node.key, minKey) < 0) {
                     return;
                 }
 
-                this._inOrderTraversalHelper(node.left, callback);
-                callback(node);
-                this._inOrderTraversalHelper(node.right, callback);
+                yield {key: node.key, value: node.value};
+                current = reverse ? node.left : node.right;
             }
         }
     }
-}
 
-// 1.6 B树实现 (简化版)
-class BTreeNode {
-    constructor(isLeaf = true, order = 5) {
-        this.isLeaf = isLeaf;
-        this.keys = [];
-        this.values = [];
-        this.children = [];
-        this.order = order;
+    inOrderTraversal(callback) {
+        this._inOrderTraversalHelper(this.root, callback);
     }
 
-    isFull() {
-        return this.keys.length === this.order - 1;
-    }
-}
+    _inOrderTraversalHelper(node, callback) {
+        if (node === null) {
+            return;
+        }
 
-class BTree {
-    constructor(order = 5) {
-        this.root = new BTreeNode(true, order);
-        this.order = order;
-        this.size = 0;
+        this._inOrderTraversalHelper(node.left, callback);
+        callback(node);
+        this._inOrderTraversalHelper(node.right, callback);
     }
 
-    insert(key, value = null) {
-        const root = this.root;
+    // 校验红黑树性质：根为黑色、无红红相邻、各路径黑高一致，以及键序和 size
+    validate() {
+        const violations = [];
 
-        // 如果根节点已满，需要分裂
-        if (root.isFull()) {
-            const newRoot = new BTreeNode(false, this.order);
-            newRoot.children.push(root);
-            this._splitChild(newRoot, 0);
-            this.root = newRoot;
-            this._insertNonFull(newRoot, key, value);
-        } else {
-            this._insertNonFull(root, key, value);
+        if (this.root !== null && this.root.color !== 'BLACK') {
+            violations.push({rule: 'root-color', key: this.root.key, message: '根节点不是黑色'});
         }
 
-        this.size++;
+        const state = {count: 0};
+        this._validateHelper(this.root, null, null, violations, state);
+
+        if (state.count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际节点数为 ${state.count}`});
+        }
+
+        return {structure: this.tree.constructor.name, valid: violations.length === 0, size: this.size, violations};
     }
 
-    _insertNonFull(node, key, value) {
-        let i = node.keys.length - 1;
+    // 返回以 node 为根的子树黑高
+    _validateHelper(node, lower, upper, violations, state) {
+        if (node === null) {
+            return 1;
+        }
 
-        if (node.isLeaf) {
-            // 找到合适的位置插入
-            while (i >= 0 && key < node.keys[i]) {
-                i--;
-            }
+        state.count++;
 
-            // 如果键已存在，更新值
-            if (i >= 0 && key === node.keys[i]) {
-                node.values[i] = value;
-                this.size--; // 防止在外部重复增加大小
-                return;
-            }
+        if ((lower !== null && this.compare(node.key, lower) <= 0) || (upper !== null && this.compare(node.key, upper) >= 0)) {
+            violations.push({rule: 'key-order', key: node.key, message: '键不满足二叉搜索树顺序'});
+        }
 
-            // 插入新键值对
-            node.keys.splice(i + 1, 0, key);
-            node.values.splice(i + 1, 0, value);
-        } else {
-            // 找到合适的子节点
-            while (i >= 0 && key < node.keys[i]) {
-                i--;
-            }
+        if (node.color === 'RED' && (isRedNode(node.left) || isRedNode(node.right))) {
+            violations.push({rule: 'red-red', key: node.key, message: '红色节点存在红色子节点'});
+        }
 
-            i++;
+        const leftHeight = this._validateHelper(node.left, lower, node.key, violations, state);
+        const rightHeight = this._validateHelper(node.right, node.key, upper, violations, state);
 
-            // 如果子节点已满，需要分裂
-            if (node.children[i].isFull()) {
-                this._splitChild(node, i);
+        if (leftHeight !== rightHeight) {
+            violations.push({rule: 'black-height', key: node.key, message: `左右子树黑高不一致 (${leftHeight} vs ${rightHeight})`});
+        }
 
-                if (key > node.keys[i]) {
-                    i++;
-                }
-            }
+        return Math.max(leftHeight, rightHeight) + (node.color === 'BLACK' ? 1 : 0);
+    }
+}
 
-            this._insertNonFull(node.children[i], key, value);
+function isRedNode(node) {
+    return node !== null && node.color === 'RED';
+}
+
+function isBlackNode(node) {
+    return node !== null && node.color === 'BLACK';
+}
+
+// 持久化红黑树：insert/delete 返回新的版本，旧版本保持不变并与新版本共享未修改的子树。
+// 树对象本身只保存最新版本（head）和按版本号索引的历史版本；读操作作用于最新版本。
+// maxVersions 限制保留的历史版本数，超出后自动释放最旧的版本，未被任何版本引用的节点即可被回收；
+// 调用方持有的版本对象不受释放影响，可继续读取（MVCC 读者）
+class PersistentRedBlackTree {
+    constructor({compare = defaultCompare, maxVersions = Infinity, allowDuplicates = false} = {}) {
+        this.compare = compare;
+        this.maxVersions = maxVersions;
+        initMultimap(this, allowDuplicates);
+        this.head = new PersistentRBVersion(this, null, 0, 0);
+        this.versions = new Map([[0, this.head]]);
+        this.size = 0;
+    }
+
+    // 插入或更新键值，返回新版本
+    insert(key, value = null) {
+        const state = {added: false};
+        const root = this._insert(this.head.root, key, value, state);
+        return this._commit(this._blacken(root), this.head.size + (state.added ? 1 : 0));
+    }
+
+    // 删除键，返回新版本；键不存在时不产生新版本，直接返回当前版本
+    delete(key) {
+        if (this._findNode(this.head.root, key) === null) {
+            return this.head;
         }
+
+        const root = this._delete(this.head.root, key);
+        return this._commit(root === null ? null : this._blacken(root), this.head.size - 1);
     }
 
-    _splitChild(parentNode, childIndex) {
-        const order = this.order;
-        const childNode = parentNode.children[childIndex];
-        const newNode = new BTreeNode(childNode.isLeaf, order);
+    // 返回当前版本，O(1)
+    snapshot() {
+        return this.head;
+    }
 
-        // 将子节点的后半部分移动到新节点
-        const midIndex = Math.floor((order - 1) / 2);
+    // 按版本号获取历史版本，已释放或不存在时返回 null
+    version(n) {
+        return this.versions.get(n) || null;
+    }
 
-        for (let i = midIndex + 1; i < order - 1; i++) {
-            newNode.keys.push(childNode.keys[i]);
-            newNode.values.push(childNode.values[i]);
+    // 释放指定的历史版本，当前版本不能释放
+    release(n) {
+        if (n === this.head.version) {
+            return false;
         }
 
-        // 如果不是叶子节点，移动相应的子节点
-        if (!childNode.isLeaf) {
-            for (let i = midIndex + 1; i < order; i++) {
-                newNode.children.push(childNode.children[i]);
+        return this.versions.delete(n);
+    }
+
+    // 释放版本号小于 n 的全部历史版本
+    releaseBefore(n) {
+        for (const version of [...this.versions.keys()]) {
+            if (version < n && version !== this.head.version) {
+                this.versions.delete(version);
             }
-            childNode.children.length = midIndex + 1;
         }
+    }
 
-        // 更新子节点的键和值
-        const midKey = childNode.keys[midIndex];
-        const midValue = childNode.values[midIndex];
+    // 仍保留的版本号，按从旧到新排列
+    retainedVersions() {
+        return [...this.versions.keys()];
+    }
 
-        childNode.keys.length = midIndex;
-        childNode.values.length = midIndex;
+    _commit(root, size) {
+        const version = new PersistentRBVersion(this, root, size, this.head.version + 1);
+        this.head = version;
+        this.size = size;
+        this.versions.set(version.version, version);
 
-        // 将中间键插入到父节点
-        let i = parentNode.keys.length - 1;
-        while (i >= 0 && midKey < parentNode.keys[i]) {
-            i--;
+        // Map 按插入顺序迭代，第一个键即最旧的版本
+        while (this.versions.size > this.maxVersions) {
+            this.versions.delete(this.versions.keys().next().value);
         }
 
-        parentNode.keys.splice(i + 1, 0, midKey);
-        parentNode.values.splice(i + 1, 0, midValue);
-        parentNode.children.splice(childIndex + 1, 0, newNode);
+        return version;
     }
 
-    search(key) {
-        return this._searchHelper(this.root, key);
-    }
+    _findNode(node, key) {
+        while (node !== null) {
+            const cmp = this.compare(key, node.key);
 
-    _searchHelper(node, key) {
-        let i = 0;
+            if (cmp === 0) {
+                return node;
+            }
 
-        while (i < node.keys.length && key > node.keys[i]) {
-            i++;
+            node = cmp < 0 ? node.left : node.right;
         }
 
-        if (i < node.keys.length && key === node.keys[i]) {
-            return node.values[i];
+        return null;
+    }
+
+    _insert(node, key, value, state) {
+        if (node === null) {
+            state.added = true;
+            return new PRBNode('RED', null, key, value, null);
         }
 
-        if (node.isLeaf) {
-            return null;
+        const cmp = this.compare(key, node.key);
+
+        if (cmp < 0) {
+            const left = this._insert(node.left, key, value, state);
+            return node.color === 'BLACK'
+                ? this._balance(left, node.key, node.value, node.right)
+                : new PRBNode('RED', left, node.key, node.value, node.right);
         }
 
-        return this._searchHelper(node.children[i], key);
+        if (cmp > 0) {
+            const right = this._insert(node.right, key, value, state);
+            return node.color === 'BLACK'
+                ? this._balance(node.left, node.key, node.value, right)
+                : new PRBNode('RED', node.left, node.key, node.value, right);
+        }
+
+        // 键已存在，复制节点并更新值
+        return new PRBNode(node.color, node.left, key, value, node.right);
     }
 
-    // B树的删除操作较为复杂，这里仅提供一个简化版实现
-    delete(key) {
-        if (this.root.keys.length === 0) {
-            return false;
+    // Kahrs 删除：沿路径向下删除，返回的子树黑高可能减一，由 _balanceLeft/_balanceRight 修复
+    _delete(node, key) {
+        if (node === null) {
+            return null;
         }
 
-        const result = this._deleteHelper(this.root, key);
+        const cmp = this.compare(key, node.key);
 
-        // 如果根节点没有键且不是叶子节点，更新根节点
-        if (this.root.keys.length === 0 && !this.root.isLeaf) {
-            this.root = this.root.children[0];
+        if (cmp < 0) {
+            const left = this._delete(node.left, key);
+            return isBlackNode(node.left)
+                ? this._balanceLeft(left, node.key, node.value, node.right)
+                : new PRBNode('RED', left, node.key, node.value, node.right);
         }
 
-        if (result) {
-            this.size--;
+        if (cmp > 0) {
+            const right = this._delete(node.right, key);
+            return isBlackNode(node.right)
+                ? this._balanceRight(node.left, node.key, node.value, right)
+                : new PRBNode('RED', node.left, node.key, node.value, right);
         }
 
-        return result;
+        return this._append(node.left, node.right);
     }
 
-    _deleteHelper(node, key) {
-        let i = 0;
-
-        // 找到键或应该在的位置
-        while (i < node.keys.length && key > node.keys[i]) {
-            i++;
+    // 以黑色节点为根重建子树，消除红红相邻（含 Kahrs 删除所需的左右均为红色的情况）
+    _balance(left, key, value, right) {
+        if (isRedNode(left) && isRedNode(right)) {
+            return new PRBNode('RED', this._blacken(left), key, value, this._blacken(right));
         }
 
-        // 如果在当前节点找到键
-        if (i < node.keys.length && key === node.keys[i]) {
-            if (node.isLeaf) {
-                // 情况1: 叶子节点，直接删除
-                node.keys.splice(i, 1);
-                node.values.splice(i, 1);
-                return true;
-            } else {
-                // 情况2: 内部节点，需要找前驱或后继
-                // 简化处理：总是使用后继
-                const successorKey = this._findSuccessor(node, i);
-                node.keys[i] = successorKey.key;
-                node.values[i] = successorKey.value;
-                return this._deleteHelper(node.children[i + 1], successorKey.key);
-            }
-        } else if (node.isLeaf) {
-            // 键不在叶子节点中
-            return false;
-        } else {
-            // 键可能在子节点中
-            // 简化实现，不处理节点合并和再平衡
-            return this._deleteHelper(node.children[i], key);
+        if (isRedNode(left)) {
+            if (isRedNode(left.left)) {
+                return new PRBNode('RED',
+                    this._blacken(left.left),
+                    left.key, left.value,
+                    new PRBNode('BLACK', left.right, key, value, right));
+            }
+
+            if (isRedNode(left.right)) {
+                return new PRBNode('RED',
+                    new PRBNode('BLACK', left.left, left.key, left.value, left.right.left),
+                    left.right.key, left.right.value,
+                    new PRBNode('BLACK', left.right.right, key, value, right));
+            }
         }
-    }
 
-    _findSuccessor(node, index) {
-        let current = node.children[index + 1];
+        if (isRedNode(right)) {
+            if (isRedNode(right.right)) {
+                return new PRBNode('RED',
+                    new PRBNode('BLACK', left, key, value, right.left),
+                    right.key, right.value,
+                    this._blacken(right.right));
+            }
 
-        while (!current.isLeaf) {
-            current = current.children[0];
+            if (isRedNode(right.left)) {
+                return new PRBNode('RED',
+                    new PRBNode('BLACK', left, key, value, right.left.left),
+                    right.left.key, right.left.value,
+                    new PRBNode('BLACK', right.left.right, right.key, right.value, right.right));
+            }
         }
 
-        return {key: current.keys[0], value: current.values[0]};
+        return new PRBNode('BLACK', left, key, value, right);
     }
 
-    rangeSearch(minKey, maxKey) {
-        const result = [];
-        this._rangeSearchHelper(this.root, minKey, maxKey, result);
-        return result;
-    }
+    // 左子树黑高比右子树少一时重新平衡
+    _balanceLeft(left, key, value, right) {
+        if (isRedNode(left)) {
+            return new PRBNode('RED', this._blacken(left), key, value, right);
+        }
 
-    _rangeSearchHelper(node, minKey, maxKey, result) {
-        if (!node) {
-            return;
+        if (isBlackNode(right)) {
+            return this._balance(left, key, value, this._redden(right));
         }
 
-        let i = 0;
+        if (isRedNode(right) && isBlackNode(right.left)) {
+            return new PRBNode('RED',
+                new PRBNode('BLACK', left, key, value, right.left.left),
+                right.left.key, right.left.value,
+                this._balance(right.left.right, right.key, right.value, this._redden(right.right)));
+        }
 
-        // 找到第一个大于等于minKey的位置
-        while (i < node.keys.length && node.keys[i] < minKey) {
-            i++;
+        throw new Error('持久化红黑树删除时黑高不变量被破坏');
+    }
+
+    // 右子树黑高比左子树少一时重新平衡
+    _balanceRight(left, key, value, right) {
+        if (isRedNode(right)) {
+            return new PRBNode('RED', left, key, value, this._blacken(right));
         }
 
-        // 如果不是叶子节点，递归搜索左子树
-        if (!node.isLeaf && i > 0) {
-            this._rangeSearchHelper(node.children[i - 1], minKey, maxKey, result);
+        if (isBlackNode(left)) {
+            return this._balance(this._redden(left), key, value, right);
         }
 
-        // 收集范围内的键
-        while (i < node.keys.length && node.keys[i] <= maxKey) {
-            if (node.keys[i] >= minKey) {
-                result.push({key: node.keys[i], value: node.values[i]});
-            }
+        if (isRedNode(left) && isBlackNode(left.right)) {
+            return new PRBNode('RED',
+                this._balance(this._redden(left.left), left.key, left.value, left.right.left),
+                left.right.key, left.right.value,
+                new PRBNode('BLACK', left.right.right, key, value, right));
+        }
 
-            // 如果不是叶子节点，递归搜索中间子树
-            if (!node.isLeaf) {
-                this._rangeSearchHelper(node.children[i], minKey, maxKey, result);
-            }
+        throw new Error('持久化红黑树删除时黑高不变量被破坏');
+    }
 
-            i++;
+    // 合并被删除节点的左右子树（左子树的键均小于右子树）
+    _append(left, right) {
+        if (left === null) {
+            return right;
         }
 
-        // 如果不是叶子节点，递归搜索右子树
-        if (!node.isLeaf && i < node.children.length) {
-            this._rangeSearchHelper(node.children[i], minKey, maxKey, result);
+        if (right === null) {
+            return left;
         }
-    }
 
-    inOrderTraversal(callback) {
-        this._inOrderTraversalHelper(this.root, callback);
-    }
+        if (isRedNode(left) && isRedNode(right)) {
+            const middle = this._append(left.right, right.left);
 
-    _inOrderTraversalHelper(node, callback) {
-        if (!node) {
-            return;
+            if (isRedNode(middle)) {
+                return new PRBNode('RED',
+                    new PRBNode('RED', left.left, left.key, left.value, middle.left),
+                    middle.key, middle.value,
+                    new PRBNode('RED', middle.right, right.key, right.value, right.right));
+            }
+
+            return new PRBNode('RED', left.left, left.key, left.value,
+                new PRBNode('RED', middle, right.key, right.value, right.right));
         }
 
-        for (let i = 0; i < node.keys.length; i++) {
-            if (!node.isLeaf) {
-                this._inOrderTraversalHelper(node.children[i], callback);
+        if (isBlackNode(left) && isBlackNode(right)) {
+            const middle = this._append(left.right, right.left);
+
+            if (isRedNode(middle)) {
+                return new PRBNode('RED',
+                    new PRBNode('BLACK', left.left, left.key, left.value, middle.left),
+                    middle.key, middle.value,
+                    new PRBNode('BLACK', middle.right, right.key, right.value, right.right));
             }
 
-            callback({key: node.keys[i], value: node.values[i]});
+            return this._balanceLeft(left.left, left.key, left.value,
+                new PRBNode('BLACK', middle, right.key, right.value, right.right));
         }
 
-        if (!node.isLeaf) {
-            this._inOrderTraversalHelper(node.children[node.keys.length], callback);
+        if (isRedNode(right)) {
+            return new PRBNode('RED', this._append(left, right.left), right.key, right.value, right.right);
         }
+
+        return new PRBNode('RED', left.left, left.key, left.value, this._append(left.right, right));
     }
-}
 
-// 1.7 B+树实现 (简化版)
-class BPlusTreeNode {
-    constructor(isLeaf = true, order = 5) {
-        this.isLeaf = isLeaf;
-        this.keys = [];
-        this.values = isLeaf ? [] : null; // 只有叶子节点存储值
-        this.children = !isLeaf ? [] : null;
-        this.next = null; // 叶子节点链表
-        this.order = order;
+    _blacken(node) {
+        return node.color === 'BLACK' ? node : new PRBNode('BLACK', node.left, node.key, node.value, node.right);
     }
 
-    isFull() {
-        return this.keys.length === this.order - 1;
+    _redden(node) {
+        return new PRBNode('RED', node.left, node.key, node.value, node.right);
     }
-}
 
-class BPlusTree {
-    constructor(order = 5) {
-        this.root = new BPlusTreeNode(true, order);
-        this.order = order;
-        this.size = 0;
-        this.firstLeaf = this.root; // 指向第一个叶子节点，用于范围查询
+    // 以下读操作均作用于当前版本
+    search(key) {
+        return this.head.search(key);
     }
 
-    insert(key, value = null) {
-        const root = this.root;
+    min() {
+        return this.head.min();
+    }
 
-        // 如果根节点已满，需要分裂
-        if (root.isFull()) {
-            const newRoot = new BPlusTreeNode(false, this.order);
-            newRoot.children.push(root);
-            this._splitChild(newRoot, 0);
-            this.root = newRoot;
-            this._insertNonFull(newRoot, key, value);
-        } else {
-            this._insertNonFull(root, key, value);
-        }
+    max() {
+        return this.head.max();
+    }
 
-        this.size++;
+    floor(key) {
+        return this.head.floor(key);
     }
 
-    _insertNonFull(node, key, value) {
-        let i = node.keys.length - 1;
+    ceiling(key) {
+        return this.head.ceiling(key);
+    }
 
-        if (node.isLeaf) {
-            // 找到合适的位置插入
-            while (i >= 0 && key < node.keys[i]) {
-                i--;
-            }
+    lower(key) {
+        return this.head.lower(key);
+    }
 
-            // 如果键已存在，更新值
-            if (i >= 0 && key === node.keys[i]) {
-                node.values[i] = value;
-                this.size--; // 防止在外部重复增加大小
-                return;
-            }
+    higher(key) {
+        return this.head.higher(key);
+    }
 
-            // 插入新键值对
-            node.keys.splice(i + 1, 0, key);
-            node.values.splice(i + 1, 0, value);
-        } else {
-            // 找到合适的子节点
-            while (i >= 0 && key < node.keys[i]) {
-                i--;
-            }
+    rangeSearch(minKey, maxKey) {
+        return this.head.rangeSearch(minKey, maxKey);
+    }
 
-            i++;
+    [Symbol.iterator]() {
+        return this.head.entries();
+    }
 
-            // 如果子节点已满，需要分裂
-            if (node.children[i].isFull()) {
-                this._splitChild(node, i);
+    entries() {
+        return this.head.entries();
+    }
 
-                if (key > node.keys[i]) {
-                    i++;
-                }
-            }
+    keys() {
+        return this.head.keys();
+    }
 
-            this._insertNonFull(node.children[i], key, value);
-        }
+    values() {
+        return this.head.values();
     }
 
-    _splitChild(parentNode, childIndex) {
-        const order = this.order;
-        const childNode = parentNode.children[childIndex];
-        const newNode = new BPlusTreeNode(childNode.isLeaf, order);
+    range(minKey, maxKey, options) {
+        return this.head.range(minKey, maxKey, options);
+    }
 
-        // 计算中间位置
-        const midIndex = Math.floor((order - 1) / 2);
+    inOrderTraversal(callback) {
+        this.head.inOrderTraversal(callback);
+    }
 
-        if (childNode.isLeaf) {
-            // B+树特性：叶子节点分裂时，中间键会同时出现在两个节点中
+    validate() {
+        return this.head.validate();
+    }
+}
 
-            // 复制后半部分键值到新节点
-            for (let i = midIndex; i < order - 1; i++) {
-                newNode.keys.push(childNode.keys[i]);
-                newNode.values.push(childNode.values[i]);
-            }
+// 1.1.2 区间树实现：在红黑树上为每个节点附加子树内区间上界的最大值 max
+// 区间 [lo, hi] 以元组 [lo, hi] 为键按字典序存储，因此允许多个区间共享同一下界
+class IntervalTree extends RedBlackTree {
+    insertInterval(lo, hi, value = null) {
+        if (lo > hi) {
+            throw new Error(`区间下界 ${lo} 不能大于上界 ${hi}`);
+        }
 
-            // 更新原节点
-            childNode.keys.length = midIndex;
-            childNode.values.length = midIndex;
+        return this.insert([lo, hi], value);
+    }
 
-            // 更新叶子节点链表
-            newNode.next = childNode.next;
-            childNode.next = newNode;
+    deleteInterval(lo, hi) {
+        return this.delete([lo, hi]);
+    }
 
-            // 将新节点的第一个键插入到父节点
-            parentNode.keys.splice(childIndex, 0, newNode.keys[0]);
-            parentNode.children.splice(childIndex + 1, 0, newNode);
-        } else {
-            // 内部节点分裂
+    // 沿插入路径预先用新区间的上界更新 max，之后 fixInsert 中的旋转都基于正确的子节点 max 重新计算
+    // 键已存在时路径上的 max 本就不小于 hi，更新没有副作用
+    insert(key, value = null) {
+        const hi = key[1];
+        let current = this.root;
 
-            // 复制后半部分键到新节点
-            for (let i = midIndex + 1; i < order - 1; i++) {
-                newNode.keys.push(childNode.keys[i]);
+        while (current !== this.NIL) {
+            if (hi > current.max) {
+                current.max = hi;
             }
 
-            // 复制后半部分子节点到新节点
-            for (let i = midIndex + 1; i < order; i++) {
-                newNode.children.push(childNode.children[i]);
+            const cmp = this.compare(key, current.key);
+
+            if (cmp === 0) {
+                break;
             }
 
-            // 提取中间键到父节点
-            const midKey = childNode.keys[midIndex];
+            current = cmp < 0 ? current.left : current.right;
+        }
 
-            // 更新原节点
-            childNode.keys.length = midIndex;
-            childNode.children.length = midIndex + 1;
+        return super.insert(key, value);
+    }
 
-            // 将中间键插入到父节点
-            parentNode.keys.splice(childIndex, 0, midKey);
-            parentNode.children.splice(childIndex + 1, 0, newNode);
-        }
+    _createNode(key, value) {
+        const node = super._createNode(key, value);
+        node.max = key[1];
+        return node;
     }
 
-    search(key) {
-        let node = this.root;
+    // fromSorted 自底向上建树，子树建好后即可由子节点计算 max
+    _buildFromSorted(entries, lo, hi, depth, maxDepth, parent) {
+        const node = super._buildFromSorted(entries, lo, hi, depth, maxDepth, parent);
 
-        while (!node.isLeaf) {
-            let i = 0;
+        if (node !== this.NIL) {
+            this._updateMax(node);
+        }
 
-            while (i < node.keys.length && key >= node.keys[i]) {
-                i++;
-            }
+        return node;
+    }
 
-            node = node.children[i];
-        }
+    // 继承自红黑树的拆分、合并与集合运算直接移动节点且构建普通红黑树，不维护 max，区间树不支持
+    split() {
+        throw new Error('IntervalTree 不支持 split：拆分后的树不维护区间上界 max');
+    }
 
-        for (let i = 0; i < node.keys.length; i++) {
-            if (node.keys[i] === key) {
-                return node.values[i];
-            }
-        }
+    static join() {
+        throw new Error('IntervalTree 不支持 join：合并后的树不维护区间上界 max');
+    }
 
-        return null;
+    static union() {
+        throw new Error('IntervalTree 不支持 union：集合运算的结果不维护区间上界 max');
     }
 
-    // B+树的删除操作较为复杂，这里仅提供一个简化版实现
-    delete(key) {
-        if (this.root.keys.length === 0) {
-            return false;
-        }
+    static intersection() {
+        throw new Error('IntervalTree 不支持 intersection：集合运算的结果不维护区间上界 max');
+    }
 
-        const result = this._deleteHelper(this.root, key);
+    static difference() {
+        throw new Error('IntervalTree 不支持 difference：集合运算的结果不维护区间上界 max');
+    }
 
-        // 如果根节点没有键且不是叶子节点，更新根节点
-        if (this.root.keys.length === 0 && !this.root.isLeaf) {
-            this.root = this.root.children[0];
-        }
-
-        if (result) {
-            this.size--;
-        }
-
-        return result;
-    }
+    // 删除后子树内容发生变化的最低节点是被摘除节点（有两个子节点时为后继）原来的父节点，
+    // 其余旋转会从子节点重新计算 max，因此删除完成后从该节点向上重新计算到根即可
+    delete(key) {
+        let node = this.root;
 
-    _deleteHelper(node, key) {
-        if (node.isLeaf) {
-            // 在叶子节点中查找并删除键
-            for (let i = 0; i < node.keys.length; i++) {
-                if (node.keys[i] === key) {
-                    node.keys.splice(i, 1);
-                    node.values.splice(i, 1);
-                    return true;
-                }
-            }
-            return false;
-        } else {
-            // 在内部节点查找子节点
-            let i = 0;
+        while (node !== this.NIL) {
+            const cmp = this.compare(key, node.key);
 
-            while (i < node.keys.length && key >= node.keys[i]) {
-                i++;
+            if (cmp === 0) {
+                break;
             }
 
-            // 简化实现，不处理节点合并和再平衡
-            return this._deleteHelper(node.children[i], key);
+            node = cmp < 0 ? node.left : node.right;
         }
-    }
-
-    rangeSearch(minKey, maxKey) {
-        const result = [];
 
-        // 先找到包含最小键的叶子节点
-        let node = this.root;
+        if (node === this.NIL) {
+            return false;
+        }
 
-        while (!node.isLeaf) {
-            let i = 0;
+        let lowestChanged = node.parent;
 
-            while (i < node.keys.length && minKey >= node.keys[i]) {
-                i++;
+        if (node.left !== this.NIL && node.right !== this.NIL) {
+            let successor = node.right;
+            while (successor.left !== this.NIL) {
+                successor = successor.left;
             }
 
-            node = node.children[i];
+            lowestChanged = successor.parent === node ? successor : successor.parent;
         }
 
-        // 从该叶子节点开始收集范围内的键值对
-        while (node) {
-            for (let i = 0; i < node.keys.length; i++) {
-                if (node.keys[i] >= minKey && node.keys[i] <= maxKey) {
-                    result.push({key: node.keys[i], value: node.values[i]});
-                } else if (node.keys[i] > maxKey) {
-                    return result;
-                }
-            }
+        super.delete(key);
 
-            node = node.next;
+        for (let ancestor = lowestChanged; ancestor !== null; ancestor = ancestor.parent) {
+            this._updateMax(ancestor);
         }
 
-        return result;
+        return true;
     }
 
-    inOrderTraversal(callback) {
-        this._inOrderTraversalHelper(this.root, callback);
+    rotateLeft(node) {
+        super.rotateLeft(node);
+
+        // 旋转后 node 成为原右子节点的左子节点，先更新下层再更新上层
+        this._updateMax(node);
+        this._updateMax(node.parent);
     }
 
-    _inOrderTraversalHelper(node, callback) {
-        if (node.isLeaf) {
-            for (let i = 0; i < node.keys.length; i++) {
-                callback({key: node.keys[i], value: node.values[i]});
-            }
-        } else {
-            for (let i = 0; i < node.keys.length; i++) {
-                this._inOrderTraversalHelper(node.children[i], callback);
-                callback({key: node.keys[i], value: null});
-            }
+    rotateRight(node) {
+        super.rotateRight(node);
 
-            this._inOrderTraversalHelper(node.children[node.keys.length], callback);
+        this._updateMax(node);
+        this._updateMax(node.parent);
+    }
+
+    _updateMax(node) {
+        let max = node.key[1];
+
+        if (node.left !== this.NIL && node.left.max > max) {
+            max = node.left.max;
+        }
+
+        if (node.right !== this.NIL && node.right.max > max) {
+            max = node.right.max;
         }
+
+        node.max = max;
     }
-}
 
-// 1.8 线性数组 (用作基准参照)
-class LinearArray {
-    constructor() {
-        this.items = [];
-        this.size = 0;
+    // 返回包含 point 的全部区间（闭区间），按 [lo, hi] 升序
+    overlaps(point) {
+        return this.overlapping(point, point);
     }
 
-    insert(key, value = null) {
-        // 查找插入位置，保持有序
-        let index = 0;
+    // 返回与闭区间 [lo, hi] 相交的全部区间，按 [lo, hi] 升序，每个结果为 {key: [lo, hi], value}
+    // 子树的 max 小于 lo 时整棵子树都不相交；节点下界大于 hi 时其右子树也不相交，复杂度 O(k log n)
+    overlapping(lo, hi) {
+        const result = [];
+        this._overlappingHelper(this.root, lo, hi, result);
+        return result;
+    }
 
-        while (index < this.items.length && this.items[index].key < key) {
-            index++;
+    _overlappingHelper(node, lo, hi, result) {
+        if (node === this.NIL || node.max < lo) {
+            return;
         }
 
-        // 如果键已存在，更新值
-        if (index < this.items.length && this.items[index].key === key) {
-            this.items[index].value = value;
+        this._overlappingHelper(node.left, lo, hi, result);
+
+        if (node.key[0] > hi) {
             return;
         }
 
-        // 插入新键值对
-        this.items.splice(index, 0, {key, value});
-        this.size++;
+        if (node.key[1] >= lo) {
+            result.push({key: node.key, value: node.value});
+        }
+
+        this._overlappingHelper(node.right, lo, hi, result);
     }
 
-    search(key) {
-        // 二分查找
-        let left = 0;
-        let right = this.items.length - 1;
+    // 在红黑树性质之外校验每个节点的 max 等于子树内区间上界的最大值
+    validate() {
+        const report = super.validate();
+        this._validateMaxHelper(this.root, report.violations);
+        report.valid = report.violations.length === 0;
 
-        while (left <= right) {
-            const mid = Math.floor((left + right) / 2);
+        return report;
+    }
 
-            if (this.items[mid].key === key) {
-                return this.items[mid].value;
-            }
+    _validateMaxHelper(node, violations) {
+        if (node === this.NIL) {
+            return -Infinity;
+        }
 
-            if (this.items[mid].key < key) {
-                left = mid + 1;
-            } else {
-                right = mid - 1;
-            }
+        const max = Math.max(node.key[1], this._validateMaxHelper(node.left, violations), this._validateMaxHelper(node.right, violations));
+
+        if (node.max !== max) {
+            violations.push({rule: 'max-endpoint', key: node.key, message: `max 为 ${node.max}，子树内区间上界的最大值为 ${max}`});
         }
 
-        return null;
+        return max;
     }
+}
 
-    delete(key) {
-        // 二分查找
-        let left = 0;
-        let right = this.items.length - 1;
-
-        while (left <= right) {
-            const mid = Math.floor((left + right) / 2);
+// 1.1.3 堆外红黑树实现：节点字段存放在类型化数组池中，节点以数组下标表示，不创建 RBNode 对象
+// 键、颜色、左右子节点、父节点和子树大小都在类型化数组里，值按节点下标存放在普通数组中；
+// 删除的节点进入空闲链表（复用 left 字段链接）供后续插入复用，池满时容量翻倍。
+// 算法与 RedBlackTree 完全一致（CLRS + 顺序统计），用于区分对象分配/GC 与算法本身的开销。键必须是数字
+const TYPED_RB_NIL = 0; // 0 号节点为只读的 NIL 哨兵，同时表示"无父节点"和"空闲链表结束"
+const TYPED_RB_BLACK = 0;
+const TYPED_RB_RED = 1;
+
+class TypedRedBlackTree {
+    constructor({compare = defaultCompare, capacity = 1024, allowDuplicates = false} = {}) {
+        this.compare = compare;
+        initMultimap(this, allowDuplicates);
+        this.capacity = Math.max(2, capacity + 1);
+        this._keys = new Float64Array(this.capacity);
+        this._values = [];
+        this._left = new Int32Array(this.capacity);
+        this._right = new Int32Array(this.capacity);
+        this._parent = new Int32Array(this.capacity);
+        this._color = new Uint8Array(this.capacity);
+        this._size = new Int32Array(this.capacity);
+        this._nextIndex = 1; // 从未使用过的第一个下标
+        this._freeHead = TYPED_RB_NIL;
+        this.root = TYPED_RB_NIL;
+        this.size = 0;
+        this.counters = null;
+    }
 
-            if (this.items[mid].key === key) {
-                this.items.splice(mid, 1);
-                this.size--;
-                return true;
-            }
+    static fromSorted(entries, options = {}) {
+        const tree = new TypedRedBlackTree({...options, capacity: Math.max(entries.length, options.capacity || 0)});
+        assertSortedEntries(entries, tree.compare);
 
-            if (this.items[mid].key < key) {
-                left = mid + 1;
-            } else {
-                right = mid - 1;
-            }
-        }
+        const maxDepth = entries.length > 0 ? Math.floor(Math.log2(entries.length)) : 0;
+        tree.root = tree._buildFromSorted(entries, 0, entries.length - 1, 0, maxDepth, TYPED_RB_NIL);
+        tree.size = entries.length;
 
-        return false;
+        return tree;
     }
 
-    rangeSearch(minKey, maxKey) {
-        const result = [];
+    _buildFromSorted(entries, lo, hi, depth, maxDepth, parent) {
+        if (lo > hi) {
+            return TYPED_RB_NIL;
+        }
 
-        // 二分查找找到起始位置
-        let start = 0;
+        const mid = (lo + hi) >>> 1;
+        this._checkKey(entries[mid].key);
+        const node = this._allocate(entries[mid].key, entries[mid].value);
+        this._parent[node] = parent;
+        this._color[node] = depth === maxDepth && depth > 0 ? TYPED_RB_RED : TYPED_RB_BLACK;
+        this._left[node] = this._buildFromSorted(entries, lo, mid - 1, depth + 1, maxDepth, node);
+        this._right[node] = this._buildFromSorted(entries, mid + 1, hi, depth + 1, maxDepth, node);
+        this._size[node] = hi - lo + 1;
 
-        while (start < this.items.length && this.items[start].key < minKey) {
-            start++;
-        }
+        return node;
+    }
 
-        // 从起始位置收集范围内的键值对
-        while (start < this.items.length && this.items[start].key <= maxKey) {
-            result.push({key: this.items[start].key, value: this.items[start].value});
-            start++;
+    // 节点池使用情况：capacity 不含 NIL 哨兵，bytes 为各类型化数组占用的字节数（不含值数组）
+    poolStats() {
+        let free = 0;
+        for (let node = this._freeHead; node !== TYPED_RB_NIL; node = this._left[node]) {
+            free++;
         }
 
-        return result;
+        const bytes = this._keys.byteLength + this._left.byteLength + this._right.byteLength +
+            this._parent.byteLength + this._color.byteLength + this._size.byteLength;
+
+        return {capacity: this.capacity - 1, allocated: this._nextIndex - 1, live: this.size, free, bytes};
     }
 
-    inOrderTraversal(callback) {
-        for (const item of this.items) {
-            callback(item);
+    // 键存放在 Float64Array 中，非数字键（以及与任何键比较都相等的 NaN）必须在比较前拒绝
+    _checkKey(key) {
+        if (typeof key !== 'number' || Number.isNaN(key)) {
+            throw new Error(`TypedRedBlackTree 的键必须是数字，实际为 ${key}`);
         }
     }
-}
 
-// ====================== 2. 测试数据生成器 ======================
+    // 从空闲链表或池尾分配节点，新节点为红色、子节点为 NIL
+    _allocate(key, value) {
+        let node = this._freeHead;
 
-// 生成不同分布的测试数据
-class DataGenerator {
-    // 均匀随机分布
-    static uniformDistribution(size, min = 0, max = Number.MAX_SAFE_INTEGER) {
-        const data = [];
+        if (node !== TYPED_RB_NIL) {
+            this._freeHead = this._left[node];
+        } else {
+            if (this._nextIndex === this.capacity) {
+                this._grow();
+            }
 
-        for (let i = 0; i < size; i++) {
-            const key = Math.floor(Math.random() * (max - min + 1)) + min;
-            data.push({key, value: `value-${key}`});
+            node = this._nextIndex++;
         }
 
-        return data;
-    }
+        this._keys[node] = key;
+        this._values[node] = value;
+        this._left[node] = TYPED_RB_NIL;
+        this._right[node] = TYPED_RB_NIL;
+        this._parent[node] = TYPED_RB_NIL;
+        this._color[node] = TYPED_RB_RED;
+        this._size[node] = 1;
 
-    // 正态分布 (使用Box-Muller变换)
-    static normalDistribution(size, mean = 500000, stdDev = 100000) {
-        const data = [];
+        return node;
+    }
 
-        for (let i = 0; i < size; i++) {
-            let u = 0, v = 0;
-            while (u === 0) u = Math.random();
-            while (v === 0) v = Math.random();
+    // 回收节点：释放值的引用，并把节点挂到空闲链表头部
+    _free(node) {
+        this._values[node] = undefined;
+        this._left[node] = this._freeHead;
+        this._freeHead = node;
+    }
 
-            const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-            const key = Math.max(0, Math.floor(mean + z * stdDev));
+    // 容量翻倍，把各字段复制到新的类型化数组
+    _grow() {
+        this.capacity *= 2;
 
-            data.push({key, value: `value-${key}`});
+        for (const field of ['_keys', '_left', '_right', '_parent', '_color', '_size']) {
+            const pool = new this[field].constructor(this.capacity);
+            pool.set(this[field]);
+            this[field] = pool;
         }
-
-        return data;
     }
 
-    // 偏斜分布 (80/20法则)
-    static skewedDistribution(size, min = 0, max = Number.MAX_SAFE_INTEGER) {
-        const data = [];
-        const hotspotSize = Math.floor(max * 0.2);
-        const hotspotProbability = 0.8;
+    insert(key, value = null) {
+        this._checkKey(key);
 
-        for (let i = 0; i < size; i++) {
-            let key;
+        let current = this.root;
+        let parent = TYPED_RB_NIL;
 
-            if (Math.random() < hotspotProbability) {
-                // 80%的概率生成热点区域内的键
-                key = Math.floor(Math.random() * hotspotSize) + min;
-            } else {
-                // 20%的概率生成非热点区域内的键
-                key = Math.floor(Math.random() * (max - hotspotSize)) + min + hotspotSize;
+        // 寻找插入位置
+        while (current !== TYPED_RB_NIL) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
             }
 
-            data.push({key, value: `value-${key}`});
-        }
+            parent = current;
+            const cmp = this.compare(key, this._keys[current]);
 
-        return data;
-    }
+            if (cmp < 0) {
+                current = this._left[current];
+            } else if (cmp > 0) {
+                current = this._right[current];
+            } else {
+                // 如果键已存在，则更新值
+                this._values[current] = value;
+                return false;
+            }
+        }
 
-    // 几乎有序的数据
-    static nearSortedDistribution(size, swapFraction = 0.1) {
-        const data = [];
+        const newNode = this._allocate(key, value);
+        this._parent[newNode] = parent;
 
-        // 生成有序数据
-        for (let i = 0; i < size; i++) {
-            data.push({key: i, value: `value-${i}`});
+        // 如果树为空，则新节点为根节点
+        if (parent === TYPED_RB_NIL) {
+            this.root = newNode;
+            this.size++;
+            this.fixInsert(newNode);
+            return true;
         }
 
-        // 随机交换一小部分数据
-        const swapCount = Math.floor(size * swapFraction);
+        // 根据键的大小决定是左子节点还是右子节点
+        if (this.compare(key, this._keys[parent]) < 0) {
+            this._left[parent] = newNode;
+        } else {
+            this._right[parent] = newNode;
+        }
 
-        for (let i = 0; i < swapCount; i++) {
-            const index1 = Math.floor(Math.random() * size);
-            const index2 = Math.floor(Math.random() * size);
+        // 更新插入路径上各祖先的子树大小
+        for (let ancestor = parent; ancestor !== TYPED_RB_NIL; ancestor = this._parent[ancestor]) {
+            this._size[ancestor]++;
+        }
 
-            const temp = data[index1].key;
-            data[index1].key = data[index2].key;
-            data[index2].key = temp;
+        this.size++;
 
-            data[index1].value = `value-${data[index1].key}`;
-            data[index2].value = `value-${data[index2].key}`;
+        // 如果父节点是根节点，无需修复
+        if (this._parent[parent] === TYPED_RB_NIL) {
+            return true;
         }
 
-        return data;
+        // 修复红黑树性质
+        this.fixInsert(newNode);
+        return true;
     }
 
-    // 完全有序数据
-    static sortedDistribution(size) {
-        const data = [];
+    fixInsert(node) {
+        const left = this._left;
+        const right = this._right;
+        const parent = this._parent;
+        const color = this._color;
+        let current = node;
 
-        for (let i = 0; i < size; i++) {
-            data.push({key: i, value: `value-${i}`});
+        // 如果当前节点的父节点是红色，则需要修复
+        while (current !== this.root && color[parent[current]] === TYPED_RB_RED) {
+            const currentParent = parent[current];
+            const grandparent = parent[currentParent];
+
+            if (currentParent === left[grandparent]) {
+                const uncle = right[grandparent];
+
+                // Case 1: 叔叔节点是红色
+                if (color[uncle] === TYPED_RB_RED) {
+                    this._setColor(currentParent, TYPED_RB_BLACK);
+                    this._setColor(uncle, TYPED_RB_BLACK);
+                    this._setColor(grandparent, TYPED_RB_RED);
+                    current = grandparent;
+                } else {
+                    // Case 2: 叔叔节点是黑色，且当前节点是右子节点
+                    if (current === right[currentParent]) {
+                        current = currentParent;
+                        this.rotateLeft(current);
+                    }
+
+                    // Case 3: 叔叔节点是黑色，且当前节点是左子节点
+                    this._setColor(parent[current], TYPED_RB_BLACK);
+                    this._setColor(parent[parent[current]], TYPED_RB_RED);
+                    this.rotateRight(parent[parent[current]]);
+                }
+            } else {
+                const uncle = left[grandparent];
+
+                // Case 1: 叔叔节点是红色
+                if (color[uncle] === TYPED_RB_RED) {
+                    this._setColor(currentParent, TYPED_RB_BLACK);
+                    this._setColor(uncle, TYPED_RB_BLACK);
+                    this._setColor(grandparent, TYPED_RB_RED);
+                    current = grandparent;
+                } else {
+                    // Case 2: 叔叔节点是黑色，且当前节点是左子节点
+                    if (current === left[currentParent]) {
+                        current = currentParent;
+                        this.rotateRight(current);
+                    }
+
+                    // Case 3: 叔叔节点是黑色，且当前节点是右子节点
+                    this._setColor(parent[current], TYPED_RB_BLACK);
+                    this._setColor(parent[parent[current]], TYPED_RB_RED);
+                    this.rotateLeft(parent[parent[current]]);
+                }
+            }
         }
 
-        return data;
+        // 确保根节点是黑色
+        this._setColor(this.root, TYPED_RB_BLACK);
     }
 
-    // 完全逆序数据
-    static reverseSortedDistribution(size) {
-        const data = [];
-
-        for (let i = size - 1; i >= 0; i--) {
-            data.push({key: i, value: `value-${i}`});
+    // 修改节点颜色；启用计数（instrument）时只统计实际发生变化的染色
+    _setColor(node, color) {
+        if (this.counters !== null && this._color[node] !== color) {
+            this.counters.recolors++;
         }
 
-        return data;
+        this._color[node] = color;
     }
 
-    // 生成Zipf分布的数据 (用于访问模式)
-    static zipfDistribution(size, alpha = 1.5) {
-        const data = [];
-        const zipf = [];
-        let sum = 0;
+    rotateLeft(node) {
+        const left = this._left;
+        const right = this._right;
+        const parent = this._parent;
+        const rightChild = right[node];
+        right[node] = left[rightChild];
 
-        // 计算Zipf权重
-        for (let i = 1; i <= size; i++) {
-            const weight = 1 / Math.pow(i, alpha);
-            zipf.push(weight);
-            sum += weight;
+        if (left[rightChild] !== TYPED_RB_NIL) {
+            parent[left[rightChild]] = node;
         }
 
-        // 归一化
-        for (let i = 0; i < size; i++) {
-            zipf[i] /= sum;
+        parent[rightChild] = parent[node];
+
+        if (parent[node] === TYPED_RB_NIL) {
+            this.root = rightChild;
+        } else if (node === left[parent[node]]) {
+            left[parent[node]] = rightChild;
+        } else {
+            right[parent[node]] = rightChild;
         }
 
-        // 生成累积分布函数
-        const cdf = [];
-        let cumsum = 0;
+        left[rightChild] = node;
+        parent[node] = rightChild;
 
-        for (let i = 0; i < size; i++) {
-            cumsum += zipf[i];
-            cdf.push(cumsum);
-        }
+        // 旋转后更新子树大小
+        this._size[rightChild] = this._size[node];
+        this._size[node] = this._size[left[node]] + this._size[right[node]] + 1;
+    }
 
-        // 生成数据
-        for (let i = 0; i < size; i++) {
-            const r = Math.random();
-            let index = 0;
+    rotateRight(node) {
+        const left = this._left;
+        const right = this._right;
+        const parent = this._parent;
+        const leftChild = left[node];
+        left[node] = right[leftChild];
 
-            while (index < size - 1 && r > cdf[index]) {
-                index++;
-            }
+        if (right[leftChild] !== TYPED_RB_NIL) {
+            parent[right[leftChild]] = node;
+        }
 
-            data.push({key: index, value: `value-${index}`});
+        parent[leftChild] = parent[node];
+
+        if (parent[node] === TYPED_RB_NIL) {
+            this.root = leftChild;
+        } else if (node === right[parent[node]]) {
+            right[parent[node]] = leftChild;
+        } else {
+            left[parent[node]] = leftChild;
         }
 
-        return data;
+        right[leftChild] = node;
+        parent[node] = leftChild;
+
+        // 旋转后更新子树大小
+        this._size[leftChild] = this._size[node];
+        this._size[node] = this._size[left[node]] + this._size[right[node]] + 1;
     }
-}
 
-// ====================== 3. 性能测试工具 ======================
+    // 返回 key 所在的节点下标，不存在时返回 NIL
+    _findNode(key) {
+        let current = this.root;
 
-class PerformanceTester {
-    constructor(dataStructures, testSizes, iterations = 5) {
-        this.dataStructures = dataStructures;
-        this.testSizes = testSizes;
-        this.iterations = iterations;
-        this.results = {};
-    }
+        while (current !== TYPED_RB_NIL) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
 
-    // 3.1 基准测试：CRUD操作性能
-    async runCRUDTest(dataDistribution = 'uniform') {
-        console.log(`\n开始 CRUD 性能测试 (数据分布: ${dataDistribution})...`);
+            const cmp = this.compare(key, this._keys[current]);
 
-        const results = {};
+            if (cmp === 0) {
+                return current;
+            }
 
-        for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
-            results[name] = {
-                insert: [],
-                search: [],
-                delete: [],
-                range: []
-            };
+            current = cmp < 0 ? this._left[current] : this._right[current];
+        }
 
-            for (const size of this.testSizes) {
-                console.log(`测试 ${name} 在数据量 ${size} 下的性能...`);
+        return TYPED_RB_NIL;
+    }
 
-                let insertTimes = [];
-                let searchTimes = [];
-                let deleteTimes = [];
-                let rangeTimes// 继续二叉搜索树的删除操作实现
-                _deleteHelper(node, key)
-                {
-                    if (!node) {
-                        return null;
-                    }
+    search(key) {
+        const node = this._findNode(key);
+        return node === TYPED_RB_NIL ? null : this._values[node];
+    }
 
-                    if (key < node.key) {
-                        node.left = this._deleteHelper(node.left, key);
-                    } else if (key > node.key) {
-                        node.right = this._deleteHelper(node.right, key);
-                    } else {
-                        // 找到要删除的节点
-
-                        // 情况1: 叶子节点或者只有一个子节点
-                        if (!node.left) {
-                            this.size--;
-                            return node.right;
-                        } else if (!node.right) {
-                            this.size--;
-                            return node.left;
-                        }
+    delete(key) {
+        const left = this._left;
+        const right = this._right;
+        const parent = this._parent;
+        const nodeToDelete = this._findNode(key);
 
-                        // 情况2: 有两个子节点
-                        // 找到右子树中最小的节点（后继节点）
-                        const temp = this.minValueNode(node.right);
+        // 如果没有找到，返回
+        if (nodeToDelete === TYPED_RB_NIL) {
+            return false;
+        }
 
-                        // 复制后继节点的键和值到当前节点
-                        node.key = temp.key;
-                        node.value = temp.value;
+        // 与 RedBlackTree 相同，NIL 哨兵只读，替换节点的父节点单独记录
+        let replacementNode, replacementParent;
+        let originalColor = this._color[nodeToDelete];
 
-                        // 删除后继节点
-                        node.right = this._deleteHelper(node.right, temp.key);
-                        // 此时 size 已经在递归中减少
-                    }
+        // 实际被摘除的节点：有两个子节点时为后继节点，否则为节点本身
+        let removedNode = nodeToDelete;
+        if (left[nodeToDelete] !== TYPED_RB_NIL && right[nodeToDelete] !== TYPED_RB_NIL) {
+            removedNode = right[nodeToDelete];
+            while (left[removedNode] !== TYPED_RB_NIL) {
+                removedNode = left[removedNode];
+            }
+        }
 
-                    return node;
-                }
+        // 更新被摘除节点所有祖先的子树大小
+        for (let ancestor = parent[removedNode]; ancestor !== TYPED_RB_NIL; ancestor = parent[ancestor]) {
+            this._size[ancestor]--;
+        }
 
-                rangeSearch(minKey, maxKey)
-                {
-                    const result = [];
-                    this._rangeSearchHelper(this.root, minKey, maxKey, result);
-                    return result;
-                }
+        // 情况1: 节点没有子节点或只有一个子节点
+        if (left[nodeToDelete] === TYPED_RB_NIL) {
+            replacementNode = right[nodeToDelete];
+            replacementParent = parent[nodeToDelete];
+            this.transplant(nodeToDelete, right[nodeToDelete]);
+        } else if (right[nodeToDelete] === TYPED_RB_NIL) {
+            replacementNode = left[nodeToDelete];
+            replacementParent = parent[nodeToDelete];
+            this.transplant(nodeToDelete, left[nodeToDelete]);
+        }
+        // 情况2: 节点有两个子节点
+        else {
+            const successor = removedNode;
 
-                _rangeSearchHelper(node, minKey, maxKey, result)
-                {
-                    if (!node) {
-                        return;
-                    }
+            originalColor = this._color[successor];
+            replacementNode = right[successor];
 
-                    if (node.key > minKey) {
-                        this._rangeSearchHelper(node.left, minKey, maxKey, result);
-                    }
+            // 如果后继节点是要删除节点的直接子节点
+            if (parent[successor] === nodeToDelete) {
+                replacementParent = successor;
+            } else {
+                // 将后继节点的右子节点连接到后继节点的父节点
+                replacementParent = parent[successor];
+                this.transplant(successor, right[successor]);
 
-                    if (node.key >= minKey && node.key <= maxKey) {
-                        result.push({key: node.key, value: node.value});
-                    }
+                // 连接后继节点到要删除节点的右子节点
+                right[successor] = right[nodeToDelete];
+                parent[right[successor]] = successor;
+            }
 
-                    if (node.key < maxKey) {
-                        this._rangeSearchHelper(node.right, minKey, maxKey, result);
-                    }
-                }
+            // 将后继节点放到要删除节点的位置
+            this.transplant(nodeToDelete, successor);
+            left[successor] = left[nodeToDelete];
+            parent[left[successor]] = successor;
+            this._setColor(successor, this._color[nodeToDelete]);
+            this._size[successor] = this._size[nodeToDelete];
+        }
 
-                inOrderTraversal(callback)
-                {
-                    this._inOrderTraversalHelper(this.root, callback);
-                }
+        // 如果删除的是黑色节点，需要修复红黑树性质
+        if (originalColor === TYPED_RB_BLACK) {
+            this.fixDelete(replacementNode, replacementParent);
+        }
 
-                _inOrderTraversalHelper(node, callback)
-                {
-                    if (!node) {
-                        return;
-                    }
+        this._free(nodeToDelete);
+        this.size--;
+        return true;
+    }
 
-                    this._inOrderTraversalHelper(node.left, callback);
-                    callback(node);
-                    this._inOrderTraversalHelper(node.right, callback);
-                }
-            }
+    // 用 replacement 替换 node 在父节点中的位置，不修改 NIL 哨兵
+    transplant(node, replacement) {
+        const nodeParent = this._parent[node];
 
-// 1.6 B树实现 (简化版)
-            class BTreeNode {
-                constructor(isLeaf = true, order = 5) {
-                    this.isLeaf = isLeaf;
-                    this.keys = [];
-                    this.values = [];
-                    this.children = [];
-                    this.order = order;
-                }
+        if (nodeParent === TYPED_RB_NIL) {
+            this.root = replacement;
+        } else if (node === this._left[nodeParent]) {
+            this._left[nodeParent] = replacement;
+        } else {
+            this._right[nodeParent] = replacement;
+        }
 
-                isFull() {
-                    return this.keys.length === this.order - 1;
-                }
-            }
+        if (replacement !== TYPED_RB_NIL) {
+            this._parent[replacement] = nodeParent;
+        }
+    }
 
-            class BTree {
-                constructor(order = 5) {
-                    this.root = new BTreeNode(true, order);
-                    this.order = order;
-                    this.size = 0;
+    // 删除修复 (CLRS RB-DELETE-FIXUP)，parent 显式传入，因为 node 可能是 NIL 哨兵
+    fixDelete(node, parent) {
+        const left = this._left;
+        const right = this._right;
+        const color = this._color;
+        let current = node;
+        let currentParent = parent;
+
+        while (current !== this.root && color[current] === TYPED_RB_BLACK) {
+            if (current === left[currentParent]) {
+                let sibling = right[currentParent];
+
+                // Case 1: 兄弟节点是红色
+                if (color[sibling] === TYPED_RB_RED) {
+                    this._setColor(sibling, TYPED_RB_BLACK);
+                    this._setColor(currentParent, TYPED_RB_RED);
+                    this.rotateLeft(currentParent);
+                    sibling = right[currentParent];
                 }
 
-                insert(key, value = null) {
-                    const root = this.root;
-
-                    // 如果根节点已满，需要分裂
-                    if (root.isFull()) {
-                        const newRoot = new BTreeNode(false, this.order);
-                        newRoot.children.push(root);
-                        this._splitChild(newRoot, 0);
-                        this.root = newRoot;
-                        this._insertNonFull(newRoot, key, value);
-                    } else {
-                        this._insertNonFull(root, key, value);
+                if (color[left[sibling]] === TYPED_RB_BLACK && color[right[sibling]] === TYPED_RB_BLACK) {
+                    // Case 2: 兄弟节点是黑色，且其两个子节点都是黑色
+                    this._setColor(sibling, TYPED_RB_RED);
+                    current = currentParent;
+                    currentParent = this._parent[current];
+                } else {
+                    // Case 3: 兄弟节点是黑色，其左子节点是红色、右子节点是黑色
+                    if (color[right[sibling]] === TYPED_RB_BLACK) {
+                        this._setColor(left[sibling], TYPED_RB_BLACK);
+                        this._setColor(sibling, TYPED_RB_RED);
+                        this.rotateRight(sibling);
+                        sibling = right[currentParent];
                     }
 
-                    this.size++;
+                    // Case 4: 兄弟节点是黑色，且其右子节点是红色
+                    this._setColor(sibling, color[currentParent]);
+                    this._setColor(currentParent, TYPED_RB_BLACK);
+                    this._setColor(right[sibling], TYPED_RB_BLACK);
+                    this.rotateLeft(currentParent);
+                    current = this.root;
+                    currentParent = TYPED_RB_NIL;
+                }
+            } else {
+                let sibling = left[currentParent];
+
+                // Case 1: 兄弟节点是红色
+                if (color[sibling] === TYPED_RB_RED) {
+                    this._setColor(sibling, TYPED_RB_BLACK);
+                    this._setColor(currentParent, TYPED_RB_RED);
+                    this.rotateRight(currentParent);
+                    sibling = left[currentParent];
                 }
 
-                _insertNonFull(node, key, value) {
-                    let i = node.keys.length - 1;
+                if (color[right[sibling]] === TYPED_RB_BLACK && color[left[sibling]] === TYPED_RB_BLACK) {
+                    // Case 2: 兄弟节点是黑色，且其两个子节点都是黑色
+                    this._setColor(sibling, TYPED_RB_RED);
+                    current = currentParent;
+                    currentParent = this._parent[current];
+                } else {
+                    // Case 3: 兄弟节点是黑色，其右子节点是红色、左子节点是黑色
+                    if (color[left[sibling]] === TYPED_RB_BLACK) {
+                        this._setColor(right[sibling], TYPED_RB_BLACK);
+                        this._setColor(sibling, TYPED_RB_RED);
+                        this.rotateLeft(sibling);
+                        sibling = left[currentParent];
+                    }
 
-                    if (node.isLeaf) {
-                        // 找到合适的位置插入
-                        while (i >= 0 && key < node.keys[i]) {
-                            i--;
-                        }
+                    // Case 4: 兄弟节点是黑色，且其左子节点是红色
+                    this._setColor(sibling, color[currentParent]);
+                    this._setColor(currentParent, TYPED_RB_BLACK);
+                    this._setColor(left[sibling], TYPED_RB_BLACK);
+                    this.rotateRight(currentParent);
+                    current = this.root;
+                    currentParent = TYPED_RB_NIL;
+                }
+            }
+        }
 
-                        // 如果键已存在，更新值
-                        if (i >= 0 && key === node.keys[i]) {
-                            node.values[i] = value;
-                            this.size--; // 防止在外部重复增加大小
-                            return;
-                        }
+        if (current !== TYPED_RB_NIL) {
+            this._setColor(current, TYPED_RB_BLACK);
+        }
+    }
 
-                        // 插入新键值对
-                        node.keys.splice(i + 1, 0, key);
-                        node.values.splice(i + 1, 0, value);
-                    } else {
-                        // 找到合适的子节点
-                        while (i >= 0 && key < node.keys[i]) {
-                            i--;
-                        }
+    _entry(node) {
+        return node === TYPED_RB_NIL ? null : {key: this._keys[node], value: this._values[node]};
+    }
 
-                        i++;
+    // 导航操作：返回最小键的键值对，树为空时返回 null
+    min() {
+        let current = this.root;
+        while (current !== TYPED_RB_NIL && this._left[current] !== TYPED_RB_NIL) {
+            current = this._left[current];
+        }
 
-                        // 如果子节点已满，需要分裂
-                        if (node.children[i].isFull()) {
-                            this._splitChild(node, i);
+        return this._entry(current);
+    }
 
-                            if (key > node.keys[i]) {
-                                i++;
-                            }
-                        }
+    // 导航操作：返回最大键的键值对，树为空时返回 null
+    max() {
+        let current = this.root;
+        while (current !== TYPED_RB_NIL && this._right[current] !== TYPED_RB_NIL) {
+            current = this._right[current];
+        }
 
-                        this._insertNonFull(node.children[i], key, value);
-                    }
-                }
+        return this._entry(current);
+    }
 
-                _splitChild(parentNode, childIndex) {
-                    const order = this.order;
-                    const childNode = parentNode.children[childIndex];
-                    const newNode = new BTreeNode(childNode.isLeaf, order);
+    // 导航操作：小于等于 key 的最大键
+    floor(key) {
+        return this._floorEntry(key, true);
+    }
 
-                    // 将子节点的后半部分移动到新节点
-                    const midIndex = Math.floor((order - 1) / 2);
+    // 导航操作：大于等于 key 的最小键
+    ceiling(key) {
+        return this._ceilingEntry(key, true);
+    }
 
-                    for (let i = midIndex + 1; i < order - 1; i++) {
-                        newNode.keys.push(childNode.keys[i]);
-                        newNode.values.push(childNode.values[i]);
-                    }
+    // 导航操作：严格小于 key 的最大键
+    lower(key) {
+        return this._floorEntry(key, false);
+    }
 
-                    // 如果不是叶子节点，移动相应的子节点
-                    if (!childNode.isLeaf) {
-                        for (let i = midIndex + 1; i < order; i++) {
-                            newNode.children.push(childNode.children[i]);
-                        }
-                        childNode.children.length = midIndex + 1;
-                    }
+    // 导航操作：严格大于 key 的最小键
+    higher(key) {
+        return this._ceilingEntry(key, false);
+    }
 
-                    // 更新子节点的键和值
-                    const midKey = childNode.keys[midIndex];
-                    const midValue = childNode.values[midIndex];
+    _floorEntry(key, inclusive) {
+        let current = this.root;
+        let best = TYPED_RB_NIL;
 
-                    childNode.keys.length = midIndex;
-                    childNode.values.length = midIndex;
+        while (current !== TYPED_RB_NIL) {
+            const cmp = this.compare(this._keys[current], key);
 
-                    // 将中间键插入到父节点
-                    let i = parentNode.keys.length - 1;
-                    while (i >= 0 && midKey < parentNode.keys[i]) {
-                        i--;
-                    }
+            if (cmp < 0 || (inclusive && cmp === 0)) {
+                best = current;
+                current = this._right[current];
+            } else {
+                current = this._left[current];
+            }
+        }
 
-                    parentNode.keys.splice(i + 1, 0, midKey);
-                    parentNode.values.splice(i + 1, 0, midValue);
-                    parentNode.children.splice(childIndex + 1, 0, newNode);
-                }
+        return this._entry(best);
+    }
 
-                search(key) {
-                    return this._searchHelper(this.root, key);
-                }
+    _ceilingEntry(key, inclusive) {
+        let current = this.root;
+        let best = TYPED_RB_NIL;
 
-                _searchHelper(node, key) {
-                    let i = 0;
+        while (current !== TYPED_RB_NIL) {
+            const cmp = this.compare(this._keys[current], key);
 
-                    while (i < node.keys.length && key > node.keys[i]) {
-                        i++;
-                    }
+            if (cmp > 0 || (inclusive && cmp === 0)) {
+                best = current;
+                current = this._left[current];
+            } else {
+                current = this._right[current];
+            }
+        }
 
-                    if (i < node.keys.length && key === node.keys[i]) {
-                        return node.values[i];
-                    }
+        return this._entry(best);
+    }
 
-                    if (node.isLeaf) {
-                        return null;
-                    }
+    rangeSearch(minKey, maxKey) {
+        const result = [];
+        this._rangeSearchHelper(this.root, minKey, maxKey, result);
+        return result;
+    }
 
-                    return this._searchHelper(node.children[i], key);
-                }
+    _rangeSearchHelper(node, minKey, maxKey, result) {
+        if (node === TYPED_RB_NIL) {
+            return;
+        }
 
-                // B树的删除操作较为复杂，这里仅提供一个简化版实现
-                delete(key) {
-                    if (this.root.keys.length === 0) {
-                        return false;
-                    }
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
 
-                    const result = this._deleteHelper(this.root, key);
+        const key = this._keys[node];
 
-                    // 如果根节点没有键且不是叶子节点，更新根节点
-                    if (this.root.keys.length === 0 && !this.root.isLeaf) {
-                        this.root = this.root.children[0];
-                    }
+        if (this.compare(key, minKey) > 0) {
+            this._rangeSearchHelper(this._left[node], minKey, maxKey, result);
+        }
 
-                    if (result) {
-                        this.size--;
-                    }
+        if (this.compare(key, minKey) >= 0 && this.compare(key, maxKey) <= 0) {
+            result.push({key, value: this._values[node]});
+        }
 
-                    return result;
-                }
+        if (this.compare(key, maxKey) < 0) {
+            this._rangeSearchHelper(this._right[node], minKey, maxKey, result);
+        }
+    }
 
-                _deleteHelper(node, key) {
-                    let i = 0;
+    // 顺序统计：返回第 k 小（从 0 开始）的键值对，越界时返回 null
+    select(k) {
+        if (k < 0 || k >= this.size) {
+            return null;
+        }
 
-                    // 找到键或应该在的位置
-                    while (i < node.keys.length && key > node.keys[i]) {
-                        i++;
-                    }
+        let current = this.root;
 
-                    // 如果在当前节点找到键
-                    if (i < node.keys.length && key === node.keys[i]) {
-                        if (node.isLeaf) {
-                            // 情况1: 叶子节点，直接删除
-                            node.keys.splice(i, 1);
-                            node.values.splice(i, 1);
-                            return true;
-                        } else {
-                            // 情况2: 内部节点，需要找前驱或后继
-                            // 简化处理：总是使用后继
-                            const successorKey = this._findSuccessor(node, i);
-                            node.keys[i] = successorKey.key;
-                            node.values[i] = successorKey.value;
-                            return this._deleteHelper(node.children[i + 1], successorKey.key);
-                        }
-                    } else if (node.isLeaf) {
-                        // 键不在叶子节点中
-                        return false;
-                    } else {
-                        // 键可能在子节点中
-                        // 简化实现，不处理节点合并和再平衡
-                        return this._deleteHelper(node.children[i], key);
-                    }
-                }
+        while (current !== TYPED_RB_NIL) {
+            const leftSize = this._size[this._left[current]];
 
-                _findSuccessor(node, index) {
-                    let current = node.children[index + 1];
+            if (k < leftSize) {
+                current = this._left[current];
+            } else if (k > leftSize) {
+                k -= leftSize + 1;
+                current = this._right[current];
+            } else {
+                return this._entry(current);
+            }
+        }
 
-                    while (!current.isLeaf) {
-                        current = current.children[0];
-                    }
+        return null;
+    }
 
-                    return {key: current.keys[0], value: current.values[0]};
-                }
+    // 顺序统计：返回严格小于 key 的键的个数
+    rank(key) {
+        return this._countLess(key, false);
+    }
 
-                rangeSearch(minKey, maxKey) {
-                    const result = [];
-                    this._rangeSearchHelper(this.root, minKey, maxKey, result);
-                    return result;
-                }
+    // 统计 [minKey, maxKey] 内的键数
+    countRange(minKey, maxKey) {
+        if (this.compare(minKey, maxKey) > 0) {
+            return 0;
+        }
 
-                _rangeSearchHelper(node, minKey, maxKey, result) {
-                    if (!node) {
-                        return;
-                    }
+        return this._countLess(maxKey, true) - this._countLess(minKey, false);
+    }
 
-                    let i = 0;
+    // 统计小于 key（inclusive 为 true 时为小于等于）的键的个数
+    _countLess(key, inclusive) {
+        let count = 0;
+        let current = this.root;
 
-                    // 找到第一个大于等于minKey的位置
-                    while (i < node.keys.length && node.keys[i] < minKey) {
-                        i++;
-                    }
+        while (current !== TYPED_RB_NIL) {
+            const cmp = this.compare(key, this._keys[current]);
 
-                    // 如果不是叶子节点，递归搜索左子树
-                    if (!node.isLeaf && i > 0) {
-                        this._rangeSearchHelper(node.children[i - 1], minKey, maxKey, result);
-                    }
+            if (cmp < 0 || (!inclusive && cmp === 0)) {
+                current = this._left[current];
+            } else {
+                count += this._size[this._left[current]] + 1;
+                current = this._right[current];
+            }
+        }
 
-                    // 收集范围内的键
-                    while (i < node.keys.length && node.keys[i] <= maxKey) {
-                        if (node.keys[i] >= minKey) {
-                            result.push({key: node.keys[i], value: node.values[i]});
-                        }
+        return count;
+    }
 
-                        // 如果不是叶子节点，递归搜索中间子树
-                        if (!node.isLeaf) {
-                            this._rangeSearchHelper(node.children[i], minKey, maxKey, result);
-                        }
+    // 使用显式栈（节点下标）做惰性中序遍历，并跳过范围外的子树
+    * _iterate(minKey, maxKey, reverse) {
+        const stack = [];
+        let current = this.root;
 
-                        i++;
+        while (stack.length > 0 || current !== TYPED_RB_NIL) {
+            if (current !== TYPED_RB_NIL) {
+                if (!reverse) {
+                    // 小于 minKey 的节点连同其左子树都可跳过
+                    if (minKey === undefined || this.compare(this._keys[current], minKey) >= 0) {
+                        stack.push(current);
+                        current = this._left[current];
+                    } else {
+                        current = this._right[current];
                     }
-
-                    // 如果不是叶子节点，递归搜索右子树
-                    if (!node.isLeaf && i < node.children.length) {
-                        this._rangeSearchHelper(node.children[i], minKey, maxKey, result);
+                } else {
+                    // 大于 maxKey 的节点连同其右子树都可跳过
+                    if (maxKey === undefined || this.compare(this._keys[current], maxKey) <= 0) {
+                        stack.push(current);
+                        current = this._right[current];
+                    } else {
+                        current = this._left[current];
                     }
                 }
+            } else {
+                const node = stack.pop();
+                const key = this._keys[node];
 
-                inOrderTraversal(callback) {
-                    this._inOrderTraversalHelper(this.root, callback);
+                if (!reverse && maxKey !== undefined && this.compare(key, maxKey) > 0) {
+                    return;
                 }
 
-                _inOrderTraversalHelper(node, callback) {
-                    if (!node) {
-                        return;
-                    }
-
-                    for (let i = 0; i < node.keys.length; i++) {
-                        if (!node.isLeaf) {
-                            this._inOrderTraversalHelper(node.children[i], callback);
-                        }
-
-                        callback({key: node.keys[i], value: node.values[i]});
-                    }
-
-                    if (!node.isLeaf) {
-                        this._inOrderTraversalHelper(node.children[node.keys.length], callback);
-                    }
+                if (reverse && minKey !== undefined && this.compare(key, minKey) < 0) {
+                    return;
                 }
+
+                yield {key, value: this._values[node]};
+                current = reverse ? this._left[node] : this._right[node];
             }
+        }
+    }
 
-            // 1.7 B+树实现 (简化版)
-            class BPlusTreeNode {
-                constructor(isLeaf = true, order = 5) {
-                    this.isLeaf = isLeaf;
-                    this.keys = [];
-                    this.values = isLeaf ? [] : null; // 只有叶子节点存储值
-                    this.children = !isLeaf ? [] : null;
-                    this.next = null; // 叶子节点链表
-                    this.order = order;
-                }
+    inOrderTraversal(callback) {
+        this._inOrderTraversalHelper(this.root, callback);
+    }
 
-                isFull() {
-                    return this.keys.length === this.order - 1;
-                }
-            }
+    _inOrderTraversalHelper(node, callback) {
+        if (node === TYPED_RB_NIL) {
+            return;
+        }
 
-            class BPlusTree {
-                constructor(order = 5) {
-                    this.root = new BPlusTreeNode(true, order);
-                    this.order = order;
-                    this.size = 0;
-                    this.firstLeaf = this.root; // 指向第一个叶子节点，用于范围查询
-                }
+        this._inOrderTraversalHelper(this._left[node], callback);
+        callback({key: this._keys[node], value: this._values[node]});
+        this._inOrderTraversalHelper(this._right[node], callback);
+    }
 
-                insert(key, value = null) {
-                    const root = this.root;
+    // 内存模型（见 modelMemory）：节点字段在堆外的类型化数组池中，值另存于普通数组
+    memoryModel() {
+        return modelMemory([['system / JSArrayBufferData', this.poolStats().bytes], ...arrayParts(1, this._values.length)]);
+    }
 
-                    // 如果根节点已满，需要分裂
-                    if (root.isFull()) {
-                        const newRoot = new BPlusTreeNode(false, this.order);
-                        newRoot.children.push(root);
-                        this._splitChild(newRoot, 0);
-                        this.root = newRoot;
-                        this._insertNonFull(newRoot, key, value);
-                    } else {
-                        this._insertNonFull(root, key, value);
-                    }
+    // 树形统计（见 treeShape），另加黑高：从根到叶子的任一路径上的黑色节点数（不计 NIL）
+    shapeStats() {
+        const shape = treeShape(this.root === TYPED_RB_NIL ? null : this.root, node => [this._left[node], this._right[node]].filter(child => child !== TYPED_RB_NIL));
+        shape.blackHeight = 0;
 
-                    this.size++;
-                }
+        for (let node = this.root; node !== TYPED_RB_NIL; node = this._left[node]) {
+            if (this._color[node] === TYPED_RB_BLACK) {
+                shape.blackHeight++;
+            }
+        }
 
-                _insertNonFull(node, key, value) {
-                    let i = node.keys.length - 1;
+        return shape;
+    }
 
-                    if (node.isLeaf) {
-                        // 找到合适的位置插入
-                        while (i >= 0 && key < node.keys[i]) {
-                            i--;
-                        }
+    // 校验红黑树性质与节点池：除 RedBlackTree 的各项规则外，
+    // 还检查树中节点数与空闲链表长度之和等于已分配的节点数
+    validate() {
+        const violations = [];
 
-                        // 如果键已存在，更新值
-                        if (i >= 0 && key === node.keys[i]) {
-                            node.values[i] = value;
-                            this.size--; // 防止在外部重复增加大小
-                            return;
-                        }
+        if (this._color[TYPED_RB_NIL] !== TYPED_RB_BLACK || this._size[TYPED_RB_NIL] !== 0) {
+            violations.push({rule: 'nil-sentinel', key: null, message: 'NIL 哨兵被修改'});
+        }
 
-                        // 插入新键值对
-                        node.keys.splice(i + 1, 0, key);
-                        node.values.splice(i + 1, 0, value);
-                    } else {
-                        // 找到合适的子节点
-                        while (i >= 0 && key < node.keys[i]) {
-                            i--;
-                        }
+        if (this.root !== TYPED_RB_NIL && this._color[this.root] !== TYPED_RB_BLACK) {
+            violations.push({rule: 'root-color', key: this._keys[this.root], message: '根节点不是黑色'});
+        }
 
-                        i++;
+        const state = {count: 0};
+        this._validateHelper(this.root, TYPED_RB_NIL, null, null, violations, state);
 
-                        // 如果子节点已满，需要分裂
-                        if (node.children[i].isFull()) {
-                            this._splitChild(node, i);
+        if (state.count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际节点数为 ${state.count}`});
+        }
 
-                            if (key > node.keys[i]) {
-                                i++;
-                            }
-                        }
+        // 空闲链表长度以已分配节点数为上限，避免链表成环时死循环
+        let free = 0;
+        for (let node = this._freeHead; node !== TYPED_RB_NIL && free < this._nextIndex; node = this._left[node]) {
+            free++;
+        }
 
-                        this._insertNonFull(node.children[i], key, value);
-                    }
-                }
+        if (state.count + free !== this._nextIndex - 1) {
+            violations.push({rule: 'node-pool', key: null, message: `树中 ${state.count} 个节点与空闲链表 ${free} 个节点之和不等于已分配的 ${this._nextIndex - 1} 个节点`});
+        }
 
-                _splitChild(parentNode, childIndex) {
-                    const order = this.order;
-                    const childNode = parentNode.children[childIndex];
-                    const newNode = new BPlusTreeNode(childNode.isLeaf, order);
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
 
-                    // 计算中间位置
-                    const midIndex = Math.floor((order - 1) / 2);
+    // 返回以 node 为根的子树黑高
+    _validateHelper(node, parent, lower, upper, violations, state) {
+        if (node === TYPED_RB_NIL) {
+            return 1;
+        }
 
-                    if (childNode.isLeaf) {
-                        // B+树特性：叶子节点分裂时，中间键会同时出现在两个节点中
+        // 超过已分配节点数说明存在环，停止继续遍历
+        if (++state.count >= this._nextIndex) {
+            return 1;
+        }
 
-                        // 复制后半部分键值到新节点
-                        for (let i = midIndex; i < order - 1; i++) {
-                            newNode.keys.push(childNode.keys[i]);
-                            newNode.values.push(childNode.values[i]);
-                        }
+        const key = this._keys[node];
+        const left = this._left[node];
+        const right = this._right[node];
 
-                        // 更新原节点
-                        childNode.keys.length = midIndex;
-                        childNode.values.length = midIndex;
+        if (this._parent[node] !== parent) {
+            violations.push({rule: 'parent-pointer', key, message: '父指针与实际父节点不一致'});
+        }
 
-                        // 更新叶子节点链表
-                        newNode.next = childNode.next;
-                        childNode.next = newNode;
+        if ((lower !== null && this.compare(key, lower) <= 0) || (upper !== null && this.compare(key, upper) >= 0)) {
+            violations.push({rule: 'key-order', key, message: '键不满足二叉搜索树顺序'});
+        }
 
-                        // 将新节点的第一个键插入到父节点
-                        parentNode.keys.splice(childIndex, 0, newNode.keys[0]);
-                        parentNode.children.splice(childIndex + 1, 0, newNode);
-                    } else {
-                        // 内部节点分裂
+        if (this._color[node] === TYPED_RB_RED && (this._color[left] === TYPED_RB_RED || this._color[right] === TYPED_RB_RED)) {
+            violations.push({rule: 'red-red', key, message: '红色节点存在红色子节点'});
+        }
 
-                        // 复制后半部分键到新节点
-                        for (let i = midIndex + 1; i < order - 1; i++) {
-                            newNode.keys.push(childNode.keys[i]);
-                        }
+        if (this._size[node] !== this._size[left] + this._size[right] + 1) {
+            violations.push({rule: 'subtree-size', key, message: `子树大小为 ${this._size[node]}，应为 ${this._size[left] + this._size[right] + 1}`});
+        }
 
-                        // 复制后半部分子节点到新节点
-                        for (let i = midIndex + 1; i < order; i++) {
-                            newNode.children.push(childNode.children[i]);
-                        }
+        const leftHeight = this._validateHelper(left, node, lower, key, violations, state);
+        const rightHeight = this._validateHelper(right, node, key, upper, violations, state);
 
-                        // 提取中间键到父节点
-                        const midKey = childNode.keys[midIndex];
+        if (leftHeight !== rightHeight) {
+            violations.push({rule: 'black-height', key, message: `左右子树黑高不一致 (${leftHeight} vs ${rightHeight})`});
+        }
 
-                        // 更新原节点
-                        childNode.keys.length = midIndex;
-                        childNode.children.length = midIndex + 1;
+        return Math.max(leftHeight, rightHeight) + (this._color[node] === TYPED_RB_BLACK ? 1 : 0);
+    }
+}
 
-                        // 将中间键插入到父节点
-                        parentNode.keys.splice(childIndex, 0, midKey);
-                        parentNode.children.splice(childIndex + 1, 0, newNode);
-                    }
-                }
+// 1.2 AVL树实现
+class AVLNode {
+    constructor(key, value = null) {
+        this.key = key;
+        this.value = value;
+        this.left = null;
+        this.right = null;
+        this.height = 1;
+        this.size = 1; // 子树节点数，用于顺序统计
+    }
+}
 
-                search(key) {
-                    let node = this.root;
+class AVLTree {
+    constructor({compare = defaultCompare, allowDuplicates = false} = {}) {
+        this.compare = compare;
+        initMultimap(this, allowDuplicates);
+        this.root = null;
+        this.size = 0;
+        this.counters = null;
+    }
 
-                    while (!node.isLeaf) {
-                        let i = 0;
+    // 从按键严格递增的 {key, value} 数组以 O(n) 构建 AVL 树，取中点递归建树，左右子树大小至多相差 1
+    static fromSorted(entries, options = {}) {
+        const tree = new AVLTree(options);
+        assertSortedEntries(entries, tree.compare);
 
-                        while (i < node.keys.length && key >= node.keys[i]) {
-                            i++;
-                        }
+        tree.root = tree._buildFromSorted(entries, 0, entries.length - 1);
+        tree.size = entries.length;
 
-                        node = node.children[i];
-                    }
+        return tree;
+    }
 
-                    for (let i = 0; i < node.keys.length; i++) {
-                        if (node.keys[i] === key) {
-                            return node.values[i];
-                        }
-                    }
+    _buildFromSorted(entries, lo, hi) {
+        if (lo > hi) {
+            return null;
+        }
 
-                    return null;
-                }
+        const mid = (lo + hi) >>> 1;
+        const node = new AVLNode(entries[mid].key, entries[mid].value);
+        node.left = this._buildFromSorted(entries, lo, mid - 1);
+        node.right = this._buildFromSorted(entries, mid + 1, hi);
+        this.updateHeight(node);
+        this.updateSize(node);
 
-                // B+树的删除操作较为复杂，这里仅提供一个简化版实现
-                delete(key) {
-                    if (this.root.keys.length === 0) {
-                        return false;
-                    }
+        return node;
+    }
 
-                    const result = this._deleteHelper(this.root, key);
+    height(node) {
+        return node ? node.height : 0;
+    }
 
-                    // 如果根节点没有键且不是叶子节点，更新根节点
-                    if (this.root.keys.length === 0 && !this.root.isLeaf) {
-                        this.root = this.root.children[0];
-                    }
+    balanceFactor(node) {
+        return node ? this.height(node.left) - this.height(node.right) : 0;
+    }
 
-                    if (result) {
-                        this.size--;
-                    }
+    updateHeight(node) {
+        if (node) {
+            node.height = Math.max(this.height(node.left), this.height(node.right)) + 1;
+        }
+    }
 
-                    return result;
-                }
+    subtreeSize(node) {
+        return node ? node.size : 0;
+    }
 
-                _deleteHelper(node, key) {
-                    if (node.isLeaf) {
-                        // 在叶子节点中查找并删除键
-                        for (let i = 0; i < node.keys.length; i++) {
-                            if (node.keys[i] === key) {
-                                node.keys.splice(i, 1);
-                                node.values.splice(i, 1);
-                                return true;
-                            }
-                        }
-                        return false;
-                    } else {
-                        // 在内部节点查找子节点
-                        let i = 0;
+    updateSize(node) {
+        if (node) {
+            node.size = this.subtreeSize(node.left) + this.subtreeSize(node.right) + 1;
+        }
+    }
 
-                        while (i < node.keys.length && key >= node.keys[i]) {
-                            i++;
-                        }
+    rotateRight(y) {
+        const x = y.left;
+        const T3 = x.right;
 
-                        // 简化实现，不处理节点合并和再平衡
-                        return this._deleteHelper(node.children[i], key);
-                    }
-                }
+        x.right = y;
+        y.left = T3;
 
-                rangeSearch(minKey, maxKey) {
-                    const result = [];
+        this.updateHeight(y);
+        this.updateHeight(x);
+        this.updateSize(y);
+        this.updateSize(x);
 
-                    // 先找到包含最小键的叶子节点
-                    let node = this.root;
+        return x;
+    }
 
-                    while (!node.isLeaf) {
-                        let i = 0;
+    rotateLeft(x) {
+        const y = x.right;
+        const T2 = y.left;
 
-                        while (i < node.keys.length && minKey >= node.keys[i]) {
-                            i++;
-                        }
+        y.left = x;
+        x.right = T2;
 
-                        node = node.children[i];
-                    }
+        this.updateHeight(x);
+        this.updateHeight(y);
+        this.updateSize(x);
+        this.updateSize(y);
 
-                    // 从该叶子节点开始收集范围内的键值对
-                    while (node) {
-                        for (let i = 0; i < node.keys.length; i++) {
-                            if (node.keys[i] >= minKey && node.keys[i] <= maxKey) {
-                                result.push({key: node.keys[i], value: node.values[i]});
-                            } else if (node.keys[i] > maxKey) {
-                                return result;
-                            }
-                        }
+        return y;
+    }
 
-                        node = node.next;
-                    }
+    rebalance(node) {
+        if (!node) {
+            return null;
+        }
 
-                    return result;
-                }
+        this.updateHeight(node);
+        this.updateSize(node);
 
-                inOrderTraversal(callback) {
-                    this._inOrderTraversalHelper(this.root, callback);
-                }
+        const balance = this.balanceFactor(node);
 
-                _inOrderTraversalHelper(node, callback) {
-                    if (node.isLeaf) {
-                        for (let i = 0; i < node.keys.length; i++) {
-                            callback({key: node.keys[i], value: node.values[i]});
-                        }
-                    } else {
-                        for (let i = 0; i < node.keys.length; i++) {
-                            this._inOrderTraversalHelper(node.children[i], callback);
-                            callback({key: node.keys[i], value: null});
-                        }
+        // 左左情况
+        if (balance > 1 && this.balanceFactor(node.left) >= 0) {
+            return this.rotateRight(node);
+        }
 
-                        this._inOrderTraversalHelper(node.children[node.keys.length], callback);
-                    }
-                }
-            }
+        // 右右情况
+        if (balance < -1 && this.balanceFactor(node.right) <= 0) {
+            return this.rotateLeft(node);
+        }
 
-            // 1.8 线性数组 (用作基准参照)
-            class LinearArray {
-                constructor() {
-                    this.items = [];
-                    this.size = 0;
-                }
+        // 左右情况
+        if (balance > 1 && this.balanceFactor(node.left) < 0) {
+            node.left = this.rotateLeft(node.left);
+            return this.rotateRight(node);
+        }
 
-                insert(key, value = null) {
-                    // 查找插入位置，保持有序
-                    let index = 0;
+        // 右左情况
+        if (balance < -1 && this.balanceFactor(node.right) > 0) {
+            node.right = this.rotateRight(node.right);
+            return this.rotateLeft(node);
+        }
 
-                    while (index < this.items.length && this.items[index].key < key) {
-                        index++;
-                    }
+        return node;
+    }
 
-                    // 如果键已存在，更新值
-                    if (index < this.items.length && this.items[index].key === key) {
-                        this.items[index].value = value;
-                        return;
-                    }
+    insert(key, value = null) {
+        const sizeBefore = this.size;
+        this.root = this._insertHelper(this.root, key, value);
+        return this.size > sizeBefore;
+    }
 
-                    // 插入新键值对
-                    this.items.splice(index, 0, {key, value});
-                    this.size++;
-                }
+    _insertHelper(node, key, value) {
+        if (!node) {
+            this.size++;
+            return new AVLNode(key, value);
+        }
 
-                search(key) {
-                    // 二分查找
-                    let left = 0;
-                    let right = this.items.length - 1;
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
 
-                    while (left <= right) {
-                        const mid = Math.floor((left + right) / 2);
+        const cmp = this.compare(key, node.key);
 
-                        if (this.items[mid].key === key) {
-                            return this.items[mid].value;
-                        }
+        if (cmp < 0) {
+            node.left = this._insertHelper(node.left, key, value);
+        } else if (cmp > 0) {
+            node.right = this._insertHelper(node.right, key, value);
+        } else {
+            // 键已存在，更新值
+            node.value = value;
+            return node;
+        }
 
-                        if (this.items[mid].key < key) {
-                            left = mid + 1;
-                        } else {
-                            right = mid - 1;
-                        }
-                    }
+        return this.rebalance(node);
+    }
 
-                    return null;
-                }
+    search(key) {
+        let current = this.root;
 
-                delete(key) {
-                    // 二分查找
-                    let left = 0;
-                    let right = this.items.length - 1;
+        while (current) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
 
-                    while (left <= right) {
-                        const mid = Math.floor((left + right) / 2);
+            const cmp = this.compare(key, current.key);
 
-                        if (this.items[mid].key === key) {
-                            this.items.splice(mid, 1);
-                            this.size--;
-                            return true;
-                        }
+            if (cmp === 0) {
+                return current.value;
+            }
 
-                        if (this.items[mid].key < key) {
-                            left = mid + 1;
-                        } else {
-                            right = mid - 1;
-                        }
-                    }
+            if (cmp < 0) {
+                current = current.left;
+            } else {
+                current = current.right;
+            }
+        }
 
-                    return false;
-                }
+        return null;
+    }
 
-                rangeSearch(minKey, maxKey) {
-                    const result = [];
+    minValueNode(node) {
+        let current = node;
 
-                    // 二分查找找到起始位置
-                    let start = 0;
+        while (current && current.left) {
+            current = current.left;
+        }
 
-                    while (start < this.items.length && this.items[start].key < minKey) {
-                        start++;
-                    }
+        return current;
+    }
 
-                    // 从起始位置收集范围内的键值对
-                    while (start < this.items.length && this.items[start].key <= maxKey) {
-                        result.push({key: this.items[start].key, value: this.items[start].value});
-                        start++;
-                    }
+    delete(key) {
+        const initialSize = this.size;
+        this.root = this._deleteHelper(this.root, key);
+        return initialSize !== this.size;
+    }
 
-                    return result;
-                }
+    _deleteHelper(node, key) {
+        if (!node) {
+            return null;
+        }
 
-                inOrderTraversal(callback) {
-                    for (const item of this.items) {
-                        callback(item);
-                    }
-                }
-            }
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
 
-// ====================== 2. 测试数据生成器 ======================
+        const cmp = this.compare(key, node.key);
 
-// 生成不同分布的测试数据
-            class DataGenerator {
-                // 均匀随机分布
-                static uniformDistribution(size, min = 0, max = Number.MAX_SAFE_INTEGER) {
-                    const data = [];
-
-                    for (let i = 0; i < size; i++) {
-                        const key = Math.floor(Math.random() * (max - min + 1)) + min;
-                        data.push({key, value: `value-${key}`});
-                    }
+        if (cmp < 0) {
+            node.left = this._deleteHelper(node.left, key);
+        } else if (cmp > 0) {
+            node.right = this._deleteHelper(node.right, key);
+        } else {
+            // 找到要删除的节点
+
+            // 情况1: 叶子节点或者只有一个子节点
+            if (!node.left || !node.right) {
+                const temp = node.left || node.right;
 
-                    return data;
+                // 没有子节点
+                if (!temp) {
+                    node = null;
+                } else {
+                    // 有一个子节点
+                    node = temp;
                 }
 
-                // 正态分布 (使用Box-Muller变换)
-                static normalDistribution(size, mean = 500000, stdDev = 100000) {
-                    const data = [];
+                this.size--;
+            } else {
+                // 情况2: 有两个子节点
+                // 找到右子树中最小的节点（后继节点）
+                const temp = this.minValueNode(node.right);
 
-                    for (let i = 0; i < size; i++) {
-                        let u = 0, v = 0;
-                        while (u === 0) u = Math.random();
-                        while (v === 0) v = Math.random();
+                // 复制后继节点的键和值到当前节点
+                node.key = temp.key;
+                node.value = temp.value;
 
-                        const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-                        const key = Math.max(0, Math.floor(mean + z * stdDev));
+                // 删除后继节点
+                node.right = this._deleteHelper(node.right, temp.key);
+                // 此时 size 已经在递归中减少
+            }
+        }
 
-                        data.push({key, value: `value-${key}`});
-                    }
+        // 如果树为空
+        if (!node) {
+            return null;
+        }
 
-                    return data;
-                }
+        // 重新平衡树
+        return this.rebalance(node);
+    }
 
-                // 偏斜分布 (80/20法则)
-                static skewedDistribution(size, min = 0, max = Number.MAX_SAFE_INTEGER) {
-                    const data = [];
-                    const hotspotSize = Math.floor(max * 0.2);
-                    const hotspotProbability = 0.8;
+    // 导航操作：返回最小键的键值对，树为空时返回 null
+    min() {
+        if (!this.root) {
+            return null;
+        }
 
-                    for (let i = 0; i < size; i++) {
-                        let key;
+        let current = this.root;
+        while (current.left) {
+            current = current.left;
+        }
 
-                        if (Math.random() < hotspotProbability) {
-                            // 80%的概率生成热点区域内的键
-                            key = Math.floor(Math.random() * hotspotSize) + min;
-                        } else {
-                            // 20%的概率生成非热点区域内的键
-                            key = Math.floor(Math.random() * (max - hotspotSize)) + min + hotspotSize;
-                        }
+        return {key: current.key, value: current.value};
+    }
 
-                        data.push({key, value: `value-${key}`});
-                    }
+    // 导航操作：返回最大键的键值对，树为空时返回 null
+    max() {
+        if (!this.root) {
+            return null;
+        }
 
-                    return data;
+        let current = this.root;
+        while (current.right) {
+            current = current.right;
+        }
+
+        return {key: current.key, value: current.value};
+    }
+
+    // 导航操作：小于等于 key 的最大键
+    floor(key) {
+        return this._floorEntry(key, true);
+    }
+
+    // 导航操作：大于等于 key 的最小键
+    ceiling(key) {
+        return this._ceilingEntry(key, true);
+    }
+
+    // 导航操作：严格小于 key 的最大键
+    lower(key) {
+        return this._floorEntry(key, false);
+    }
+
+    // 导航操作：严格大于 key 的最小键
+    higher(key) {
+        return this._ceilingEntry(key, false);
+    }
+
+    _floorEntry(key, inclusive) {
+        let current = this.root;
+        let best = null;
+
+        while (current) {
+            if (this.compare(current.key, key) < 0 || (inclusive && this.compare(current.key, key) === 0)) {
+                best = current;
+                current = current.right;
+            } else {
+                current = current.left;
+            }
+        }
+
+        return best ? {key: best.key, value: best.value} : null;
+    }
+
+    _ceilingEntry(key, inclusive) {
+        let current = this.root;
+        let best = null;
+
+        while (current) {
+            if (this.compare(current.key, key) > 0 || (inclusive && this.compare(current.key, key) === 0)) {
+                best = current;
+                current = current.left;
+            } else {
+                current = current.right;
+            }
+        }
+
+        return best ? {key: best.key, value: best.value} : null;
+    }
+
+    rangeSearch(minKey, maxKey) {
+        const result = [];
+        this._rangeSearchHelper(this.root, minKey, maxKey, result);
+        return result;
+    }
+
+    _rangeSearchHelper(node, minKey, maxKey, result) {
+        if (!node) {
+            return;
+        }
+
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        if (this.compare(node.key, minKey) > 0) {
+            this._rangeSearchHelper(node.left, minKey, maxKey, result);
+        }
+
+        if (this.compare(node.key, minKey) >= 0 && this.compare(node.key, maxKey) <= 0) {
+            result.push({key: node.key, value: node.value});
+        }
+
+        if (this.compare(node.key, maxKey) < 0) {
+            this._rangeSearchHelper(node.right, minKey, maxKey, result);
+        }
+    }
+
+    // 顺序统计：返回第 k 小（从 0 开始）的键值对，越界时返回 null
+    select(k) {
+        if (k < 0 || k >= this.size) {
+            return null;
+        }
+
+        let current = this.root;
+
+        while (current) {
+            const leftSize = this.subtreeSize(current.left);
+
+            if (k < leftSize) {
+                current = current.left;
+            } else if (k > leftSize) {
+                k -= leftSize + 1;
+                current = current.right;
+            } else {
+                return {key: current.key, value: current.value};
+            }
+        }
+
+        return null;
+    }
+
+    // 顺序统计：返回严格小于 key 的键的个数
+    rank(key) {
+        return this._countLess(key, false);
+    }
+
+    // 统计 [minKey, maxKey] 内的键数，无需像 rangeSearch 那样构建结果数组
+    countRange(minKey, maxKey) {
+        if (this.compare(minKey, maxKey) > 0) {
+            return 0;
+        }
+
+        return this._countLess(maxKey, true) - this._countLess(minKey, false);
+    }
+
+    // 统计小于 key（inclusive 为 true 时为小于等于）的键的个数
+    _countLess(key, inclusive) {
+        let count = 0;
+        let current = this.root;
+
+        while (current) {
+            if (this.compare(key, current.key) < 0 || (!inclusive && this.compare(key, current.key) === 0)) {
+                current = current.left;
+            } else {
+                count += this.subtreeSize(current.left) + 1;
+                current = current.right;
+            }
+        }
+
+        return count;
+    }
+
+    // 使用显式栈做惰性中序遍历，并跳过范围外的子树
+    * _iterate(minKey, maxKey, reverse) {
+        const stack = [];
+        let current = this.root;
+
+        while (stack.length > 0 || current !== null) {
+            if (current !== null) {
+                if (!reverse) {
+                    // 小于 minKey 的节点连同其左子树都可跳过
+                    if (minKey === undefined || this.compare(current.key, minKey) >= 0) {
+                        stack.push(current);
+                        current = current.left;
+                    } else {
+                        current = current.right;
+                    }
+                } else {
+                    // 大于 maxKey 的节点连同其右子树都可跳过
+                    if (maxKey === undefined || this.compare(current.key, maxKey) <= 0) {
+                        stack.push(current);
+                        current = current.right;
+                    } else {
+                        current = current.left;
+                    }
+                }
+            } else {
+                const node = stack.pop();
+
+                if (!reverse && maxKey !== undefined && this.compare(node.key, maxKey) > 0) {
+                    return;
+                }
+
+                if (reverse && minKey !== undefined && this.compare(node.key, minKey) < 0) {
+                    return;
+                }
+
+                yield {key: node.key, value: node.value};
+                current = reverse ? node.left : node.right;
+            }
+        }
+    }
+
+    // ---------- 拆分、合并与集合运算 ----------
+    // 以下操作会消耗参与运算的树：节点被直接移动到结果树中，原树随后变为空树
+
+    // 按 key 拆分：left 含全部小于 key 的键，right 含全部大于 key 的键，
+    // entry 为 key 对应的条目（不存在时为 null），O(log n)
+    split(key) {
+        const parts = this._split(this.root, key);
+        const left = new AVLTree({compare: this.compare});
+        const right = new AVLTree({compare: this.compare});
+
+        this.root = null;
+        this.size = 0;
+        left._adoptRoot(parts.left);
+        right._adoptRoot(parts.right);
+
+        return {left, entry: parts.found ? {key: parts.found.key, value: parts.found.value} : null, right};
+    }
+
+    // 合并两棵树，要求 left 的键全部小于 right 的键，O(log n)
+    static join(left, right) {
+        const leftMax = left.max();
+        const rightMin = right.min();
+
+        if (leftMax !== null && rightMin !== null && left.compare(leftMax.key, rightMin.key) >= 0) {
+            throw new Error('join 要求左树的键全部小于右树的键');
+        }
+
+        const result = new AVLTree({compare: left.compare});
+        result._adoptRoot(result._join2(left._takeRoot(), right._takeRoot()));
+        return result;
+    }
+
+    // 并集，键重复时保留 a 中的值，O(m log(n/m + 1))
+    static union(a, b) {
+        const result = new AVLTree({compare: a.compare});
+        result._adoptRoot(result._union(a._takeRoot(), b._takeRoot()));
+        return result;
+    }
+
+    // 交集，值取自 a
+    static intersection(a, b) {
+        const result = new AVLTree({compare: a.compare});
+        result._adoptRoot(result._intersection(a._takeRoot(), b._takeRoot()));
+        return result;
+    }
+
+    // 差集 a - b
+    static difference(a, b) {
+        const result = new AVLTree({compare: a.compare});
+        result._adoptRoot(result._difference(a._takeRoot(), b._takeRoot()));
+        return result;
+    }
+
+    _takeRoot() {
+        const root = this.root;
+        this.root = null;
+        this.size = 0;
+        return root;
+    }
+
+    _adoptRoot(root) {
+        this.root = root;
+        this.size = this.subtreeSize(root);
+    }
+
+    // 以 node 为中间节点连接两棵子树（left 的键均小于 node.key，right 的键均大于 node.key）
+    // 高度差超过 1 时沿较高子树的右（左）脊下降到高度相近处挂入，再逐层 rebalance，耗时 O(|高度差| + 1)
+    _join(left, node, right) {
+        if (this.height(left) > this.height(right) + 1) {
+            return this._joinRight(left, node, right);
+        }
+
+        if (this.height(right) > this.height(left) + 1) {
+            return this._joinLeft(left, node, right);
+        }
+
+        node.left = left;
+        node.right = right;
+        this.updateHeight(node);
+        this.updateSize(node);
+
+        return node;
+    }
+
+    _joinRight(left, node, right) {
+        if (this.height(left.right) <= this.height(right) + 1) {
+            node.left = left.right;
+            node.right = right;
+            this.updateHeight(node);
+            this.updateSize(node);
+            left.right = node;
+        } else {
+            left.right = this._joinRight(left.right, node, right);
+        }
+
+        return this.rebalance(left);
+    }
+
+    _joinLeft(left, node, right) {
+        if (this.height(right.left) <= this.height(left) + 1) {
+            node.left = left;
+            node.right = right.left;
+            this.updateHeight(node);
+            this.updateSize(node);
+            right.left = node;
+        } else {
+            right.left = this._joinLeft(left, node, right.left);
+        }
+
+        return this.rebalance(right);
+    }
+
+    // 连接两棵子树（left 的键均小于 right 的键），先取出 left 的最大节点作为中间节点
+    _join2(left, right) {
+        if (!left) {
+            return right;
+        }
+
+        if (!right) {
+            return left;
+        }
+
+        const {rest, last} = this._splitLast(left);
+        return this._join(rest, last, right);
+    }
+
+    _splitLast(node) {
+        if (!node.right) {
+            return {rest: node.left, last: node};
+        }
+
+        const {rest, last} = this._splitLast(node.right);
+        return {rest: this._join(node.left, node, rest), last};
+    }
+
+    _split(node, key) {
+        if (!node) {
+            return {left: null, found: null, right: null};
+        }
+
+        const left = node.left;
+        const right = node.right;
+        const cmp = this.compare(key, node.key);
+
+        if (cmp === 0) {
+            return {left, found: node, right};
+        }
+
+        if (cmp < 0) {
+            const parts = this._split(left, key);
+            return {left: parts.left, found: parts.found, right: this._join(parts.right, node, right)};
+        }
+
+        const parts = this._split(right, key);
+        return {left: this._join(left, node, parts.left), found: parts.found, right: parts.right};
+    }
+
+    _union(a, b) {
+        if (!a) {
+            return b;
+        }
+
+        if (!b) {
+            return a;
+        }
+
+        const left = a.left;
+        const right = a.right;
+        const parts = this._split(b, a.key);
+
+        return this._join(this._union(left, parts.left), a, this._union(right, parts.right));
+    }
+
+    _intersection(a, b) {
+        if (!a || !b) {
+            return null;
+        }
+
+        const aLeft = a.left;
+        const aRight = a.right;
+        const parts = this._split(b, a.key);
+        const left = this._intersection(aLeft, parts.left);
+        const right = this._intersection(aRight, parts.right);
+
+        return parts.found ? this._join(left, a, right) : this._join2(left, right);
+    }
+
+    _difference(a, b) {
+        if (!a || !b) {
+            return a;
+        }
+
+        const bLeft = b.left;
+        const bRight = b.right;
+        const parts = this._split(a, b.key);
+
+        return this._join2(this._difference(parts.left, bLeft), this._difference(parts.right, bRight));
+    }
+
+    inOrderTraversal(callback) {
+        this._inOrderTraversalHelper(this.root, callback);
+    }
+
+    _inOrderTraversalHelper(node, callback) {
+        if (!node) {
+            return;
+        }
+
+        this._inOrderTraversalHelper(node.left, callback);
+        callback(node);
+        this._inOrderTraversalHelper(node.right, callback);
+    }
+
+    // 内存模型（见 modelMemory）：size 个节点，节点大小按实例的字段数计算
+    memoryModel() {
+        if (this.root === null) {
+            return modelMemory([]);
+        }
+
+        return modelMemory([[this.root.constructor.name, this.size * instanceBytes(this.root)]]);
+    }
+
+    // 树形统计（见 treeShape），另加平衡因子分布 {左右子树高度差: 节点数}
+    shapeStats() {
+        const balanceFactors = {};
+        const shape = treeShape(this.root, node => [node.left, node.right].filter(child => child !== null), node => countInto(balanceFactors, this.balanceFactor(node)));
+        shape.balanceFactors = balanceFactors;
+
+        return shape;
+    }
+
+    // 校验AVL树性质：存储的高度正确、平衡因子在 [-1, 1] 内，以及键序、子树大小和 size
+    validate() {
+        const violations = [];
+        const state = {count: 0};
+
+        this._validateHelper(this.root, null, null, violations, state);
+
+        if (state.count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际节点数为 ${state.count}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+
+    // 返回以 node 为根的子树实际高度
+    _validateHelper(node, lower, upper, violations, state) {
+        if (!node) {
+            return 0;
+        }
+
+        state.count++;
+
+        if ((lower !== null && this.compare(node.key, lower) <= 0) || (upper !== null && this.compare(node.key, upper) >= 0)) {
+            violations.push({rule: 'key-order', key: node.key, message: '键不满足二叉搜索树顺序'});
+        }
+
+        const leftHeight = this._validateHelper(node.left, lower, node.key, violations, state);
+        const rightHeight = this._validateHelper(node.right, node.key, upper, violations, state);
+        const height = Math.max(leftHeight, rightHeight) + 1;
+
+        if (node.height !== height) {
+            violations.push({rule: 'stored-height', key: node.key, message: `存储高度为 ${node.height}，实际高度为 ${height}`});
+        }
+
+        if (Math.abs(leftHeight - rightHeight) > 1) {
+            violations.push({rule: 'balance-factor', key: node.key, message: `平衡因子为 ${leftHeight - rightHeight}`});
+        }
+
+        const expectedSize = this.subtreeSize(node.left) + this.subtreeSize(node.right) + 1;
+        if (node.size !== expectedSize) {
+            violations.push({rule: 'subtree-size', key: node.key, message: `子树大小为 ${node.size}，应为 ${expectedSize}`});
+        }
+
+        return height;
+    }
+}
+
+// 1.3 跳表实现
+class SkipNode {
+    constructor(key, value = null, level = 0) {
+        this.key = key;
+        this.value = value;
+        this.forward = new Array(level + 1).fill(null);
+    }
+}
+
+class SkipList {
+    // random 为决定节点层级的随机数流，默认使用共享流（参见 setRandomSeed）
+    // 构造参数为 (maxLevel, p, options)，也可以只传一个包含 maxLevel、p 的选项对象（参见 splitConstructorArgs）
+    constructor(...args) {
+        const [maxLevel = 16, p = 0.5, {compare = defaultCompare, allowDuplicates = false, random = sharedRandom}] =
+            splitConstructorArgs('SkipList', ['maxLevel', 'p'], args);
+        this.compare = compare;
+        initMultimap(this, allowDuplicates);
+        this.maxLevel = maxLevel;
+        this.p = p;
+        this.random = random;
+        this.level = 0;
+        this.header = new SkipNode(-Infinity, null, maxLevel);
+        this.size = 0;
+        this.counters = null;
+    }
+
+    randomLevel() {
+        let level = 0;
+        while (this.random.next() < this.p && level < this.maxLevel) {
+            level++;
+        }
+        return level;
+    }
+
+    insert(key, value = null) {
+        const update = new Array(this.maxLevel + 1).fill(null);
+        let current = this.header;
+
+        // 寻找插入位置，并记录每一层的前驱节点
+        for (let i = this.level; i >= 0; i--) {
+            while (current.forward[i] !== null && this.compare(current.forward[i].key, key) < 0) {
+                current = current.forward[i];
+
+                if (this.counters !== null) {
+                    this.counters.nodeVisits++;
+                }
+            }
+            update[i] = current;
+        }
+
+        if (this.counters !== null) {
+            this.counters.levelHops += this.level + 1;
+        }
+
+        current = current.forward[0];
+
+        // 如果键已存在，更新值
+        if (current !== null && this.compare(current.key, key) === 0) {
+            current.value = value;
+            return false;
+        }
+
+        // 生成随机层级
+        const newLevel = this.randomLevel();
+
+        // 如果新层级大于当前层级，更新前驱节点
+        if (newLevel > this.level) {
+            for (let i = this.level + 1; i <= newLevel; i++) {
+                update[i] = this.header;
+            }
+            this.level = newLevel;
+        }
+
+        // 创建新节点
+        const newNode = new SkipNode(key, value, newLevel);
+
+        // 更新前驱节点的指针
+        for (let i = 0; i <= newLevel; i++) {
+            newNode.forward[i] = update[i].forward[i];
+            update[i].forward[i] = newNode;
+        }
+
+        this.size++;
+        return true;
+    }
+
+    search(key) {
+        let current = this.header;
+
+        // 从最高层开始搜索
+        for (let i = this.level; i >= 0; i--) {
+            while (current.forward[i] !== null && this.compare(current.forward[i].key, key) < 0) {
+                current = current.forward[i];
+
+                if (this.counters !== null) {
+                    this.counters.nodeVisits++;
+                }
+            }
+        }
+
+        if (this.counters !== null) {
+            this.counters.levelHops += this.level + 1;
+        }
+
+        current = current.forward[0];
+
+        // 判断是否找到
+        if (current !== null && this.compare(current.key, key) === 0) {
+            return current.value;
+        }
+
+        return null;
+    }
+
+    delete(key) {
+        const update = new Array(this.maxLevel + 1).fill(null);
+        let current = this.header;
+
+        // 寻找删除位置，并记录每一层的前驱节点
+        for (let i = this.level; i >= 0; i--) {
+            while (current.forward[i] !== null && this.compare(current.forward[i].key, key) < 0) {
+                current = current.forward[i];
+
+                if (this.counters !== null) {
+                    this.counters.nodeVisits++;
+                }
+            }
+            update[i] = current;
+        }
+
+        if (this.counters !== null) {
+            this.counters.levelHops += this.level + 1;
+        }
+
+        current = current.forward[0];
+
+        // 如果找到，则删除
+        if (current !== null && this.compare(current.key, key) === 0) {
+            // 更新前驱节点的指针
+            for (let i = 0; i <= this.level; i++) {
+                if (update[i].forward[i] !== current) {
+                    break;
+                }
+                update[i].forward[i] = current.forward[i];
+            }
+
+            // 更新层级
+            while (this.level > 0 && this.header.forward[this.level] === null) {
+                this.level--;
+            }
+
+            this.size--;
+            return true;
+        }
+
+        return false;
+    }
+
+    // 导航操作：返回最小键的键值对，跳表为空时返回 null
+    min() {
+        const first = this.header.forward[0];
+        return first !== null ? {key: first.key, value: first.value} : null;
+    }
+
+    // 导航操作：返回最大键的键值对，跳表为空时返回 null
+    max() {
+        let current = this.header;
+
+        for (let i = this.level; i >= 0; i--) {
+            while (current.forward[i] !== null) {
+                current = current.forward[i];
+            }
+        }
+
+        return current !== this.header ? {key: current.key, value: current.value} : null;
+    }
+
+    // 导航操作：小于等于 key 的最大键
+    floor(key) {
+        return this._floorEntry(key, true);
+    }
+
+    // 导航操作：大于等于 key 的最小键
+    ceiling(key) {
+        return this._ceilingEntry(key, true);
+    }
+
+    // 导航操作：严格小于 key 的最大键
+    lower(key) {
+        return this._floorEntry(key, false);
+    }
+
+    // 导航操作：严格大于 key 的最小键
+    higher(key) {
+        return this._ceilingEntry(key, false);
+    }
+
+    // 找到最后一个满足条件的节点
+    _floorEntry(key, inclusive) {
+        let current = this.header;
+
+        for (let i = this.level; i >= 0; i--) {
+            while (current.forward[i] !== null &&
+                (this.compare(current.forward[i].key, key) < 0 || (inclusive && this.compare(current.forward[i].key, key) === 0))) {
+                current = current.forward[i];
+            }
+        }
+
+        return current !== this.header ? {key: current.key, value: current.value} : null;
+    }
+
+    // 找到最后一个不满足条件的节点，其后继即为答案
+    _ceilingEntry(key, inclusive) {
+        let current = this.header;
+
+        for (let i = this.level; i >= 0; i--) {
+            while (current.forward[i] !== null &&
+                (this.compare(current.forward[i].key, key) < 0 || (!inclusive && this.compare(current.forward[i].key, key) === 0))) {
+                current = current.forward[i];
+            }
+        }
+
+        current = current.forward[0];
+        return current !== null ? {key: current.key, value: current.value} : null;
+    }
+
+    rangeSearch(minKey, maxKey) {
+        const result = [];
+        let current = this.header;
+
+        // 先找到范围的起始位置
+        for (let i = this.level; i >= 0; i--) {
+            while (current.forward[i] !== null && this.compare(current.forward[i].key, minKey) < 0) {
+                current = current.forward[i];
+
+                if (this.counters !== null) {
+                    this.counters.nodeVisits++;
+                }
+            }
+        }
+
+        if (this.counters !== null) {
+            this.counters.levelHops += this.level + 1;
+        }
+
+        // 移动到第一层
+        current = current.forward[0];
+
+        // 收集范围内的所有节点
+        while (current !== null && this.compare(current.key, maxKey) <= 0) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
+
+            result.push({key: current.key, value: current.value});
+            current = current.forward[0];
+        }
+
+        return result;
+    }
+
+    // 正向沿第 0 层链表扫描；跳表没有后向指针，逆序扫描改为反复查找前驱，每步 O(log n)
+    * _iterate(minKey, maxKey, reverse) {
+        if (reverse) {
+            let entry = maxKey === undefined ? this.max() : this.floor(maxKey);
+
+            while (entry !== null && (minKey === undefined || this.compare(entry.key, minKey) >= 0)) {
+                yield entry;
+                entry = this.lower(entry.key);
+            }
+            return;
+        }
+
+        let current = this.header;
+
+        if (minKey !== undefined) {
+            for (let i = this.level; i >= 0; i--) {
+                while (current.forward[i] !== null && this.compare(current.forward[i].key, minKey) < 0) {
+                    current = current.forward[i];
+                }
+            }
+        }
+
+        current = current.forward[0];
+
+        while (current !== null && (maxKey === undefined || this.compare(current.key, maxKey) <= 0)) {
+            yield {key: current.key, value: current.value};
+            current = current.forward[0];
+        }
+    }
+
+    inOrderTraversal(callback) {
+        let current = this.header.forward[0];
+
+        while (current !== null) {
+            callback(current);
+            current = current.forward[0];
+        }
+    }
+
+    // 内存模型（见 modelMemory）：头节点与各节点对象，以及每个节点按层高分配的 forward 数组
+    memoryModel() {
+        let nodes = 1;
+        let forwardSlots = this.header.forward.length;
+
+        for (const [level, count] of Object.entries(this.shapeStats().levelHistogram)) {
+            nodes += count;
+            forwardSlots += (Number(level) + 1) * count;
+        }
+
+        return modelMemory([['SkipNode', nodes * instanceBytes(this.header)], ...arrayParts(nodes, forwardSlots)]);
+    }
+
+    // 跳表的树形统计：height 为在用的层数，levelHistogram 为节点层高的分布 {层高: 节点数}（层高 0 表示只在最底层）
+    shapeStats() {
+        const levelHistogram = {};
+        let nodeCount = 0;
+
+        for (let node = this.header.forward[0]; node !== null; node = node.forward[0]) {
+            countInto(levelHistogram, node.forward.length - 1);
+            nodeCount++;
+        }
+
+        return {nodeCount, height: this.level + 1, levelHistogram};
+    }
+
+    // 校验跳表性质：每层严格有序、高层节点在低层均存在、层级不越界，以及 size
+    validate() {
+        const violations = [];
+
+        if (this.level < 0 || this.level > this.maxLevel) {
+            violations.push({rule: 'level', key: null, message: `当前层级 ${this.level} 超出 [0, ${this.maxLevel}]`});
+        }
+
+        // 收集每一层链表中的节点
+        const levelNodes = [];
+
+        for (let i = 0; i <= this.maxLevel; i++) {
+            const nodes = new Set();
+            let prev = null;
+            let current = this.header.forward[i];
+
+            if (i > this.level && current !== null) {
+                violations.push({rule: 'level', key: current.key, message: `第 ${i} 层高于当前层级却不为空`});
+            }
+
+            while (current !== null) {
+                if (current.forward.length <= i) {
+                    violations.push({rule: 'node-level', key: current.key, message: `节点出现在第 ${i} 层，但只有 ${current.forward.length} 层指针`});
+                }
+
+                if (prev !== null && this.compare(prev.key, current.key) >= 0) {
+                    violations.push({rule: 'level-order', key: current.key, message: `第 ${i} 层键未严格递增`});
+                }
+
+                nodes.add(current);
+                prev = current;
+                current = current.forward[i];
+            }
+
+            levelNodes.push(nodes);
+        }
+
+        // 每个节点都必须出现在其所有层级的链表中
+        let count = 0;
+        for (const node of levelNodes[0]) {
+            count++;
+
+            if (node.forward.length - 1 > this.maxLevel) {
+                violations.push({rule: 'node-level', key: node.key, message: `节点层级超过 maxLevel ${this.maxLevel}`});
+            }
+
+            for (let i = 1; i < node.forward.length && i <= this.maxLevel; i++) {
+                if (!levelNodes[i].has(node)) {
+                    violations.push({rule: 'level-link', key: node.key, message: `节点未链接到第 ${i} 层`});
+                }
+            }
+        }
+
+        for (let i = 1; i <= this.maxLevel; i++) {
+            for (const node of levelNodes[i]) {
+                if (!levelNodes[0].has(node)) {
+                    violations.push({rule: 'level-link', key: node.key, message: `第 ${i} 层节点不在底层链表中`});
+                }
+            }
+        }
+
+        if (count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际节点数为 ${count}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+}
+
+// 1.3.1 共享内存并发跳表：节点存放在 SharedArrayBuffer 中，多个工作线程可以通过同一个缓冲区操作同一个实例
+// 采用惰性跳表（Herlihy 等）：查找不加锁；插入、删除先无锁定位，再锁住各层前驱并校验，校验失败则重试；
+// 删除先标记节点（逻辑删除）再摘链（物理删除）。键和值均为 32 位整数。
+// 被删除的节点不回收，因为其他线程可能仍在遍历它们，所以容量需要覆盖预装载数量与插入次数之和
+const SHARED_SKIP_HEADER = 8; // 头部：[maxLevel, capacity, 已分配节点数, size, ...保留]
+const SHARED_SKIP_META_MAX_LEVEL = 0;
+const SHARED_SKIP_META_CAPACITY = 1;
+const SHARED_SKIP_META_ALLOCATED = 2;
+const SHARED_SKIP_META_SIZE = 3;
+
+// 节点字段偏移：键、值、层数、删除标记、完全链接标记、锁，之后是各层 next（节点编号）
+const SHARED_SKIP_KEY = 0;
+const SHARED_SKIP_VALUE = 1;
+const SHARED_SKIP_HEIGHT = 2;
+const SHARED_SKIP_MARKED = 3;
+const SHARED_SKIP_LINKED = 4;
+const SHARED_SKIP_LOCK = 5;
+const SHARED_SKIP_NEXT = 6;
+
+// 0 号节点为头哨兵，1 号节点为尾哨兵，比较时按编号识别，不占用键空间
+const SHARED_SKIP_HEAD = 0;
+const SHARED_SKIP_TAIL = 1;
+
+class SharedSkipList {
+    // buffer 为另一个实例的 buffer 时直接附着到该实例，否则按 capacity 分配新的共享缓冲区
+    // random 为本线程决定节点层级的随机数流；附着到同一缓冲区的各线程各自持有自己的流
+    constructor({capacity = 1 << 16, maxLevel = 16, p = 0.5, buffer = null, allowDuplicates = false, random = sharedRandom} = {}) {
+        // 值是共享内存中的 32 位整数，无法存放值桶
+        if (allowDuplicates) {
+            throw new Error('SharedSkipList 的值存放在共享内存中，不支持 allowDuplicates');
+        }
+
+        this.p = p;
+        this.random = random;
+
+        if (buffer) {
+            this.memory = new Int32Array(buffer);
+            this.maxLevel = this.memory[SHARED_SKIP_META_MAX_LEVEL];
+            this.capacity = this.memory[SHARED_SKIP_META_CAPACITY];
+        } else {
+            this.maxLevel = maxLevel;
+            this.capacity = capacity + 2;
+            this.memory = new Int32Array(new SharedArrayBuffer((SHARED_SKIP_HEADER + this.capacity * (SHARED_SKIP_NEXT + maxLevel + 1)) * 4));
+            this.memory[SHARED_SKIP_META_MAX_LEVEL] = maxLevel;
+            this.memory[SHARED_SKIP_META_CAPACITY] = this.capacity;
+            this.memory[SHARED_SKIP_META_ALLOCATED] = 2;
+        }
+
+        this.stride = SHARED_SKIP_NEXT + this.maxLevel + 1;
+
+        if (!buffer) {
+            for (const node of [SHARED_SKIP_HEAD, SHARED_SKIP_TAIL]) {
+                this.memory[this._offset(node) + SHARED_SKIP_HEIGHT] = this.maxLevel + 1;
+                this.memory[this._offset(node) + SHARED_SKIP_LINKED] = 1;
+            }
+
+            for (let level = 0; level <= this.maxLevel; level++) {
+                this.memory[this._offset(SHARED_SKIP_HEAD) + SHARED_SKIP_NEXT + level] = SHARED_SKIP_TAIL;
+            }
+        }
+
+        // 本线程的竞争统计：lockWaits 为需要等待的加锁次数，retries 为校验失败后的重试次数
+        this.stats = {lockWaits: 0, retries: 0};
+        this._preds = new Int32Array(this.maxLevel + 1);
+        this._succs = new Int32Array(this.maxLevel + 1);
+    }
+
+    get buffer() {
+        return this.memory.buffer;
+    }
+
+    get size() {
+        return Atomics.load(this.memory, SHARED_SKIP_META_SIZE);
+    }
+
+    randomLevel() {
+        let level = 0;
+        while (this.random.next() < this.p && level < this.maxLevel) {
+            level++;
+        }
+        return level;
+    }
+
+    _offset(node) {
+        return SHARED_SKIP_HEADER + node * this.stride;
+    }
+
+    _get(node, field) {
+        return Atomics.load(this.memory, this._offset(node) + field);
+    }
+
+    _set(node, field, value) {
+        Atomics.store(this.memory, this._offset(node) + field, value);
+    }
+
+    _next(node, level) {
+        return Atomics.load(this.memory, this._offset(node) + SHARED_SKIP_NEXT + level);
+    }
+
+    _setNext(node, level, next) {
+        Atomics.store(this.memory, this._offset(node) + SHARED_SKIP_NEXT + level, next);
+    }
+
+    // 节点键是否小于 key，头哨兵小于一切键，尾哨兵大于一切键
+    _less(node, key) {
+        if (node === SHARED_SKIP_HEAD) {
+            return true;
+        }
+
+        return node !== SHARED_SKIP_TAIL && this._get(node, SHARED_SKIP_KEY) < key;
+    }
+
+    _isKey(node, key) {
+        return node !== SHARED_SKIP_HEAD && node !== SHARED_SKIP_TAIL && this._get(node, SHARED_SKIP_KEY) === key;
+    }
+
+    _checkInt32(value, name) {
+        if (!Number.isInteger(value) || value < -2147483648 || value > 2147483647) {
+            throw new Error(`SharedSkipList 的${name}必须是 32 位整数，实际为 ${value}`);
+        }
+    }
+
+    // 基于 futex 的互斥锁：0 空闲，1 已加锁，2 已加锁且有线程在等待
+    _lock(node) {
+        const index = this._offset(node) + SHARED_SKIP_LOCK;
+        let state = Atomics.compareExchange(this.memory, index, 0, 1);
+
+        if (state === 0) {
+            return;
+        }
+
+        this.stats.lockWaits++;
+
+        if (state !== 2) {
+            state = Atomics.exchange(this.memory, index, 2);
+        }
+
+        while (state !== 0) {
+            Atomics.wait(this.memory, index, 2);
+            state = Atomics.exchange(this.memory, index, 2);
+        }
+    }
+
+    _unlock(node) {
+        const index = this._offset(node) + SHARED_SKIP_LOCK;
+
+        if (Atomics.sub(this.memory, index, 1) !== 1) {
+            Atomics.store(this.memory, index, 0);
+            Atomics.notify(this.memory, index, 1);
+        }
+    }
+
+    // 释放 preds[0..topLevel] 中已加锁的前驱，同一前驱在相邻层重复出现时只加锁一次
+    _unlockPreds(highestLocked) {
+        let previous = -1;
+
+        for (let level = 0; level <= highestLocked; level++) {
+            if (this._preds[level] !== previous) {
+                this._unlock(this._preds[level]);
+                previous = this._preds[level];
+            }
+        }
+    }
+
+    // 无锁定位：填充每层的前驱和后继，返回键所在的最高层，不存在时返回 -1
+    _find(key) {
+        let found = -1;
+        let pred = SHARED_SKIP_HEAD;
+
+        for (let level = this.maxLevel; level >= 0; level--) {
+            let current = this._next(pred, level);
+
+            while (this._less(current, key)) {
+                pred = current;
+                current = this._next(pred, level);
+            }
+
+            if (found === -1 && this._isKey(current, key)) {
+                found = level;
+            }
+
+            this._preds[level] = pred;
+            this._succs[level] = current;
+        }
+
+        return found;
+    }
+
+    _allocate(key, value, topLevel) {
+        const node = Atomics.add(this.memory, SHARED_SKIP_META_ALLOCATED, 1);
+
+        if (node >= this.capacity) {
+            Atomics.sub(this.memory, SHARED_SKIP_META_ALLOCATED, 1);
+            throw new Error(`SharedSkipList 节点池已满（容量 ${this.capacity - 2}）`);
+        }
+
+        const offset = this._offset(node);
+        this.memory[offset + SHARED_SKIP_KEY] = key;
+        this.memory[offset + SHARED_SKIP_VALUE] = value;
+        this.memory[offset + SHARED_SKIP_HEIGHT] = topLevel + 1;
+
+        for (let level = 0; level <= topLevel; level++) {
+            this.memory[offset + SHARED_SKIP_NEXT + level] = this._succs[level];
+        }
+
+        return node;
+    }
+
+    insert(key, value = 0) {
+        this._checkInt32(key, '键');
+        this._checkInt32(value, '值');
+
+        const topLevel = this.randomLevel();
+
+        while (true) {
+            const found = this._find(key);
+
+            if (found !== -1) {
+                const node = this._succs[found];
+
+                if (!this._get(node, SHARED_SKIP_MARKED)) {
+                    // 键已存在：等待其他线程完成链接后更新值
+                    while (!this._get(node, SHARED_SKIP_LINKED)) {
+                        // 自旋等待
+                    }
+
+                    this._set(node, SHARED_SKIP_VALUE, value);
+                    return false;
+                }
+
+                // 节点正在被删除，重新定位
+                this.stats.retries++;
+                continue;
+            }
+
+            let highestLocked = -1;
+            let previous = -1;
+            let valid = true;
+
+            for (let level = 0; valid && level <= topLevel; level++) {
+                const pred = this._preds[level];
+                const succ = this._succs[level];
+
+                if (pred !== previous) {
+                    this._lock(pred);
+                    previous = pred;
+                }
+
+                highestLocked = level;
+                valid = !this._get(pred, SHARED_SKIP_MARKED) && !this._get(succ, SHARED_SKIP_MARKED) && this._next(pred, level) === succ;
+            }
+
+            if (!valid) {
+                this._unlockPreds(highestLocked);
+                this.stats.retries++;
+                continue;
+            }
+
+            const node = this._allocate(key, value, topLevel);
+
+            for (let level = 0; level <= topLevel; level++) {
+                this._setNext(this._preds[level], level, node);
+            }
+
+            this._set(node, SHARED_SKIP_LINKED, 1);
+            this._unlockPreds(highestLocked);
+            Atomics.add(this.memory, SHARED_SKIP_META_SIZE, 1);
+            return true;
+        }
+    }
+
+    search(key) {
+        const found = this._find(key);
+
+        if (found === -1) {
+            return null;
+        }
+
+        const node = this._succs[found];
+
+        if (!this._get(node, SHARED_SKIP_LINKED) || this._get(node, SHARED_SKIP_MARKED)) {
+            return null;
+        }
+
+        return this._get(node, SHARED_SKIP_VALUE);
+    }
+
+    delete(key) {
+        let victim = -1;
+        let marked = false;
+        let topLevel = -1;
+
+        while (true) {
+            const found = this._find(key);
+
+            if (!marked) {
+                if (found === -1) {
+                    return false;
+                }
+
+                victim = this._succs[found];
+
+                // 只删除已完全链接、在其最高层被找到且未被标记的节点
+                if (!this._get(victim, SHARED_SKIP_LINKED) || this._get(victim, SHARED_SKIP_HEIGHT) - 1 !== found || this._get(victim, SHARED_SKIP_MARKED)) {
+                    return false;
+                }
+
+                topLevel = this._get(victim, SHARED_SKIP_HEIGHT) - 1;
+                this._lock(victim);
+
+                if (this._get(victim, SHARED_SKIP_MARKED)) {
+                    this._unlock(victim);
+                    return false;
+                }
+
+                this._set(victim, SHARED_SKIP_MARKED, 1);
+                marked = true;
+            }
+
+            let highestLocked = -1;
+            let previous = -1;
+            let valid = true;
+
+            for (let level = 0; valid && level <= topLevel; level++) {
+                const pred = this._preds[level];
+
+                if (pred !== previous) {
+                    this._lock(pred);
+                    previous = pred;
+                }
+
+                highestLocked = level;
+                valid = !this._get(pred, SHARED_SKIP_MARKED) && this._next(pred, level) === victim;
+            }
+
+            if (!valid) {
+                this._unlockPreds(highestLocked);
+                this.stats.retries++;
+                continue;
+            }
+
+            for (let level = topLevel; level >= 0; level--) {
+                this._setNext(this._preds[level], level, this._next(victim, level));
+            }
+
+            this._unlock(victim);
+            this._unlockPreds(highestLocked);
+            Atomics.sub(this.memory, SHARED_SKIP_META_SIZE, 1);
+
+            return true;
+        }
+    }
+
+    // 沿第 0 层扫描，跳过已标记的节点；并发修改时结果是弱一致的
+    rangeSearch(minKey, maxKey) {
+        const result = [];
+        this._find(minKey);
+
+        for (let node = this._succs[0]; node !== SHARED_SKIP_TAIL; node = this._next(node, 0)) {
+            const key = this._get(node, SHARED_SKIP_KEY);
+
+            if (key > maxKey) {
+                break;
+            }
+
+            if (!this._get(node, SHARED_SKIP_MARKED)) {
+                result.push({key, value: this._get(node, SHARED_SKIP_VALUE)});
+            }
+        }
+
+        return result;
+    }
+
+    // 节点是否对读者可见：与 search 一致，只认已完全链接且未标记删除的节点。
+    // 导航操作与迭代都只返回可见节点，并且与 _find 一样不加锁，并发修改时结果是弱一致的
+    _isLive(node) {
+        return this._get(node, SHARED_SKIP_LINKED) === 1 && this._get(node, SHARED_SKIP_MARKED) === 0;
+    }
+
+    _entry(node) {
+        return {key: this._get(node, SHARED_SKIP_KEY), value: this._get(node, SHARED_SKIP_VALUE)};
+    }
+
+    // 导航操作：返回最小键的键值对，跳表为空时返回 null
+    min() {
+        return this._ceilingEntry(undefined, true);
+    }
+
+    // 导航操作：返回最大键的键值对，跳表为空时返回 null
+    max() {
+        return this._floorEntry(undefined, true);
+    }
+
+    // 导航操作：小于等于 key 的最大键
+    floor(key) {
+        return this._floorEntry(key, true);
+    }
+
+    // 导航操作：大于等于 key 的最小键
+    ceiling(key) {
+        return this._ceilingEntry(key, true);
+    }
+
+    // 导航操作：严格小于 key 的最大键
+    lower(key) {
+        return this._floorEntry(key, false);
+    }
+
+    // 导航操作：严格大于 key 的最小键
+    higher(key) {
+        return this._ceilingEntry(key, false);
+    }
+
+    // 找到最后一个满足条件的节点（key 为 undefined 时不限制）；该节点不可见时改找严格小于它的键
+    _floorEntry(key, inclusive) {
+        while (true) {
+            let current = SHARED_SKIP_HEAD;
+
+            for (let level = this.maxLevel; level >= 0; level--) {
+                let next = this._next(current, level);
+
+                while (next !== SHARED_SKIP_TAIL && (key === undefined || this._get(next, SHARED_SKIP_KEY) < key ||
+                    (inclusive && this._get(next, SHARED_SKIP_KEY) === key))) {
+                    current = next;
+                    next = this._next(current, level);
+                }
+            }
+
+            if (current === SHARED_SKIP_HEAD) {
+                return null;
+            }
+
+            if (this._isLive(current)) {
+                return this._entry(current);
+            }
+
+            key = this._get(current, SHARED_SKIP_KEY);
+            inclusive = false;
+        }
+    }
+
+    _ceilingEntry(key, inclusive) {
+        const node = this._ceilingNode(key, inclusive);
+        return node !== SHARED_SKIP_TAIL ? this._entry(node) : null;
+    }
+
+    // 找到最后一个不满足条件的节点（key 为 undefined 时为头哨兵），返回第 0 层上其后第一个可见节点，没有时返回尾哨兵
+    _ceilingNode(key, inclusive) {
+        let current = SHARED_SKIP_HEAD;
+
+        if (key !== undefined) {
+            for (let level = this.maxLevel; level >= 0; level--) {
+                let next = this._next(current, level);
+
+                while (next !== SHARED_SKIP_TAIL && (this._get(next, SHARED_SKIP_KEY) < key ||
+                    (!inclusive && this._get(next, SHARED_SKIP_KEY) === key))) {
+                    current = next;
+                    next = this._next(current, level);
+                }
+            }
+        }
+
+        let node = this._next(current, 0);
+
+        while (node !== SHARED_SKIP_TAIL && !this._isLive(node)) {
+            node = this._next(node, 0);
+        }
+
+        return node;
+    }
+
+    // 正向沿第 0 层扫描并跳过不可见的节点；没有后向指针，逆序扫描改为反复查找前驱，每步 O(log n)
+    * _iterate(minKey, maxKey, reverse) {
+        if (reverse) {
+            let entry = this._floorEntry(maxKey, true);
+
+            while (entry !== null && (minKey === undefined || entry.key >= minKey)) {
+                yield entry;
+                entry = this.lower(entry.key);
+            }
+            return;
+        }
+
+        for (let node = this._ceilingNode(minKey, true); node !== SHARED_SKIP_TAIL; node = this._next(node, 0)) {
+            if (!this._isLive(node)) {
+                continue;
+            }
+
+            if (maxKey !== undefined && this._get(node, SHARED_SKIP_KEY) > maxKey) {
+                return;
+            }
+
+            yield this._entry(node);
+        }
+    }
+
+    inOrderTraversal(callback) {
+        for (let node = this._next(SHARED_SKIP_HEAD, 0); node !== SHARED_SKIP_TAIL; node = this._next(node, 0)) {
+            if (!this._get(node, SHARED_SKIP_MARKED)) {
+                callback({key: this._get(node, SHARED_SKIP_KEY), value: this._get(node, SHARED_SKIP_VALUE)});
+            }
+        }
+    }
+
+    // 在没有并发修改时校验：各层键严格递增、上层节点都出现在下层、链上无已标记节点、没有残留的锁，以及 size
+    validate() {
+        const violations = [];
+        let lowerLevel = null;
+        let count = 0;
+
+        for (let level = 0; level <= this.maxLevel; level++) {
+            const currentLevel = new Set();
+            let previousKey = null;
+
+            for (let node = this._next(SHARED_SKIP_HEAD, level); node !== SHARED_SKIP_TAIL; node = this._next(node, level)) {
+                const key = this._get(node, SHARED_SKIP_KEY);
+
+                if (previousKey !== null && key <= previousKey) {
+                    violations.push({rule: 'key-order', key, message: `第 ${level} 层键未严格递增`});
+                }
+
+                if (level > 0 && !lowerLevel.has(node)) {
+                    violations.push({rule: 'level-subset', key, message: `第 ${level} 层的节点不在第 ${level - 1} 层`});
+                }
+
+                if (this._get(node, SHARED_SKIP_HEIGHT) <= level) {
+                    violations.push({rule: 'height', key, message: `节点层数 ${this._get(node, SHARED_SKIP_HEIGHT)} 小于所在层 ${level + 1}`});
+                }
+
+                if (this._get(node, SHARED_SKIP_MARKED)) {
+                    violations.push({rule: 'marked', key, message: '已标记删除的节点仍在链上'});
+                }
+
+                if (this._get(node, SHARED_SKIP_LOCK) !== 0) {
+                    violations.push({rule: 'lock', key, message: '节点锁未释放'});
+                }
+
+                if (level === 0) {
+                    count++;
+                }
+
+                currentLevel.add(node);
+                previousKey = key;
+            }
+
+            lowerLevel = currentLevel;
+        }
+
+        if (count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，第 0 层实际节点数为 ${count}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+}
+
+// 1.4 哈希表实现（简化版）
+class HashTable {
+    // hash 与 equals 需成对提供：equals 判定相等的键必须有相同的哈希值，未提供 hash 时使用 defaultHash；
+    // compare 仅用于范围查询、最近键查找等有序操作
+    // 构造参数为 (initialCapacity, loadFactor, options)，也可以只传一个包含这两个字段的选项对象（参见 splitConstructorArgs）
+    constructor(...args) {
+        const [initialCapacity = 16, loadFactor = 0.75, {hash = null, equals = defaultEquals, compare = defaultCompare, allowDuplicates = false}] =
+            splitConstructorArgs('HashTable', ['initialCapacity', 'loadFactor'], args);
+        this.loadFactor = loadFactor;
+        this.keyHash = hash;
+        this.equals = equals;
+        this.compare = compare;
+        initMultimap(this, allowDuplicates);
+        this.counters = null;
+        this._reset(initialCapacity);
+    }
+
+    // 按给定容量重新分配空的存储，子类（开放寻址哈希表）覆盖此方法使用各自的槽数组
+    _reset(capacity) {
+        this.buckets = new Array(capacity);
+        this.size = 0;
+    }
+
+    // NaN 与自身不相等，NaN 键插入后既查不到也删不掉，每次插入都会新增条目，因此直接拒绝；
+    // valueOf() 为 NaN 的对象键（无效的 Date）同理
+    _checkKey(key) {
+        if (Number.isNaN(hasPrimitiveValue(key) ? key.valueOf() : key)) {
+            throw new Error(`${this.constructor.name} 的键不能是 NaN（包括无效的 Date）`);
+        }
+    }
+
+    // 键的 32 位哈希值，取下标前再经 mixHash32 打散
+    _hashCode(key) {
+        return this.keyHash !== null ? this.keyHash(key) | 0 : defaultHash(key);
+    }
+
+    hash(key) {
+        return (mixHash32(this._hashCode(key)) >>> 0) % this.buckets.length;
+    }
+
+    insert(key, value = null) {
+        this._checkKey(key);
+
+        // 检查是否需要扩容
+        if (this.size / this.buckets.length >= this.loadFactor) {
+            this.resize(this.buckets.length * 2);
+        }
+
+        const index = this.hash(key);
+
+        if (!this.buckets[index]) {
+            this.buckets[index] = [];
+        }
+
+        // 检查键是否已存在
+        for (let i = 0; i < this.buckets[index].length; i++) {
+            if (this.counters !== null) {
+                this.counters.probes++;
+            }
+
+            if (this.equals(this.buckets[index][i].key, key)) {
+                this.buckets[index][i].value = value;
+                return false;
+            }
+        }
+
+        // 如果键不存在，则插入新的键值对
+        this.buckets[index].push({key, value});
+        this.size++;
+        return true;
+    }
+
+    search(key) {
+        const index = this.hash(key);
+
+        if (!this.buckets[index]) {
+            return null;
+        }
+
+        for (const entry of this.buckets[index]) {
+            if (this.counters !== null) {
+                this.counters.probes++;
+            }
+
+            if (this.equals(entry.key, key)) {
+                return entry.value;
+            }
+        }
+
+        return null;
+    }
+
+    delete(key) {
+        const index = this.hash(key);
+
+        if (!this.buckets[index]) {
+            return false;
+        }
+
+        for (let i = 0; i < this.buckets[index].length; i++) {
+            if (this.counters !== null) {
+                this.counters.probes++;
+            }
+
+            if (this.equals(this.buckets[index][i].key, key)) {
+                this.buckets[index].splice(i, 1);
+                this.size--;
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    resize(newCapacity) {
+        const entries = [...this._allEntries()];
+        this._reset(newCapacity);
+
+        for (const entry of entries) {
+            this.insert(entry.key, entry.value);
+        }
+    }
+
+    // 按存储顺序产出全部条目，有序操作和遍历都基于它实现，子类只需覆盖此方法
+    * _allEntries() {
+        for (const bucket of this.buckets) {
+            if (bucket) {
+                yield* bucket;
+            }
+        }
+    }
+
+    // 探测长度统计：命中查找需比较到条目在桶中的位置，未命中查找需比较整个桶；
+    // 各哈希表返回相同的字段，tombstones 和 stash 仅对开放寻址和布谷鸟哈希有意义
+    probeStats() {
+        let total = 0;
+        let max = 0;
+        let missTotal = 0;
+
+        for (const bucket of this.buckets) {
+            const length = bucket ? bucket.length : 0;
+            missTotal += length;
+
+            for (let i = 1; i <= length; i++) {
+                total += i;
+                max = Math.max(max, i);
+            }
+        }
+
+        return {
+            averageSuccessful: this.size > 0 ? total / this.size : 0,
+            maxSuccessful: max,
+            averageUnsuccessful: missTotal / this.buckets.length,
+            loadFactor: this.size / this.buckets.length,
+            tombstones: 0,
+            stash: 0
+        };
+    }
+
+    // 导航操作：哈希表不维护键序，以下实现均为 O(n) 的全表扫描，
+    // 仅用于在最近键查找测试中与有序结构对比
+    min() {
+        return this._scanBest(() => true, (a, b) => this.compare(a, b) < 0);
+    }
+
+    max() {
+        return this._scanBest(() => true, (a, b) => this.compare(a, b) > 0);
+    }
+
+    floor(key) {
+        return this._scanBest(k => this.compare(k, key) <= 0, (a, b) => this.compare(a, b) > 0);
+    }
+
+    ceiling(key) {
+        return this._scanBest(k => this.compare(k, key) >= 0, (a, b) => this.compare(a, b) < 0);
+    }
+
+    lower(key) {
+        return this._scanBest(k => this.compare(k, key) < 0, (a, b) => this.compare(a, b) > 0);
+    }
+
+    higher(key) {
+        return this._scanBest(k => this.compare(k, key) > 0, (a, b) => this.compare(a, b) < 0);
+    }
+
+    // 扫描所有条目，返回满足 accept 且按 better 比较最优的条目
+    _scanBest(accept, better) {
+        let best = null;
+
+        for (const entry of this._allEntries()) {
+            if (accept(entry.key) && (best === null || better(entry.key, best.key))) {
+                best = entry;
+            }
+        }
+
+        return best ? {key: best.key, value: best.value} : null;
+    }
+
+    // 哈希表不支持原生的顺序遍历和范围查询
+    // 但可以为测试目的提供一个非高效实现
+    rangeSearch(minKey, maxKey) {
+        const result = [];
+
+        for (const entry of this._allEntries()) {
+            if (this.compare(entry.key, minKey) >= 0 && this.compare(entry.key, maxKey) <= 0) {
+                result.push({key: entry.key, value: entry.value});
+            }
+        }
+
+        // 排序，以保持结果的有序性
+        result.sort((a, b) => this.compare(a.key, b.key));
+
+        return result;
+    }
+
+    // 哈希表无序，迭代前需收集并排序全部匹配条目，首条结果的延迟为 O(n log n)
+    * _iterate(minKey, maxKey, reverse) {
+        const entries = [];
+
+        for (const entry of this._allEntries()) {
+            if ((minKey === undefined || this.compare(entry.key, minKey) >= 0) && (maxKey === undefined || this.compare(entry.key, maxKey) <= 0)) {
+                entries.push({key: entry.key, value: entry.value});
+            }
+        }
+
+        entries.sort((a, b) => (reverse ? this.compare(b.key, a.key) : this.compare(a.key, b.key)));
+
+        yield* entries;
+    }
+
+    inOrderTraversal(callback) {
+        const entries = [...this._allEntries()];
+
+        // 排序，以保持遍历的有序性
+        entries.sort((a, b) => this.compare(a.key, b.key));
+
+        for (const entry of entries) {
+            callback(entry);
+        }
+    }
+
+    // 内存模型（见 modelMemory）：桶数组、已创建的桶（未使用的桶为空位，不分配数组）与 {key, value} 条目
+    memoryModel() {
+        let bucketArrays = 0;
+        let nonEmpty = 0;
+
+        for (const bucket of this.buckets) {
+            if (bucket) {
+                bucketArrays++;
+                nonEmpty += bucket.length > 0 ? 1 : 0;
+            }
+        }
+
+        return modelMemory([
+            ...arrayParts(1, this.buckets.length),
+            ...arrayParts(bucketArrays, this.size, nonEmpty),
+            ['Object', this.size * objectBytes(2)]
+        ]);
+    }
+
+    // 桶长分布 {桶内条目数: 桶数}，开放寻址子类覆盖为各自的占用情况
+    shapeStats() {
+        const bucketLengths = {};
+
+        for (const bucket of this.buckets) {
+            countInto(bucketLengths, bucket ? bucket.length : 0);
+        }
+
+        return {bucketCount: this.buckets.length, loadFactor: this.size / this.buckets.length, bucketLengths};
+    }
+
+    // 校验哈希表性质：条目位于 hash(key) 对应的桶中、键不重复，以及 size
+    validate() {
+        const violations = [];
+        let count = 0;
+
+        for (let index = 0; index < this.buckets.length; index++) {
+            const bucket = this.buckets[index];
+
+            if (!bucket) {
+                continue;
+            }
+
+            for (let i = 0; i < bucket.length; i++) {
+                const entry = bucket[i];
+                count++;
+
+                if (this.hash(entry.key) !== index) {
+                    violations.push({rule: 'bucket-placement', key: entry.key, message: `条目位于桶 ${index}，应位于桶 ${this.hash(entry.key)}`});
+                }
+
+                // 相等的键哈希值相同，只需在同一个桶内检查重复
+                if (bucket.slice(0, i).some(other => this.equals(other.key, entry.key))) {
+                    violations.push({rule: 'duplicate-key', key: entry.key, message: '键重复出现'});
+                }
+            }
+        }
+
+        if (count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际条目数为 ${count}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+}
+
+// 开放寻址哈希表的槽数取 2 的幂，槽下标用位与计算
+function nextPowerOfTwo(n) {
+    let capacity = 2;
+    while (capacity < n) {
+        capacity *= 2;
+    }
+    return capacity;
+}
+
+// 开放寻址要求表中始终留有空槽，负载因子必须小于 1
+function assertOpenAddressingLoadFactor(name, loadFactor) {
+    if (!(loadFactor > 0 && loadFactor < 1)) {
+        throw new Error(`${name} 的负载因子必须在 (0, 1) 之间，实际为 ${loadFactor}`);
+    }
+}
+
+// 1.4.1 线性探测哈希表：条目直接存放在槽数组中，冲突时依次探测下一个槽。
+// 删除时留下墓碑（HASH_TOMBSTONE），查找越过墓碑继续探测，插入复用遇到的第一个墓碑；
+// 条目与墓碑合计超过负载因子时重建整张表（条目较少时只清除墓碑，不扩容）
+// 开放寻址表的簇长分布 {簇长: 簇数}：簇为连续的非空槽（含墓碑），落在簇内的探测要走到簇尾才能判定不存在；
+// 跨过数组末尾首尾相接的簇按一个簇计算
+function clusterLengths(slots) {
+    const lengths = {};
+    const start = slots.indexOf(null);
+
+    if (start < 0) {
+        countInto(lengths, slots.length);
+        return lengths;
+    }
+
+    let run = 0;
+
+    for (let i = 1; i <= slots.length; i++) {
+        if (slots[(start + i) % slots.length] !== null) {
+            run++;
+        } else if (run > 0) {
+            countInto(lengths, run);
+            run = 0;
+        }
+    }
+
+    return lengths;
+}
+
+const HASH_TOMBSTONE = Object.freeze({key: undefined, value: undefined});
+
+class LinearProbingHashTable extends HashTable {
+    constructor(...args) {
+        const [initialCapacity = 16, loadFactor = 0.5, options] =
+            splitConstructorArgs('LinearProbingHashTable', ['initialCapacity', 'loadFactor'], args);
+        super(initialCapacity, loadFactor, options);
+        assertOpenAddressingLoadFactor('LinearProbingHashTable', loadFactor);
+    }
+
+    _reset(capacity) {
+        this.capacity = nextPowerOfTwo(capacity);
+        this.slots = new Array(this.capacity).fill(null);
+        this.tombstones = 0;
+        this.size = 0;
+    }
+
+    hash(key) {
+        return mixHash32(this._hashCode(key)) & (this.capacity - 1);
+    }
+
+    // 返回 key 所在的槽下标，不存在时返回 -1
+    _findSlot(key) {
+        const mask = this.capacity - 1;
+
+        for (let index = this.hash(key); ; index = (index + 1) & mask) {
+            const entry = this.slots[index];
+
+            if (this.counters !== null) {
+                this.counters.probes++;
+            }
+
+            if (entry === null) {
+                return -1;
+            }
+
+            if (entry !== HASH_TOMBSTONE && this.equals(entry.key, key)) {
+                return index;
+            }
+        }
+    }
+
+    insert(key, value = null) {
+        this._checkKey(key);
+
+        const mask = this.capacity - 1;
+        let tombstone = -1;
+        let index = this.hash(key);
+
+        // 探测到空槽为止：键已存在则更新值，同时记录第一个墓碑
+        for (; this.slots[index] !== null; index = (index + 1) & mask) {
+            const entry = this.slots[index];
+
+            if (this.counters !== null) {
+                this.counters.probes++;
+            }
+
+            if (entry === HASH_TOMBSTONE) {
+                if (tombstone < 0) {
+                    tombstone = index;
+                }
+            } else if (this.equals(entry.key, key)) {
+                entry.value = value;
+                return false;
+            }
+        }
+
+        if (tombstone >= 0) {
+            this.slots[tombstone] = {key, value};
+            this.tombstones--;
+            this.size++;
+            return true;
+        }
+
+        // 占用空槽前检查负载，超过时重建后重新插入
+        if (this.size + this.tombstones + 1 > this.loadFactor * this.capacity) {
+            this.resize((this.size + 1) > this.loadFactor * this.capacity / 2 ? this.capacity * 2 : this.capacity);
+            return this.insert(key, value);
+        }
+
+        this.slots[index] = {key, value};
+        this.size++;
+        return true;
+    }
+
+    search(key) {
+        const index = this._findSlot(key);
+        return index < 0 ? null : this.slots[index].value;
+    }
+
+    delete(key) {
+        const index = this._findSlot(key);
+
+        if (index < 0) {
+            return false;
+        }
+
+        const mask = this.capacity - 1;
+
+        if (this.slots[(index + 1) & mask] === null) {
+            // 下一个槽为空时任何探测都会在此结束，无需墓碑；其前面相连的墓碑也可一并清除
+            this.slots[index] = null;
+
+            for (let prev = (index - 1) & mask; this.slots[prev] === HASH_TOMBSTONE; prev = (prev - 1) & mask) {
+                this.slots[prev] = null;
+                this.tombstones--;
+            }
+        } else {
+            this.slots[index] = HASH_TOMBSTONE;
+            this.tombstones++;
+        }
+
+        this.size--;
+        return true;
+    }
+
+    * _allEntries() {
+        for (const entry of this.slots) {
+            if (entry !== null && entry !== HASH_TOMBSTONE) {
+                yield entry;
+            }
+        }
+    }
+
+    // 命中查找的探测长度为条目到其理想槽的距离 + 1；
+    // 未命中查找从每个槽出发探测到空槽为止（墓碑不终止探测），从空槽向前反向扫描一圈即可求出
+    probeStats() {
+        const mask = this.capacity - 1;
+        let total = 0;
+        let max = 0;
+
+        for (let index = 0; index < this.capacity; index++) {
+            const entry = this.slots[index];
+
+            if (entry !== null && entry !== HASH_TOMBSTONE) {
+                const probes = ((index - this.hash(entry.key)) & mask) + 1;
+                total += probes;
+                max = Math.max(max, probes);
+            }
+        }
+
+        let missTotal = 0;
+        let run = 0;
+        const empty = this.slots.indexOf(null);
+
+        for (let step = 0; step < this.capacity; step++) {
+            const index = (empty - step) & mask;
+            run = this.slots[index] === null ? 0 : run + 1;
+            missTotal += run + 1;
+        }
+
+        return {
+            averageSuccessful: this.size > 0 ? total / this.size : 0,
+            maxSuccessful: max,
+            averageUnsuccessful: missTotal / this.capacity,
+            loadFactor: this.size / this.capacity,
+            tombstones: this.tombstones,
+            stash: 0
+        };
+    }
+
+    // 内存模型（见 modelMemory）：槽数组与 {key, value} 条目，墓碑为全局共享的对象
+    memoryModel() {
+        return modelMemory([...arrayParts(1, this.capacity), ['Object', this.size * objectBytes(2)]]);
+    }
+
+    // 簇长分布（见 clusterLengths）
+    shapeStats() {
+        return {bucketCount: this.capacity, loadFactor: this.size / this.capacity, clusterLengths: clusterLengths(this.slots)};
+    }
+
+    // 校验：每个条目从理想槽到所在槽之间没有空槽、键不重复、墓碑数与 size 正确，且至少留有一个空槽
+    validate() {
+        const violations = [];
+        const mask = this.capacity - 1;
+        let count = 0;
+        let tombstones = 0;
+
+        for (let index = 0; index < this.capacity; index++) {
+            const entry = this.slots[index];
+
+            if (entry === HASH_TOMBSTONE) {
+                tombstones++;
+                continue;
+            }
+
+            if (entry === null) {
+                continue;
+            }
+
+            count++;
+
+            for (let slot = this.hash(entry.key); slot !== index; slot = (slot + 1) & mask) {
+                if (this.slots[slot] === null) {
+                    violations.push({rule: 'probe-sequence', key: entry.key, message: `从理想槽到所在槽 ${index} 的探测序列中存在空槽 ${slot}`});
+                    break;
+                }
+            }
+
+            if (this._findSlot(entry.key) !== index) {
+                violations.push({rule: 'duplicate-key', key: entry.key, message: '键重复出现或无法通过探测找到'});
+            }
+        }
+
+        if (tombstones !== this.tombstones) {
+            violations.push({rule: 'tombstones', key: null, message: `tombstones 为 ${this.tombstones}，实际墓碑数为 ${tombstones}`});
+        }
+
+        if (count + tombstones >= this.capacity) {
+            violations.push({rule: 'load-factor', key: null, message: '表中没有空槽，未命中的查找无法终止'});
+        }
+
+        if (count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际条目数为 ${count}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+}
+
+// 1.4.2 Robin Hood 哈希：线性探测的变体，每个槽记录条目到其理想槽的距离（探测距离）。
+// 插入时若待插入条目的探测距离大于当前槽中条目的距离就与之交换，使各条目的探测距离趋于均匀；
+// 查找遇到探测距离更小的条目即可判定键不存在。删除采用后移（backward shift），不需要墓碑
+class RobinHoodHashTable extends HashTable {
+    constructor(...args) {
+        const [initialCapacity = 16, loadFactor = 0.9, options] =
+            splitConstructorArgs('RobinHoodHashTable', ['initialCapacity', 'loadFactor'], args);
+        super(initialCapacity, loadFactor, options);
+        assertOpenAddressingLoadFactor('RobinHoodHashTable', loadFactor);
+    }
+
+    _reset(capacity) {
+        this.capacity = nextPowerOfTwo(capacity);
+        this.slots = new Array(this.capacity).fill(null);
+        this.distances = new Int32Array(this.capacity);
+        this.size = 0;
+    }
+
+    hash(key) {
+        return mixHash32(this._hashCode(key)) & (this.capacity - 1);
+    }
+
+    // 返回 key 所在的槽下标，不存在时返回 -1
+    _findSlot(key) {
+        const mask = this.capacity - 1;
+        let index = this.hash(key);
+
+        for (let distance = 0; ; distance++, index = (index + 1) & mask) {
+            const entry = this.slots[index];
+
+            if (this.counters !== null) {
+                this.counters.probes++;
+            }
+
+            if (entry === null || this.distances[index] < distance) {
+                return -1;
+            }
+
+            if (this.equals(entry.key, key)) {
+                return index;
+            }
+        }
+    }
+
+    insert(key, value = null) {
+        this._checkKey(key);
+
+        const found = this._findSlot(key);
+
+        if (found >= 0) {
+            this.slots[found].value = value;
+            return false;
+        }
+
+        if (this.size + 1 > this.loadFactor * this.capacity) {
+            this.resize(this.capacity * 2);
+        }
+
+        const mask = this.capacity - 1;
+        let entry = {key, value};
+        let distance = 0;
+
+        for (let index = this.hash(key); ; index = (index + 1) & mask, distance++) {
+            const current = this.slots[index];
+
+            if (this.counters !== null) {
+                this.counters.probes++;
+            }
+
+            if (current === null) {
+                this.slots[index] = entry;
+                this.distances[index] = distance;
+                break;
+            }
+
+            // 当前条目离理想槽更近（"富"），让位给待插入条目，自己继续向后寻找位置
+            if (this.distances[index] < distance) {
+                const currentDistance = this.distances[index];
+                this.slots[index] = entry;
+                this.distances[index] = distance;
+                entry = current;
+                distance = currentDistance;
+            }
+        }
+
+        this.size++;
+        return true;
+    }
+
+    search(key) {
+        const index = this._findSlot(key);
+        return index < 0 ? null : this.slots[index].value;
+    }
+
+    delete(key) {
+        let index = this._findSlot(key);
+
+        if (index < 0) {
+            return false;
+        }
+
+        // 后移删除：把后续不在理想槽上的条目依次前移一格，直到遇到空槽或位于理想槽的条目
+        const mask = this.capacity - 1;
+        let next = (index + 1) & mask;
+
+        while (this.slots[next] !== null && this.distances[next] > 0) {
+            this.slots[index] = this.slots[next];
+            this.distances[index] = this.distances[next] - 1;
+            index = next;
+            next = (next + 1) & mask;
+        }
+
+        this.slots[index] = null;
+        this.distances[index] = 0;
+        this.size--;
+        return true;
+    }
+
+    * _allEntries() {
+        for (const entry of this.slots) {
+            if (entry !== null) {
+                yield entry;
+            }
+        }
+    }
+
+    // 命中查找的探测长度为探测距离 + 1；未命中查找从每个槽出发，探测到空槽或探测距离更小的条目为止
+    probeStats() {
+        const mask = this.capacity - 1;
+        let total = 0;
+        let max = 0;
+        let missTotal = 0;
+
+        for (let start = 0; start < this.capacity; start++) {
+            if (this.slots[start] !== null) {
+                const probes = this.distances[start] + 1;
+                total += probes;
+                max = Math.max(max, probes);
+            }
+
+            let distance = 0;
+            for (let index = start; this.slots[index] !== null && this.distances[index] >= distance; index = (index + 1) & mask) {
+                distance++;
+            }
+            missTotal += distance + 1;
+        }
+
+        return {
+            averageSuccessful: this.size > 0 ? total / this.size : 0,
+            maxSuccessful: max,
+            averageUnsuccessful: missTotal / this.capacity,
+            loadFactor: this.size / this.capacity,
+            tombstones: 0,
+            stash: 0
+        };
+    }
+
+    // 内存模型（见 modelMemory）：槽数组、{key, value} 条目与堆外的探测距离数组
+    memoryModel() {
+        return modelMemory([
+            ...arrayParts(1, this.capacity),
+            ['Object', this.size * objectBytes(2)],
+            ['system / JSArrayBufferData', this.distances.byteLength]
+        ]);
+    }
+
+    // 簇长分布（见 clusterLengths）
+    shapeStats() {
+        return {bucketCount: this.capacity, loadFactor: this.size / this.capacity, clusterLengths: clusterLengths(this.slots)};
+    }
+
+    // 校验：记录的探测距离与实际一致、满足 Robin Hood 不变量（前一个槽非空且距离不小于本槽距离减一）、
+    // 键不重复以及 size
+    validate() {
+        const violations = [];
+        const mask = this.capacity - 1;
+        let count = 0;
+
+        for (let index = 0; index < this.capacity; index++) {
+            const entry = this.slots[index];
+
+            if (entry === null) {
+                continue;
+            }
+
+            count++;
+            const distance = (index - this.hash(entry.key)) & mask;
+
+            if (this.distances[index] !== distance) {
+                violations.push({rule: 'probe-distance', key: entry.key, message: `记录的探测距离为 ${this.distances[index]}，实际为 ${distance}`});
+            }
+
+            const prev = (index - 1) & mask;
+
+            if (distance > 0 && (this.slots[prev] === null || this.distances[prev] < distance - 1)) {
+                violations.push({rule: 'robin-hood', key: entry.key, message: `槽 ${index} 的条目本应排在前一个槽的条目之前`});
+            }
+
+            if (this._findSlot(entry.key) !== index) {
+                violations.push({rule: 'duplicate-key', key: entry.key, message: '键重复出现或无法通过探测找到'});
+            }
+        }
+
+        if (count >= this.capacity) {
+            violations.push({rule: 'load-factor', key: null, message: '表中没有空槽，未命中的查找无法终止'});
+        }
+
+        if (count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际条目数为 ${count}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+}
+
+// 1.4.3 布谷鸟哈希：两张表各用一个哈希函数（同一哈希值与不同种子混合），每个键只可能位于两个槽之一，
+// 查找和删除最多探测两个槽。插入时两个槽都被占用就踢出表 0 中的条目，被踢出的条目改放到它在另一张表中的槽，
+// 如此反复；踢出次数超过上限（出现环）时更换种子重建，多次重建仍放不下的条目存入溢出区（stash），
+// 因此哈希函数很差时退化为线性扫描溢出区，但不会丢失条目
+const CUCKOO_MAX_KICKS = 64;
+const CUCKOO_MAX_RESEEDS = 3;
+
+class CuckooHashTable extends HashTable {
+    // loadFactor 为两张表总槽数的占用比例
+    // random 为重建时选取新种子的随机数流，默认使用共享流
+    constructor(...args) {
+        const [initialCapacity = 16, loadFactor = 0.45, {random = sharedRandom, ...options}] =
+            splitConstructorArgs('CuckooHashTable', ['initialCapacity', 'loadFactor'], args);
+        super(initialCapacity, loadFactor, options);
+        assertOpenAddressingLoadFactor('CuckooHashTable', loadFactor);
+        this.random = random;
+    }
+
+    // capacity 为每张表的槽数
+    _reset(capacity) {
+        this.capacity = nextPowerOfTwo(capacity);
+        this.tables = [new Array(this.capacity).fill(null), new Array(this.capacity).fill(null)];
+        this.stash = [];
+        this.size = 0;
+
+        if (!this.seeds) {
+            this.seeds = [0x3c6ef372, 0x7f4a7c15];
+        }
+    }
+
+    // 每计算一次槽位即探测一个槽；启用计数时计入 probes
+    _slot(code, table) {
+        if (this.counters !== null) {
+            this.counters.probes++;
+        }
+
+        return mixHash32(code ^ this.seeds[table]) & (this.capacity - 1);
+    }
+
+    // 返回 key 对应的条目对象，不存在时返回 null
+    _findEntry(key) {
+        const code = this._hashCode(key);
+
+        for (let table = 0; table < 2; table++) {
+            const entry = this.tables[table][this._slot(code, table)];
+
+            if (entry !== null && this.equals(entry.key, key)) {
+                return entry;
+            }
+        }
+
+        for (const entry of this.stash) {
+            if (this.counters !== null) {
+                this.counters.probes++;
+            }
+
+            if (this.equals(entry.key, key)) {
+                return entry;
+            }
+        }
+
+        return null;
+    }
+
+    insert(key, value = null) {
+        this._checkKey(key);
+
+        const existing = this._findEntry(key);
+
+        if (existing !== null) {
+            existing.value = value;
+            return false;
+        }
+
+        if (this.size + 1 > this.loadFactor * 2 * this.capacity) {
+            this.resize(this.capacity * 2);
+        }
+
+        const homeless = this._place({key, value});
+        this.size++;
+
+        if (homeless !== null) {
+            this.stash.push(homeless);
+            this._rebuild(this.capacity, true);
+        }
+
+        return true;
+    }
+
+    // 把 entry 放入两张表，返回踢出次数用尽后仍无处安放的条目，全部放下时返回 null
+    _place(entry) {
+        const code = this._hashCode(entry.key);
+
+        for (let table = 0; table < 2; table++) {
+            const index = this._slot(code, table);
+
+            if (this.tables[table][index] === null) {
+                this.tables[table][index] = entry;
+                return null;
+            }
+        }
+
+        let current = entry;
+        let table = 0;
+
+        for (let kick = 0; kick < CUCKOO_MAX_KICKS; kick++) {
+            const index = this._slot(this._hashCode(current.key), table);
+            const displaced = this.tables[table][index];
+            this.tables[table][index] = current;
+
+            if (displaced === null) {
+                return null;
+            }
+
+            // 被踢出的条目原本位于它在 table 中的槽，改放到另一张表
+            current = displaced;
+            table = 1 - table;
+        }
+
+        return current;
+    }
+
+    // 以 capacity 重建两张表（包括溢出区中的条目）；reseed 为 true 时先更换种子，
+    // 放不下时继续更换种子重试，超过次数上限后把剩余条目留在溢出区
+    _rebuild(capacity, reseed) {
+        const entries = [...this._allEntries()];
+
+        for (let attempt = 0; ; attempt++) {
+            if (reseed || attempt > 0) {
+                this.seeds = [(this.random.next() * 0x100000000) | 0, (this.random.next() * 0x100000000) | 0];
+            }
+
+            this._reset(capacity);
+            const homeless = [];
+
+            for (const entry of entries) {
+                const rest = this._place(entry);
+
+                if (rest !== null) {
+                    homeless.push(rest);
+                }
+            }
+
+            if (homeless.length === 0 || attempt >= CUCKOO_MAX_RESEEDS) {
+                this.stash = homeless;
+                this.size = entries.length;
+                return;
+            }
+        }
+    }
+
+    resize(newCapacity) {
+        this._rebuild(newCapacity, false);
+    }
+
+    search(key) {
+        const entry = this._findEntry(key);
+        return entry === null ? null : entry.value;
+    }
+
+    delete(key) {
+        const code = this._hashCode(key);
+
+        for (let table = 0; table < 2; table++) {
+            const index = this._slot(code, table);
+            const entry = this.tables[table][index];
+
+            if (entry !== null && this.equals(entry.key, key)) {
+                this.tables[table][index] = null;
+                this.size--;
+                return true;
+            }
+        }
+
+        const position = this.stash.findIndex(entry => this.equals(entry.key, key));
+
+        if (position >= 0) {
+            this.stash.splice(position, 1);
+            this.size--;
+            return true;
+        }
+
+        return false;
+    }
+
+    * _allEntries() {
+        for (const table of this.tables) {
+            for (const entry of table) {
+                if (entry !== null) {
+                    yield entry;
+                }
+            }
+        }
+
+        yield* this.stash;
+    }
+
+    // 命中查找：位于表 0 探测 1 次，位于表 1 探测 2 次，位于溢出区还需加上在溢出区中的位置；
+    // 未命中查找总要检查两个槽和整个溢出区
+    probeStats() {
+        let total = 0;
+        let max = 0;
+
+        for (let table = 0; table < 2; table++) {
+            for (const entry of this.tables[table]) {
+                if (entry !== null) {
+                    total += table + 1;
+                    max = Math.max(max, table + 1);
+                }
+            }
+        }
+
+        for (let i = 0; i < this.stash.length; i++) {
+            total += 3 + i;
+            max = Math.max(max, 3 + i);
+        }
+
+        return {
+            averageSuccessful: this.size > 0 ? total / this.size : 0,
+            maxSuccessful: max,
+            averageUnsuccessful: 2 + this.stash.length,
+            loadFactor: this.size / (2 * this.capacity),
+            tombstones: 0,
+            stash: this.stash.length
+        };
+    }
+
+    // 内存模型（见 modelMemory）：两张表及外层数组、溢出区、种子数组与 {key, value} 条目
+    memoryModel() {
+        return modelMemory([
+            ...arrayParts(2, 2 * this.capacity),
+            ...arrayParts(1, this.tables.length),
+            ...arrayParts(1, this.stash.length),
+            ...arrayParts(1, this.seeds.length),
+            ['Object', this.size * objectBytes(2)]
+        ]);
+    }
+
+    // 两张表各自的占用率与溢出区条目数
+    shapeStats() {
+        const tableFill = this.tables.map(table => table.filter(entry => entry !== null).length / this.capacity);
+        return {bucketCount: 2 * this.capacity, loadFactor: this.size / (2 * this.capacity), tableFill, stash: this.stash.length};
+    }
+
+    // 校验：表中条目位于其哈希值对应的槽、键不重复（包括溢出区）以及 size
+    validate() {
+        const violations = [];
+        let count = 0;
+
+        for (let table = 0; table < 2; table++) {
+            for (let index = 0; index < this.capacity; index++) {
+                const entry = this.tables[table][index];
+
+                if (entry === null) {
+                    continue;
+                }
+
+                count++;
+
+                if (this._slot(this._hashCode(entry.key), table) !== index) {
+                    violations.push({rule: 'slot-placement', key: entry.key, message: `条目位于表 ${table} 的槽 ${index}，与其哈希值不符`});
+                }
+
+                if (this._findEntry(entry.key) !== entry) {
+                    violations.push({rule: 'duplicate-key', key: entry.key, message: '键重复出现'});
+                }
+            }
+        }
+
+        for (const entry of this.stash) {
+            count++;
+
+            if (this._findEntry(entry.key) !== entry) {
+                violations.push({rule: 'duplicate-key', key: entry.key, message: '键重复出现'});
+            }
+        }
+
+        if (count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际条目数为 ${count}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+}
+
+// 1.5 二叉搜索树实现
+class BSTNode {
+    constructor(key, value = null) {
+        this.key = key;
+        this.value = value;
+        this.left = null;
+        this.right = null;
+    }
+}
+
+class BinarySearchTree {
+    constructor({compare = defaultCompare, allowDuplicates = false} = {}) {
+        this.compare = compare;
+        initMultimap(this, allowDuplicates);
+        this.root = null;
+        this.size = 0;
+        this.counters = null;
+    }
+
+    insert(key, value = null) {
+        const sizeBefore = this.size;
+        this.root = this._insertHelper(this.root, key, value);
+        return this.size > sizeBefore;
+    }
+
+    _insertHelper(node, key, value) {
+        if (!node) {
+            this.size++;
+            return new BSTNode(key, value);
+        }
+
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        const cmp = this.compare(key, node.key);
+
+        if (cmp < 0) {
+            node.left = this._insertHelper(node.left, key, value);
+        } else if (cmp > 0) {
+            node.right = this._insertHelper(node.right, key, value);
+        } else {
+            // 键已存在，更新值
+            node.value = value;
+        }
+
+        return node;
+    }
+
+    search(key) {
+        let current = this.root;
+
+        while (current) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
+
+            const cmp = this.compare(key, current.key);
+
+            if (cmp === 0) {
+                return current.value;
+            }
+
+            if (cmp < 0) {
+                current = current.left;
+            } else {
+                current = current.right;
+            }
+        }
+
+        return null;
+    }
+
+    minValueNode(node) {
+        let current = node;
+
+        while (current && current.left) {
+            current = current.left;
+        }
+
+        return current;
+    }
+
+    delete(key) {
+        const initialSize = this.size;
+        this.root = this._deleteHelper(this.root, key);
+        return initialSize !== this.size;
+    }
+
+    _deleteHelper(node, key) {
+        if (!node) {
+            return null;
+        }
+
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        const cmp = this.compare(key, node.key);
+
+        if (cmp < 0) {
+            node.left = this._deleteHelper(node.left, key);
+        } else if (cmp > 0) {
+            node.right = this._deleteHelper(node.right, key);
+        } else {
+            // 找到要删除的节点
+
+            // 情况1: 叶子节点或者只有一个子节点
+            if (!node.left) {
+                this.size--;
+                return node.right;
+            } else if (!node.right) {
+                this.size--;
+                return node.left;
+            }
+
+            // 情况2: 有两个子节点
+            // 找到右子树中最小的节点（后继节点）
+            const temp = this.minValueNode(node.right);
+
+            // 复制后继节点的键和值到当前节点
+            node.key = temp.key;
+            node.value = temp.value;
+
+            // 删除后继节点
+            node.right = this._deleteHelper(node.right, temp.key);
+            // 此时 size 已经在递归中减少
+        }
+
+        return node;
+    }
+
+    // 导航操作：返回最小键的键值对，树为空时返回 null
+    min() {
+        if (!this.root) {
+            return null;
+        }
+
+        let current = this.root;
+        while (current.left) {
+            current = current.left;
+        }
+
+        return {key: current.key, value: current.value};
+    }
+
+    // 导航操作：返回最大键的键值对，树为空时返回 null
+    max() {
+        if (!this.root) {
+            return null;
+        }
+
+        let current = this.root;
+        while (current.right) {
+            current = current.right;
+        }
+
+        return {key: current.key, value: current.value};
+    }
+
+    // 导航操作：小于等于 key 的最大键
+    floor(key) {
+        return this._floorEntry(key, true);
+    }
+
+    // 导航操作：大于等于 key 的最小键
+    ceiling(key) {
+        return this._ceilingEntry(key, true);
+    }
+
+    // 导航操作：严格小于 key 的最大键
+    lower(key) {
+        return this._floorEntry(key, false);
+    }
+
+    // 导航操作：严格大于 key 的最小键
+    higher(key) {
+        return this._ceilingEntry(key, false);
+    }
+
+    _floorEntry(key, inclusive) {
+        let current = this.root;
+        let best = null;
+
+        while (current) {
+            if (this.compare(current.key, key) < 0 || (inclusive && this.compare(current.key, key) === 0)) {
+                best = current;
+                current = current.right;
+            } else {
+                current = current.left;
+            }
+        }
+
+        return best ? {key: best.key, value: best.value} : null;
+    }
+
+    _ceilingEntry(key, inclusive) {
+        let current = this.root;
+        let best = null;
+
+        while (current) {
+            if (this.compare(current.key, key) > 0 || (inclusive && this.compare(current.key, key) === 0)) {
+                best = current;
+                current = current.left;
+            } else {
+                current = current.right;
+            }
+        }
+
+        return best ? {key: best.key, value: best.value} : null;
+    }
+
+    rangeSearch(minKey, maxKey) {
+        const result = [];
+        this._rangeSearchHelper(this.root, minKey, maxKey, result);
+        return result;
+    }
+
+    _rangeSearchHelper(node, minKey, maxKey, result) {
+        if (!node) {
+            return;
+        }
+
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        if (this.compare(node.key, minKey) > 0) {
+            this._rangeSearchHelper(node.left, minKey, maxKey, result);
+        }
+
+        if (this.compare(node.key, minKey) >= 0 && this.compare(node.key, maxKey) <= 0) {
+            result.push({key: node.key, value: node.value});
+        }
+
+        if (this.compare(node.key, maxKey) < 0) {
+            this._rangeSearchHelper(node.right, minKey, maxKey, result);
+        }
+    }
+
+    // 使用显式栈做惰性中序遍历，并跳过范围外的子树
+    * _iterate(minKey, maxKey, reverse) {
+        const stack = [];
+        let current = this.root;
+
+        while (stack.length > 0 || current !== null) {
+            if (current !== null) {
+                if (this.counters !== null) {
+                    this.counters.nodeVisits++;
+                }
+
+                if (!reverse) {
+                    // 小于 minKey 的节点连同其左子树都可跳过
+                    if (minKey === undefined || this.compare(current.key, minKey) >= 0) {
+                        stack.push(current);
+                        current = current.left;
+                    } else {
+                        current = current.right;
+                    }
+                } else {
+                    // 大于 maxKey 的节点连同其右子树都可跳过
+                    if (maxKey === undefined || this.compare(current.key, maxKey) <= 0) {
+                        stack.push(current);
+                        current = current.right;
+                    } else {
+                        current = current.left;
+                    }
+                }
+            } else {
+                const node = stack.pop();
+
+                if (!reverse && maxKey !== undefined && this.compare(node.key, maxKey) > 0) {
+                    return;
+                }
+
+                if (reverse && minKey !== undefined && this.compare(node.key, minKey) < 0) {
+                    return;
+                }
+
+                yield {key: node.key, value: node.value};
+                current = reverse ? node.left : node.right;
+            }
+        }
+    }
+
+    inOrderTraversal(callback) {
+        this._inOrderTraversalHelper(this.root, callback);
+    }
+
+    _inOrderTraversalHelper(node, callback) {
+        if (!node) {
+            return;
+        }
+
+        this._inOrderTraversalHelper(node.left, callback);
+        callback(node);
+        this._inOrderTraversalHelper(node.right, callback);
+    }
+
+    // 内存模型（见 modelMemory）：size 个节点，节点大小按实例的字段数计算，子类共用
+    memoryModel() {
+        if (this.root === null) {
+            return modelMemory([]);
+        }
+
+        return modelMemory([[this.root.constructor.name, this.size * instanceBytes(this.root)]]);
+    }
+
+    // 树形统计（见 treeShape），子类共用
+    shapeStats() {
+        return treeShape(this.root, node => [node.left, node.right].filter(child => child !== null));
+    }
+
+    // 校验二叉搜索树的键序和 size
+    // 使用显式栈遍历，因为有序输入下树可能退化为链表
+    validate() {
+        const violations = [];
+        const stack = this.root ? [{node: this.root, lower: null, upper: null}] : [];
+        let count = 0;
+
+        while (stack.length > 0) {
+            const {node, lower, upper} = stack.pop();
+            count++;
+
+            if ((lower !== null && this.compare(node.key, lower) <= 0) || (upper !== null && this.compare(node.key, upper) >= 0)) {
+                violations.push({rule: 'key-order', key: node.key, message: '键不满足二叉搜索树顺序'});
+            }
+
+            if (node.left) {
+                stack.push({node: node.left, lower, upper: node.key});
+            }
+
+            if (node.right) {
+                stack.push({node: node.right, lower: node.key, upper});
+            }
+        }
+
+        if (count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际节点数为 ${count}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+}
+
+// 1.5.1 Treap 实现：按键满足二叉搜索树顺序，按随机优先级满足大根堆性质，期望深度 O(log n)
+// 只读操作（查找、导航、范围查询、迭代、遍历）沿用 BinarySearchTree 的实现
+class TreapNode extends BSTNode {
+    constructor(key, value, priority) {
+        super(key, value);
+        this.priority = priority;
+    }
+}
+
+class Treap extends BinarySearchTree {
+    // random 为生成节点优先级的随机数流，默认使用共享流（参见 setRandomSeed）
+    constructor({random = sharedRandom, ...options} = {}) {
+        super(options);
+        this.random = random;
+    }
+
+    rotateRight(node) {
+        const leftChild = node.left;
+        node.left = leftChild.right;
+        leftChild.right = node;
+        return leftChild;
+    }
+
+    rotateLeft(node) {
+        const rightChild = node.right;
+        node.right = rightChild.left;
+        rightChild.left = node;
+        return rightChild;
+    }
+
+    insert(key, value = null) {
+        const sizeBefore = this.size;
+        this.root = this._insertHelper(this.root, key, value);
+        return this.size > sizeBefore;
+    }
+
+    // 按键插入到叶子，回溯时若子节点优先级更高则旋转上移
+    _insertHelper(node, key, value) {
+        if (!node) {
+            this.size++;
+            return new TreapNode(key, value, this.random.next());
+        }
+
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        const cmp = this.compare(key, node.key);
+
+        if (cmp < 0) {
+            node.left = this._insertHelper(node.left, key, value);
+
+            if (node.left.priority > node.priority) {
+                node = this.rotateRight(node);
+            }
+        } else if (cmp > 0) {
+            node.right = this._insertHelper(node.right, key, value);
+
+            if (node.right.priority > node.priority) {
+                node = this.rotateLeft(node);
+            }
+        } else {
+            // 键已存在，更新值
+            node.value = value;
+        }
+
+        return node;
+    }
+
+    // 把被删节点中优先级较高的子节点旋转上来，使被删节点逐步下沉，直到最多只有一个子节点时摘除
+    _deleteHelper(node, key) {
+        if (!node) {
+            return null;
+        }
+
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        const cmp = this.compare(key, node.key);
+
+        if (cmp < 0) {
+            node.left = this._deleteHelper(node.left, key);
+        } else if (cmp > 0) {
+            node.right = this._deleteHelper(node.right, key);
+        } else if (!node.left) {
+            this.size--;
+            return node.right;
+        } else if (!node.right) {
+            this.size--;
+            return node.left;
+        } else if (node.left.priority > node.right.priority) {
+            node = this.rotateRight(node);
+            node.right = this._deleteHelper(node.right, key);
+        } else {
+            node = this.rotateLeft(node);
+            node.left = this._deleteHelper(node.left, key);
+        }
+
+        return node;
+    }
+
+    // 在键序和 size 之外校验堆性质：子节点优先级不高于父节点
+    validate() {
+        const report = super.validate();
+        const stack = this.root ? [this.root] : [];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+
+            for (const child of [node.left, node.right]) {
+                if (child) {
+                    if (child.priority > node.priority) {
+                        report.violations.push({rule: 'heap-order', key: child.key, message: '子节点优先级高于父节点'});
+                    }
+
+                    stack.push(child);
+                }
+            }
+        }
+
+        report.valid = report.violations.length === 0;
+        return report;
+    }
+}
+
+// 1.5.2 伸展树实现：查找、插入、删除都先把目标键自顶向下伸展到根，均摊 O(log n)
+// 伸展树可能暂时退化为很深的链，因此所有操作都使用迭代实现
+class SplayTree extends BinarySearchTree {
+    // 旋转返回子树的新根；伸展中的旋转都经由这两个方法，启用计数时计入 rotations
+    rotateRight(node) {
+        const leftChild = node.left;
+        node.left = leftChild.right;
+        leftChild.right = node;
+        return leftChild;
+    }
+
+    rotateLeft(node) {
+        const rightChild = node.right;
+        node.right = rightChild.left;
+        rightChild.left = node;
+        return rightChild;
+    }
+
+    // 自顶向下伸展：把 key 所在节点（不存在时为搜索路径上最后一个节点）移到根
+    _splay(key) {
+        if (!this.root) {
+            return;
+        }
+
+        // header.right 收集小于 key 的左树，header.left 收集大于 key 的右树
+        const header = new BSTNode(null);
+        let leftTreeMax = header;
+        let rightTreeMin = header;
+        let current = this.root;
+
+        while (true) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
+
+            const cmp = this.compare(key, current.key);
+
+            if (cmp < 0) {
+                if (!current.left) {
+                    break;
+                }
+
+                // zig-zig：先右旋
+                if (this.compare(key, current.left.key) < 0) {
+                    current = this.rotateRight(current);
+
+                    if (!current.left) {
+                        break;
+                    }
+                }
+
+                // 把当前节点挂到右树
+                rightTreeMin.left = current;
+                rightTreeMin = current;
+                current = current.left;
+            } else if (cmp > 0) {
+                if (!current.right) {
+                    break;
+                }
+
+                // zag-zag：先左旋
+                if (this.compare(key, current.right.key) > 0) {
+                    current = this.rotateLeft(current);
+
+                    if (!current.right) {
+                        break;
+                    }
+                }
+
+                // 把当前节点挂到左树
+                leftTreeMax.right = current;
+                leftTreeMax = current;
+                current = current.right;
+            } else {
+                break;
+            }
+        }
+
+        // 重新组装
+        leftTreeMax.right = current.left;
+        rightTreeMin.left = current.right;
+        current.left = header.right;
+        current.right = header.left;
+        this.root = current;
+    }
+
+    search(key) {
+        this._splay(key);
+
+        if (this.root && this.compare(key, this.root.key) === 0) {
+            return this.root.value;
+        }
+
+        return null;
+    }
+
+    insert(key, value = null) {
+        if (!this.root) {
+            this.root = new BSTNode(key, value);
+            this.size++;
+            return true;
+        }
+
+        this._splay(key);
+
+        const cmp = this.compare(key, this.root.key);
+
+        if (cmp === 0) {
+            // 键已存在，更新值
+            this.root.value = value;
+            return false;
+        }
+
+        // 以新节点为根，原根按大小关系成为其左子树或右子树
+        const node = new BSTNode(key, value);
+
+        if (cmp < 0) {
+            node.left = this.root.left;
+            node.right = this.root;
+            this.root.left = null;
+        } else {
+            node.right = this.root.right;
+            node.left = this.root;
+            this.root.right = null;
+        }
+
+        this.root = node;
+        this.size++;
+        return true;
+    }
+
+    delete(key) {
+        if (!this.root) {
+            return false;
+        }
+
+        this._splay(key);
+
+        if (this.compare(key, this.root.key) !== 0) {
+            return false;
+        }
+
+        // 把左子树的最大键伸展到左子树的根，它没有右子节点，接上原来的右子树
+        const right = this.root.right;
+
+        if (!this.root.left) {
+            this.root = right;
+        } else {
+            this.root = this.root.left;
+            this._splay(key);
+            this.root.right = right;
+        }
+
+        this.size--;
+        return true;
+    }
+
+    rangeSearch(minKey, maxKey) {
+        return Array.from(this._iterate(minKey, maxKey, false));
+    }
+
+    inOrderTraversal(callback) {
+        for (const entry of this._iterate(undefined, undefined, false)) {
+            callback(entry);
+        }
+    }
+}
+
+// 1.5.3 替罪羊树实现：不在节点上保存平衡信息，插入使某个节点深度超过 log_{1/alpha}(size) 时，
+// 沿插入路径找到子树失衡（某个子节点的大小超过 alpha 倍）的祖先并把该子树重建为完全平衡；
+// 删除使 size 低于 alpha 倍的历史最大 size 时重建整棵树
+class ScapegoatTree extends BinarySearchTree {
+    constructor({compare = defaultCompare, alpha = 0.7, allowDuplicates = false} = {}) {
+        super({compare, allowDuplicates});
+
+        if (!(alpha >= 0.5 && alpha < 1)) {
+            throw new Error(`alpha 必须在 [0.5, 1) 之间，实际为 ${alpha}`);
+        }
+
+        this.alpha = alpha;
+        this.maxSize = 0;
+    }
+
+    // 允许的最大深度 floor(log_{1/alpha}(n))
+    _heightLimit(n) {
+        return Math.floor(Math.log(n) / Math.log(1 / this.alpha));
+    }
+
+    insert(key, value = null) {
+        if (!this.root) {
+            this.root = new BSTNode(key, value);
+            this.size = 1;
+            this.maxSize = Math.max(this.maxSize, 1);
+            return true;
+        }
+
+        // 记录从根到插入位置的路径
+        const path = [];
+        let current = this.root;
+        let node = null;
+
+        while (node === null) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
+
+            const cmp = this.compare(key, current.key);
+
+            if (cmp === 0) {
+                // 键已存在，更新值
+                current.value = value;
+                return false;
+            }
+
+            path.push(current);
+
+            if (cmp < 0) {
+                if (current.left) {
+                    current = current.left;
+                } else {
+                    node = current.left = new BSTNode(key, value);
+                }
+            } else if (current.right) {
+                current = current.right;
+            } else {
+                node = current.right = new BSTNode(key, value);
+            }
+        }
+
+        this.size++;
+        this.maxSize = Math.max(this.maxSize, this.size);
+
+        if (path.length > this._heightLimit(this.size)) {
+            this._rebuildScapegoat(path, node);
+        }
+
+        return true;
+    }
+
+    // 自下而上计算路径上各子树的大小，第一个满足 size(child) > alpha * size(parent) 的祖先即为替罪羊
+    _rebuildScapegoat(path, node) {
+        let child = node;
+        let childSize = 1;
+
+        for (let i = path.length - 1; i >= 0; i--) {
+            const parent = path[i];
+            const sibling = parent.left === child ? parent.right : parent.left;
+            const parentSize = childSize + this._subtreeSize(sibling) + 1;
+
+            if (childSize > this.alpha * parentSize) {
+                const rebuilt = this._rebuild(parent, parentSize);
+
+                if (i === 0) {
+                    this.root = rebuilt;
+                } else if (path[i - 1].left === parent) {
+                    path[i - 1].left = rebuilt;
+                } else {
+                    path[i - 1].right = rebuilt;
+                }
+                return;
+            }
+
+            child = parent;
+            childSize = parentSize;
+        }
+    }
+
+    _subtreeSize(node) {
+        const stack = node ? [node] : [];
+        let count = 0;
+
+        while (stack.length > 0) {
+            const current = stack.pop();
+            count++;
+
+            if (current.left) {
+                stack.push(current.left);
+            }
+
+            if (current.right) {
+                stack.push(current.right);
+            }
+        }
+
+        return count;
+    }
+
+    // 中序展开为节点数组后按中点重新连接，复用原有节点
+    _rebuild(node, count) {
+        const nodes = new Array(count);
+        const stack = [];
+        let current = node;
+        let index = 0;
+
+        while (stack.length > 0 || current) {
+            if (current) {
+                stack.push(current);
+                current = current.left;
+            } else {
+                current = stack.pop();
+                nodes[index++] = current;
+                current = current.right;
+            }
+        }
+
+        return this._buildBalanced(nodes, 0, count - 1);
+    }
+
+    _buildBalanced(nodes, lo, hi) {
+        if (lo > hi) {
+            return null;
+        }
+
+        const mid = (lo + hi) >>> 1;
+        const node = nodes[mid];
+        node.left = this._buildBalanced(nodes, lo, mid - 1);
+        node.right = this._buildBalanced(nodes, mid + 1, hi);
+
+        return node;
+    }
+
+    delete(key) {
+        if (!super.delete(key)) {
+            return false;
+        }
+
+        if (this.size < this.alpha * this.maxSize) {
+            this.root = this._rebuild(this.root, this.size);
+            this.maxSize = this.size;
+        }
+
+        return true;
+    }
+
+    // 在键序和 size 之外校验树高不超过 floor(log_{1/alpha}(maxSize)) + 1
+    validate() {
+        const report = super.validate();
+        const stack = this.root ? [{node: this.root, depth: 0}] : [];
+        const limit = this.maxSize > 0 ? this._heightLimit(this.maxSize) + 1 : 0;
+        let height = 0;
+
+        while (stack.length > 0) {
+            const {node, depth} = stack.pop();
+            height = Math.max(height, depth);
+
+            if (node.left) {
+                stack.push({node: node.left, depth: depth + 1});
+            }
+
+            if (node.right) {
+                stack.push({node: node.right, depth: depth + 1});
+            }
+        }
+
+        if (height > limit) {
+            report.violations.push({rule: 'height', key: null, message: `树高 ${height} 超过上限 ${limit}`});
+        }
+
+        if (this.size > this.maxSize) {
+            report.violations.push({rule: 'max-size', key: null, message: `size ${this.size} 大于 maxSize ${this.maxSize}`});
+        }
+
+        report.valid = report.violations.length === 0;
+        return report;
+    }
+}
+
+// 1.5.4 WAVL 树实现（弱 AVL 树）：每个节点有秩 rank，空子树的秩为 -1，
+// 父子秩差只能为 1 或 2，叶子的秩为 0；插入的重平衡与 AVL 树相同，删除最多旋转两次
+class WAVLNode extends BSTNode {
+    constructor(key, value = null) {
+        super(key, value);
+        this.rank = 0;
+    }
+}
+
+class WAVLTree extends BinarySearchTree {
+    _rank(node) {
+        return node ? node.rank : -1;
+    }
+
+    rotateRight(node) {
+        const leftChild = node.left;
+        node.left = leftChild.right;
+        leftChild.right = node;
+        return leftChild;
+    }
+
+    rotateLeft(node) {
+        const rightChild = node.right;
+        node.right = rightChild.left;
+        rightChild.left = node;
+        return rightChild;
+    }
+
+    insert(key, value = null) {
+        const sizeBefore = this.size;
+        this.root = this._insertHelper(this.root, key, value);
+        return this.size > sizeBefore;
+    }
+
+    _insertHelper(node, key, value) {
+        if (!node) {
+            this.size++;
+            return new WAVLNode(key, value);
+        }
+
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        const cmp = this.compare(key, node.key);
+
+        if (cmp < 0) {
+            node.left = this._insertHelper(node.left, key, value);
+            return this._fixInsert(node, node.left, node.right, true);
+        }
+
+        if (cmp > 0) {
+            node.right = this._insertHelper(node.right, key, value);
+            return this._fixInsert(node, node.right, node.left, false);
+        }
+
+        // 键已存在，更新值
+        node.value = value;
+        return node;
+    }
+
+    // child 是刚插入过的一侧，秩差变为 0 时修复：
+    // 另一侧秩差为 1 则提升 node；否则按 child 的外侧或内侧子节点做单旋转或双旋转
+    _fixInsert(node, child, sibling, childIsLeft) {
+        if (child.rank !== node.rank) {
+            return node;
+        }
+
+        if (node.rank - this._rank(sibling) === 1) {
+            node.rank++;
+            return node;
+        }
+
+        const outer = childIsLeft ? child.left : child.right;
+
+        if (child.rank - this._rank(outer) === 1) {
+            node.rank--;
+            return childIsLeft ? this.rotateRight(node) : this.rotateLeft(node);
+        }
+
+        const inner = childIsLeft ? child.right : child.left;
+
+        if (childIsLeft) {
+            node.left = this.rotateLeft(child);
+        } else {
+            node.right = this.rotateRight(child);
+        }
+
+        inner.rank++;
+        child.rank--;
+        node.rank--;
+
+        return childIsLeft ? this.rotateRight(node) : this.rotateLeft(node);
+    }
+
+    delete(key) {
+        const initialSize = this.size;
+        this.root = this._deleteHelper(this.root, key);
+        return initialSize !== this.size;
+    }
+
+    _deleteHelper(node, key) {
+        if (!node) {
+            return null;
+        }
+
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        const cmp = this.compare(key, node.key);
+
+        if (cmp < 0) {
+            node.left = this._deleteHelper(node.left, key);
+        } else if (cmp > 0) {
+            node.right = this._deleteHelper(node.right, key);
+        } else {
+            if (!node.left || !node.right) {
+                this.size--;
+                return node.left || node.right;
+            }
+
+            // 有两个子节点：用后继替换后从右子树删除后继
+            const successor = this.minValueNode(node.right);
+            node.key = successor.key;
+            node.value = successor.value;
+            node.right = this._deleteHelper(node.right, successor.key);
+        }
+
+        return this._fixDelete(node);
+    }
+
+    // 删除后修复：2,2 叶子降秩；某侧秩差变为 3 时，兄弟秩差为 2 则降秩 node，
+    // 兄弟为 2,2 节点则同时降秩 node 和兄弟，否则旋转（旋转后修复结束）
+    _fixDelete(node) {
+        if (!node.left && !node.right) {
+            node.rank = 0;
+            return node;
+        }
+
+        let shortIsLeft;
+
+        if (node.rank - this._rank(node.left) === 3) {
+            shortIsLeft = true;
+        } else if (node.rank - this._rank(node.right) === 3) {
+            shortIsLeft = false;
+        } else {
+            return node;
+        }
+
+        const sibling = shortIsLeft ? node.right : node.left;
+
+        if (node.rank - sibling.rank === 2) {
+            node.rank--;
+            return node;
+        }
+
+        if (sibling.rank - this._rank(sibling.left) === 2 && sibling.rank - this._rank(sibling.right) === 2) {
+            node.rank--;
+            sibling.rank--;
+            return node;
+        }
+
+        const outer = shortIsLeft ? sibling.right : sibling.left;
+
+        if (sibling.rank - this._rank(outer) === 1) {
+            // 单旋转：兄弟升秩、node 降秩，node 成为叶子时再降一次
+            const root = shortIsLeft ? this.rotateLeft(node) : this.rotateRight(node);
+            sibling.rank++;
+            node.rank--;
+
+            if (!node.left && !node.right) {
+                node.rank--;
+            }
+
+            return root;
+        }
+
+        // 双旋转：兄弟的内侧子节点成为子树根，秩加 2，兄弟降 1，node 降 2
+        const inner = shortIsLeft ? sibling.left : sibling.right;
+
+        if (shortIsLeft) {
+            node.right = this.rotateRight(sibling);
+        } else {
+            node.left = this.rotateLeft(sibling);
+        }
+
+        inner.rank += 2;
+        sibling.rank--;
+        node.rank -= 2;
+
+        return shortIsLeft ? this.rotateLeft(node) : this.rotateRight(node);
+    }
+
+    // 在键序和 size 之外校验秩规则：秩差为 1 或 2，叶子的秩为 0
+    validate() {
+        const report = super.validate();
+        const stack = this.root ? [this.root] : [];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+
+            if (!node.left && !node.right && node.rank !== 0) {
+                report.violations.push({rule: 'leaf-rank', key: node.key, message: `叶子的秩为 ${node.rank}`});
+            }
+
+            for (const child of [node.left, node.right]) {
+                const difference = node.rank - this._rank(child);
+
+                if (difference !== 1 && difference !== 2) {
+                    report.violations.push({rule: 'rank-difference', key: node.key, message: `秩差为 ${difference}`});
+                }
+
+                if (child) {
+                    stack.push(child);
+                }
+            }
+        }
+
+        report.valid = report.violations.length === 0;
+        return report;
+    }
+}
+
+// 1.5.5 左倾红黑树实现（Sedgewick，对应 2-3 树）：红链接只能出现在左侧，且不能连续出现两条
+class LLRBNode extends BSTNode {
+    constructor(key, value = null) {
+        super(key, value);
+        this.color = 'RED'; // 'RED' or 'BLACK'
+    }
+}
+
+class LeftLeaningRedBlackTree extends BinarySearchTree {
+    isRed(node) {
+        return node !== null && node.color === 'RED';
+    }
+
+    // 修改节点颜色；启用计数（instrument）时只统计实际发生变化的染色
+    _setColor(node, color) {
+        if (this.counters !== null && node.color !== color) {
+            this.counters.recolors++;
+        }
+
+        node.color = color;
+    }
+
+    // 旋转时新的子树根继承原根的颜色，原根变红
+    rotateLeft(node) {
+        const rightChild = node.right;
+        node.right = rightChild.left;
+        rightChild.left = node;
+        this._setColor(rightChild, node.color);
+        this._setColor(node, 'RED');
+        return rightChild;
+    }
+
+    rotateRight(node) {
+        const leftChild = node.left;
+        node.left = leftChild.right;
+        leftChild.right = node;
+        this._setColor(leftChild, node.color);
+        this._setColor(node, 'RED');
+        return leftChild;
+    }
+
+    flipColors(node) {
+        this._setColor(node, node.color === 'RED' ? 'BLACK' : 'RED');
+        this._setColor(node.left, node.left.color === 'RED' ? 'BLACK' : 'RED');
+        this._setColor(node.right, node.right.color === 'RED' ? 'BLACK' : 'RED');
+    }
+
+    // 恢复左倾性质：右红左旋、连续左红右旋、左右皆红则翻转颜色
+    balance(node) {
+        if (this.isRed(node.right) && !this.isRed(node.left)) {
+            node = this.rotateLeft(node);
+        }
+
+        if (this.isRed(node.left) && this.isRed(node.left.left)) {
+            node = this.rotateRight(node);
+        }
+
+        if (this.isRed(node.left) && this.isRed(node.right)) {
+            this.flipColors(node);
+        }
+
+        return node;
+    }
+
+    insert(key, value = null) {
+        const sizeBefore = this.size;
+        this.root = this._insertHelper(this.root, key, value);
+        this._setColor(this.root, 'BLACK');
+        return this.size > sizeBefore;
+    }
+
+    _insertHelper(node, key, value) {
+        if (!node) {
+            this.size++;
+            return new LLRBNode(key, value);
+        }
+
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        const cmp = this.compare(key, node.key);
+
+        if (cmp < 0) {
+            node.left = this._insertHelper(node.left, key, value);
+        } else if (cmp > 0) {
+            node.right = this._insertHelper(node.right, key, value);
+        } else {
+            // 键已存在，更新值
+            node.value = value;
+        }
+
+        return this.balance(node);
+    }
+
+    // 假设 node 为红且 node.left、node.left.left 皆黑，使 node.left 或其子节点变红
+    moveRedLeft(node) {
+        this.flipColors(node);
+
+        if (this.isRed(node.right.left)) {
+            node.right = this.rotateRight(node.right);
+            node = this.rotateLeft(node);
+            this.flipColors(node);
+        }
+
+        return node;
+    }
+
+    // 假设 node 为红且 node.right、node.right.left 皆黑，使 node.right 或其子节点变红
+    moveRedRight(node) {
+        this.flipColors(node);
+
+        if (this.isRed(node.left.left)) {
+            node = this.rotateRight(node);
+            this.flipColors(node);
+        }
+
+        return node;
+    }
+
+    _deleteMin(node) {
+        if (!node.left) {
+            return null;
+        }
+
+        if (!this.isRed(node.left) && !this.isRed(node.left.left)) {
+            node = this.moveRedLeft(node);
+        }
+
+        node.left = this._deleteMin(node.left);
+        return this.balance(node);
+    }
+
+    // 自顶向下删除要求键存在，因此先查找
+    delete(key) {
+        if (!this._contains(key)) {
+            return false;
+        }
+
+        if (!this.isRed(this.root.left) && !this.isRed(this.root.right)) {
+            this._setColor(this.root, 'RED');
+        }
+
+        this.root = this._deleteHelper(this.root, key);
+
+        if (this.root) {
+            this._setColor(this.root, 'BLACK');
+        }
+
+        this.size--;
+        return true;
+    }
+
+    _contains(key) {
+        let current = this.root;
+
+        while (current) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
+
+            const cmp = this.compare(key, current.key);
+
+            if (cmp === 0) {
+                return true;
+            }
+
+            current = cmp < 0 ? current.left : current.right;
+        }
+
+        return false;
+    }
+
+    // 下降时保证当前节点或其左（右）子节点为红，使被删键最终位于 3-节点或 4-节点中
+    _deleteHelper(node, key) {
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        if (this.compare(key, node.key) < 0) {
+            if (!this.isRed(node.left) && !this.isRed(node.left.left)) {
+                node = this.moveRedLeft(node);
+            }
+
+            node.left = this._deleteHelper(node.left, key);
+        } else {
+            if (this.isRed(node.left)) {
+                node = this.rotateRight(node);
+            }
+
+            if (this.compare(key, node.key) === 0 && !node.right) {
+                return null;
+            }
+
+            if (!this.isRed(node.right) && !this.isRed(node.right.left)) {
+                node = this.moveRedRight(node);
+            }
+
+            if (this.compare(key, node.key) === 0) {
+                const successor = this.minValueNode(node.right);
+                node.key = successor.key;
+                node.value = successor.value;
+                node.right = this._deleteMin(node.right);
+            } else {
+                node.right = this._deleteHelper(node.right, key);
+            }
+        }
+
+        return this.balance(node);
+    }
+
+    // 在键序和 size 之外校验：根为黑、无右倾红链接、无连续红链接、各路径黑链接数相同
+    validate() {
+        const report = super.validate();
+
+        if (this.isRed(this.root)) {
+            report.violations.push({rule: 'root-color', key: this.root.key, message: '根节点不是黑色'});
+        }
+
+        this._validateColorHelper(this.root, report.violations);
+
+        report.valid = report.violations.length === 0;
+        return report;
+    }
+
+    // 返回以 node 为根的子树黑高
+    _validateColorHelper(node, violations) {
+        if (!node) {
+            return 0;
+        }
+
+        if (this.isRed(node.right)) {
+            violations.push({rule: 'left-leaning', key: node.key, message: '右子节点为红色'});
+        }
+
+        if (this.isRed(node) && this.isRed(node.left)) {
+            violations.push({rule: 'red-red', key: node.key, message: '红色节点的左子节点也是红色'});
+        }
+
+        const leftHeight = this._validateColorHelper(node.left, violations);
+        const rightHeight = this._validateColorHelper(node.right, violations);
+
+        if (leftHeight !== rightHeight) {
+            violations.push({rule: 'black-height', key: node.key, message: `左右子树黑高不同：${leftHeight} 与 ${rightHeight}`});
+        }
+
+        return leftHeight + (this.isRed(node) ? 0 : 1);
+    }
+}
+
+// 1.6 B树实现
+class BTreeNode {
+    constructor(isLeaf = true, order = 5) {
+        this.isLeaf = isLeaf;
+        this.keys = [];
+        this.values = [];
+        this.children = [];
+        this.order = order;
+    }
+}
+
+class BTree {
+    // 构造参数为 (order, options)，也可以只传一个包含 order 的选项对象（参见 splitConstructorArgs）
+    constructor(...args) {
+        const [order = 5, {compare = defaultCompare, allowDuplicates = false}] = splitConstructorArgs('BTree', ['order'], args);
+        this.compare = compare;
+        initMultimap(this, allowDuplicates);
+        this.root = new BTreeNode(true, order);
+        this.order = order;
+        this.size = 0;
+        this.counters = null;
+    }
+
+    // 从按键严格递增的 {key, value} 数组自底向上以 O(n) 构建B树
+    // fillFactor 为 (0, 1] 之间的节点填充率，较低的填充率为后续插入预留空间，减少分裂
+    static fromSorted(entries, {order = 5, fillFactor = 1, compare = defaultCompare, allowDuplicates = false} = {}) {
+        if (!(fillFactor > 0 && fillFactor <= 1)) {
+            throw new Error(`fillFactor 必须在 (0, 1] 之间，实际为 ${fillFactor}`);
+        }
+
+        const tree = new BTree(order, {compare, allowDuplicates});
+        assertSortedEntries(entries, compare);
+
+        if (entries.length === 0) {
+            return tree;
+        }
+
+        const maxKeys = order - 1;
+        const minKeys = Math.max(1, Math.ceil((order - 1) / 2) - 1);
+        const targetKeys = Math.max(minKeys, Math.min(maxKeys, Math.round(maxKeys * fillFactor)));
+
+        let keys = entries.map(entry => entry.key);
+        let values = entries.map(entry => entry.value);
+        let children = null;
+
+        // 每一层把键分给若干节点，相邻节点之间的一个键上移到父层作为分隔键，
+        // 因此 n 个键分成 g 个节点时，节点内共有 n - (g - 1) 个键
+        while (keys.length > maxKeys) {
+            const sizes = planGroups(keys.length + 1, targetKeys + 1, maxKeys + 1).map(size => size - 1);
+            const parentKeys = [];
+            const parentValues = [];
+            const nodes = [];
+            let position = 0;
+            let childPosition = 0;
+
+            for (let i = 0; i < sizes.length; i++) {
+                const node = new BTreeNode(children === null, order);
+                node.keys = keys.slice(position, position + sizes[i]);
+                node.values = values.slice(position, position + sizes[i]);
+
+                if (children !== null) {
+                    node.children = children.slice(childPosition, childPosition + sizes[i] + 1);
+                    childPosition += sizes[i] + 1;
+                }
+
+                nodes.push(node);
+                position += sizes[i];
+
+                if (i < sizes.length - 1) {
+                    parentKeys.push(keys[position]);
+                    parentValues.push(values[position]);
+                    position++;
+                }
+            }
+
+            keys = parentKeys;
+            values = parentValues;
+            children = nodes;
+        }
+
+        const root = new BTreeNode(children === null, order);
+        root.keys = keys;
+        root.values = values;
+
+        if (children !== null) {
+            root.children = children;
+        }
+
+        tree.root = root;
+        tree.size = entries.length;
+
+        return tree;
+    }
+
+    insert(key, value = null) {
+        const sizeBefore = this.size;
+        this._insertHelper(this.root, key, value);
+
+        // 根节点溢出时分裂，树高加一
+        if (this.root.keys.length > this.order - 1) {
+            const newRoot = new BTreeNode(false, this.order);
+            newRoot.children.push(this.root);
+            this._splitChild(newRoot, 0);
+            this.root = newRoot;
+        }
+
+        return this.size > sizeBefore;
+    }
+
+    // 自底向上插入：先插入叶子，回溯时分裂溢出的子节点
+    // 不采用预先分裂满节点的做法，因为 order 为奇数时满节点的键数为偶数，无法均分，order 为 3 时会分出空节点
+    _insertHelper(node, key, value) {
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        let i = 0;
+
+        while (i < node.keys.length && this.compare(key, node.keys[i]) > 0) {
+            i++;
+        }
+
+        // 如果键已存在，更新值
+        if (i < node.keys.length && this.compare(key, node.keys[i]) === 0) {
+            node.values[i] = value;
+            return;
+        }
+
+        if (node.isLeaf) {
+            node.keys.splice(i, 0, key);
+            node.values.splice(i, 0, value);
+            this.size++;
+            return;
+        }
+
+        this._insertHelper(node.children[i], key, value);
+
+        if (node.children[i].keys.length > this.order - 1) {
+            this._splitChild(node, i);
+        }
+    }
+
+    // 将溢出（有 order 个键）的子节点以中间键为界分成两半，中间键上移到父节点
+    // 分裂后两半分别至少有 ceil(order / 2) - 1 个键
+    _splitChild(parentNode, childIndex) {
+        const childNode = parentNode.children[childIndex];
+        const newNode = new BTreeNode(childNode.isLeaf, this.order);
+        const midIndex = Math.floor(childNode.keys.length / 2);
+
+        newNode.keys = childNode.keys.splice(midIndex + 1);
+        newNode.values = childNode.values.splice(midIndex + 1);
+
+        if (!childNode.isLeaf) {
+            newNode.children = childNode.children.splice(midIndex + 1);
+        }
+
+        const midKey = childNode.keys.pop();
+        const midValue = childNode.values.pop();
+
+        parentNode.keys.splice(childIndex, 0, midKey);
+        parentNode.values.splice(childIndex, 0, midValue);
+        parentNode.children.splice(childIndex + 1, 0, newNode);
+    }
+
+    search(key) {
+        return this._searchHelper(this.root, key);
+    }
+
+    _searchHelper(node, key) {
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        let i = 0;
+
+        while (i < node.keys.length && this.compare(key, node.keys[i]) > 0) {
+            i++;
+        }
+
+        if (i < node.keys.length && this.compare(key, node.keys[i]) === 0) {
+            return node.values[i];
+        }
+
+        if (node.isLeaf) {
+            return null;
+        }
+
+        return this._searchHelper(node.children[i], key);
+    }
+
+    // 删除键：自底向上回溯时修复下溢的子节点，先向兄弟借键，借不到则与兄弟合并
+    delete(key) {
+        if (!this._deleteHelper(this.root, key)) {
+            return false;
+        }
+
+        // 根节点的键被合并下移后，由唯一的子节点成为新根，树高减一
+        if (this.root.keys.length === 0 && !this.root.isLeaf) {
+            this.root = this.root.children[0];
+        }
+
+        this.size--;
+        return true;
+    }
+
+    _deleteHelper(node, key) {
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        let i = 0;
+
+        // 找到键或应该在的位置
+        while (i < node.keys.length && this.compare(key, node.keys[i]) > 0) {
+            i++;
+        }
+
+        const found = i < node.keys.length && this.compare(key, node.keys[i]) === 0;
+
+        if (node.isLeaf) {
+            if (!found) {
+                return false;
+            }
+
+            node.keys.splice(i, 1);
+            node.values.splice(i, 1);
+            return true;
+        }
+
+        if (found) {
+            // 内部节点：用后继替换当前键，再从右子树中删除后继
+            const successor = this._findSuccessor(node, i);
+            node.keys[i] = successor.key;
+            node.values[i] = successor.value;
+            key = successor.key;
+            i++;
+        }
+
+        if (!this._deleteHelper(node.children[i], key)) {
+            return false;
+        }
+
+        if (node.children[i].keys.length < this._minKeys()) {
+            this._fixUnderflow(node, i);
+        }
+
+        return true;
+    }
+
+    // 非根节点删除后应保持的最少键数，与分裂得到的下限一致
+    _minKeys() {
+        return Math.ceil(this.order / 2) - 1;
+    }
+
+    // 修复父节点第 index 个子节点的下溢
+    _fixUnderflow(parent, index) {
+        const minKeys = this._minKeys();
+        const left = index > 0 ? parent.children[index - 1] : null;
+        const right = index < parent.children.length - 1 ? parent.children[index + 1] : null;
+
+        if (left && left.keys.length > minKeys) {
+            this._borrowFromLeft(parent, index);
+        } else if (right && right.keys.length > minKeys) {
+            this._borrowFromRight(parent, index);
+        } else if (left) {
+            this._mergeChildren(parent, index - 1);
+        } else {
+            this._mergeChildren(parent, index);
+        }
+    }
+
+    // 经父节点分隔键从左兄弟旋转借入一个键
+    _borrowFromLeft(parent, index) {
+        const child = parent.children[index];
+        const left = parent.children[index - 1];
+
+        child.keys.unshift(parent.keys[index - 1]);
+        child.values.unshift(parent.values[index - 1]);
+        parent.keys[index - 1] = left.keys.pop();
+        parent.values[index - 1] = left.values.pop();
+
+        if (!child.isLeaf) {
+            child.children.unshift(left.children.pop());
+        }
+    }
+
+    // 经父节点分隔键从右兄弟旋转借入一个键
+    _borrowFromRight(parent, index) {
+        const child = parent.children[index];
+        const right = parent.children[index + 1];
+
+        child.keys.push(parent.keys[index]);
+        child.values.push(parent.values[index]);
+        parent.keys[index] = right.keys.shift();
+        parent.values[index] = right.values.shift();
+
+        if (!child.isLeaf) {
+            child.children.push(right.children.shift());
+        }
+    }
+
+    // 将第 index + 1 个子节点连同分隔键并入第 index 个子节点
+    _mergeChildren(parent, index) {
+        const left = parent.children[index];
+        const right = parent.children[index + 1];
+
+        left.keys.push(parent.keys[index], ...right.keys);
+        left.values.push(parent.values[index], ...right.values);
+
+        if (!left.isLeaf) {
+            left.children.push(...right.children);
+        }
+
+        parent.keys.splice(index, 1);
+        parent.values.splice(index, 1);
+        parent.children.splice(index + 1, 1);
+    }
+
+    _findSuccessor(node, index) {
+        let current = node.children[index + 1];
+
+        while (!current.isLeaf) {
+            current = current.children[0];
+        }
+
+        return {key: current.keys[0], value: current.values[0]};
+    }
+
+    // 导航操作：返回最小键的键值对，树为空时返回 null
+    min() {
+        let node = this.root;
+        while (!node.isLeaf) {
+            node = node.children[0];
+        }
+
+        return node.keys.length > 0 ? {key: node.keys[0], value: node.values[0]} : null;
+    }
+
+    // 导航操作：返回最大键的键值对，树为空时返回 null
+    max() {
+        let node = this.root;
+        while (!node.isLeaf) {
+            node = node.children[node.children.length - 1];
+        }
+
+        const last = node.keys.length - 1;
+        return last >= 0 ? {key: node.keys[last], value: node.values[last]} : null;
+    }
+
+    // 导航操作：小于等于 key 的最大键
+    floor(key) {
+        return this._floorEntry(key, true);
+    }
+
+    // 导航操作：大于等于 key 的最小键
+    ceiling(key) {
+        return this._ceilingEntry(key, true);
+    }
+
+    // 导航操作：严格小于 key 的最大键
+    lower(key) {
+        return this._floorEntry(key, false);
+    }
+
+    // 导航操作：严格大于 key 的最小键
+    higher(key) {
+        return this._ceilingEntry(key, false);
+    }
+
+    // 逐层下降：keys[i - 1] 是当前候选，children[i] 中的键介于 keys[i - 1] 与 keys[i] 之间，可能更接近
+    _floorEntry(key, inclusive) {
+        let node = this.root;
+        let best = null;
+
+        while (node) {
+            let i = 0;
+
+            while (i < node.keys.length && (this.compare(node.keys[i], key) < 0 || (inclusive && this.compare(node.keys[i], key) === 0))) {
+                i++;
+            }
+
+            if (i > 0) {
+                best = {key: node.keys[i - 1], value: node.values[i - 1]};
+            }
+
+            node = node.isLeaf ? null : node.children[i];
+        }
+
+        return best;
+    }
+
+    _ceilingEntry(key, inclusive) {
+        let node = this.root;
+        let best = null;
+
+        while (node) {
+            let i = 0;
+
+            while (i < node.keys.length && (this.compare(node.keys[i], key) < 0 || (!inclusive && this.compare(node.keys[i], key) === 0))) {
+                i++;
+            }
+
+            if (i < node.keys.length) {
+                best = {key: node.keys[i], value: node.values[i]};
+            }
+
+            node = node.isLeaf ? null : node.children[i];
+        }
+
+        return best;
+    }
+
+    rangeSearch(minKey, maxKey) {
+        const result = [];
+        this._rangeSearchHelper(this.root, minKey, maxKey, result);
+        return result;
+    }
+
+    _rangeSearchHelper(node, minKey, maxKey, result) {
+        if (!node) {
+            return;
+        }
+
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        let i = 0;
+
+        // 找到第一个大于等于minKey的位置
+        while (i < node.keys.length && this.compare(node.keys[i], minKey) < 0) {
+            i++;
+        }
+
+        // 按中序收集范围内的键：children[i] 中的键都小于 keys[i]，须先于 keys[i] 访问
+        while (i < node.keys.length) {
+            if (!node.isLeaf) {
+                this._rangeSearchHelper(node.children[i], minKey, maxKey, result);
+            }
+
+            if (this.compare(node.keys[i], maxKey) > 0) {
+                return;
+            }
+
+            result.push({key: node.keys[i], value: node.values[i]});
+            i++;
+        }
+
+        // 如果不是叶子节点，递归搜索右子树
+        if (!node.isLeaf) {
+            this._rangeSearchHelper(node.children[i], minKey, maxKey, result);
+        }
+    }
+
+    * _iterate(minKey, maxKey, reverse) {
+        if (reverse) {
+            yield* this._iterateReverse(this.root, minKey, maxKey);
+        } else {
+            yield* this._iterateForward(this.root, minKey, maxKey);
+        }
+    }
+
+    // 惰性中序遍历，跳过全部小于 minKey 的子树；遇到大于 maxKey 的键即停止
+    // 祖先节点在该子树之后的键更大，也会随之停止
+    * _iterateForward(node, minKey, maxKey) {
+        let i = 0;
+
+        if (minKey !== undefined) {
+            while (i < node.keys.length && this.compare(node.keys[i], minKey) < 0) {
+                i++;
+            }
+        }
+
+        for (; i < node.keys.length; i++) {
+            if (!node.isLeaf) {
+                yield* this._iterateForward(node.children[i], minKey, maxKey);
+            }
+
+            if (maxKey !== undefined && this.compare(node.keys[i], maxKey) > 0) {
+                return;
+            }
+
+            yield {key: node.keys[i], value: node.values[i]};
+        }
+
+        if (!node.isLeaf) {
+            yield* this._iterateForward(node.children[node.keys.length], minKey, maxKey);
+        }
+    }
+
+    * _iterateReverse(node, minKey, maxKey) {
+        let i = node.keys.length - 1;
+
+        if (maxKey !== undefined) {
+            while (i >= 0 && this.compare(node.keys[i], maxKey) > 0) {
+                i--;
+            }
+        }
+
+        for (; i >= 0; i--) {
+            if (!node.isLeaf) {
+                yield* this._iterateReverse(node.children[i + 1], minKey, maxKey);
+            }
+
+            if (minKey !== undefined && this.compare(node.keys[i], minKey) < 0) {
+                return;
+            }
+
+            yield {key: node.keys[i], value: node.values[i]};
+        }
+
+        if (!node.isLeaf) {
+            yield* this._iterateReverse(node.children[0], minKey, maxKey);
+        }
+    }
+
+    inOrderTraversal(callback) {
+        this._inOrderTraversalHelper(this.root, callback);
+    }
+
+    _inOrderTraversalHelper(node, callback) {
+        if (!node) {
+            return;
+        }
+
+        for (let i = 0; i < node.keys.length; i++) {
+            if (!node.isLeaf) {
+                this._inOrderTraversalHelper(node.children[i], callback);
+            }
+
+            callback({key: node.keys[i], value: node.values[i]});
+        }
+
+        if (!node.isLeaf) {
+            this._inOrderTraversalHelper(node.children[node.keys.length], callback);
+        }
+    }
+
+    // 统计树高与节点填充率（节点键数 / 最大键数 order - 1），根节点不计入最低填充率
+    nodeStats() {
+        const stats = {height: 0, nodeCount: 0, keyCount: 0, averageFill: 0, minFill: 1};
+        const capacity = this.order - 1;
+        let level = [this.root];
+
+        while (level.length > 0) {
+            const next = [];
+            stats.height++;
+
+            for (const node of level) {
+                stats.nodeCount++;
+                stats.keyCount += node.keys.length;
+
+                if (node !== this.root) {
+                    stats.minFill = Math.min(stats.minFill, node.keys.length / capacity);
+                }
+
+                if (!node.isLeaf) {
+                    next.push(...node.children);
+                }
+            }
+
+            level = next;
+        }
+
+        stats.averageFill = stats.keyCount / (stats.nodeCount * capacity);
+        return stats;
+    }
+
+    // 内存模型（见 multiwayTreeMemory）
+    memoryModel() {
+        return multiwayTreeMemory(this.root);
+    }
+
+    // 树形统计（见 treeShape），另加 nodeStats 的节点填充率；所有叶子同深度，height 即层数
+    shapeStats() {
+        const {averageFill, minFill} = this.nodeStats();
+        const shape = treeShape(this.root, node => node.isLeaf ? [] : node.children);
+        shape.averageFill = averageFill;
+        shape.minFill = minFill;
+
+        return shape;
+    }
+
+    // 校验B树性质：节点内键有序且落在父节点分隔键范围内、非根节点最少填充、
+    // 子节点数为键数加一、所有叶子同深度，以及 size
+    validate() {
+        const violations = [];
+        const state = {count: 0, leafDepth: -1};
+
+        this._validateHelper(this.root, null, null, 0, violations, state);
+
+        if (state.count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际键数为 ${state.count}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+
+    _validateHelper(node, lower, upper, depth, violations, state) {
+        // 插入和删除维持 ceil(order / 2) - 1 的下限，但 fromSorted 以低填充率构建时节点可能更稀疏，
+        // 因此这里按更宽松的 ceil((order - 1) / 2) - 1 校验
+        const minKeys = Math.ceil((this.order - 1) / 2) - 1;
+        const firstKey = node.keys.length > 0 ? node.keys[0] : null;
+
+        state.count += node.keys.length;
+
+        if (node.keys.length > this.order - 1) {
+            violations.push({rule: 'max-fill', key: firstKey, message: `节点有 ${node.keys.length} 个键，超过上限 ${this.order - 1}`});
+        }
+
+        if (node !== this.root && node.keys.length < minKeys) {
+            violations.push({rule: 'min-fill', key: firstKey, message: `节点有 ${node.keys.length} 个键，低于下限 ${minKeys}`});
+        }
+
+        if (node.values.length !== node.keys.length) {
+            violations.push({rule: 'values-length', key: firstKey, message: '值数组与键数组长度不一致'});
+        }
+
+        for (let i = 0; i < node.keys.length; i++) {
+            const key = node.keys[i];
+
+            if (i > 0 && this.compare(node.keys[i - 1], key) >= 0) {
+                violations.push({rule: 'key-order', key, message: '节点内键未严格递增'});
+            }
+
+            if ((lower !== null && this.compare(key, lower) <= 0) || (upper !== null && this.compare(key, upper) >= 0)) {
+                violations.push({rule: 'key-order', key, message: '键超出父节点分隔键范围'});
+            }
+        }
+
+        if (node.isLeaf) {
+            if (state.leafDepth === -1) {
+                state.leafDepth = depth;
+            } else if (state.leafDepth !== depth) {
+                violations.push({rule: 'leaf-depth', key: firstKey, message: `叶子深度 ${depth} 与 ${state.leafDepth} 不一致`});
+            }
+            return;
+        }
+
+        if (node.children.length !== node.keys.length + 1) {
+            violations.push({rule: 'child-count', key: firstKey, message: `内部节点有 ${node.keys.length} 个键、${node.children.length} 个子节点`});
+        }
+
+        for (let i = 0; i < node.children.length; i++) {
+            const childLower = i === 0 ? lower : node.keys[i - 1];
+            const childUpper = i < node.keys.length ? node.keys[i] : upper;
+            this._validateHelper(node.children[i], childLower, childUpper, depth + 1, violations, state);
+        }
+    }
+}
+
+// 1.7 B+树实现
+class BPlusTreeNode {
+    constructor(isLeaf = true, order = 5) {
+        this.isLeaf = isLeaf;
+        this.keys = [];
+        this.values = isLeaf ? [] : null; // 只有叶子节点存储值
+        this.children = !isLeaf ? [] : null;
+        this.next = null; // 叶子节点链表
+        this.order = order;
+    }
+}
+
+class BPlusTree {
+    // 构造参数为 (order, options)，也可以只传一个包含 order 的选项对象（参见 splitConstructorArgs）
+    constructor(...args) {
+        const [order = 5, {compare = defaultCompare, allowDuplicates = false}] = splitConstructorArgs('BPlusTree', ['order'], args);
+        this.compare = compare;
+        initMultimap(this, allowDuplicates);
+        this.root = new BPlusTreeNode(true, order);
+        this.order = order;
+        this.size = 0;
+        this.counters = null;
+        this.firstLeaf = this.root; // 指向第一个叶子节点，用于范围查询
+    }
+
+    // 从按键严格递增的 {key, value} 数组自底向上以 O(n) 构建B+树：先按填充率切分叶子并串成链表，
+    // 再逐层以每个子树的最小键作为分隔键建立内部节点
+    // fillFactor 为 (0, 1] 之间的节点填充率，较低的填充率为后续插入预留空间，减少分裂
+    static fromSorted(entries, {order = 5, fillFactor = 1, compare = defaultCompare, allowDuplicates = false} = {}) {
+        if (!(fillFactor > 0 && fillFactor <= 1)) {
+            throw new Error(`fillFactor 必须在 (0, 1] 之间，实际为 ${fillFactor}`);
+        }
+
+        const tree = new BPlusTree(order, {compare, allowDuplicates});
+        assertSortedEntries(entries, compare);
+
+        if (entries.length === 0) {
+            return tree;
+        }
+
+        const maxKeys = order - 1;
+        const minLeafKeys = Math.max(1, Math.floor((order - 1) / 2));
+        const minInternalKeys = Math.max(1, Math.ceil((order - 1) / 2) - 1);
+
+        // 构建叶子层
+        let nodes = [];
+        let minKeys = [];
+        let position = 0;
+
+        for (const size of planGroups(entries.length, Math.max(minLeafKeys, Math.min(maxKeys, Math.round(maxKeys * fillFactor))), maxKeys)) {
+            const leaf = new BPlusTreeNode(true, order);
+
+            for (let i = position; i < position + size; i++) {
+                leaf.keys.push(entries[i].key);
+                leaf.values.push(entries[i].value);
+            }
+
+            if (nodes.length > 0) {
+                nodes[nodes.length - 1].next = leaf;
+            }
+
+            nodes.push(leaf);
+            minKeys.push(entries[position].key);
+            position += size;
+        }
+
+        tree.firstLeaf = nodes[0];
+
+        // 逐层构建内部节点，每个内部节点有 keys.length + 1 个子节点
+        const targetChildren = Math.max(minInternalKeys, Math.min(maxKeys, Math.round(maxKeys * fillFactor))) + 1;
+
+        while (nodes.length > 1) {
+            const parents = [];
+            const parentMinKeys = [];
+            position = 0;
+
+            for (const size of planGroups(nodes.length, targetChildren, maxKeys + 1)) {
+                const parent = new BPlusTreeNode(false, order);
+                parent.children = nodes.slice(position, position + size);
+                parent.keys = minKeys.slice(position + 1, position + size);
+
+                parents.push(parent);
+                parentMinKeys.push(minKeys[position]);
+                position += size;
+            }
+
+            nodes = parents;
+            minKeys = parentMinKeys;
+        }
+
+        tree.root = nodes[0];
+        tree.size = entries.length;
+
+        return tree;
+    }
+
+    insert(key, value = null) {
+        const sizeBefore = this.size;
+        this._insertHelper(this.root, key, value);
+
+        // 根节点溢出时分裂，树高加一
+        if (this.root.keys.length > this.order - 1) {
+            const newRoot = new BPlusTreeNode(false, this.order);
+            newRoot.children.push(this.root);
+            this._splitChild(newRoot, 0);
+            this.root = newRoot;
+        }
+
+        return this.size > sizeBefore;
+    }
+
+    // 自底向上插入：先插入叶子，回溯时分裂溢出的子节点（与B树相同，避免 order 为奇数时预先分裂出过小的节点）
+    _insertHelper(node, key, value) {
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        let i = 0;
+
+        if (node.isLeaf) {
+            while (i < node.keys.length && this.compare(key, node.keys[i]) > 0) {
+                i++;
+            }
+
+            // 如果键已存在，更新值
+            if (i < node.keys.length && this.compare(key, node.keys[i]) === 0) {
+                node.values[i] = value;
+                return;
+            }
+
+            node.keys.splice(i, 0, key);
+            node.values.splice(i, 0, value);
+            this.size++;
+            return;
+        }
+
+        // 分隔键等于右子树的最小键，相等的键应进入右侧子节点
+        while (i < node.keys.length && this.compare(key, node.keys[i]) >= 0) {
+            i++;
+        }
+
+        this._insertHelper(node.children[i], key, value);
+
+        if (node.children[i].keys.length > this.order - 1) {
+            this._splitChild(node, i);
+        }
+    }
+
+    // 分裂溢出（有 order 个键）的子节点
+    _splitChild(parentNode, childIndex) {
+        const childNode = parentNode.children[childIndex];
+        const newNode = new BPlusTreeNode(childNode.isLeaf, this.order);
+        const midIndex = Math.floor(childNode.keys.length / 2);
+
+        if (childNode.isLeaf) {
+            // B+树特性：叶子节点分裂时，右半部分的第一个键复制到父节点作为分隔键
+            newNode.keys = childNode.keys.splice(midIndex);
+            newNode.values = childNode.values.splice(midIndex);
+
+            // 更新叶子节点链表
+            newNode.next = childNode.next;
+            childNode.next = newNode;
+
+            parentNode.keys.splice(childIndex, 0, newNode.keys[0]);
+        } else {
+            // 内部节点分裂：中间键上移到父节点，不在子节点中保留
+            newNode.keys = childNode.keys.splice(midIndex + 1);
+            newNode.children = childNode.children.splice(midIndex + 1);
+
+            parentNode.keys.splice(childIndex, 0, childNode.keys.pop());
+        }
+
+        parentNode.children.splice(childIndex + 1, 0, newNode);
+    }
+
+    search(key) {
+        let node = this.root;
+
+        while (!node.isLeaf) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
+
+            let i = 0;
+
+            while (i < node.keys.length && this.compare(key, node.keys[i]) >= 0) {
+                i++;
+            }
+
+            node = node.children[i];
+        }
+
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        for (let i = 0; i < node.keys.length; i++) {
+            if (this.compare(node.keys[i], key) === 0) {
+                return node.values[i];
+            }
+        }
+
+        return null;
+    }
+
+    // 删除键：从叶子删除后自底向上修复下溢（先向兄弟借键，借不到则合并），
+    // 并把等于被删键的分隔键替换为右侧子树的新最小键，使分隔键始终是树中存在的键
+    delete(key) {
+        if (!this._deleteHelper(this.root, key)) {
+            return false;
+        }
+
+        // 根节点的键被合并下移后，由唯一的子节点成为新根，树高减一
+        if (this.root.keys.length === 0 && !this.root.isLeaf) {
+            this.root = this.root.children[0];
+        }
+
+        this.size--;
+        return true;
+    }
+
+    _deleteHelper(node, key) {
+        if (this.counters !== null) {
+            this.counters.nodeVisits++;
+        }
+
+        let i = 0;
+
+        if (node.isLeaf) {
+            while (i < node.keys.length && this.compare(key, node.keys[i]) > 0) {
+                i++;
+            }
+
+            if (i === node.keys.length || this.compare(key, node.keys[i]) !== 0) {
+                return false;
+            }
+
+            node.keys.splice(i, 1);
+            node.values.splice(i, 1);
+            return true;
+        }
+
+        while (i < node.keys.length && this.compare(key, node.keys[i]) >= 0) {
+            i++;
+        }
+
+        if (!this._deleteHelper(node.children[i], key)) {
+            return false;
+        }
+
+        // 被删键只可能作为搜索路径上的 keys[i - 1] 出现；子树为空的叶子由下面的借键或合并处理
+        const child = node.children[i];
+
+        if (i > 0 && this.compare(node.keys[i - 1], key) === 0 && (!child.isLeaf || child.keys.length > 0)) {
+            node.keys[i - 1] = this._minKey(child);
+        }
+
+        if (child.keys.length < this._minKeys(child)) {
+            this._fixUnderflow(node, i);
+        }
+
+        return true;
+    }
+
+    _minKey(node) {
+        while (!node.isLeaf) {
+            node = node.children[0];
+        }
+
+        return node.keys[0];
+    }
+
+    // 非根节点删除后应保持的最少键数，与分裂得到的下限一致
+    _minKeys(node) {
+        return node.isLeaf ? Math.floor(this.order / 2) : Math.ceil(this.order / 2) - 1;
+    }
+
+    // 修复父节点第 index 个子节点的下溢
+    _fixUnderflow(parent, index) {
+        const child = parent.children[index];
+        const minKeys = this._minKeys(child);
+        const left = index > 0 ? parent.children[index - 1] : null;
+        const right = index < parent.children.length - 1 ? parent.children[index + 1] : null;
+
+        if (left && left.keys.length > minKeys) {
+            this._borrowFromLeft(parent, index);
+        } else if (right && right.keys.length > minKeys) {
+            this._borrowFromRight(parent, index);
+        } else if (left) {
+            this._mergeChildren(parent, index - 1);
+        } else {
+            this._mergeChildren(parent, index);
+        }
+    }
+
+    // 叶子直接移入左兄弟的最大键并更新分隔键；内部节点经父节点分隔键旋转
+    _borrowFromLeft(parent, index) {
+        const child = parent.children[index];
+        const left = parent.children[index - 1];
+
+        if (child.isLeaf) {
+            child.keys.unshift(left.keys.pop());
+            child.values.unshift(left.values.pop());
+            parent.keys[index - 1] = child.keys[0];
+        } else {
+            child.keys.unshift(parent.keys[index - 1]);
+            child.children.unshift(left.children.pop());
+            parent.keys[index - 1] = left.keys.pop();
+        }
+    }
+
+    // 叶子直接移入右兄弟的最小键，并更新两侧的分隔键；内部节点经父节点分隔键旋转
+    _borrowFromRight(parent, index) {
+        const child = parent.children[index];
+        const right = parent.children[index + 1];
+
+        if (child.isLeaf) {
+            child.keys.push(right.keys.shift());
+            child.values.push(right.values.shift());
+            parent.keys[index] = right.keys[0];
+
+            if (index > 0) {
+                parent.keys[index - 1] = child.keys[0];
+            }
+        } else {
+            child.keys.push(parent.keys[index]);
+            child.children.push(right.children.shift());
+            parent.keys[index] = right.keys.shift();
+        }
+    }
+
+    // 将第 index + 1 个子节点并入第 index 个子节点：叶子丢弃分隔键并摘除链表节点，内部节点下移分隔键
+    _mergeChildren(parent, index) {
+        const left = parent.children[index];
+        const right = parent.children[index + 1];
+
+        if (left.isLeaf) {
+            left.keys.push(...right.keys);
+            left.values.push(...right.values);
+            left.next = right.next;
+        } else {
+            left.keys.push(parent.keys[index], ...right.keys);
+            left.children.push(...right.children);
+        }
+
+        parent.keys.splice(index, 1);
+        parent.children.splice(index + 1, 1);
+    }
+
+    // 导航操作：返回最小键的键值对，树为空时返回 null
+    min() {
+        let leaf = this.firstLeaf;
+        while (leaf && leaf.keys.length === 0) {
+            leaf = leaf.next;
+        }
+
+        return leaf ? {key: leaf.keys[0], value: leaf.values[0]} : null;
+    }
+
+    // 导航操作：返回最大键的键值对，树为空时返回 null
+    max() {
+        return this._maxEntry(this.root);
+    }
+
+    // 导航操作：小于等于 key 的最大键
+    floor(key) {
+        return this._floorEntry(key, true);
+    }
+
+    // 导航操作：大于等于 key 的最小键
+    ceiling(key) {
+        return this._ceilingEntry(key, true);
+    }
+
+    // 导航操作：严格小于 key 的最大键
+    lower(key) {
+        return this._floorEntry(key, false);
+    }
+
+    // 导航操作：严格大于 key 的最小键
+    higher(key) {
+        return this._ceilingEntry(key, false);
+    }
+
+    _maxEntry(node) {
+        while (!node.isLeaf) {
+            node = node.children[node.children.length - 1];
+        }
+
+        const last = node.keys.length - 1;
+        return last >= 0 ? {key: node.keys[last], value: node.values[last]} : null;
+    }
+
+    // 叶子节点没有前驱指针，因此下降时记录最近的左兄弟子树，
+    // 目标叶子中没有候选时，答案是该子树的最大键
+    _floorEntry(key, inclusive) {
+        let node = this.root;
+        let leftSubtree = null;
+
+        while (!node.isLeaf) {
+            let i = 0;
+
+            while (i < node.keys.length && this.compare(key, node.keys[i]) >= 0) {
+                i++;
+            }
+
+            if (i > 0) {
+                leftSubtree = node.children[i - 1];
+            }
+
+            node = node.children[i];
+        }
+
+        for (let i = node.keys.length - 1; i >= 0; i--) {
+            if (this.compare(node.keys[i], key) < 0 || (inclusive && this.compare(node.keys[i], key) === 0)) {
+                return {key: node.keys[i], value: node.values[i]};
+            }
+        }
+
+        return leftSubtree ? this._maxEntry(leftSubtree) : null;
+    }
+
+    // 目标叶子中没有候选时，沿叶子链表向后查找
+    _ceilingEntry(key, inclusive) {
+        let node = this.root;
+
+        while (!node.isLeaf) {
+            let i = 0;
+
+            while (i < node.keys.length && this.compare(key, node.keys[i]) >= 0) {
+                i++;
+            }
+
+            node = node.children[i];
+        }
+
+        while (node) {
+            for (let i = 0; i < node.keys.length; i++) {
+                if (this.compare(node.keys[i], key) > 0 || (inclusive && this.compare(node.keys[i], key) === 0)) {
+                    return {key: node.keys[i], value: node.values[i]};
+                }
+            }
+
+            node = node.next;
+        }
+
+        return null;
+    }
+
+    rangeSearch(minKey, maxKey) {
+        const result = [];
+
+        // 先找到包含最小键的叶子节点
+        let node = this.root;
+
+        while (!node.isLeaf) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
+
+            let i = 0;
+
+            while (i < node.keys.length && this.compare(minKey, node.keys[i]) >= 0) {
+                i++;
+            }
+
+            node = node.children[i];
+        }
+
+        // 从该叶子节点开始收集范围内的键值对
+        while (node) {
+            if (this.counters !== null) {
+                this.counters.nodeVisits++;
+            }
+
+            for (let i = 0; i < node.keys.length; i++) {
+                if (this.compare(node.keys[i], minKey) >= 0 && this.compare(node.keys[i], maxKey) <= 0) {
+                    result.push({key: node.keys[i], value: node.values[i]});
+                } else if (this.compare(node.keys[i], maxKey) > 0) {
+                    return result;
+                }
+            }
+
+            node = node.next;
+        }
+
+        return result;
+    }
+
+    * _iterate(minKey, maxKey, reverse) {
+        if (reverse) {
+            yield* this._iterateReverse(this.root, minKey, maxKey);
+            return;
+        }
+
+        // 正向扫描：定位起始叶子后沿叶子链表前进
+        let node = this.firstLeaf;
+
+        if (minKey !== undefined) {
+            node = this.root;
+
+            while (!node.isLeaf) {
+                let i = 0;
+
+                while (i < node.keys.length && this.compare(minKey, node.keys[i]) >= 0) {
+                    i++;
+                }
+
+                node = node.children[i];
+            }
+        }
+
+        while (node) {
+            for (let i = 0; i < node.keys.length; i++) {
+                if (minKey !== undefined && this.compare(node.keys[i], minKey) < 0) {
+                    continue;
+                }
+
+                if (maxKey !== undefined && this.compare(node.keys[i], maxKey) > 0) {
+                    return;
+                }
+
+                yield {key: node.keys[i], value: node.values[i]};
+            }
+
+            node = node.next;
+        }
+    }
+
+    // 叶子链表是单向的，逆序扫描改为从右向左递归下降；
+    // 子节点 j - 1 中的键都小于分隔键 keys[j - 1]，分隔键不大于 minKey 时即可停止
+    * _iterateReverse(node, minKey, maxKey) {
+        if (node.isLeaf) {
+            for (let i = node.keys.length - 1; i >= 0; i--) {
+                if (maxKey !== undefined && this.compare(node.keys[i], maxKey) > 0) {
+                    continue;
+                }
+
+                if (minKey !== undefined && this.compare(node.keys[i], minKey) < 0) {
+                    return;
+                }
+
+                yield {key: node.keys[i], value: node.values[i]};
+            }
+            return;
+        }
+
+        let j = node.keys.length;
+
+        if (maxKey !== undefined) {
+            while (j > 0 && this.compare(maxKey, node.keys[j - 1]) < 0) {
+                j--;
+            }
+        }
+
+        for (; j >= 0; j--) {
+            yield* this._iterateReverse(node.children[j], minKey, maxKey);
+
+            if (j > 0 && minKey !== undefined && this.compare(node.keys[j - 1], minKey) <= 0) {
+                return;
+            }
+        }
+    }
+
+    // 数据只存放在叶子中，沿叶子链表遍历；内部节点的分隔键只用于导航，不回调
+    inOrderTraversal(callback) {
+        for (let leaf = this.firstLeaf; leaf; leaf = leaf.next) {
+            for (let i = 0; i < leaf.keys.length; i++) {
+                callback({key: leaf.keys[i], value: leaf.values[i]});
+            }
+        }
+    }
+
+    // 统计树高与节点填充率（节点键数 / 最大键数 order - 1），根节点不计入最低填充率
+    nodeStats() {
+        const stats = {height: 0, nodeCount: 0, keyCount: 0, averageFill: 0, minFill: 1};
+        const capacity = this.order - 1;
+        let level = [this.root];
+
+        while (level.length > 0) {
+            const next = [];
+            stats.height++;
+
+            for (const node of level) {
+                stats.nodeCount++;
+                stats.keyCount += node.keys.length;
+
+                if (node !== this.root) {
+                    stats.minFill = Math.min(stats.minFill, node.keys.length / capacity);
+                }
+
+                if (!node.isLeaf) {
+                    next.push(...node.children);
+                }
+            }
+
+            level = next;
+        }
+
+        stats.averageFill = stats.keyCount / (stats.nodeCount * capacity);
+        return stats;
+    }
+
+    // 内存模型（见 multiwayTreeMemory）
+    memoryModel() {
+        return multiwayTreeMemory(this.root);
+    }
+
+    // 树形统计（见 treeShape），另加 nodeStats 的节点填充率；所有叶子同深度，height 即层数
+    shapeStats() {
+        const {averageFill, minFill} = this.nodeStats();
+        const shape = treeShape(this.root, node => node.isLeaf ? [] : node.children);
+        shape.averageFill = averageFill;
+        shape.minFill = minFill;
+
+        return shape;
+    }
+
+    // 校验B+树性质：键有序且满足分隔键约束（左子树 < 分隔键 <= 右子树）、
+    // 非根节点最少填充、所有叶子同深度、叶子链表按序串联全部叶子，以及 size
+    validate() {
+        const violations = [];
+        const state = {count: 0, leafDepth: -1, leaves: []};
+
+        this._validateHelper(this.root, null, null, 0, violations, state);
+
+        if (state.leaves[0] !== this.firstLeaf) {
+            violations.push({rule: 'leaf-chain', key: null, message: 'firstLeaf 不是最左侧叶子'});
+        }
+
+        for (let i = 0; i < state.leaves.length; i++) {
+            const expectedNext = i + 1 < state.leaves.length ? state.leaves[i + 1] : null;
+
+            if (state.leaves[i].next !== expectedNext) {
+                const leaf = state.leaves[i];
+                violations.push({rule: 'leaf-chain', key: leaf.keys.length > 0 ? leaf.keys[0] : null, message: `第 ${i} 个叶子的 next 指针未指向其右侧叶子`});
+            }
+        }
+
+        if (state.count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，叶子中实际键数为 ${state.count}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+
+    _validateHelper(node, lower, upper, depth, violations, state) {
+        // 插入和删除维持叶子 floor(order / 2)、内部节点 ceil(order / 2) - 1 的下限，
+        // fromSorted 以低填充率构建时节点可能更稀疏，因此这里按更宽松的下限校验
+        const minKeys = node.isLeaf ? Math.floor((this.order - 1) / 2) : Math.ceil((this.order - 1) / 2) - 1;
+        const firstKey = node.keys.length > 0 ? node.keys[0] : null;
+
+        if (node.keys.length > this.order - 1) {
+            violations.push({rule: 'max-fill', key: firstKey, message: `节点有 ${node.keys.length} 个键，超过上限 ${this.order - 1}`});
+        }
+
+        if (node !== this.root && node.keys.length < minKeys) {
+            violations.push({rule: 'min-fill', key: firstKey, message: `节点有 ${node.keys.length} 个键，低于下限 ${minKeys}`});
+        }
+
+        for (let i = 0; i < node.keys.length; i++) {
+            const key = node.keys[i];
+
+            if (i > 0 && this.compare(node.keys[i - 1], key) >= 0) {
+                violations.push({rule: 'key-order', key, message: '节点内键未严格递增'});
+            }
+
+            if ((lower !== null && this.compare(key, lower) < 0) || (upper !== null && this.compare(key, upper) >= 0)) {
+                violations.push({rule: 'separator', key, message: '键超出父节点分隔键范围'});
+            }
+        }
+
+        if (node.isLeaf) {
+            state.count += node.keys.length;
+            state.leaves.push(node);
+
+            if (node.values.length !== node.keys.length) {
+                violations.push({rule: 'values-length', key: firstKey, message: '值数组与键数组长度不一致'});
+            }
+
+            if (state.leafDepth === -1) {
+                state.leafDepth = depth;
+            } else if (state.leafDepth !== depth) {
+                violations.push({rule: 'leaf-depth', key: firstKey, message: `叶子深度 ${depth} 与 ${state.leafDepth} 不一致`});
+            }
+            return;
+        }
+
+        if (node.children.length !== node.keys.length + 1) {
+            violations.push({rule: 'child-count', key: firstKey, message: `内部节点有 ${node.keys.length} 个键、${node.children.length} 个子节点`});
+        }
+
+        for (let i = 0; i < node.children.length; i++) {
+            const childLower = i === 0 ? lower : node.keys[i - 1];
+            const childUpper = i < node.keys.length ? node.keys[i] : upper;
+            this._validateHelper(node.children[i], childLower, childUpper, depth + 1, violations, state);
+        }
+    }
+}
+
+// 1.8 线性数组 (用作基准参照)
+class LinearArray {
+    constructor({compare = defaultCompare, allowDuplicates = false} = {}) {
+        this.compare = compare;
+        initMultimap(this, allowDuplicates);
+        this.items = [];
+        this.size = 0;
+    }
+
+    insert(key, value = null) {
+        // 二分查找插入位置，保持有序
+        const index = this._lowerBound(key);
+
+        // 如果键已存在，更新值
+        if (index < this.items.length && this.compare(this.items[index].key, key) === 0) {
+            this.items[index].value = value;
+            return false;
+        }
+
+        // 插入新键值对
+        this.items.splice(index, 0, {key, value});
+        this.size++;
+        return true;
+    }
+
+    search(key) {
+        // 二分查找
+        let left = 0;
+        let right = this.items.length - 1;
+
+        while (left <= right) {
+            const mid = Math.floor((left + right) / 2);
+
+            if (this.compare(this.items[mid].key, key) === 0) {
+                return this.items[mid].value;
+            }
+
+            if (this.compare(this.items[mid].key, key) < 0) {
+                left = mid + 1;
+            } else {
+                right = mid - 1;
+            }
+        }
+
+        return null;
+    }
+
+    delete(key) {
+        // 二分查找
+        let left = 0;
+        let right = this.items.length - 1;
+
+        while (left <= right) {
+            const mid = Math.floor((left + right) / 2);
+
+            if (this.compare(this.items[mid].key, key) === 0) {
+                this.items.splice(mid, 1);
+                this.size--;
+                return true;
+            }
+
+            if (this.compare(this.items[mid].key, key) < 0) {
+                left = mid + 1;
+            } else {
+                right = mid - 1;
+            }
+        }
+
+        return false;
+    }
+
+    // 导航操作：返回最小键的键值对，数组为空时返回 null
+    min() {
+        return this._entryAt(0);
+    }
+
+    // 导航操作：返回最大键的键值对，数组为空时返回 null
+    max() {
+        return this._entryAt(this.items.length - 1);
+    }
+
+    // 导航操作：小于等于 key 的最大键
+    floor(key) {
+        return this._entryAt(this._upperBound(key) - 1);
+    }
+
+    // 导航操作：大于等于 key 的最小键
+    ceiling(key) {
+        return this._entryAt(this._lowerBound(key));
+    }
+
+    // 导航操作：严格小于 key 的最大键
+    lower(key) {
+        return this._entryAt(this._lowerBound(key) - 1);
+    }
+
+    // 导航操作：严格大于 key 的最小键
+    higher(key) {
+        return this._entryAt(this._upperBound(key));
+    }
+
+    _entryAt(index) {
+        if (index < 0 || index >= this.items.length) {
+            return null;
+        }
+
+        const item = this.items[index];
+        return {key: item.key, value: item.value};
+    }
+
+    rangeSearch(minKey, maxKey) {
+        const result = [];
+
+        // 二分查找找到起始位置
+        let start = this._lowerBound(minKey);
+
+        // 从起始位置收集范围内的键值对
+        while (start < this.items.length && this.compare(this.items[start].key, maxKey) <= 0) {
+            result.push({key: this.items[start].key, value: this.items[start].value});
+            start++;
+        }
+
+        return result;
+    }
+
+    // 顺序统计：返回第 k 小（从 0 开始）的键值对，越界时返回 null
+    select(k) {
+        if (k < 0 || k >= this.items.length) {
+            return null;
+        }
+
+        const item = this.items[k];
+        return {key: item.key, value: item.value};
+    }
+
+    // 顺序统计：返回严格小于 key 的键的个数
+    rank(key) {
+        return this._lowerBound(key);
+    }
+
+    // 统计 [minKey, maxKey] 内的键数
+    countRange(minKey, maxKey) {
+        if (this.compare(minKey, maxKey) > 0) {
+            return 0;
+        }
+
+        return this._upperBound(maxKey) - this._lowerBound(minKey);
+    }
+
+    // 二分查找第一个键大于等于 key 的位置
+    _lowerBound(key) {
+        let left = 0;
+        let right = this.items.length;
+
+        while (left < right) {
+            const mid = Math.floor((left + right) / 2);
+
+            if (this.compare(this.items[mid].key, key) < 0) {
+                left = mid + 1;
+            } else {
+                right = mid;
+            }
+        }
+
+        return left;
+    }
+
+    // 二分查找第一个键大于 key 的位置
+    _upperBound(key) {
+        let left = 0;
+        let right = this.items.length;
+
+        while (left < right) {
+            const mid = Math.floor((left + right) / 2);
+
+            if (this.compare(this.items[mid].key, key) <= 0) {
+                left = mid + 1;
+            } else {
+                right = mid;
+            }
+        }
+
+        return left;
+    }
+
+    // 通过二分查找确定起止下标后按下标惰性产出
+    * _iterate(minKey, maxKey, reverse) {
+        const start = minKey === undefined ? 0 : this._lowerBound(minKey);
+        const end = maxKey === undefined ? this.items.length : this._upperBound(maxKey);
+
+        if (reverse) {
+            for (let i = end - 1; i >= start; i--) {
+                yield {key: this.items[i].key, value: this.items[i].value};
+            }
+        } else {
+            for (let i = start; i < end; i++) {
+                yield {key: this.items[i].key, value: this.items[i].value};
+            }
+        }
+    }
+
+    inOrderTraversal(callback) {
+        for (const item of this.items) {
+            callback(item);
+        }
+    }
+
+    // 内存模型（见 modelMemory）：有序的条目数组与 {key, value} 条目
+    memoryModel() {
+        return modelMemory([...arrayParts(1, this.items.length), ['Object', this.items.length * objectBytes(2)]]);
+    }
+
+    // 校验有序数组性质：键严格递增，以及 size
+    validate() {
+        const violations = [];
+
+        for (let i = 1; i < this.items.length; i++) {
+            if (this.compare(this.items[i - 1].key, this.items[i].key) >= 0) {
+                violations.push({rule: 'key-order', key: this.items[i].key, message: `位置 ${i} 的键未严格递增`});
+            }
+        }
+
+        if (this.items.length !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际元素数为 ${this.items.length}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+}
+
+// 1.9 压缩内存数组（Packed Memory Array）：有序条目存放在带空隙的数组中，空隙使插入只需移动附近的少量条目。
+// 数组划分为长度约 log2(capacity) 的段，段构成一棵隐式完全二叉树；插入或删除使段的密度越过阈值时，
+// 向上找到密度在阈值内的最小窗口并把窗口内的条目均匀重新分布，整个数组越界时扩容或缩容。
+// 阈值从叶段到根线性插值，插入和删除均摊移动 O(log^2 n) 个条目，范围扫描始终是连续的内存访问
+const PMA_MIN_CAPACITY = 8;
+const PMA_LEAF_UPPER = 1;
+const PMA_ROOT_UPPER = 0.75;
+const PMA_LEAF_LOWER = 0.125;
+const PMA_ROOT_LOWER = 0.25;
+
+class PackedMemoryArray {
+    constructor({compare = defaultCompare, allowDuplicates = false} = {}) {
+        this.compare = compare;
+        initMultimap(this, allowDuplicates);
+        this.size = 0;
+        this._setCapacity(PMA_MIN_CAPACITY);
+    }
+
+    // 从已按键严格递增排序的条目构建，容量取使密度不超过 1/2 的最小 2 的幂，条目均匀分布
+    static fromSorted(entries, options = {}) {
+        const pma = new PackedMemoryArray(options);
+        assertSortedEntries(entries, pma.compare);
+
+        pma._setCapacity(Math.max(PMA_MIN_CAPACITY, nextPowerOfTwo(entries.length * 2)));
+        pma._spread(0, pma.slots.length, entries.map(entry => ({key: entry.key, value: entry.value})));
+        pma.size = entries.length;
+
+        return pma;
+    }
+
+    // 重新分配槽数组；段长取不小于 log2(capacity) 的 2 的幂，height 为隐式树中叶段的深度
+    _setCapacity(capacity) {
+        this.slots = new Array(capacity).fill(null);
+        this.segmentSize = Math.min(capacity, Math.max(4, nextPowerOfTwo(Math.log2(capacity))));
+        this.height = Math.log2(capacity / this.segmentSize);
+    }
+
+    // 深度 depth 处窗口允许的最大密度，叶段为 PMA_LEAF_UPPER，根为 PMA_ROOT_UPPER
+    _upperThreshold(depth) {
+        if (this.height === 0) {
+            return PMA_ROOT_UPPER;
+        }
+
+        return PMA_ROOT_UPPER + (PMA_LEAF_UPPER - PMA_ROOT_UPPER) * depth / this.height;
+    }
+
+    // 深度 depth 处窗口允许的最小密度，叶段为 PMA_LEAF_LOWER，根为 PMA_ROOT_LOWER
+    _lowerThreshold(depth) {
+        if (this.height === 0) {
+            return PMA_ROOT_LOWER;
+        }
+
+        return PMA_ROOT_LOWER - (PMA_ROOT_LOWER - PMA_LEAF_LOWER) * depth / this.height;
+    }
+
+    insert(key, value = null) {
+        const index = this._lowerBoundSlot(key);
+
+        // 如果键已存在，更新值
+        if (index < this.slots.length && this.compare(this.slots[index].key, key) === 0) {
+            this.slots[index].value = value;
+            return false;
+        }
+
+        const entry = {key, value};
+        this.size++;
+
+        // 整个数组将超过根阈值时容量翻倍后整体重新分布
+        if (this.size > PMA_ROOT_UPPER * this.slots.length) {
+            const entries = this._collect(0, this.slots.length, index, entry);
+            this._setCapacity(this.slots.length * 2);
+            this._spread(0, this.slots.length, entries);
+            return true;
+        }
+
+        // 新条目放入 index 所在的段，键大于所有条目时放入最后一段；
+        // 从叶段开始逐级扩大窗口，直到窗口加上新条目后的密度不超过该层阈值（根窗口必然满足）
+        let length = this.segmentSize;
+        let start = Math.floor(Math.min(index, this.slots.length - 1) / length) * length;
+        let depth = this.height;
+
+        while (depth > 0 && this._countOccupied(start, length) + 1 > this._upperThreshold(depth) * length) {
+            length *= 2;
+            start = Math.floor(start / length) * length;
+            depth--;
+        }
+
+        this._spread(start, length, this._collect(start, length, index, entry));
+        return true;
+    }
+
+    search(key) {
+        const index = this._lowerBoundSlot(key);
+
+        if (index < this.slots.length && this.compare(this.slots[index].key, key) === 0) {
+            return this.slots[index].value;
+        }
+
+        return null;
+    }
+
+    delete(key) {
+        const index = this._lowerBoundSlot(key);
+
+        if (index >= this.slots.length || this.compare(this.slots[index].key, key) !== 0) {
+            return false;
+        }
+
+        this.slots[index] = null;
+        this.size--;
+
+        // 整个数组低于根阈值时容量减半后整体重新分布
+        if (this.slots.length > PMA_MIN_CAPACITY && this.size < PMA_ROOT_LOWER * this.slots.length) {
+            const entries = this._collect(0, this.slots.length);
+            this._setCapacity(this.slots.length / 2);
+            this._spread(0, this.slots.length, entries);
+            return true;
+        }
+
+        // 从叶段开始逐级扩大窗口，直到窗口密度不低于该层阈值，再重新分布该窗口
+        let length = this.segmentSize;
+        let start = Math.floor(index / length) * length;
+        let depth = this.height;
+
+        while (depth > 0 && this._countOccupied(start, length) < this._lowerThreshold(depth) * length) {
+            length *= 2;
+            start = Math.floor(start / length) * length;
+            depth--;
+        }
+
+        if (length > this.segmentSize) {
+            this._spread(start, length, this._collect(start, length));
+        }
+
+        return true;
+    }
+
+    _countOccupied(start, length) {
+        let count = 0;
+
+        for (let i = start; i < start + length; i++) {
+            if (this.slots[i] !== null) {
+                count++;
+            }
+        }
+
+        return count;
+    }
+
+    // 按顺序收集窗口内的条目；给定 insertAt 时把 entry 插在槽下标不小于 insertAt 的第一个条目之前
+    _collect(start, length, insertAt = -1, entry = null) {
+        const entries = [];
+        const end = start + length;
+
+        for (let i = start; i < end; i++) {
+            if (i === insertAt) {
+                entries.push(entry);
+            }
+
+            if (this.slots[i] !== null) {
+                entries.push(this.slots[i]);
+            }
+        }
+
+        if (entry !== null && insertAt >= end) {
+            entries.push(entry);
+        }
+
+        return entries;
+    }
+
+    // 把条目均匀分布到窗口 [start, start + length) 中，条目之间的空隙长度至多相差 1
+    _spread(start, length, entries) {
+        this.slots.fill(null, start, start + length);
+
+        for (let i = 0; i < entries.length; i++) {
+            this.slots[start + Math.floor(i * length / entries.length)] = entries[i];
+        }
+    }
+
+    // 返回 [from, limit) 内第一个非空槽的下标，没有时返回 limit
+    _nextOccupied(from, limit = this.slots.length) {
+        let i = from;
+
+        while (i < limit && this.slots[i] === null) {
+            i++;
+        }
+
+        return i;
+    }
+
+    // 返回不大于 from 的最后一个非空槽的下标，没有时返回 -1
+    _previousOccupied(from) {
+        let i = from;
+
+        while (i >= 0 && this.slots[i] === null) {
+            i--;
+        }
+
+        return i;
+    }
+
+    // 二分查找第一个键大于等于 key 的非空槽，没有时返回 capacity
+    _lowerBoundSlot(key) {
+        return this._boundSlot(key, false);
+    }
+
+    // 二分查找第一个键大于 key 的非空槽，没有时返回 capacity
+    _upperBoundSlot(key) {
+        return this._boundSlot(key, true);
+    }
+
+    // 在带空隙的数组上二分：取 mid 右侧最近的非空槽比较。若 [mid, hi) 全空或该槽满足条件，
+    // 答案只可能是该槽或位于 [lo, mid)，否则位于该槽之后
+    _boundSlot(key, strict) {
+        let lo = 0;
+        let hi = this.slots.length;
+        let found = this.slots.length;
+
+        while (lo < hi) {
+            const mid = (lo + hi) >>> 1;
+            const index = this._nextOccupied(mid, hi);
+
+            if (index === hi) {
+                hi = mid;
+                continue;
+            }
+
+            const cmp = this.compare(this.slots[index].key, key);
+
+            if (cmp < 0 || (strict && cmp === 0)) {
+                lo = index + 1;
+            } else {
+                found = index;
+                hi = mid;
+            }
+        }
+
+        return found;
+    }
+
+    // 导航操作：返回最小键的键值对，数组为空时返回 null
+    min() {
+        return this._entryAt(this._nextOccupied(0));
+    }
+
+    // 导航操作：返回最大键的键值对，数组为空时返回 null
+    max() {
+        return this._entryAt(this._previousOccupied(this.slots.length - 1));
+    }
+
+    // 导航操作：小于等于 key 的最大键
+    floor(key) {
+        return this._entryAt(this._previousOccupied(this._upperBoundSlot(key) - 1));
+    }
+
+    // 导航操作：大于等于 key 的最小键
+    ceiling(key) {
+        return this._entryAt(this._lowerBoundSlot(key));
+    }
+
+    // 导航操作：严格小于 key 的最大键
+    lower(key) {
+        return this._entryAt(this._previousOccupied(this._lowerBoundSlot(key) - 1));
+    }
+
+    // 导航操作：严格大于 key 的最小键
+    higher(key) {
+        return this._entryAt(this._upperBoundSlot(key));
+    }
+
+    _entryAt(index) {
+        if (index < 0 || index >= this.slots.length) {
+            return null;
+        }
+
+        const item = this.slots[index];
+        return {key: item.key, value: item.value};
+    }
+
+    rangeSearch(minKey, maxKey) {
+        const result = [];
+
+        for (const entry of this._iterate(minKey, maxKey, false)) {
+            result.push(entry);
+        }
+
+        return result;
+    }
+
+    // 二分查找确定起点后顺序扫描槽数组，跳过空槽，越过另一侧边界时停止
+    * _iterate(minKey, maxKey, reverse) {
+        if (reverse) {
+            const end = maxKey === undefined ? this.slots.length : this._upperBoundSlot(maxKey);
+
+            for (let i = end - 1; i >= 0; i--) {
+                const item = this.slots[i];
+
+                if (item === null) {
+                    continue;
+                }
+
+                if (minKey !== undefined && this.compare(item.key, minKey) < 0) {
+                    return;
+                }
+
+                yield {key: item.key, value: item.value};
+            }
+        } else {
+            const start = minKey === undefined ? 0 : this._lowerBoundSlot(minKey);
+
+            for (let i = start; i < this.slots.length; i++) {
+                const item = this.slots[i];
+
+                if (item === null) {
+                    continue;
+                }
+
+                if (maxKey !== undefined && this.compare(item.key, maxKey) > 0) {
+                    return;
+                }
+
+                yield {key: item.key, value: item.value};
+            }
+        }
+    }
+
+    inOrderTraversal(callback) {
+        for (const item of this.slots) {
+            if (item !== null) {
+                callback(item);
+            }
+        }
+    }
+
+    // 内存模型（见 modelMemory）：带空隙的槽数组与 {key, value} 条目
+    memoryModel() {
+        return modelMemory([...arrayParts(1, this.slots.length), ['Object', this.size * objectBytes(2)]]);
+    }
+
+    // 校验压缩内存数组性质：非空槽的键严格递增、size、段长与容量均为 2 的幂，
+    // 以及整个数组的密度不超过根上限、扩容后不低于根下限
+    validate() {
+        const violations = [];
+        const capacity = this.slots.length;
+        let previous = null;
+        let count = 0;
+
+        for (let i = 0; i < capacity; i++) {
+            const item = this.slots[i];
+
+            if (item === null) {
+                continue;
+            }
+
+            if (previous !== null && this.compare(previous.key, item.key) >= 0) {
+                violations.push({rule: 'key-order', key: item.key, message: `槽 ${i} 的键未严格递增`});
+            }
+
+            previous = item;
+            count++;
+        }
+
+        if (count !== this.size) {
+            violations.push({rule: 'size', key: null, message: `size 为 ${this.size}，实际元素数为 ${count}`});
+        }
+
+        if (capacity < PMA_MIN_CAPACITY || nextPowerOfTwo(capacity) !== capacity || capacity % this.segmentSize !== 0) {
+            violations.push({rule: 'capacity', key: null, message: `容量 ${capacity} 与段长 ${this.segmentSize} 不是合法的 2 的幂划分`});
+        }
+
+        if (count > PMA_ROOT_UPPER * capacity) {
+            violations.push({rule: 'density', key: null, message: `密度 ${(count / capacity).toFixed(3)} 超过上限 ${PMA_ROOT_UPPER}`});
+        }
+
+        if (capacity > PMA_MIN_CAPACITY && count < PMA_ROOT_LOWER * capacity) {
+            violations.push({rule: 'density', key: null, message: `密度 ${(count / capacity).toFixed(3)} 低于下限 ${PMA_ROOT_LOWER}`});
+        }
+
+        return {structure: this.constructor.name, valid: violations.length === 0, size: this.size, violations};
+    }
+}
+
+// 1.10 多重映射模式（allowDuplicates）：构造时传入 {allowDuplicates: true} 后允许同一个键对应多个值。
+// 每个不同的键仍只占用一个节点（槽），节点的值换成按插入顺序保存全部值的值桶（数组），各结构自身的算法不变；
+// 下面的包装层在原有方法之上实现追加插入、按值删除，并把值桶展开成逐条的 {key, value}。约定如下：
+//   - insert 追加值，新增键时返回 true、向已有键追加时返回 false；search 返回最早插入的值；delete(key) 删除该键的全部值
+//   - searchAll(key) 返回全部值，deleteOne(key, value) 删除一个等于 value 的值，deleteAll(key) 返回删除的值个数
+//   - 范围查询、迭代与遍历逐条产出每个值，同一键的值按插入顺序排列；导航与 select 返回该键最早插入的值
+//   - size 与顺序统计（select、rank、countRange）按不同的键计数，entryCount 为键值对总数
+// 包装层调用原有方法时会设置 _multimapDepth，期间结构内部对公开方法的调用（如扩容时重新插入）按单键语义执行。
+// 集合运算（split/join/union 等）不支持多重映射实例；SharedSkipList 的值存放在共享内存中，也不支持
+const MULTIMAP_VALUE_METHODS = ['search'];
+const MULTIMAP_ENTRY_METHODS = ['min', 'max', 'floor', 'ceiling', 'lower', 'higher', 'select'];
+const MULTIMAP_LIST_METHODS = ['rangeSearch', 'overlapping', 'overlaps'];
+const MULTIMAP_UNSUPPORTED_METHODS = ['split'];
+const MULTIMAP_UNSUPPORTED_STATICS = ['join', 'union', 'intersection', 'difference'];
+
+// 以单键语义调用 fn：包装层内部读取值桶、或结构内部互相调用时使用
+function withoutMultimap(structure, fn) {
+    structure._multimapDepth = (structure._multimapDepth || 0) + 1;
+
+    try {
+        return fn();
+    } finally {
+        structure._multimapDepth--;
+    }
+}
+
+// 逐步驱动原有方法返回的迭代器，每一步都按单键语义执行，步与步之间交还给调用方
+function* stepWithoutMultimap(structure, iterator) {
+    try {
+        while (true) {
+            const step = withoutMultimap(structure, () => iterator.next());
+
+            if (step.done) {
+                return;
+            }
+
+            yield step.value;
+        }
+    } finally {
+        withoutMultimap(structure, () => iterator.return());
+    }
+}
+
+function firstOfBucket(entry) {
+    return entry === null ? null : {key: entry.key, value: entry.value[0]};
+}
+
+// 多重映射模式下各方法的实现，raw 为原有方法，lookup(key) 返回键的值桶（不存在时为 null）
+const MULTIMAP_OPERATIONS = {
+    insert(raw, lookup, copyBuckets, key, value = null) {
+        const bucket = lookup(key);
+        let result = false;
+
+        if (bucket === null) {
+            result = raw.call(this, key, [value]);
+        } else if (copyBuckets) {
+            this._duplicateCount++;
+            result = raw.call(this, key, [...bucket, value]);
+        } else {
+            this._duplicateCount++;
+            bucket.push(value);
+        }
+
+        return result;
+    },
+
+    delete(raw, lookup, copyBuckets, key) {
+        const bucket = lookup(key);
+
+        if (bucket !== null) {
+            this._duplicateCount -= bucket.length - 1;
+        }
+
+        return raw.call(this, key);
+    },
+
+    searchAll(raw, lookup, copyBuckets, key) {
+        const bucket = lookup(key);
+        return bucket === null ? [] : bucket.slice();
+    },
+
+    deleteOne(raw, lookup, copyBuckets, key, value) {
+        const bucket = lookup(key);
+        const index = bucket === null ? -1 : bucket.indexOf(value);
+
+        if (index === -1) {
+            return false;
+        }
+
+        if (bucket.length === 1) {
+            this.delete(key);
+            return true;
+        }
+
+        this._duplicateCount--;
+
+        if (copyBuckets) {
+            this.insert(key, bucket.filter((_, i) => i !== index));
+        } else {
+            bucket.splice(index, 1);
+        }
+
+        return true;
+    },
+
+    deleteAll(raw, lookup, copyBuckets, key) {
+        const bucket = lookup(key);
+
+        if (bucket === null) {
+            return 0;
+        }
+
+        this._duplicateCount -= bucket.length - 1;
+        this.delete(key);
+        return bucket.length;
+    },
+
+    inOrderTraversal(raw, lookup, copyBuckets, callback) {
+        raw.call(this, item => {
+            for (const value of item.value) {
+                // 回调中可能再调用结构的公开方法，此时应恢复多重映射语义
+                this._multimapDepth--;
+
+                try {
+                    callback({key: item.key, value});
+                } finally {
+                    this._multimapDepth++;
+                }
+            }
+        });
+    },
+
+    * entries(raw) {
+        for (const [key, bucket] of stepWithoutMultimap(this, raw.call(this))) {
+            for (const value of bucket) {
+                yield [key, value];
+            }
+        }
+    },
+
+    * keys() {
+        for (const [key] of this.entries()) {
+            yield key;
+        }
+    },
+
+    * values() {
+        for (const [, value] of this.entries()) {
+            yield value;
+        }
+    },
+
+    // limit 按展开后的条数计算；降序时同一键的值也按插入顺序的逆序产出
+    * range(raw, lookup, copyBuckets, minKey, maxKey, {reverse = false, limit = Infinity} = {}) {
+        if (limit <= 0) {
+            return;
+        }
+
+        let count = 0;
+
+        for (const entry of stepWithoutMultimap(this, raw.call(this, minKey, maxKey, {reverse}))) {
+            for (let i = 0; i < entry.value.length; i++) {
+                yield {key: entry.key, value: entry.value[reverse ? entry.value.length - 1 - i : i]};
+
+                if (++count >= limit) {
+                    return;
+                }
+            }
+        }
+    },
+
+    // 在原有校验之外检查每个值桶非空，以及值的总数与 entryCount 一致
+    validate(raw) {
+        const report = raw.call(this);
+        let total = 0;
+
+        for (const [key, bucket] of this.entries()) {
+            if (!Array.isArray(bucket) || bucket.length === 0) {
+                report.violations.push({rule: 'value-bucket', key, message: '多重映射模式下值必须是非空的值桶'});
+                continue;
+            }
+
+            total += bucket.length;
+        }
+
+        if (total !== this.entryCount) {
+            report.violations.push({rule: 'entry-count', key: null, message: `entryCount 为 ${this.entryCount}，值桶内共有 ${total} 个值`});
+        }
+
+        report.valid = report.violations.length === 0;
+        return report;
+    }
+};
+
+for (const name of MULTIMAP_VALUE_METHODS) {
+    MULTIMAP_OPERATIONS[name] = function (raw, lookup, copyBuckets, ...args) {
+        const bucket = raw.apply(this, args);
+        return bucket === null ? null : bucket[0];
+    };
+}
+
+for (const name of MULTIMAP_ENTRY_METHODS) {
+    MULTIMAP_OPERATIONS[name] = function (raw, lookup, copyBuckets, ...args) {
+        return firstOfBucket(raw.apply(this, args));
+    };
+}
+
+for (const name of MULTIMAP_LIST_METHODS) {
+    MULTIMAP_OPERATIONS[name] = function (raw, lookup, copyBuckets, ...args) {
+        return raw.apply(this, args).flatMap(entry => entry.value.map(value => ({key: entry.key, value})));
+    };
+}
+
+// 单键模式下 searchAll/deleteOne/deleteAll 的实现。search 对不存在的键返回 null，因此 searchAll 把值为 null 的键视为不存在；
+// 各结构 delete 的返回值不统一（持久化结构返回版本），删除是否发生以 size 的变化为准
+const UNIQUE_KEY_OPERATIONS = {
+    searchAll(key) {
+        const value = this.search(key);
+        return value === null ? [] : [value];
+    },
+
+    deleteOne(key, value) {
+        if (this.search(key) !== value) {
+            return false;
+        }
+
+        const before = this.size;
+        this.delete(key);
+        return this.size < before;
+    },
+
+    deleteAll(key) {
+        const before = this.size;
+        this.delete(key);
+        return before - this.size;
+    }
+};
+
+// 多重映射实例的原型：在结构类的原型之上再加一层包装方法，单键实例不经过包装层，基准测试不受影响。
+// 键为结构类的原型，值为 installMultimap 登记的选项或已创建的包装原型
+const MULTIMAP_OPTIONS = new Map();
+const MULTIMAP_PROTOTYPES = new Map();
+
+// 构造函数中调用：记录 allowDuplicates，开启时把实例切换到多重映射原型
+function initMultimap(structure, allowDuplicates) {
+    structure.allowDuplicates = allowDuplicates;
+
+    if (allowDuplicates) {
+        structure._multimapDepth = 0;
+        structure._duplicateCount = 0;
+        Object.setPrototypeOf(structure, multimapPrototypeFor(Object.getPrototypeOf(structure)));
+    }
+}
+
+// 为 proto 创建（并缓存）多重映射原型，选项取自原型链上最近一个登记过的类，因此未登记的子类同样可用
+function multimapPrototypeFor(proto) {
+    if (MULTIMAP_PROTOTYPES.has(proto)) {
+        return MULTIMAP_PROTOTYPES.get(proto);
+    }
+
+    let registered = proto;
+    while (registered !== null && !MULTIMAP_OPTIONS.has(registered)) {
+        registered = Object.getPrototypeOf(registered);
+    }
+
+    if (registered === null) {
+        throw new Error(`${proto.constructor.name} 未注册多重映射支持，不能使用 allowDuplicates`);
+    }
+
+    const {lookup, copyBuckets, methods} = MULTIMAP_OPTIONS.get(registered);
+    const multimapProto = Object.create(proto);
+
+    for (const name of Object.keys(MULTIMAP_OPERATIONS)) {
+        if ((methods !== null && !methods.includes(name)) || typeof proto[name] !== 'function') {
+            continue;
+        }
+
+        const raw = proto[name];
+        const operation = MULTIMAP_OPERATIONS[name];
+        const isGenerator = operation.constructor.name === 'GeneratorFunction';
+
+        multimapProto[name] = function (...args) {
+            if (this._multimapDepth > 0) {
+                return raw.apply(this, args);
+            }
+
+            const bucketOf = key => withoutMultimap(this, () => {
+                const bucket = lookup(this, key);
+                return bucket === null || bucket === undefined ? null : bucket;
+            });
+
+            // 生成器方法在迭代时才执行，由 stepWithoutMultimap 逐步切换语义
+            if (isGenerator) {
+                return operation.call(this, raw, bucketOf, copyBuckets, ...args);
+            }
+
+            return withoutMultimap(this, () => operation.call(this, raw, bucketOf, copyBuckets, ...args));
+        };
+    }
+
+    for (const name of MULTIMAP_UNSUPPORTED_METHODS) {
+        if (typeof proto[name] === 'function') {
+            multimapProto[name] = function () {
+                throw new Error(`${this.constructor.name}.${name} 不支持 allowDuplicates 模式`);
+            };
+        }
+    }
+
+    MULTIMAP_PROTOTYPES.set(proto, multimapProto);
+    return multimapProto;
+}
+
+// 登记结构类的多重映射支持，子类继承父类的登记，选项不同时才需要单独登记。
+// lookup(structure, key) 返回键的值桶，默认按单键语义调用 search；copyBuckets 为 true 时不原地修改值桶（持久化结构）；
+// methods 限定要包装的方法（只读操作委托给其他对象的类使用）。
+// 同时为该类补充单键模式下的 searchAll/deleteOne/deleteAll、entryCount，并让集合运算拒绝多重映射实例、fromSorted 接受重复键
+function installMultimap(StructureClass, {lookup = (structure, key) => structure.search(key), copyBuckets = false, methods = null} = {}) {
+    const proto = StructureClass.prototype;
+    MULTIMAP_OPTIONS.set(proto, {lookup, copyBuckets, methods});
+
+    for (const name of Object.keys(UNIQUE_KEY_OPERATIONS)) {
+        const base = name === 'searchAll' ? 'search' : 'delete';
+
+        if ((methods === null || methods.includes(name)) && !(name in proto) && typeof proto[base] === 'function') {
+            proto[name] = UNIQUE_KEY_OPERATIONS[name];
+        }
+    }
+
+    if (!('entryCount' in proto)) {
+        Object.defineProperty(proto, 'entryCount', {
+            get() {
+                return this.size + (this.allowDuplicates ? this._duplicateCount : 0);
+            }
+        });
+    }
+
+    for (const name of MULTIMAP_UNSUPPORTED_STATICS) {
+        if (Object.prototype.hasOwnProperty.call(StructureClass, name)) {
+            const raw = StructureClass[name];
+
+            StructureClass[name] = function (...operands) {
+                if (operands.some(operand => operand.allowDuplicates)) {
+                    throw new Error(`${StructureClass.name}.${name} 不支持 allowDuplicates 模式`);
+                }
+
+                return raw.apply(this, operands);
+            };
+        }
+    }
+
+    // 批量加载时允许相邻的重复键：按键分组成值桶后交给原有的 fromSorted
+    if (Object.prototype.hasOwnProperty.call(StructureClass, 'fromSorted')) {
+        const raw = StructureClass.fromSorted;
+
+        StructureClass.fromSorted = function (entries, options = {}) {
+            if (!options.allowDuplicates) {
+                return raw.call(this, entries, options);
+            }
+
+            const compare = options.compare || defaultCompare;
+            const grouped = [];
+
+            for (const entry of entries) {
+                const last = grouped[grouped.length - 1];
+
+                if (last !== undefined && compare(last.key, entry.key) === 0) {
+                    last.value.push(entry.value);
+                } else {
+                    grouped.push({key: entry.key, value: [entry.value]});
+                }
+            }
+
+            const structure = raw.call(this, grouped, options);
+            structure._duplicateCount = entries.length - grouped.length;
+            return structure;
+        };
+    }
+}
+
+// 安装各有序结构的迭代方法（见 ITERATION_METHODS），子类继承父类安装的方法
+installIteration(RedBlackTree);
+installIteration(PersistentRBVersion);
+installIteration(TypedRedBlackTree);
+installIteration(AVLTree);
+installIteration(SkipList);
+installIteration(SharedSkipList);
+installIteration(HashTable);
+installIteration(BinarySearchTree);
+installIteration(BTree);
+installIteration(BPlusTree);
+installIteration(LinearArray);
+installIteration(PackedMemoryArray);
+
+installMultimap(RedBlackTree);
+installMultimap(PersistentRBVersion, {methods: [...MULTIMAP_VALUE_METHODS, ...MULTIMAP_ENTRY_METHODS, ...MULTIMAP_LIST_METHODS, 'searchAll', 'inOrderTraversal', 'entries', 'keys', 'values', 'range', 'validate']});
+// 持久化红黑树的只读操作委托给最新版本（已由 PersistentRBVersion 展开），这里只包装写操作
+installMultimap(PersistentRedBlackTree, {
+    lookup: (tree, key) => {
+        const node = tree._findNode(tree.head.root, key);
+        return node === null ? null : node.value;
+    },
+    copyBuckets: true,
+    methods: ['insert', 'delete', 'searchAll', 'deleteOne', 'deleteAll']
+});
+installMultimap(TypedRedBlackTree);
+installMultimap(AVLTree);
+installMultimap(SkipList);
+installMultimap(HashTable);
+installMultimap(BinarySearchTree);
+installMultimap(BTree);
+installMultimap(BPlusTree);
+installMultimap(LinearArray);
+installMultimap(PackedMemoryArray);
+
+// 1.11 操作计数（instrumentation）：统计每次操作做了多少基本步骤，作为与机器无关的代价指标，
+// 补充 performance.now() 计时在不同机器之间的波动。计数是可选的：instrument(structure) 为单个实例开启，
+// 未开启的实例 counters 为 null，各计数点只多一次 null 判断。各计数项的含义：
+//   - comparisons：compare/equals 的调用次数（开启时把实例上的比较函数换成计数版本）
+//   - nodeVisits：查找路径与范围查询经过的节点数（二叉树节点、B/B+树节点、跳表前进经过的节点）
+//   - rotations：rotateLeft/rotateRight 的调用次数，AVL 的 rebalance 及 Treap、伸展树、WAVL、左倾红黑树的旋转都经由这两个方法
+//   - recolors：红黑树（包括堆外红黑树）与左倾红黑树中实际改变节点颜色的次数
+//   - splits：B树、B+树 _splitChild 的调用次数
+//   - levelHops：跳表查找逐层下降经过的层数
+//   - probes：哈希表检查的桶内条目或槽位数，布谷鸟哈希每计算一个候选槽计一次
+// 计数归入最外层的公开操作，操作内部的嵌套调用（如哈希表扩容时重新插入）计入外层操作
+const COUNTER_NAMES = ['comparisons', 'nodeVisits', 'rotations', 'recolors', 'splits', 'levelHops', 'probes'];
+const COUNTER_LABELS = {
+    comparisons: '比较',
+    nodeVisits: '访问节点',
+    rotations: '旋转',
+    recolors: '改色',
+    splits: '分裂',
+    levelHops: '下降层数',
+    probes: '探测'
+};
+const INSTRUMENTED_OPERATIONS = ['insert', 'search', 'delete', 'rangeSearch', 'searchAll', 'deleteOne', 'deleteAll'];
+
+// 在方法内部有显式计数点的计数项，按原型链合并（子类继承父类的计数点）；
+// comparisons、rotations、splits 通过包装比较函数和方法统计，不在此列
+const EXPLICIT_COUNTERS = new Map([
+    [RedBlackTree.prototype, ['nodeVisits', 'recolors']],
+    [TypedRedBlackTree.prototype, ['nodeVisits', 'recolors']],
+    [AVLTree.prototype, ['nodeVisits']],
+    [SkipList.prototype, ['nodeVisits', 'levelHops']],
+    [HashTable.prototype, ['probes']],
+    [BinarySearchTree.prototype, ['nodeVisits']],
+    [LeftLeaningRedBlackTree.prototype, ['recolors']],
+    [BTree.prototype, ['nodeVisits']],
+    [BPlusTree.prototype, ['nodeVisits']]
+]);
+
+// 一个实例的计数器：计数项字段累计当前操作的计数，操作结束时归入 operations[操作名]
+class OperationCounters {
+    constructor(tracked = COUNTER_NAMES) {
+        this.tracked = tracked;
+        this.operations = {};
+        this._depth = 0;
+        this._clear();
+    }
+
+    _clear() {
+        for (const name of COUNTER_NAMES) {
+            this[name] = 0;
+        }
+    }
+
+    // 只有最外层操作开始时清零，嵌套调用的计数留给外层操作
+    _begin() {
+        if (this._depth++ === 0) {
+            this._clear();
+        }
+    }
+
+    _end(operation) {
+        if (--this._depth > 0) {
+            return;
+        }
+
+        if (!this.operations[operation]) {
+            this.operations[operation] = {calls: 0};
+
+            for (const name of COUNTER_NAMES) {
+                this.operations[operation][name] = 0;
+            }
+        }
+
+        const totals = this.operations[operation];
+        totals.calls++;
+
+        for (const name of COUNTER_NAMES) {
+            totals[name] += this[name];
+        }
+
+        this._clear();
+    }
+
+    isTracked(name) {
+        return this.tracked.includes(name);
+    }
+
+    // 返回某个操作平均每次调用的计数 {calls, comparisons, ...}，该结构不统计的计数项为 null；未调用过时返回 null
+    average(operation) {
+        const totals = this.operations[operation];
+
+        if (!totals) {
+            return null;
+        }
+
+        const result = {calls: totals.calls};
+
+        for (const name of COUNTER_NAMES) {
+            result[name] = this.isTracked(name) ? totals[name] / totals.calls : null;
+        }
+
+        return result;
+    }
+
+    reset() {
+        this.operations = {};
+        this._clear();
+    }
+}
+
+// 为 structure 开启计数并返回其计数器，重复调用返回同一个计数器。
+// 比较函数在调用时替换，应在写入数据之前调用（持久化红黑树已有的版本仍使用原来的比较函数）
+function instrument(structure) {
+    if (structure.counters) {
+        return structure.counters;
+    }
+
+    const counters = new OperationCounters([]);
+    const tracked = new Set();
+
+    for (const name of ['compare', 'equals']) {
+        const fn = structure[name];
+
+        if (typeof fn === 'function') {
+            structure[name] = (a, b) => {
+                counters.comparisons++;
+                return fn(a, b);
+            };
+            tracked.add('comparisons');
+        }
+    }
+
+    const wrapped = [['rotateLeft', 'rotations'], ['rotateRight', 'rotations'], ['_splitChild', 'splits']];
+
+    for (const [method, counter] of wrapped) {
+        const raw = structure[method];
+
+        if (typeof raw === 'function') {
+            structure[method] = function (...args) {
+                counters[counter]++;
+                return raw.apply(this, args);
+            };
+            tracked.add(counter);
+        }
+    }
+
+    for (let proto = Object.getPrototypeOf(structure); proto !== null; proto = Object.getPrototypeOf(proto)) {
+        for (const counter of EXPLICIT_COUNTERS.get(proto) || []) {
+            tracked.add(counter);
+        }
+    }
+
+    counters.tracked = COUNTER_NAMES.filter(name => tracked.has(name));
+
+    for (const operation of INSTRUMENTED_OPERATIONS) {
+        const raw = structure[operation];
+
+        if (typeof raw === 'function') {
+            structure[operation] = function (...args) {
+                counters._begin();
+
+                try {
+                    return raw.apply(this, args);
+                } finally {
+                    counters._end(operation);
+                }
+            };
+        }
+    }
+
+    structure.counters = counters;
+    return counters;
+}
+
+// 1.12 内存核算：用堆快照实测结构独占的内存，与各结构 memoryModel() 的理论值对照。
+// 从结构对象出发沿属性、元素和内部引用遍历（不经过 map、原型、函数与代码对象），减去从 exclude（通常是输入数据）
+// 可达的对象——键和值属于调用方——剩余对象的自身大小之和即为结构的保留大小，并按快照中的构造函数名汇总。
+// 这比 heapUsed 差值稳定：不受垃圾回收时机影响，也不会把测量期间分配的临时对象算进来
+const SNAPSHOT_SKIPPED_NODE_TYPES = new Set(['closure', 'code', 'hidden', 'object shape', 'synthetic']);
+const SNAPSHOT_SKIPPED_EDGE_TYPES = new Set(['weak', 'shortcut']);
+const SNAPSHOT_SKIPPED_EDGE_NAMES = new Set(['map', '__proto__']);
+
+// 拍快照期间持有目标对象；token 是每次测量唯一的字符串，用于在快照中找到本次的探针
+class MemoryProbe {
+    constructor(token, target, exclude) {
+        this.token = token;
+        this.target = target;
+        this.exclude = exclude;
+    }
+}
+
+let memoryProbeCount = 0;
+
+// 返回 {bytes, breakdown: {构造函数名: 字节数}}；exclude 为 null 时不排除任何对象
+async function measureRetainedMemory(target, exclude = null) {
+    // 用 join 拼出扁平字符串：模板字符串拼接可能得到 ConsString，其内容不会作为快照中的节点名出现
+    const token = ['memory-probe', process.pid, ++memoryProbeCount].join('-');
+    const probe = new MemoryProbe(token, target, exclude);
+    const stream = v8.getHeapSnapshot();
+    stream.setEncoding('utf8');
+
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+
+    const result = retainedSizeFromSnapshot(JSON.parse(chunks.join('')), token);
+
+    // 快照完成后才释放探针，保证拍快照时目标可达
+    probe.target = null;
+    probe.exclude = null;
+
+    return result;
+}
+
+function retainedSizeFromSnapshot(snapshot, token) {
+    const {meta} = snapshot.snapshot;
+    const {nodes, edges, strings} = snapshot;
+    const nodeFieldCount = meta.node_fields.length;
+    const edgeFieldCount = meta.edge_fields.length;
+    const nodeTypes = meta.node_types[0];
+    const edgeTypes = meta.edge_types[0];
+    const TYPE = meta.node_fields.indexOf('type');
+    const NAME = meta.node_fields.indexOf('name');
+    const SELF_SIZE = meta.node_fields.indexOf('self_size');
+    const EDGE_COUNT = meta.node_fields.indexOf('edge_count');
+    const EDGE_TYPE = meta.edge_fields.indexOf('type');
+    const EDGE_NAME = meta.edge_fields.indexOf('name_or_index');
+    const TO_NODE = meta.edge_fields.indexOf('to_node');
+
+    // 快照中各节点的边连续存放，先算出每个节点第一条边的位置
+    const nodeCount = nodes.length / nodeFieldCount;
+    const firstEdge = new Float64Array(nodeCount + 1);
+    for (let node = 0; node < nodeCount; node++) {
+        firstEdge[node + 1] = firstEdge[node] + nodes[node * nodeFieldCount + EDGE_COUNT] * edgeFieldCount;
+    }
+
+    const nodeType = node => nodeTypes[nodes[node * nodeFieldCount + TYPE]];
+    const nodeName = node => strings[nodes[node * nodeFieldCount + NAME]];
+    const edgeType = edge => edgeTypes[edges[edge + EDGE_TYPE]];
+    // element 与 hidden 边的 name_or_index 是下标而不是字符串
+    const edgeName = edge => (edgeType(edge) === 'element' || edgeType(edge) === 'hidden') ? null : strings[edges[edge + EDGE_NAME]];
+
+    const child = (node, name) => {
+        for (let edge = firstEdge[node]; edge < firstEdge[node + 1]; edge += edgeFieldCount) {
+            if (edgeName(edge) === name) {
+                return edges[edge + TO_NODE] / nodeFieldCount;
+            }
+        }
+
+        return -1;
+    };
+
+    let probe = -1;
+    for (let node = 0; node < nodeCount && probe < 0; node++) {
+        if (nodeType(node) === 'object' && nodeName(node) === 'MemoryProbe') {
+            const tokenNode = child(node, 'token');
+
+            if (tokenNode >= 0 && nodeName(tokenNode) === token) {
+                probe = node;
+            }
+        }
+    }
+
+    if (probe < 0) {
+        throw new Error('堆快照中找不到本次测量的目标对象');
+    }
+
+    const reachable = root => {
+        const seen = new Uint8Array(nodeCount);
+
+        if (root < 0) {
+            return seen;
+        }
+
+        const stack = [root];
+        seen[root] = 1;
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+
+            for (let edge = firstEdge[node]; edge < firstEdge[node + 1]; edge += edgeFieldCount) {
+                if (SNAPSHOT_SKIPPED_EDGE_TYPES.has(edgeType(edge)) || SNAPSHOT_SKIPPED_EDGE_NAMES.has(edgeName(edge))) {
+                    continue;
+                }
+
+                const to = edges[edge + TO_NODE] / nodeFieldCount;
+
+                if (!seen[to] && !SNAPSHOT_SKIPPED_NODE_TYPES.has(nodeType(to))) {
+                    seen[to] = 1;
+                    stack.push(to);
+                }
+            }
+        }
+
+        return seen;
+    };
+
+    const owned = reachable(child(probe, 'target'));
+    const excluded = reachable(child(probe, 'exclude'));
+    const breakdown = {};
+    let bytes = 0;
+
+    for (let node = 0; node < nodeCount; node++) {
+        if (owned[node] && !excluded[node]) {
+            const size = nodes[node * nodeFieldCount + SELF_SIZE];
+            // 字符串节点的名称是字符串内容，统一归为 (string)
+            const name = nodeType(node).includes('string') ? '(string)' : nodeName(node);
+
+            breakdown[name] = (breakdown[name] || 0) + size;
+            bytes += size;
+        }
+    }
+
+    return {bytes, breakdown};
+}
+
+// 1.13 一致性检查：各结构共同遵守的隐式接口约定，加入性能测试的结构必须全部通过（PerformanceTester 与 AdvancedPerformanceTester 构造时检查）。
+// 约定如下（多重映射模式的差异见 1.10）：
+//   - insert(key, value = null) 新增键时返回 true、size 加一；键已存在时只更新值并返回 false，size 不变
+//   - search(key) 返回键对应的值，键不存在时返回 null
+//   - delete(key) 删除成功返回 true、size 减一；键不存在时返回 false，结构不变
+//   - rangeSearch(minKey, maxKey) 按键升序返回 minKey <= key <= maxKey 的 {key, value} 条目，两端都包含，minKey > maxKey 时返回空数组
+//   - 迭代器按键升序产出 [key, value]；inOrderTraversal(callback) 按键升序对每个条目调用一次 callback，参数带 key 与 value 字段
+//   - 大量随机的插入、查找、删除之后，返回值、size 与遍历结果都与 Map 参照一致，且 validate() 不报告违规
+// 每个检查项在 new StructureClass() 创建的空实例上执行，违规与 validate() 一样记为 {rule, key, message}。
+// 检查默认使用数字键和任意类型的值，也可以按结构登记的键类型、值类型检查（参见 conformanceTypes）
+const CONFORMANCE_KEY_SPACE = 500;
+const CONFORMANCE_OPERATIONS = 5000;
+// 非数字键先加上这个偏移量，使检查中用到的负数键也成为非负整数，再经 DataGenerator.convertKey 保序转换
+const CONFORMANCE_KEY_OFFSET = 1000;
+
+// 检查用的键值对：键无序给出，值由键唯一确定
+const CONFORMANCE_KEYS = [10, 4, 16, 0, 8, 20, 2, 14, 6, 18, 12];
+
+// 检查项内部用数字表示键，key(k) 把它转换为 keyType 类型的键；value(k) 为键 k 对应的值，updates 为同一个键先后插入的两个值，
+// defaultValue 为省略 value 插入后 search 应返回的值。valueType 为 'int32' 时所有值都是 32 位整数，
+// 供值存放在共享内存中的结构（SharedSkipList，省略的值为 0）使用
+function conformanceTypes(keyType = 'number', valueType = 'any') {
+    if (!STRUCTURE_KEY_TYPES.includes(keyType)) {
+        throw new Error(`未知的键类型: ${keyType}`);
+    }
+
+    if (!STRUCTURE_VALUE_TYPES.includes(valueType)) {
+        throw new Error(`未知的值类型: ${valueType}`);
+    }
+
+    const int32 = valueType === 'int32';
+
+    return {
+        key: key => keyType === 'number' ? key : DataGenerator.convertKey(key + CONFORMANCE_KEY_OFFSET, keyType),
+        value: key => int32 ? key * 10 + 1 : `v${key}`,
+        updates: int32 ? [1, 2] : ['a', 'b'],
+        defaultValue: int32 ? 0 : null
+    };
+}
+
+function describeValue(value) {
+    return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
+function describeEntries(entries) {
+    return `[${entries.map(([key, value]) => `${describeValue(key)}:${describeValue(value)}`).join(', ')}]`;
+}
+
+// 元组键是数组，按 defaultCompare 判定键相等
+function sameEntries(actual, expected) {
+    return actual.length === expected.length &&
+        actual.every(([key, value], i) => defaultCompare(key, expected[i][0]) === 0 && value === expected[i][1]);
+}
+
+function filledForConformance(StructureClass, types) {
+    const structure = new StructureClass();
+
+    for (const key of CONFORMANCE_KEYS) {
+        structure.insert(types.key(key), types.value(key));
+    }
+
+    return structure;
+}
+
+function sortedConformanceEntries(types, minKey = -Infinity, maxKey = Infinity) {
+    return CONFORMANCE_KEYS.filter(key => key >= minKey && key <= maxKey).sort((a, b) => a - b).map(key => [types.key(key), types.value(key)]);
+}
+
+// 检查项：check(StructureClass, fail, types) 通过 fail(key, message) 记录违规，rule 为检查项名称，types 见 conformanceTypes
+const CONFORMANCE_CHECKS = [
+    {
+        rule: 'empty',
+        check(StructureClass, fail, types) {
+            const structure = new StructureClass();
+
+            if (structure.size !== 0) {
+                fail(null, `新建实例的 size 为 ${structure.size}，应为 0`);
+            }
+
+            const found = structure.search(types.key(1));
+            if (found !== null) {
+                fail(1, `空结构 search 返回 ${describeValue(found)}，应为 null`);
+            }
+
+            const deleted = structure.delete(types.key(1));
+            if (deleted !== false) {
+                fail(1, `空结构 delete 返回 ${describeValue(deleted)}，应为 false`);
+            }
+
+            if (structure.rangeSearch(types.key(0), types.key(10)).length !== 0 || [...structure].length !== 0) {
+                fail(null, '空结构的范围查询或迭代产出了条目');
+            }
+        }
+    },
+    {
+        rule: 'insert',
+        check(StructureClass, fail, types) {
+            const structure = new StructureClass();
+            const [first, second] = types.updates;
+
+            const added = structure.insert(types.key(5), first);
+            if (added !== true) {
+                fail(5, `插入新键返回 ${describeValue(added)}，应为 true`);
+            }
+
+            const updated = structure.insert(types.key(5), second);
+            if (updated !== false) {
+                fail(5, `插入已存在的键返回 ${describeValue(updated)}，应为 false`);
+            }
+
+            if (structure.size !== 1) {
+                fail(5, `同一个键插入两次后 size 为 ${structure.size}，应为 1`);
+            }
+
+            const value = structure.search(types.key(5));
+            if (value !== second) {
+                fail(5, `重复插入后 search 返回 ${describeValue(value)}，应为更新后的值 ${describeValue(second)}`);
+            }
+
+            structure.insert(types.key(7));
+            const defaultValue = structure.search(types.key(7));
+            if (defaultValue !== types.defaultValue) {
+                fail(7, `省略 value 插入后 search 返回 ${describeValue(defaultValue)}，应为 ${describeValue(types.defaultValue)}`);
+            }
+        }
+    },
+    {
+        rule: 'search',
+        check(StructureClass, fail, types) {
+            const structure = filledForConformance(StructureClass, types);
+
+            for (const key of CONFORMANCE_KEYS) {
+                const value = structure.search(types.key(key));
+
+                if (value !== types.value(key)) {
+                    fail(key, `search 返回 ${describeValue(value)}，应为 ${describeValue(types.value(key))}`);
+                }
+            }
+
+            // 小于全部键、位于两键之间、大于全部键
+            for (const key of [-1, 3, 21]) {
+                const value = structure.search(types.key(key));
+
+                if (value !== null) {
+                    fail(key, `search 不存在的键返回 ${describeValue(value)}，应为 null`);
+                }
+            }
+        }
+    },
+    {
+        rule: 'delete',
+        check(StructureClass, fail, types) {
+            const structure = filledForConformance(StructureClass, types);
+            const size = structure.size;
+
+            const deleted = structure.delete(types.key(8));
+            if (deleted !== true) {
+                fail(8, `delete 已存在的键返回 ${describeValue(deleted)}，应为 true`);
+            }
+
+            if (structure.size !== size - 1) {
+                fail(8, `删除后 size 为 ${structure.size}，应为 ${size - 1}`);
+            }
+
+            if (structure.search(types.key(8)) !== null) {
+                fail(8, '删除后仍能查到该键');
+            }
+
+            const again = structure.delete(types.key(8));
+            if (again !== false) {
+                fail(8, `再次删除同一个键返回 ${describeValue(again)}，应为 false`);
+            }
+
+            if (structure.delete(types.key(9)) !== false || structure.size !== size - 1) {
+                fail(9, '删除不存在的键返回 true 或改变了 size');
+            }
+
+            const remaining = sortedConformanceEntries(types).filter(([key]) => defaultCompare(key, types.key(8)) !== 0);
+            if (!sameEntries([...structure], remaining)) {
+                fail(null, `删除后迭代结果为 ${describeEntries([...structure])}，应为 ${describeEntries(remaining)}`);
+            }
+        }
+    },
+    {
+        rule: 'rangeSearch',
+        check(StructureClass, fail, types) {
+            const structure = filledForConformance(StructureClass, types);
+
+            // 端点是键、端点不是键、单点、整体之外、minKey > maxKey
+            for (const [minKey, maxKey] of [[4, 10], [3, 11], [20, 20], [-5, -1], [21, 30], [-100, 100], [10, 4]]) {
+                const result = structure.rangeSearch(types.key(minKey), types.key(maxKey));
+                const expected = minKey > maxKey ? [] : sortedConformanceEntries(types, minKey, maxKey);
+
+                if (!Array.isArray(result) || result.some(entry => !entry || !('key' in entry) || !('value' in entry))) {
+                    fail(null, `rangeSearch(${minKey}, ${maxKey}) 应返回 {key, value} 条目数组`);
+                    continue;
+                }
+
+                const actual = result.map(({key, value}) => [key, value]);
+                if (!sameEntries(actual, expected)) {
+                    fail(null, `rangeSearch(${minKey}, ${maxKey}) 返回 ${describeEntries(actual)}，应为 ${describeEntries(expected)}`);
+                }
+            }
+        }
+    },
+    {
+        rule: 'traversal',
+        check(StructureClass, fail, types) {
+            const structure = filledForConformance(StructureClass, types);
+            const expected = sortedConformanceEntries(types);
+
+            const iterated = [...structure];
+            if (!sameEntries(iterated, expected)) {
+                fail(null, `迭代结果为 ${describeEntries(iterated)}，应为 ${describeEntries(expected)}`);
+            }
+
+            const visited = [];
+            structure.inOrderTraversal(entry => visited.push([entry.key, entry.value]));
+            if (!sameEntries(visited, expected)) {
+                fail(null, `inOrderTraversal 依次收到 ${describeEntries(visited)}，应为 ${describeEntries(expected)}`);
+            }
+        }
+    },
+    {
+        rule: 'reference',
+        check(StructureClass, fail, types) {
+            const structure = new StructureClass();
+            const reference = new Map();
+
+            // 用固定的哈希序列生成操作，每次检查的操作序列相同；键空间较小，保证插入、删除都会命中已有键
+            for (let i = 0; i < CONFORMANCE_OPERATIONS; i++) {
+                const hash = mixHash32(i + 1) >>> 0;
+                const key = (hash >>> 8) % CONFORMANCE_KEY_SPACE;
+                const operation = ['insert', 'search', 'delete'][hash % 3];
+                let actual;
+                let expected;
+
+                if (operation === 'insert') {
+                    actual = structure.insert(types.key(key), i);
+                    expected = !reference.has(key);
+                    reference.set(key, i);
+                } else if (operation === 'search') {
+                    actual = structure.search(types.key(key));
+                    expected = reference.has(key) ? reference.get(key) : null;
+                } else {
+                    actual = structure.delete(types.key(key));
+                    expected = reference.delete(key);
+                }
+
+                if (actual !== expected || structure.size !== reference.size) {
+                    fail(key, `第 ${i} 次操作 ${operation}(${key}) 返回 ${describeValue(actual)}、size 为 ${structure.size}，应为 ${describeValue(expected)}、${reference.size}`);
+                    return;
+                }
+            }
+
+            const expected = [...reference].sort((a, b) => a[0] - b[0]).map(([key, value]) => [types.key(key), value]);
+            if (!sameEntries([...structure], expected)) {
+                fail(null, '随机操作后的迭代结果与 Map 参照不一致');
+            }
+
+            if (typeof structure.validate === 'function') {
+                for (const violation of structure.validate().violations) {
+                    fail(violation.key, `随机操作后 validate() 报告 ${violation.rule}：${violation.message}`);
+                }
+            }
+        }
+    }
+];
+
+// 对一个结构类执行全部检查项，返回 {structure, passed, checks, keyType, valueType, violations}；检查项抛出的异常也记为违规。
+// keyType、valueType 为检查使用的键类型与值类型（参见 conformanceTypes），违规中的 key 是转换前的数字键
+function checkConformance(StructureClass, {keyType = 'number', valueType = 'any'} = {}) {
+    const types = conformanceTypes(keyType, valueType);
+    const violations = [];
+
+    for (const {rule, check} of CONFORMANCE_CHECKS) {
+        const fail = (key, message) => violations.push({rule, key, message});
+
+        try {
+            check(StructureClass, fail, types);
+        } catch (error) {
+            fail(null, `抛出异常：${error.message}`);
+        }
+    }
+
+    return {structure: StructureClass.name, passed: violations.length === 0, checks: CONFORMANCE_CHECKS.length, keyType, valueType, violations};
+}
+
+// 对注册表 {名称: 结构类} 中的全部结构以 keyType 类型的键执行一致性检查，返回 {名称: 检查结果}；有结构未通过时抛出错误并列出全部违规。
+// 在全局注册表中以同一名称登记的结构按登记的值类型检查，其余结构按任意值检查
+function assertConformance(registry, {keyType = 'number'} = {}) {
+    const results = {};
+    const failures = [];
+
+    for (const [name, StructureClass] of Object.entries(registry)) {
+        const registered = structureRegistry.has(name) && structureRegistry.resolve(name) === StructureClass;
+        const valueType = registered ? structureRegistry.get(name).valueType : 'any';
+        results[name] = checkConformance(StructureClass, {keyType, valueType});
+
+        for (const {rule, message} of results[name].violations) {
+            failures.push(`  ${name} [${rule}] ${message}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        throw new Error(`以下数据结构未通过一致性检查，不能参与性能测试：\n${failures.join('\n')}`);
+    }
+
+    return results;
+}
+
+// 1.14 数据结构注册表：参与对比的结构及其元数据集中登记于此，主线程与工作线程都按名称从注册表解析结构类。
+// 内置结构在模块加载时登记；外部结构由插件模块提供，按路径加载（配置中的 plugins 或命令行 --plugin=<路径>）。
+// 插件模块导出 register(registry) 函数，或导出一个登记项（或登记项数组）{name, StructureClass, ...元数据}。
+// 元数据（均可省略）：
+//   - ordered：键是否按序存放；哈希表为 false，其范围查询与遍历需要先排序
+//   - operations：支持的操作，由下面的操作分组组合而成；省略时只有一致性检查约定的基本操作，声明的操作必须是类上存在的方法
+//   - color：图表中的颜色，省略时由名称哈希得到
+//   - args：构造参数缺省值，与调用方传入的参数按位置合并（同一位置都是普通对象时逐字段合并，
+//     调用方只传选项对象时保留缺省的数值参数），因此同一个类可以用不同参数登记为多个条目，
+//     例如 {name: 'BTree32', StructureClass: BTree, args: [32]}
+//   - keyTypes：支持的键类型（'number'、'string'、'tuple'）
+//   - valueType：可存放的值，'any'（默认）或 'int32'（只能存放 32 位整数），一致性检查按它选用检查值
+//   - shared：基于 SharedArrayBuffer、可被多个线程共享，只参与共享内存并发测试
+const BASIC_OPERATIONS = ['insert', 'search', 'delete', 'rangeSearch'];
+const NAVIGATION_OPERATIONS = ['min', 'max', 'floor', 'ceiling', 'lower', 'higher'];
+const ORDER_STATISTIC_OPERATIONS = ['select', 'rank', 'countRange'];
+const DUPLICATE_KEY_OPERATIONS = ['searchAll', 'deleteOne', 'deleteAll'];
+const SET_OPERATIONS = ['split', 'join', 'union', 'intersection', 'difference'];
+// 静态方法形式的操作，其余操作为实例方法
+const STATIC_OPERATIONS = ['join', 'union', 'intersection', 'difference', 'fromSorted'];
+const STRUCTURE_KEY_TYPES = ['number', 'string', 'tuple'];
+const STRUCTURE_VALUE_TYPES = ['any', 'int32'];
+
+// 按位置合并构造参数：调用方未给出的位置取缺省值，两者都是普通对象时逐字段合并；
+// 调用方只传入一个选项对象时，它与缺省值末尾的选项对象逐字段合并（缺省值没有选项对象时追加在末尾），缺省的数值参数保持不变
+function mergeConstructorArgs(defaults, args) {
+    if (args.length === 1 && isPlainObject(args[0]) && defaults.length > 0) {
+        const last = defaults[defaults.length - 1];
+        return isPlainObject(last) ? [...defaults.slice(0, -1), {...last, ...args[0]}] : [...defaults, args[0]];
+    }
+
+    const length = Math.max(defaults.length, args.length);
+
+    return Array.from({length}, (_, i) => {
+        if (args[i] === undefined) {
+            return defaults[i];
+        }
+
+        return isPlainObject(args[i]) && isPlainObject(defaults[i]) ? {...defaults[i], ...args[i]} : args[i];
+    });
+}
+
+// 带缺省构造参数的结构类：以登记名为类名的子类，子类实例照常继承多重映射、操作计数等按原型安装的功能
+function bindConstructorArgs(name, StructureClass, defaults) {
+    if (defaults.length === 0) {
+        return StructureClass;
+    }
+
+    const BoundClass = class extends StructureClass {
+        constructor(...args) {
+            super(...mergeConstructorArgs(defaults, args));
+        }
+    };
+
+    Object.defineProperty(BoundClass, 'name', {value: name});
+    return BoundClass;
+}
+
+class StructureRegistry {
+    constructor() {
+        this.entries = new Map();
+        this.classes = new Map();
+        // 已加载插件模块的绝对路径，按加载顺序排列；工作线程按同样的顺序加载即可解析出相同的结构
+        this.modulePaths = [];
+        this._loadingModule = null;
+    }
+
+    // 登记一个结构，返回登记项；名称重复时抛出错误
+    register(name, StructureClass, {ordered = true, operations = BASIC_OPERATIONS, color = null, args = [], keyTypes = STRUCTURE_KEY_TYPES, valueType = 'any', shared = false} = {}) {
+        if (typeof name !== 'string' || name === '') {
+            throw new Error('数据结构的登记名必须是非空字符串');
+        }
+
+        if (this.entries.has(name)) {
+            throw new Error(`数据结构已登记: ${name}`);
+        }
+
+        if (typeof StructureClass !== 'function') {
+            throw new Error(`数据结构 ${name} 的 StructureClass 必须是构造函数`);
+        }
+
+        const unknownKeyTypes = keyTypes.filter(keyType => !STRUCTURE_KEY_TYPES.includes(keyType));
+
+        if (unknownKeyTypes.length > 0) {
+            throw new Error(`数据结构 ${name} 登记了不支持的键类型: ${unknownKeyTypes.join(', ')}`);
+        }
+
+        if (!STRUCTURE_VALUE_TYPES.includes(valueType)) {
+            throw new Error(`数据结构 ${name} 登记了不支持的值类型: ${valueType}`);
+        }
+
+        const missingOperations = operations.filter(operation => typeof (STATIC_OPERATIONS.includes(operation) ?
+            StructureClass[operation] : StructureClass.prototype[operation]) !== 'function');
+
+        if (missingOperations.length > 0) {
+            throw new Error(`数据结构 ${name} 声明了未实现的操作: ${missingOperations.join(', ')}`);
+        }
+
+        const entry = {
+            name,
+            StructureClass,
+            ordered,
+            operations,
+            color: color || `#${(defaultHash(name) >>> 8).toString(16).padStart(6, '0')}`,
+            args,
+            keyTypes,
+            valueType,
+            shared,
+            source: this._loadingModule || 'builtin'
+        };
+
+        this.entries.set(name, entry);
+        this.classes.set(name, bindConstructorArgs(name, StructureClass, args));
+        return entry;
+    }
+
+    // 按路径加载插件模块（相对路径相对于当前工作目录），返回该模块登记的结构名；已加载过的模块不重复加载
+    loadModule(modulePath) {
+        const resolvedPath = require.resolve(path.resolve(modulePath));
+
+        if (this.modulePaths.includes(resolvedPath)) {
+            return [];
+        }
+
+        const plugin = require(resolvedPath);
+        const before = new Set(this.entries.keys());
+        this._loadingModule = resolvedPath;
+
+        try {
+            if (typeof plugin === 'function') {
+                plugin(this);
+            } else if (plugin !== null && typeof plugin === 'object') {
+                for (const {name, StructureClass, ...metadata} of [].concat(plugin)) {
+                    this.register(name, StructureClass, metadata);
+                }
+            } else {
+                throw new Error(`插件模块 ${resolvedPath} 应导出 register(registry) 函数或登记项 {name, StructureClass, ...}`);
+            }
+        } finally {
+            this._loadingModule = null;
+        }
+
+        this.modulePaths.push(resolvedPath);
+        return [...this.entries.keys()].filter(name => !before.has(name));
+    }
+
+    loadModules(modulePaths) {
+        return modulePaths.flatMap(modulePath => this.loadModule(modulePath));
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    get(name) {
+        if (!this.entries.has(name)) {
+            throw new Error(`未登记的数据结构: ${name}`);
+        }
+
+        return this.entries.get(name);
+    }
+
+    // 返回可直接 new 的结构类，已应用登记的缺省构造参数
+    resolve(name) {
+        this.get(name);
+        return this.classes.get(name);
+    }
+
+    // 按条件筛选结构名，保持登记顺序；shared 为 null 时不按共享与否筛选
+    names({keyType = null, operations = [], ordered = null, shared = false} = {}) {
+        return [...this.entries.values()]
+            .filter(entry => keyType === null || entry.keyTypes.includes(keyType))
+            .filter(entry => operations.every(operation => entry.operations.includes(operation)))
+            .filter(entry => ordered === null || entry.ordered === ordered)
+            .filter(entry => shared === null || entry.shared === shared)
+            .map(entry => entry.name);
+    }
+
+    // 按条件筛选，返回测试器使用的 {名称: 结构类}
+    structures(filter = {}) {
+        return Object.fromEntries(this.names(filter).map(name => [name, this.resolve(name)]));
+    }
+
+    colors() {
+        return Object.fromEntries([...this.entries.values()].map(entry => [entry.name, entry.color]));
+    }
+}
+
+// 全局注册表：内置结构按对比报告中的顺序登记
+const structureRegistry = new StructureRegistry();
+
+// 各内置结构支持的操作
+const BALANCED_BST_OPERATIONS = [...BASIC_OPERATIONS, ...NAVIGATION_OPERATIONS, ...ORDER_STATISTIC_OPERATIONS,
+    ...DUPLICATE_KEY_OPERATIONS, ...SET_OPERATIONS, 'fromSorted'];
+const NAVIGABLE_OPERATIONS = [...BASIC_OPERATIONS, ...NAVIGATION_OPERATIONS, ...DUPLICATE_KEY_OPERATIONS];
+const BULK_LOADED_OPERATIONS = [...NAVIGABLE_OPERATIONS, 'fromSorted'];
+
+structureRegistry.register('RedBlackTree', RedBlackTree, {color: '#FF0000', operations: BALANCED_BST_OPERATIONS});
+structureRegistry.register('TypedRedBlackTree', TypedRedBlackTree, {
+    color: '#CD5C5C',
+    keyTypes: ['number'],
+    operations: [...NAVIGABLE_OPERATIONS, ...ORDER_STATISTIC_OPERATIONS, 'fromSorted']
+});
+structureRegistry.register('AVLTree', AVLTree, {color: '#00AA00', operations: BALANCED_BST_OPERATIONS});
+structureRegistry.register('BTree', BTree, {color: '#0000FF', operations: BULK_LOADED_OPERATIONS});
+structureRegistry.register('BPlusTree', BPlusTree, {color: '#9932CC', operations: BULK_LOADED_OPERATIONS});
+structureRegistry.register('SkipList', SkipList, {color: '#FF8C00', operations: NAVIGABLE_OPERATIONS});
+structureRegistry.register('HashTable', HashTable, {ordered: false, color: '#4682B4', operations: NAVIGABLE_OPERATIONS});
+structureRegistry.register('LinearProbingHashTable', LinearProbingHashTable, {ordered: false, color: '#1E90FF', operations: NAVIGABLE_OPERATIONS});
+structureRegistry.register('RobinHoodHashTable', RobinHoodHashTable, {ordered: false, color: '#6A5ACD', operations: NAVIGABLE_OPERATIONS});
+structureRegistry.register('CuckooHashTable', CuckooHashTable, {ordered: false, color: '#00CED1', operations: NAVIGABLE_OPERATIONS});
+structureRegistry.register('BinarySearchTree', BinarySearchTree, {color: '#2F4F4F', operations: NAVIGABLE_OPERATIONS});
+structureRegistry.register('Treap', Treap, {color: '#DAA520', operations: NAVIGABLE_OPERATIONS});
+structureRegistry.register('SplayTree', SplayTree, {color: '#FF1493', operations: NAVIGABLE_OPERATIONS});
+structureRegistry.register('ScapegoatTree', ScapegoatTree, {color: '#8B4513', operations: NAVIGABLE_OPERATIONS});
+structureRegistry.register('WAVLTree', WAVLTree, {color: '#20B2AA', operations: NAVIGABLE_OPERATIONS});
+structureRegistry.register('LeftLeaningRedBlackTree', LeftLeaningRedBlackTree, {color: '#B22222', operations: NAVIGABLE_OPERATIONS});
+structureRegistry.register('LinearArray', LinearArray, {color: '#696969', operations: [...NAVIGABLE_OPERATIONS, ...ORDER_STATISTIC_OPERATIONS]});
+structureRegistry.register('PackedMemoryArray', PackedMemoryArray, {color: '#A9A9A9', operations: BULK_LOADED_OPERATIONS});
+// 共享跳表的值存放在共享内存中，不支持多重映射（重复键操作）
+structureRegistry.register('SharedSkipList', SharedSkipList, {
+    color: '#FFA500',
+    keyTypes: ['number'],
+    valueType: 'int32',
+    shared: true,
+    operations: [...BASIC_OPERATIONS, ...NAVIGATION_OPERATIONS]
+});
+
+// ====================== 2. 测试数据生成器 ======================
+
+// 生成不同分布的测试数据
+class DataGenerator {
+    // 均匀随机分布
+    static uniformDistribution(size, min = 0, max = Number.MAX_SAFE_INTEGER) {
+        const data = [];
+
+        for (let i = 0; i < size; i++) {
+            const key = Math.floor(sharedRandom.next() * (max - min + 1)) + min;
+            data.push({key, value: `value-${key}`});
+        }
+
+        return data;
+    }
+
+    // 正态分布 (使用Box-Muller变换)
+    static normalDistribution(size, mean = 500000, stdDev = 100000) {
+        const data = [];
+
+        for (let i = 0; i < size; i++) {
+            let u = 0, v = 0;
+            while (u === 0) u = sharedRandom.next();
+            while (v === 0) v = sharedRandom.next();
+
+            const z = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+            const key = Math.max(0, Math.floor(mean + z * stdDev));
+
+            data.push({key, value: `value-${key}`});
+        }
+
+        return data;
+    }
+
+    // 偏斜分布 (80/20法则)
+    static skewedDistribution(size, min = 0, max = Number.MAX_SAFE_INTEGER) {
+        const data = [];
+        const hotspotSize = Math.floor(max * 0.2);
+        const hotspotProbability = 0.8;
+
+        for (let i = 0; i < size; i++) {
+            let key;
+
+            if (sharedRandom.next() < hotspotProbability) {
+                // 80%的概率生成热点区域内的键
+                key = Math.floor(sharedRandom.next() * hotspotSize) + min;
+            } else {
+                // 20%的概率生成非热点区域内的键
+                key = Math.floor(sharedRandom.next() * (max - hotspotSize)) + min + hotspotSize;
+            }
+
+            data.push({key, value: `value-${key}`});
+        }
+
+        return data;
+    }
+
+    // 几乎有序的数据
+    static nearSortedDistribution(size, swapFraction = 0.1) {
+        const data = [];
+
+        // 生成有序数据
+        for (let i = 0; i < size; i++) {
+            data.push({key: i, value: `value-${i}`});
+        }
+
+        // 随机交换一小部分数据
+        const swapCount = Math.floor(size * swapFraction);
+
+        for (let i = 0; i < swapCount; i++) {
+            const index1 = Math.floor(sharedRandom.next() * size);
+            const index2 = Math.floor(sharedRandom.next() * size);
+
+            const temp = data[index1].key;
+            data[index1].key = data[index2].key;
+            data[index2].key = temp;
+
+            data[index1].value = `value-${data[index1].key}`;
+            data[index2].value = `value-${data[index2].key}`;
+        }
+
+        return data;
+    }
+
+    // 完全有序数据
+    static sortedDistribution(size) {
+        const data = [];
+
+        for (let i = 0; i < size; i++) {
+            data.push({key: i, value: `value-${i}`});
+        }
+
+        return data;
+    }
+
+    // 完全逆序数据
+    static reverseSortedDistribution(size) {
+        const data = [];
+
+        for (let i = size - 1; i >= 0; i--) {
+            data.push({key: i, value: `value-${i}`});
+        }
+
+        return data;
+    }
+
+    // 生成Zipf分布的数据 (用于访问模式)
+    static zipfDistribution(size, alpha = 1.5) {
+        const data = [];
+        const zipf = [];
+        let sum = 0;
+
+        // 计算Zipf权重
+        for (let i = 1; i <= size; i++) {
+            const weight = 1 / Math.pow(i, alpha);
+            zipf.push(weight);
+            sum += weight;
+        }
+
+        // 归一化
+        for (let i = 0; i < size; i++) {
+            zipf[i] /= sum;
+        }
+
+        // 生成累积分布函数
+        const cdf = [];
+        let cumsum = 0;
+
+        for (let i = 0; i < size; i++) {
+            cumsum += zipf[i];
+            cdf.push(cumsum);
+        }
+
+        // 生成数据
+        for (let i = 0; i < size; i++) {
+            const r = sharedRandom.next();
+            let index = 0;
+
+            while (index < size - 1 && r > cdf[index]) {
+                index++;
+            }
+
+            data.push({key: index, value: `value-${index}`});
+        }
+
+        return data;
+    }
+
+    // 大量重复键：size 条数据只使用 0 到 distinctKeys - 1 这些键，按 Zipf 权重抽取（alpha 为 0 时均匀），
+    // 少数热键重复次数极多，类似低基数列上的二级索引；值各不相同，以便区分同一键下的多个值
+    static duplicateHeavyDistribution(size, distinctKeys = Math.max(1, Math.floor(size / 100)), alpha = 1) {
+        const cdf = [];
+        let sum = 0;
+
+        for (let i = 1; i <= distinctKeys; i++) {
+            sum += 1 / Math.pow(i, alpha);
+            cdf.push(sum);
+        }
+
+        const data = [];
+
+        for (let i = 0; i < size; i++) {
+            // 二分查找累积分布函数
+            const r = sharedRandom.next() * sum;
+            let left = 0;
+            let right = distinctKeys - 1;
+
+            while (left < right) {
+                const mid = (left + right) >>> 1;
+
+                if (cdf[mid] < r) {
+                    left = mid + 1;
+                } else {
+                    right = mid;
+                }
+            }
+
+            data.push({key: left, value: `value-${left}-${i}`});
+        }
+
+        return data;
+    }
+
+    // 将非负整数键映射为指定类型的键，映射保持键序，因此同一组分布和范围查询边界可用于各种键类型
+    // keyType: 'number'（原样返回）、'string'（补零定长字符串）、'tuple'（[高位, 低位] 二元组）
+    static convertKey(key, keyType = 'number') {
+        switch (keyType) {
+            case 'string':
+                return `key-${String(key).padStart(16, '0')}`;
+            case 'tuple':
+                return [Math.floor(key / 65536), key % 65536];
+            default:
+                return key;
+        }
+    }
+
+    // 转换整组测试数据的键类型，值保持不变
+    static withKeyType(data, keyType = 'number') {
+        if (keyType === 'number') {
+            return data;
+        }
+
+        return data.map(item => ({key: DataGenerator.convertKey(item.key, keyType), value: item.value}));
+    }
+}
+
+// ====================== 3. 性能测试工具 ======================
+class PerformanceTester {
+    // keyType 指定测试使用的键类型（'number'、'string'、'tuple'），参见 DataGenerator.convertKey；
+    // countOperations 为 true 时 CRUD 测试额外统计每次操作的比较次数等计数（参见 instrument）；
+    // requireConformance 为 true 时先对全部结构执行一致性检查（参见 assertConformance），有结构未通过时抛出错误；
+    // seed 为随机种子，构造时用它重置共享随机数流（为 null 时随机选取），记录在 results.seed 中，传入同一种子即可复现整次测试
+    constructor(dataStructures, testSizes, iterations = 5, {keyType = 'number', countOperations = true, requireConformance = true, seed = null} = {}) {
+        this.dataStructures = dataStructures;
+        this.testSizes = testSizes;
+        this.iterations = iterations;
+        this.keyType = keyType;
+        this.countOperations = countOperations;
+        this.results = {};
+
+        if (requireConformance) {
+            this.results.conformance = assertConformance(dataStructures, {keyType});
+        }
+
+        // 一致性检查也会创建跳表、Treap 等使用随机数的结构，因此在检查之后才重置随机数流
+        this.seed = setRandomSeed(seed);
+        this.random = sharedRandom;
+        this.results.seed = this.seed;
+    }
+
+    // 3.1 基准测试：CRUD操作性能
+    async runCRUDTest(dataDistribution = 'uniform') {
+        console.log(`\n开始 CRUD 性能测试 (数据分布: ${dataDistribution})...`);
+
+        const results = {};
+
+        // 树形统计按数据分布分别保存，不随下一次 CRUD 测试覆盖，便于对比同一结构在有序与随机数据上的形状
+        if (!this.results.shape) {
+            this.results.shape = {};
+        }
+        const shapes = this.results.shape[dataDistribution] = {};
+
+        for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
+            results[name] = {
+                insert: [],
+                search: [],
+                delete: [],
+                range: [],
+                bulkLoad: [],
+                fill: [],
+                corrupted: false,
+                violations: []
+            };
+
+            for (const size of this.testSizes) {
+                console.log(`测试 ${name} 在数据量 ${size} 下的性能...`);
+
+                let insertTimes = [];
+                let searchTimes = [];
+                let deleteTimes = [];
+                let rangeTimes = [];
+                let bulkLoadTimes = [];
+                let fillSamples = [];
+                let operationCounts = null;
+                let shapeSample = null;
+
+                for (let i = 0; i < this.iterations; i++) {
+                    // 根据指定的分布生成测试数据
+                    const data = this._generateData(dataDistribution, size);
+
+                    // 测试插入性能
+                    const ds = new DataStructureClass();
+
+                    const insertStart = performance.now();
+                    for (const item of data) {
+                        ds.insert(item.key, item.value);
+                    }
+                    const insertEnd = performance.now();
+                    insertTimes.push(insertEnd - insertStart);
+                    this._checkIntegrity(results[name], ds, {size, phase: 'insert'});
+
+                    // 树形只在第一轮、计时之外统计
+                    if (i === 0 && typeof ds.shapeStats === 'function') {
+                        shapeSample = {size, afterInsert: ds.shapeStats(), afterBulkLoad: null};
+                    }
+
+                    // 测试批量加载性能：从已排序去重的数据构建，排序不计入时间
+                    if (typeof DataStructureClass.fromSorted === 'function') {
+                        const sortedEntries = this._sortedUniqueEntries(data, ds.compare);
+
+                        const bulkLoadStart = performance.now();
+                        const bulkLoaded = DataStructureClass.fromSorted(sortedEntries);
+                        const bulkLoadEnd = performance.now();
+                        bulkLoadTimes.push(bulkLoadEnd - bulkLoadStart);
+                        this._checkIntegrity(results[name], bulkLoaded, {size, phase: 'bulkLoad'});
+
+                        if (i === 0 && shapeSample !== null) {
+                            shapeSample.afterBulkLoad = bulkLoaded.shapeStats();
+                        }
+                    }
+
+                    // 测试查找性能
+                    const searchKeys = data.map(item => item.key);
+                    searchKeys.sort(() => this.random.next() - 0.5); // 打乱顺序
+
+                    const searchStart = performance.now();
+                    for (const key of searchKeys) {
+                        ds.search(key);
+                    }
+                    const searchEnd = performance.now();
+                    searchTimes.push(searchEnd - searchStart);
+
+                    // 测试范围查询性能
+                    const rangeSize = Math.floor(size * 0.1); // 查询10%的数据范围
+                    const minKey = Math.floor(this.random.next() * (size - rangeSize));
+                    const maxKey = minKey + rangeSize;
+
+                    const rangeStart = performance.now();
+                    const rangeResult = ds.rangeSearch(this._key(minKey), this._key(maxKey));
+                    const rangeEnd = performance.now();
+                    rangeTimes.push(rangeEnd - rangeStart);
+
+                    // 测试删除性能
+                    const deleteKeys = [...searchKeys]; // 复制一份查找键
+
+                    // 支持节点统计的结构（B树、B+树）在删除 90% 的键后暂停计时，记录大量删除后的树高与填充率
+                    const statsBefore = typeof ds.nodeStats === 'function' ? ds.nodeStats() : null;
+                    const heavyDeleteCount = statsBefore ? Math.floor(deleteKeys.length * 0.9) : deleteKeys.length;
+
+                    let deleteStart = performance.now();
+                    for (let j = 0; j < heavyDeleteCount; j++) {
+                        ds.delete(deleteKeys[j]);
+                    }
+                    let deleteTime = performance.now() - deleteStart;
+
+                    if (statsBefore) {
+                        fillSamples.push({afterInsert: statsBefore, afterDelete: ds.nodeStats()});
+                        this._checkIntegrity(results[name], ds, {size, phase: 'heavyDelete'});
+
+                        deleteStart = performance.now();
+                        for (let j = heavyDeleteCount; j < deleteKeys.length; j++) {
+                            ds.delete(deleteKeys[j]);
+                        }
+                        deleteTime += performance.now() - deleteStart;
+                    }
+
+                    deleteTimes.push(deleteTime);
+                    this._checkIntegrity(results[name], ds, {size, phase: 'delete'});
+
+                    // 计数与机器无关，每个数据量只在第一轮用同一份数据在计时之外统计一次
+                    if (i === 0 && this.countOperations) {
+                        operationCounts = this._countOperations(DataStructureClass, data, searchKeys, this._key(minKey), this._key(maxKey));
+                    }
+                }
+
+                // 计算平均性能
+                results[name].insert.push({
+                    size,
+                    time: insertTimes.reduce((a, b) => a + b, 0) / this.iterations,
+                    counters: operationCounts && operationCounts.insert
+                });
+
+                results[name].search.push({
+                    size,
+                    time: searchTimes.reduce((a, b) => a + b, 0) / this.iterations,
+                    counters: operationCounts && operationCounts.search
+                });
+
+                results[name].delete.push({
+                    size,
+                    time: deleteTimes.reduce((a, b) => a + b, 0) / this.iterations,
+                    counters: operationCounts && operationCounts.delete
+                });
+
+                results[name].range.push({
+                    size,
+                    time: rangeTimes.reduce((a, b) => a + b, 0) / this.iterations,
+                    counters: operationCounts && operationCounts.range
+                });
+
+                if (shapeSample !== null) {
+                    (shapes[name] = shapes[name] || []).push(shapeSample);
+                }
+
+                if (bulkLoadTimes.length > 0) {
+                    results[name].bulkLoad.push({
+                        size,
+                        time: bulkLoadTimes.reduce((a, b) => a + b, 0) / bulkLoadTimes.length
+                    });
+                }
+
+                if (fillSamples.length > 0) {
+                    const average = (phase, field) => fillSamples.reduce((sum, sample) => sum + sample[phase][field], 0) / fillSamples.length;
+
+                    results[name].fill.push({
+                        size,
+                        afterInsert: {height: average('afterInsert', 'height'), averageFill: average('afterInsert', 'averageFill')},
+                        afterDelete: {
+                            height: average('afterDelete', 'height'),
+                            averageFill: average('afterDelete', 'averageFill'),
+                            minFill: Math.min(...fillSamples.map(sample => sample.afterDelete.minFill))
+                        }
+                    });
+                }
+            }
+        }
+
+        this.results.crud = results;
+        return results;
+    }
+
+    // 在新建的计数实例上重放一轮 CRUD 测试的操作，返回各操作平均每次调用的计数（见 OperationCounters.average）
+    _countOperations(DataStructureClass, data, keys, minKey, maxKey) {
+        const ds = new DataStructureClass();
+        const counters = instrument(ds);
+
+        for (const item of data) {
+            ds.insert(item.key, item.value);
+        }
+
+        for (const key of keys) {
+            ds.search(key);
+        }
+
+        ds.rangeSearch(minKey, maxKey);
+
+        for (const key of keys) {
+            ds.delete(key);
+        }
+
+        return {
+            insert: counters.average('insert'),
+            search: counters.average('search'),
+            delete: counters.average('delete'),
+            range: counters.average('rangeSearch')
+        };
+    }
+
+    // 3.2 混合负载测试
+    async runMixedLoadTest(readRatio = 0.5, dataSize = 100000, operationCount = 1000000) {
+        console.log(`\n开始混合负载测试 (读写比: ${readRatio}:${1 - readRatio})...`);
+
+        const results = {};
+
+        for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
+            console.log(`测试 ${name} 在混合负载下的性能...`);
+
+            results[name] = {
+                totalTime: 0,
+                readTime: 0,
+                writeTime: 0,
+                readOps: 0,
+                writeOps: 0,
+                corrupted: false,
+                violations: []
+            };
+
+            // 预先生成测试数据和操作序列
+            const preloadData = DataGenerator.withKeyType(DataGenerator.uniformDistribution(dataSize), this.keyType);
+
+            // 生成操作序列
+            const operations = [];
+            for (let i = 0; i < operationCount; i++) {
+                if (this.random.next() < readRatio) {
+                    // 读操作
+                    operations.push({
+                        type: 'read',
+                        key: preloadData[Math.floor(this.random.next() * dataSize)].key
+                    });
+                } else {
+                    // 写操作 (插入或删除)
+                    const isInsert = this.random.next() < 0.5;
+                    const key = this._key(Math.floor(this.random.next() * dataSize * 2)); // 可能产生新键
+
+                    operations.push({
+                        type: isInsert ? 'insert' : 'delete',
+                        key,
+                        value: isInsert ? `value-${key}` : null
+                    });
+                }
+            }
+
+            // 运行测试
+            const ds = new DataStructureClass();
+
+            // 预加载数据
+            for (const item of preloadData) {
+                ds.insert(item.key, item.value);
+            }
+
+            // 执行操作序列
+            const totalStart = performance.now();
+            let readTime = 0;
+            let writeTime = 0;
+            let readOps = 0;
+            let writeOps = 0;
+
+            for (const op of operations) {
+                if (op.type === 'read') {
+                    const start = performance.now();
+                    ds.search(op.key);
+                    const end = performance.now();
+                    readTime += (end - start);
+                    readOps++;
+                } else if (op.type === 'insert') {
+                    const start = performance.now();
+                    ds.insert(op.key, op.value);
+                    const end = performance.now();
+                    writeTime += (end - start);
+                    writeOps++;
+                } else if (op.type === 'delete') {
+                    const start = performance.now();
+                    ds.delete(op.key);
+                    const end = performance.now();
+                    writeTime += (end - start);
+                    writeOps++;
                 }
+            }
 
-                // 几乎有序的数据
-                static nearSortedDistribution(size, swapFraction = 0.1) {
-                    const data = [];
+            const totalEnd = performance.now();
+            this._checkIntegrity(results[name], ds, {phase: 'mixed'});
 
-                    // 生成有序数据
-                    for (let i = 0; i < size; i++) {
-                        data.push({key: i, value: `value-${i}`});
-                    }
+            results[name].totalTime = totalEnd - totalStart;
+            results[name].readTime = readTime;
+            results[name].writeTime = writeTime;
+            results[name].readOps = readOps;
+            results[name].writeOps = writeOps;
+            results[name].readLatency = readTime / readOps;
+            results[name].writeLatency = writeTime / writeOps;
+            results[name].throughput = operationCount / ((totalEnd - totalStart) / 1000); // ops/sec
+        }
 
-                    // 随机交换一小部分数据
-                    const swapCount = Math.floor(size * swapFraction);
+        this.results.mixedLoad = results;
+        return results;
+    }
 
-                    for (let i = 0; i < swapCount; i++) {
-                        const index1 = Math.floor(Math.random() * size);
-                        const index2 = Math.floor(Math.random() * size);
+    // 3.3 范围查询测试
+    // firstK 为分页场景下取前 K 条（正序与逆序）的条数，全量扫描通过惰性迭代器衡量吞吐量
+    async runRangeQueryTest(dataSize = 1000000, rangeSizes = [0.001, 0.01, 0.1, 0.5], firstK = 10) {
+        console.log(`\n开始范围查询测试...`);
 
-                        const temp = data[index1].key;
-                        data[index1].key = data[index2].key;
-                        data[index2].key = temp;
+        const results = {};
 
-                        data[index1].value = `value-${data[index1].key}`;
-                        data[index2].value = `value-${data[index2].key}`;
-                    }
+        for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
+            console.log(`测试 ${name} 在范围查询下的性能...`);
 
-                    return data;
-                }
+            results[name] = {
+                ranges: []
+            };
+
+            // 生成测试数据，键空间与查询区间一致，保证范围内确有结果
+            const data = DataGenerator.withKeyType(DataGenerator.uniformDistribution(dataSize, 0, dataSize - 1), this.keyType);
+
+            // 加载数据
+            const ds = new DataStructureClass();
+            for (const item of data) {
+                ds.insert(item.key, item.value);
+            }
+
+            // 测试不同范围大小的查询性能
+            for (const rangeFraction of rangeSizes) {
+                const rangeSize = Math.floor(dataSize * rangeFraction);
+                const times = [];
+
+                for (let i = 0; i < this.iterations; i++) {
+                    const lowKey = Math.floor(this.random.next() * (dataSize - rangeSize));
+                    const minKey = this._key(lowKey);
+                    const maxKey = this._key(lowKey + rangeSize);
+
+                    const start = performance.now();
+                    const result = ds.rangeSearch(minKey, maxKey);
+                    const end = performance.now();
+
+                    // 前 K 条延迟：只消费迭代器的前 K 个结果
+                    const firstKStart = performance.now();
+                    Array.from(ds.range(minKey, maxKey, {limit: firstK}));
+                    const firstKEnd = performance.now();
 
-                // 完全有序数据
-                static sortedDistribution(size) {
-                    const data = [];
+                    const reverseFirstKStart = performance.now();
+                    Array.from(ds.range(minKey, maxKey, {reverse: true, limit: firstK}));
+                    const reverseFirstKEnd = performance.now();
 
-                    for (let i = 0; i < size; i++) {
-                        data.push({key: i, value: `value-${i}`});
+                    // 全量扫描：逐个消费迭代器，不物化结果数组
+                    let scanned = 0;
+                    const scanStart = performance.now();
+                    for (const entry of ds.range(minKey, maxKey)) {
+                        scanned++;
                     }
+                    const scanEnd = performance.now();
 
-                    return data;
+                    times.push({
+                        time: end - start,
+                        resultSize: result.length,
+                        firstKTime: firstKEnd - firstKStart,
+                        reverseFirstKTime: reverseFirstKEnd - reverseFirstKStart,
+                        scanTime: scanEnd - scanStart,
+                        scanned
+                    });
                 }
 
-                // 完全逆序数据
-                static reverseSortedDistribution(size) {
-                    const data = [];
+                // 计算平均性能
+                const avgTime = times.reduce((a, b) => a + b.time, 0) / this.iterations;
+                const avgResultSize = Math.floor(times.reduce((a, b) => a + b.resultSize, 0) / this.iterations);
+                const avgFirstKTime = times.reduce((a, b) => a + b.firstKTime, 0) / this.iterations;
+                const avgReverseFirstKTime = times.reduce((a, b) => a + b.reverseFirstKTime, 0) / this.iterations;
+                const totalScanTime = times.reduce((a, b) => a + b.scanTime, 0);
+                const totalScanned = times.reduce((a, b) => a + b.scanned, 0);
+
+                results[name].ranges.push({
+                    rangeFraction,
+                    expectedSize: rangeSize,
+                    actualSize: avgResultSize,
+                    time: avgTime,
+                    firstK,
+                    firstKTime: avgFirstKTime,
+                    reverseFirstKTime: avgReverseFirstKTime,
+                    scanTime: totalScanTime / this.iterations,
+                    // 每秒迭代的条目数
+                    scanThroughput: totalScanTime > 0 ? totalScanned / (totalScanTime / 1000) : 0
+                });
+            }
+        }
+
+        this.results.rangeQuery = results;
+        return results;
+    }
+
+    // 3.4 顺序访问vs随机访问测试
+    async runAccessPatternTest(dataSize = 100000, operationCount = 1000000) {
+        console.log(`\n开始访问模式测试...`);
+
+        const results = {};
+
+        for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
+            console.log(`测试 ${name} 在不同访问模式下的性能...`);
+
+            results[name] = {
+                sequential: 0,
+                random: 0,
+                zipf: 0
+            };
+
+            // 生成测试数据
+            const data = DataGenerator.withKeyType(DataGenerator.sortedDistribution(dataSize), this.keyType);
+
+            // 加载数据
+            const ds = new DataStructureClass();
+            for (const item of data) {
+                ds.insert(item.key, item.value);
+            }
+
+            // 测试顺序访问
+            const sequentialKeys = [];
+            for (let i = 0; i < Math.min(operationCount, dataSize); i++) {
+                sequentialKeys.push(this._key(i));
+            }
+
+            const sequentialStart = performance.now();
+            for (const key of sequentialKeys) {
+                ds.search(key);
+            }
+            const sequentialEnd = performance.now();
+            results[name].sequential = sequentialEnd - sequentialStart;
+
+            // 测试随机访问
+            const randomKeys = [];
+            for (let i = 0; i < operationCount; i++) {
+                randomKeys.push(this._key(Math.floor(this.random.next() * dataSize)));
+            }
+
+            const randomStart = performance.now();
+            for (const key of randomKeys) {
+                ds.search(key);
+            }
+            const randomEnd = performance.now();
+            results[name].random = randomEnd - randomStart;
+
+            // 测试Zipf分布访问 (热点访问)
+            const zipfKeys = DataGenerator.zipfDistribution(operationCount, 1.5)
+                .map(item => this._key(item.key % dataSize)); // 确保键在有效范围内
+
+            const zipfStart = performance.now();
+            for (const key of zipfKeys) {
+                ds.search(key);
+            }
+            const zipfEnd = performance.now();
+            results[name].zipf = zipfEnd - zipfStart;
+        }
+
+        this.results.accessPattern = results;
+        return results;
+    }
+
+    // 3.5 内存使用测试：以前两种口径为准，第三种仅作参考
+    //   - memoryModel() 按节点数与字段布局算出的理论值
+    //   - 堆快照实测的保留大小（见 measureRetainedMemory），heapSnapshot 为 false 时跳过
+    //   - heapUsed 与 arrayBuffers 的差值（heapDelta）；heapUsed 不包含 ArrayBuffer 的存储，因此同时统计 arrayBuffers，
+    //     类型化数组节点池（TypedRedBlackTree）才能与对象节点公平比较。只在可以强制垃圾回收（--expose-gc）时记录
+    // 前两者附每键开销，并给出实测与模型之比
+    async estimateMemoryUsage(dataSize = 100000, {heapSnapshot = true} = {}) {
+        console.log(`\n估计内存使用...`);
+
+        const results = {};
+
+        for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
+            console.log(`估计 ${name} 的内存使用...`);
+
+            // 生成测试数据
+            const data = DataGenerator.withKeyType(DataGenerator.uniformDistribution(dataSize), this.keyType);
+
+            results[name] = await this._measureMemory(DataStructureClass, data, heapSnapshot);
+        }
+
+        this.results.memory = results;
+        return results;
+    }
+
+    // 在单独的函数帧中构建结构并测量，避免上一轮的结构仍被循环中的变量引用而计入基准
+    async _measureMemory(DataStructureClass, data, heapSnapshot) {
+        const forceGC = typeof global.gc === 'function';
+
+        // 在插入数据前获取内存基准；先让出事件循环，使上一轮堆快照的流关闭后再回收，其缓冲区不再混入差值
+        if (forceGC) {
+            await new Promise(resolve => setImmediate(resolve));
+            global.gc(); // 强制垃圾回收
+        }
+
+        const memBefore = process.memoryUsage();
+
+        // 加载数据
+        const ds = new DataStructureClass();
+        for (const item of data) {
+            ds.insert(item.key, item.value);
+        }
+
+        // 插入数据后获取内存使用
+        if (forceGC) {
+            global.gc(); // 强制垃圾回收
+        }
+
+        const memAfter = process.memoryUsage();
+
+        // 不能强制垃圾回收时，加载期间的临时对象与回收时机都会混入差值，结果甚至为负，因此不记录差值（heapDelta 为 null）
+        const result = {heapDelta: null};
+
+        if (forceGC) {
+            const heapMem = memAfter.heapUsed - memBefore.heapUsed;
+            const offHeapMem = memAfter.arrayBuffers - memBefore.arrayBuffers;
+            const totalMem = heapMem + offHeapMem;
+
+            result.heapDelta = {
+                totalMemory: totalMem,
+                heapMemory: heapMem,
+                offHeapMemory: offHeapMem,
+                perNodeMemory: totalMem / data.length
+            };
+        }
+
+        // 测量之后仍然使用 data 和 ds，保证第二次垃圾回收时两者都不会被当作死对象提前回收
+        if (typeof ds.poolStats === 'function') {
+            result.pool = ds.poolStats();
+        }
+
+        const keyCount = Math.max(1, ds.size);
+
+        if (typeof ds.memoryModel === 'function') {
+            const model = ds.memoryModel();
+            result.model = {bytes: model.bytes, perKey: model.bytes / keyCount, breakdown: model.breakdown};
+        }
+
+        // 输入数据中的键和值属于调用方，结构持有的共享随机数流也不属于结构本身，都从实测中排除
+        if (heapSnapshot) {
+            const retained = await measureRetainedMemory(ds, [data, sharedRandom]);
+            result.retained = {bytes: retained.bytes, perKey: retained.bytes / keyCount, breakdown: retained.breakdown};
+
+            if (result.model && result.model.bytes > 0) {
+                result.overheadRatio = retained.bytes / result.model.bytes;
+            }
+        }
+
+        return result;
+    }
+
+    // 3.6 顺序统计测试：select / rank / countRange
+    // 未原生支持顺序统计的结构（如跳表）使用基于遍历和范围查询的回退实现作为对照
+    async runOrderStatisticTest(dataSize = 100000, queryCount = 1000, structureNames = ['RedBlackTree', 'AVLTree', 'SkipList', 'LinearArray']) {
+        console.log(`\n开始顺序统计测试...`);
+
+        const results = {};
+
+        for (const name of structureNames) {
+            const DataStructureClass = this.dataStructures[name];
+
+            if (!DataStructureClass) {
+                continue;
+            }
+
+            console.log(`测试 ${name} 的顺序统计性能...`);
+
+            // 生成测试数据并加载
+            const data = DataGenerator.withKeyType(DataGenerator.uniformDistribution(dataSize), this.keyType);
+            const ds = new DataStructureClass();
+            for (const item of data) {
+                ds.insert(item.key, item.value);
+            }
+
+            const ops = this._orderStatisticOps(ds);
+
+            // 预先生成查询参数
+            const positions = [];
+            const keys = [];
+            const ranges = [];
+
+            for (let i = 0; i < queryCount; i++) {
+                positions.push(Math.floor(this.random.next() * ds.size));
+                keys.push(data[Math.floor(this.random.next() * dataSize)].key);
+
+                const a = data[Math.floor(this.random.next() * dataSize)].key;
+                const b = data[Math.floor(this.random.next() * dataSize)].key;
+                ranges.push(ds.compare(a, b) <= 0 ? [a, b] : [b, a]);
+            }
+
+            const selectStart = performance.now();
+            for (const k of positions) {
+                ops.select(k);
+            }
+            const selectEnd = performance.now();
+
+            const rankStart = performance.now();
+            for (const key of keys) {
+                ops.rank(key);
+            }
+            const rankEnd = performance.now();
+
+            const countStart = performance.now();
+            for (const [minKey, maxKey] of ranges) {
+                ops.countRange(minKey, maxKey);
+            }
+            const countEnd = performance.now();
+
+            results[name] = {
+                native: ops.native,
+                select: (selectEnd - selectStart) / queryCount,
+                rank: (rankEnd - rankStart) / queryCount,
+                countRange: (countEnd - countStart) / queryCount
+            };
+        }
+
+        this.results.orderStatistic = results;
+        return results;
+    }
+
+    // 获取数据结构的顺序统计操作，未原生支持时回退为 O(n) 的遍历/范围查询实现
+    _orderStatisticOps(ds) {
+        if (typeof ds.select === 'function' && typeof ds.rank === 'function' && typeof ds.countRange === 'function') {
+            return {
+                native: true,
+                select: k => ds.select(k),
+                rank: key => ds.rank(key),
+                countRange: (minKey, maxKey) => ds.countRange(minKey, maxKey)
+            };
+        }
+
+        return {
+            native: false,
+            select: k => {
+                let index = 0;
+                let found = null;
 
-                    for (let i = size - 1; i >= 0; i--) {
-                        data.push({key: i, value: `value-${i}`});
+                ds.inOrderTraversal(node => {
+                    if (index++ === k) {
+                        found = {key: node.key, value: node.value};
                     }
+                });
+
+                return found;
+            },
+            rank: key => {
+                const first = ds.min();
 
-                    return data;
+                if (first === null) {
+                    return 0;
                 }
 
-                // 生成Zipf分布的数据 (用于访问模式)
-                static zipfDistribution(size, alpha = 1.5) {
-                    const data = [];
-                    const zipf = [];
-                    let sum = 0;
+                const result = ds.rangeSearch(first.key, key);
+                const last = result[result.length - 1];
+                return last && ds.compare(last.key, key) === 0 ? result.length - 1 : result.length;
+            },
+            countRange: (minKey, maxKey) => ds.rangeSearch(minKey, maxKey).length
+        };
+    }
+
+    // 3.7 最近键查找测试：min / max / floor / ceiling / lower / higher
+    // 查询键在数据键的取值范围内随机选取，大多数不存在于结构中
+    async runNearestKeyTest(dataSize = 100000, queryCount = 1000, distributions = ['uniform', 'sorted', 'skewed']) {
+        console.log(`\n开始最近键查找测试...`);
 
-                    // 计算Zipf权重
-                    for (let i = 1; i <= size; i++) {
-                        const weight = 1 / Math.pow(i, alpha);
-                        zipf.push(weight);
-                        sum += weight;
-                    }
+        const results = {};
 
-                    // 归一化
-                    for (let i = 0; i < size; i++) {
-                        zipf[i] /= sum;
+        for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
+            results[name] = {};
+
+            for (const distribution of distributions) {
+                console.log(`测试 ${name} 在 ${distribution} 分布下的最近键查找性能...`);
+
+                try {
+                    // 生成测试数据并加载，查询键先在数值空间内生成再转换键类型
+                    const numericData = this._generateData(distribution, dataSize, 'number');
+                    const data = DataGenerator.withKeyType(numericData, this.keyType);
+                    const ds = new DataStructureClass();
+                    for (const item of data) {
+                        ds.insert(item.key, item.value);
                     }
 
-                    // 生成累积分布函数
-                    const cdf = [];
-                    let cumsum = 0;
+                    // 在数据键的取值范围内生成查询键
+                    let minKey = Infinity;
+                    let maxKey = -Infinity;
+                    for (const item of numericData) {
+                        minKey = Math.min(minKey, item.key);
+                        maxKey = Math.max(maxKey, item.key);
+                    }
 
-                    for (let i = 0; i < size; i++) {
-                        cumsum += zipf[i];
-                        cdf.push(cumsum);
+                    const queryKeys = [];
+                    for (let i = 0; i < queryCount; i++) {
+                        queryKeys.push(this._key(minKey + Math.floor(this.random.next() * (maxKey - minKey + 1))));
                     }
 
-                    // 生成数据
-                    for (let i = 0; i < size; i++) {
-                        const r = Math.random();
-                        let index = 0;
+                    const timings = {};
 
-                        while (index < size - 1 && r > cdf[index]) {
-                            index++;
+                    for (const operation of ['floor', 'ceiling', 'lower', 'higher']) {
+                        const start = performance.now();
+                        for (const key of queryKeys) {
+                            ds[operation](key);
                         }
+                        const end = performance.now();
+                        timings[operation] = (end - start) / queryCount;
+                    }
 
-                        data.push({key: index, value: `value-${index}`});
+                    for (const operation of ['min', 'max']) {
+                        const start = performance.now();
+                        for (let i = 0; i < queryCount; i++) {
+                            ds[operation]();
+                        }
+                        const end = performance.now();
+                        timings[operation] = (end - start) / queryCount;
                     }
 
-                    return data;
+                    results[name][distribution] = timings;
+                } catch (error) {
+                    console.error(`${name} 在 ${distribution} 分布下的最近键查找测试失败:`, error);
+                    results[name][distribution] = {error: error.message};
                 }
             }
         }
-    }
-}
 
-// ====================== 3. 性能测试工具 ======================
-class PerformanceTester {
-    constructor(dataStructures, testSizes, iterations = 5) {
-        this.dataStructures = dataStructures;
-        this.testSizes = testSizes;
-        this.iterations = iterations;
-        this.results = {};
+        this.results.nearestKey = results;
+        return results;
     }
 
-    // 3.1 基准测试：CRUD操作性能
-    async runCRUDTest(dataDistribution = 'uniform') {
-        console.log(`\n开始 CRUD 性能测试 (数据分布: ${dataDistribution})...`);
+    // 3.8 持久化红黑树版本测试：比较路径复制与原地修改的时间和内存开销
+    // 持久化树分别测试只保留最新版本和保留全部历史版本两种情况，内存为插入阶段结束后的堆增量
+    async runVersioningTest(dataSize = 50000) {
+        console.log(`\n开始持久化红黑树版本测试...`);
+
+        const variants = [
+            {name: 'RedBlackTree', create: () => new RedBlackTree()},
+            {name: 'PersistentRedBlackTree', create: () => new PersistentRedBlackTree({maxVersions: 1})},
+            {name: 'PersistentRedBlackTree (全部版本)', create: () => new PersistentRedBlackTree()}
+        ];
 
         const results = {};
+        const data = this._generateData('uniform', dataSize);
+        const searchKeys = data.map(item => item.key);
+        searchKeys.sort(() => this.random.next() - 0.5); // 打乱顺序
 
-        for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
-            results[name] = {
-                insert: [],
-                search: [],
-                delete: [],
-                range: []
+        for (const variant of variants) {
+            console.log(`测试 ${variant.name} 的版本化开销...`);
+
+            if (global.gc) {
+                global.gc(); // 强制垃圾回收
+            }
+
+            const memBefore = process.memoryUsage().heapUsed;
+            const ds = variant.create();
+
+            const insertStart = performance.now();
+            for (const item of data) {
+                ds.insert(item.key, item.value);
+            }
+            const insertEnd = performance.now();
+
+            if (global.gc) {
+                global.gc();
+            }
+
+            const memAfter = process.memoryUsage().heapUsed;
+            const retainedVersions = ds.versions ? ds.versions.size : 1;
+
+            const searchStart = performance.now();
+            for (const key of searchKeys) {
+                ds.search(key);
+            }
+            const searchEnd = performance.now();
+
+            const deleteStart = performance.now();
+            for (const key of searchKeys) {
+                ds.delete(key);
+            }
+            const deleteEnd = performance.now();
+
+            results[variant.name] = {
+                insert: insertEnd - insertStart,
+                search: searchEnd - searchStart,
+                delete: deleteEnd - deleteStart,
+                memory: memAfter - memBefore,
+                retainedVersions
             };
+        }
 
-            for (const size of this.testSizes) {
-                console.log(`测试 ${name} 在数据量 ${size} 下的性能...`);
+        this.results.versioning = results;
+        return results;
+    }
 
-                let insertTimes = [];
-                let searchTimes = [];
-                let deleteTimes = [];
-                // 继续性能测试工具的实现
-                let rangeTimes = [];
+    // 3.9 集合运算测试：基于 split/join 的 union/intersection/difference 与
+    // “inOrderTraversal 导出两个有序数组、线性归并、再用 fromSorted 重建结果树”的做法对比
+    // 集合运算会消耗输入树，因此每次运算前重新构建输入（不计入时间）
+    async runSetOperationTest(sizePairs = [[100000, 100000], [100000, 1000]], structureNames = ['RedBlackTree', 'AVLTree']) {
+        console.log(`\n开始集合运算测试...`);
 
-                for (let i = 0; i < this.iterations; i++) {
-                    let data;
+        const results = {};
 
-                    // 根据指定的分布生成测试数据
-                    switch (dataDistribution) {
-                        case 'uniform':
-                            data = DataGenerator.uniformDistribution(size);
-                            break;
-                        case 'normal':
-                            data = DataGenerator.normalDistribution(size);
-                            break;
-                        case 'skewed':
-                            data = DataGenerator.skewedDistribution(size);
-                            break;
-                        case 'nearSorted':
-                            data = DataGenerator.nearSortedDistribution(size);
-                            break;
-                        case 'sorted':
-                            data = DataGenerator.sortedDistribution(size);
-                            break;
-                        case 'reverseSorted':
-                            data = DataGenerator.reverseSortedDistribution(size);
-                            break;
-                        default:
-                            data = DataGenerator.uniformDistribution(size);
-                    }
+        for (const name of structureNames) {
+            const DataStructureClass = this.dataStructures[name];
 
-                    // 测试插入性能
-                    const ds = new DataStructureClass();
+            if (!DataStructureClass || typeof DataStructureClass.union !== 'function') {
+                continue;
+            }
 
-                    const insertStart = performance.now();
-                    for (const item of data) {
-                        ds.insert(item.key, item.value);
+            results[name] = {};
+
+            for (const [sizeA, sizeB] of sizePairs) {
+                console.log(`测试 ${name} 在 ${sizeA} × ${sizeB} 规模下的集合运算性能...`);
+
+                // 两组键取自同一键空间，保证存在一定比例的重叠
+                const keySpace = 4 * Math.max(sizeA, sizeB);
+                const entriesA = this._sortedUniqueEntries(DataGenerator.withKeyType(DataGenerator.uniformDistribution(sizeA, 0, keySpace), this.keyType));
+                const entriesB = this._sortedUniqueEntries(DataGenerator.withKeyType(DataGenerator.uniformDistribution(sizeB, 0, keySpace), this.keyType));
+                const record = {};
+
+                for (const operation of ['union', 'intersection', 'difference']) {
+                    const treeTimes = [];
+                    const mergeTimes = [];
+                    let consistent = true;
+
+                    for (let i = 0; i < this.iterations; i++) {
+                        // 基于 split/join 的集合运算
+                        let a = DataStructureClass.fromSorted(entriesA);
+                        let b = DataStructureClass.fromSorted(entriesB);
+
+                        const treeStart = performance.now();
+                        const treeResult = DataStructureClass[operation](a, b);
+                        const treeEnd = performance.now();
+                        treeTimes.push(treeEnd - treeStart);
+
+                        // 遍历导出并归并
+                        a = DataStructureClass.fromSorted(entriesA);
+                        b = DataStructureClass.fromSorted(entriesB);
+
+                        const mergeStart = performance.now();
+                        const listA = [];
+                        const listB = [];
+                        a.inOrderTraversal(node => listA.push({key: node.key, value: node.value}));
+                        b.inOrderTraversal(node => listB.push({key: node.key, value: node.value}));
+                        const mergeResult = DataStructureClass.fromSorted(this._mergeSorted(listA, listB, operation, a.compare));
+                        const mergeEnd = performance.now();
+                        mergeTimes.push(mergeEnd - mergeStart);
+
+                        if (treeResult.size !== mergeResult.size) {
+                            consistent = false;
+                        }
                     }
-                    const insertEnd = performance.now();
-                    insertTimes.push(insertEnd - insertStart);
 
-                    // 测试查找性能
-                    const searchKeys = data.map(item => item.key);
-                    searchKeys.sort(() => Math.random() - 0.5); // 打乱顺序
+                    record[operation] = {
+                        tree: treeTimes.reduce((x, y) => x + y, 0) / this.iterations,
+                        merge: mergeTimes.reduce((x, y) => x + y, 0) / this.iterations,
+                        consistent
+                    };
+                }
 
-                    const searchStart = performance.now();
-                    for (const key of searchKeys) {
-                        ds.search(key);
-                    }
-                    const searchEnd = performance.now();
-                    searchTimes.push(searchEnd - searchStart);
+                results[name][`${sizeA}x${sizeB}`] = record;
+            }
+        }
 
-                    // 测试范围查询性能
-                    const rangeSize = Math.floor(size * 0.1); // 查询10%的数据范围
-                    const minKey = Math.floor(Math.random() * (size - rangeSize));
-                    const maxKey = minKey + rangeSize;
+        this.results.setOperations = results;
+        return results;
+    }
 
-                    const rangeStart = performance.now();
-                    const rangeResult = ds.rangeSearch(minKey, maxKey);
-                    const rangeEnd = performance.now();
-                    rangeTimes.push(rangeEnd - rangeStart);
+    // 线性归并两个按键有序的条目数组，键重复时取 listA 中的值
+    _mergeSorted(listA, listB, operation, compare = defaultCompare) {
+        const merged = [];
+        let i = 0;
+        let j = 0;
 
-                    // 测试删除性能
-                    const deleteKeys = [...searchKeys]; // 复制一份查找键
+        while (i < listA.length && j < listB.length) {
+            const cmp = compare(listA[i].key, listB[j].key);
 
-                    const deleteStart = performance.now();
-                    for (const key of deleteKeys) {
-                        ds.delete(key);
-                    }
-                    const deleteEnd = performance.now();
-                    deleteTimes.push(deleteEnd - deleteStart);
+            if (cmp < 0) {
+                if (operation !== 'intersection') {
+                    merged.push(listA[i]);
                 }
+                i++;
+            } else if (cmp > 0) {
+                if (operation === 'union') {
+                    merged.push(listB[j]);
+                }
+                j++;
+            } else {
+                if (operation !== 'difference') {
+                    merged.push(listA[i]);
+                }
+                i++;
+                j++;
+            }
+        }
 
-                // 计算平均性能
-                results[name].insert.push({
-                    size,
-                    time: insertTimes.reduce((a, b) => a + b, 0) / this.iterations
-                });
-
-                results[name].search.push({
-                    size,
-                    time: searchTimes.reduce((a, b) => a + b, 0) / this.iterations
-                });
-
-                results[name].delete.push({
-                    size,
-                    time: deleteTimes.reduce((a, b) => a + b, 0) / this.iterations
-                });
+        if (operation !== 'intersection') {
+            while (i < listA.length) {
+                merged.push(listA[i++]);
+            }
+        }
 
-                results[name].range.push({
-                    size,
-                    time: rangeTimes.reduce((a, b) => a + b, 0) / this.iterations
-                });
+        if (operation === 'union') {
+            while (j < listB.length) {
+                merged.push(listB[j++]);
             }
         }
 
-        this.results.crud = results;
-        return results;
+        return merged;
     }
 
-    // 3.2 混合负载测试
-    async runMixedLoadTest(readRatio = 0.5, dataSize = 100000, operationCount = 1000000) {
-        console.log(`\n开始混合负载测试 (读写比: ${readRatio}:${1 - readRatio})...`);
+    // 3.10 区间查询测试：区间树的点查询（overlaps）与区间相交查询（overlapping）对比
+    // 以 [lo, hi] 元组为键的线性数组逐项扫描（按下界有序，下界超过查询上界即停止）
+    async runIntervalTest(intervalCount = 20000, queryCount = 2000, span = 1000000, maxLength = 1000) {
+        console.log(`\n开始区间查询测试...`);
 
-        const results = {};
+        const intervals = [];
+        for (let i = 0; i < intervalCount; i++) {
+            const lo = Math.floor(this.random.next() * span);
+            intervals.push({lo, hi: lo + Math.floor(this.random.next() * maxLength), value: i});
+        }
 
-        for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
-            console.log(`测试 ${name} 在混合负载下的性能...`);
+        const queries = [];
+        for (let i = 0; i < queryCount; i++) {
+            const lo = Math.floor(this.random.next() * span);
+            queries.push({point: lo, lo, hi: lo + Math.floor(this.random.next() * maxLength)});
+        }
 
-            results[name] = {
-                totalTime: 0,
-                readTime: 0,
-                writeTime: 0,
-                readOps: 0,
-                writeOps: 0
-            };
+        const deleteIntervals = intervals.slice(0, Math.floor(intervalCount / 2));
 
-            // 预先生成测试数据和操作序列
-            const preloadData = DataGenerator.uniformDistribution(dataSize);
+        const variants = [
+            {
+                name: 'IntervalTree',
+                create: () => new IntervalTree(),
+                insert: (ds, interval) => ds.insertInterval(interval.lo, interval.hi, interval.value),
+                remove: (ds, interval) => ds.deleteInterval(interval.lo, interval.hi),
+                query: (ds, lo, hi) => ds.overlapping(lo, hi)
+            },
+            {
+                name: 'LinearArray (线性扫描)',
+                create: () => new LinearArray(),
+                insert: (ds, interval) => ds.insert([interval.lo, interval.hi], interval.value),
+                remove: (ds, interval) => ds.delete([interval.lo, interval.hi]),
+                query: (ds, lo, hi) => {
+                    const result = [];
 
-            // 生成操作序列
-            const operations = [];
-            for (let i = 0; i < operationCount; i++) {
-                if (Math.random() < readRatio) {
-                    // 读操作
-                    operations.push({
-                        type: 'read',
-                        key: preloadData[Math.floor(Math.random() * dataSize)].key
-                    });
-                } else {
-                    // 写操作 (插入或删除)
-                    const isInsert = Math.random() < 0.5;
-                    const key = Math.floor(Math.random() * dataSize * 2); // 可能产生新键
+                    for (const [key, value] of ds) {
+                        if (key[0] > hi) {
+                            break;
+                        }
 
-                    operations.push({
-                        type: isInsert ? 'insert' : 'delete',
-                        key,
-                        value: isInsert ? `value-${key}` : null
-                    });
+                        if (key[1] >= lo) {
+                            result.push({key, value});
+                        }
+                    }
+
+                    return result;
                 }
             }
+        ];
 
-            // 运行测试
-            const ds = new DataStructureClass();
+        const results = {};
+        const resultCounts = {};
 
-            // 预加载数据
-            for (const item of preloadData) {
-                ds.insert(item.key, item.value);
+        for (const variant of variants) {
+            console.log(`测试 ${variant.name} 的区间查询性能...`);
+
+            const ds = variant.create();
+
+            const insertStart = performance.now();
+            for (const interval of intervals) {
+                variant.insert(ds, interval);
             }
+            const insertEnd = performance.now();
 
-            // 执行操作序列
-            const totalStart = performance.now();
-            let readTime = 0;
-            let writeTime = 0;
-            let readOps = 0;
-            let writeOps = 0;
+            let stabCount = 0;
+            const stabStart = performance.now();
+            for (const query of queries) {
+                stabCount += variant.query(ds, query.point, query.point).length;
+            }
+            const stabEnd = performance.now();
 
-            for (const op of operations) {
-                if (op.type === 'read') {
-                    const start = performance.now();
-                    ds.search(op.key);
-                    const end = performance.now();
-                    readTime += (end - start);
-                    readOps++;
-                } else if (op.type === 'insert') {
-                    const start = performance.now();
-                    ds.insert(op.key, op.value);
-                    const end = performance.now();
-                    writeTime += (end - start);
-                    writeOps++;
-                } else if (op.type === 'delete') {
-                    const start = performance.now();
-                    ds.delete(op.key);
-                    const end = performance.now();
-                    writeTime += (end - start);
-                    writeOps++;
-                }
+            let overlapCount = 0;
+            const overlapStart = performance.now();
+            for (const query of queries) {
+                overlapCount += variant.query(ds, query.lo, query.hi).length;
             }
+            const overlapEnd = performance.now();
 
-            const totalEnd = performance.now();
+            const deleteStart = performance.now();
+            for (const interval of deleteIntervals) {
+                variant.remove(ds, interval);
+            }
+            const deleteEnd = performance.now();
+
+            results[variant.name] = {
+                insert: insertEnd - insertStart,
+                stab: (stabEnd - stabStart) / queryCount,
+                overlap: (overlapEnd - overlapStart) / queryCount,
+                delete: deleteEnd - deleteStart,
+                averageResults: overlapCount / queryCount
+            };
+            resultCounts[variant.name] = [stabCount, overlapCount];
+        }
 
-            results[name].totalTime = totalEnd - totalStart;
-            results[name].readTime = readTime;
-            results[name].writeTime = writeTime;
-            results[name].readOps = readOps;
-            results[name].writeOps = writeOps;
-            results[name].readLatency = readTime / readOps;
-            results[name].writeLatency = writeTime / writeOps;
-            results[name].throughput = operationCount / ((totalEnd - totalStart) / 1000); // ops/sec
+        // 两种实现返回的结果数应一致
+        const counts = Object.values(resultCounts);
+        const consistent = counts.every(count => count[0] === counts[0][0] && count[1] === counts[0][1]);
+
+        for (const name of Object.keys(results)) {
+            results[name].consistent = consistent;
         }
 
-        this.results.mixedLoad = results;
+        this.results.interval = results;
         return results;
     }
 
-    // 3.3 范围查询测试
-    async runRangeQueryTest(dataSize = 1000000, rangeSizes = [0.001, 0.01, 0.1, 0.5]) {
-        console.log(`\n开始范围查询测试...`);
+    // 3.11 哈希表设计对比：拉链法与线性探测、Robin Hood、布谷鸟哈希在不同键集上的操作耗时和探测长度。
+    // 每组键先全部插入，再做命中查找、未命中查找、删除一半键、查找已删除的键；
+    // 探测长度统计分别在插入完成后和删除一半后采集，后者反映墓碑等删除策略的影响。
+    // Date 键集的每次操作都使用新建的 Date 实例，检验默认的相等判断与哈希按时间值而不是按对象身份处理；
+    // 最后检查 NaN 键（包括无效的 Date）被拒绝且不改变 size
+    async runHashTableTest(dataSize = 100000, structureNames = ['HashTable', 'LinearProbingHashTable', 'RobinHoodHashTable', 'CuckooHashTable']) {
+        console.log(`\n开始哈希表设计对比测试...`);
+
+        // Date 键取 2020 年起约 30 年内的毫秒时间，保证都是有效日期
+        const dateEpoch = Date.UTC(2020, 0, 1);
+        const dateSpan = 1e12;
+
+        // 每个键集给出已有的键和生成同分布未命中键的函数；负数与小数键用于检验数字哈希对非正整数的处理。
+        // toKey 把数字键转换为实际使用的键，键集内去重与判定未命中都按转换前的数字进行
+        const keySets = {
+            uniform: {
+                keys: DataGenerator.uniformDistribution(dataSize).map(item => item.key),
+                missKey: () => Math.floor(this.random.next() * Number.MAX_SAFE_INTEGER)
+            },
+            sequential: {
+                keys: DataGenerator.sortedDistribution(dataSize).map(item => item.key),
+                missKey: i => dataSize + i
+            },
+            float: {
+                keys: DataGenerator.uniformDistribution(dataSize, -dataSize * 10, dataSize * 10).map(item => item.key / 8),
+                missKey: () => (Math.floor(this.random.next() * dataSize * 20) - dataSize * 10) / 8 + 1 / 16
+            },
+            date: {
+                keys: DataGenerator.uniformDistribution(dataSize, 0, dateSpan).map(item => dateEpoch + item.key),
+                missKey: () => dateEpoch + Math.floor(this.random.next() * dateSpan),
+                toKey: time => new Date(time)
+            }
+        };
 
         const results = {};
 
-        for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
-            console.log(`测试 ${name} 在范围查询下的性能...`);
-
-            results[name] = {
-                ranges: []
-            };
+        for (const [keySet, {keys: rawKeys, missKey, toKey = key => key}] of Object.entries(keySets)) {
+            const numbers = [...new Set(rawKeys)];
+            const present = new Set(numbers);
+            const shuffled = [...numbers].sort(() => this.random.next() - 0.5); // 打乱顺序
+            const deleteNumbers = shuffled.slice(0, Math.floor(numbers.length / 2));
 
-            // 生成测试数据
-            const data = DataGenerator.uniformDistribution(dataSize);
+            const missNumbers = [];
+            for (let i = 0; missNumbers.length < numbers.length; i++) {
+                const key = missKey(i);
 
-            // 加载数据
-            const ds = new DataStructureClass();
-            for (const item of data) {
-                ds.insert(item.key, item.value);
+                if (!present.has(key)) {
+                    missNumbers.push(key);
+                }
             }
 
-            // 测试不同范围大小的查询性能
-            for (const rangeFraction of rangeSizes) {
-                const rangeSize = Math.floor(dataSize * rangeFraction);
-                const times = [];
+            // 计时之前转换好键；各阶段分别转换，对象键在每个阶段都是新的实例
+            const keys = numbers.map(toKey);
+            const searchKeys = shuffled.map(toKey);
+            const missKeys = missNumbers.map(toKey);
+            const deleteKeys = deleteNumbers.map(toKey);
+            const deletedKeys = deleteNumbers.map(toKey);
 
-                for (let i = 0; i < this.iterations; i++) {
-                    const minKey = Math.floor(Math.random() * (dataSize - rangeSize));
-                    const maxKey = minKey + rangeSize;
+            results[keySet] = {};
 
-                    const start = performance.now();
-                    const result = ds.rangeSearch(minKey, maxKey);
-                    const end = performance.now();
+            for (const name of structureNames) {
+                const DataStructureClass = this.dataStructures[name];
 
-                    times.push({
-                        time: end - start,
-                        resultSize: result.length
-                    });
+                if (!DataStructureClass) {
+                    continue;
                 }
 
-                // 计算平均性能
-                const avgTime = times.reduce((a, b) => a + b.time, 0) / this.iterations;
-                const avgResultSize = Math.floor(times.reduce((a, b) => a + b.resultSize, 0) / this.iterations);
-
-                results[name].ranges.push({
-                    rangeFraction,
-                    expectedSize: rangeSize,
-                    actualSize: avgResultSize,
-                    time: avgTime
-                });
-            }
-        }
+                console.log(`测试 ${name} 在 ${keySet} 键集上的性能...`);
 
-        this.results.rangeQuery = results;
-        return results;
-    }
+                const ds = new DataStructureClass();
 
-    // 3.4 顺序访问vs随机访问测试
-    async runAccessPatternTest(dataSize = 100000, operationCount = 1000000) {
-        console.log(`\n开始访问模式测试...`);
+                const insertStart = performance.now();
+                for (const key of keys) {
+                    ds.insert(key, key);
+                }
+                const insertEnd = performance.now();
 
-        const results = {};
+                let hits = 0;
+                const hitStart = performance.now();
+                for (const key of searchKeys) {
+                    if (ds.search(key) !== null) {
+                        hits++;
+                    }
+                }
+                const hitEnd = performance.now();
 
-        for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
-            console.log(`测试 ${name} 在不同访问模式下的性能...`);
+                let misses = 0;
+                const missStart = performance.now();
+                for (const key of missKeys) {
+                    if (ds.search(key) === null) {
+                        misses++;
+                    }
+                }
+                const missEnd = performance.now();
 
-            results[name] = {
-                sequential: 0,
-                random: 0,
-                zipf: 0
-            };
+                const probes = ds.probeStats();
 
-            // 生成测试数据
-            const data = DataGenerator.sortedDistribution(dataSize);
+                const deleteStart = performance.now();
+                for (const key of deleteKeys) {
+                    ds.delete(key);
+                }
+                const deleteEnd = performance.now();
 
-            // 加载数据
-            const ds = new DataStructureClass();
-            for (const item of data) {
-                ds.insert(item.key, item.value);
-            }
+                let deletedFound = 0;
+                const deletedStart = performance.now();
+                for (const key of deletedKeys) {
+                    if (ds.search(key) !== null) {
+                        deletedFound++;
+                    }
+                }
+                const deletedEnd = performance.now();
 
-            // 测试顺序访问
-            const sequentialStart = performance.now();
-            for (let i = 0; i < Math.min(operationCount, dataSize); i++) {
-                ds.search(i);
-            }
-            const sequentialEnd = performance.now();
-            results[name].sequential = sequentialEnd - sequentialStart;
+                const size = ds.size;
+                const rejectsNaN = [NaN, new Date(NaN)].every(key => {
+                    try {
+                        ds.insert(key, key);
+                        return false;
+                    } catch (error) {
+                        return ds.size === size;
+                    }
+                });
 
-            // 测试随机访问
-            const randomKeys = [];
-            for (let i = 0; i < operationCount; i++) {
-                randomKeys.push(Math.floor(Math.random() * dataSize));
+                const correct = hits === keys.length && misses === missKeys.length && deletedFound === 0 &&
+                    size === keys.length - deleteKeys.length && rejectsNaN;
+
+                results[keySet][name] = {
+                    insert: insertEnd - insertStart,
+                    searchHit: hitEnd - hitStart,
+                    searchMiss: missEnd - missStart,
+                    delete: deleteEnd - deleteStart,
+                    searchDeleted: deletedEnd - deletedStart,
+                    probes,
+                    probesAfterDelete: ds.probeStats(),
+                    correct,
+                    valid: ds.validate().valid
+                };
             }
+        }
 
-            const randomStart = performance.now();
-            for (const key of randomKeys) {
-                ds.search(key);
-            }
-            const randomEnd = performance.now();
-            results[name].random = randomEnd - randomStart;
+        this.results.hashing = results;
+        return results;
+    }
 
-            // 测试Zipf分布访问 (热点访问)
-            const zipfData = DataGenerator.zipfDistribution(operationCount, 1.5);
+    // 3.12 重复键（多重映射）测试：各结构以 allowDuplicates 模式构造，插入大量重复键的数据后依次做
+    // searchAll、范围查询、按值删除一半条目（deleteOne）和按键删除剩余条目（deleteAll），结果与按键分组的参照比对
+    async runDuplicateKeyTest(dataSize = 100000, distinctKeys = 1000, queryCount = 100) {
+        console.log(`\n开始重复键（多重映射）测试...`);
 
-            const zipfStart = performance.now();
-            for (const item of zipfData) {
-                ds.search(item.key % dataSize); // 确保键在有效范围内
+        const numericData = DataGenerator.duplicateHeavyDistribution(dataSize, distinctKeys);
+        const data = DataGenerator.withKeyType(numericData, this.keyType);
+
+        // 参照结果按数字键分组，值保持插入顺序；元组键每次转换都会生成新数组，不能直接作为 Map 的键
+        const expected = new Map();
+        for (const item of numericData) {
+            if (!expected.has(item.key)) {
+                expected.set(item.key, []);
             }
-            const zipfEnd = performance.now();
-            results[name].zipf = zipfEnd - zipfStart;
+
+            expected.get(item.key).push(item.value);
         }
 
-        this.results.accessPattern = results;
-        return results;
-    }
+        const rangeSpan = Math.max(1, Math.floor(distinctKeys * 0.1));
+        const queries = [];
+        for (let i = 0; i < queryCount; i++) {
+            const lo = Math.floor(this.random.next() * Math.max(1, distinctKeys - rangeSpan));
+            let count = 0;
 
-    // 3.5 内存使用测试 (近似值，JavaScript中无法准确测量)
-    estimateMemoryUsage(dataSize = 100000) {
-        console.log(`\n估计内存使用...`);
+            for (let key = lo; key <= lo + rangeSpan; key++) {
+                count += expected.has(key) ? expected.get(key).length : 0;
+            }
+
+            queries.push({minKey: this._key(lo), maxKey: this._key(lo + rangeSpan), count});
+        }
 
+        const shuffled = [...data].sort(() => this.random.next() - 0.5); // 打乱顺序
+        const deleteOneItems = shuffled.slice(0, Math.floor(dataSize / 2));
         const results = {};
 
         for (const [name, DataStructureClass] of Object.entries(this.dataStructures)) {
-            console.log(`估计 ${name} 的内存使用...`);
+            console.log(`测试 ${name} 在重复键下的性能...`);
 
-            // 生成测试数据
-            const data = DataGenerator.uniformDistribution(dataSize);
+            let ds;
 
-            // 在插入数据前获取内存基准
-            if (global.gc) {
-                global.gc(); // 强制垃圾回收
+            try {
+                ds = this._createStructure(DataStructureClass, {allowDuplicates: true});
+            } catch (error) {
+                console.log(`${name} 不支持多重映射模式，跳过: ${error.message}`);
+                continue;
             }
 
-            const memBefore = process.memoryUsage().heapUsed;
-
-            // 加载数据
-            const ds = new DataStructureClass();
+            const insertStart = performance.now();
             for (const item of data) {
                 ds.insert(item.key, item.value);
             }
+            const insertEnd = performance.now();
 
-            // 插入数据后获取内存使用
-            if (global.gc) {
-                global.gc(); // 强制垃圾回收
+            const distinctAfterInsert = ds.size;
+            const entriesAfterInsert = ds.entryCount;
+            const validAfterInsert = ds.validate().valid;
+
+            const found = [];
+            const searchStart = performance.now();
+            for (let key = 0; key < distinctKeys; key++) {
+                found.push(ds.searchAll(this._key(key)));
             }
+            const searchEnd = performance.now();
 
-            const memAfter = process.memoryUsage().heapUsed;
+            const rangeCounts = [];
+            const rangeStart = performance.now();
+            for (const query of queries) {
+                rangeCounts.push(ds.rangeSearch(query.minKey, query.maxKey).length);
+            }
+            const rangeEnd = performance.now();
+
+            let deletedOne = 0;
+            const deleteOneStart = performance.now();
+            for (const item of deleteOneItems) {
+                if (ds.deleteOne(item.key, item.value)) {
+                    deletedOne++;
+                }
+            }
+            const deleteOneEnd = performance.now();
+
+            const entriesAfterDeleteOne = ds.entryCount;
+
+            let deletedAll = 0;
+            const deleteAllStart = performance.now();
+            for (let key = 0; key < distinctKeys; key++) {
+                deletedAll += ds.deleteAll(this._key(key));
+            }
+            const deleteAllEnd = performance.now();
 
-            // 估计每个节点的内存使用
-            const totalMem = memAfter - memBefore;
-            const perNodeMem = totalMem / dataSize;
+            const searchCorrect = found.every((values, key) => {
+                const expectedValues = expected.get(key) || [];
+                return values.length === expectedValues.length && values.every((value, i) => value === expectedValues[i]);
+            });
+            const rangeCorrect = rangeCounts.every((count, i) => count === queries[i].count);
 
             results[name] = {
-                totalMemory: totalMem,
-                perNodeMemory: perNodeMem
+                insert: insertEnd - insertStart,
+                searchAll: searchEnd - searchStart,
+                range: rangeEnd - rangeStart,
+                deleteOne: deleteOneEnd - deleteOneStart,
+                deleteAll: deleteAllEnd - deleteAllStart,
+                distinctKeys: distinctAfterInsert,
+                entryCount: entriesAfterInsert,
+                correct: distinctAfterInsert === expected.size && entriesAfterInsert === dataSize && searchCorrect && rangeCorrect &&
+                    deletedOne === deleteOneItems.length && entriesAfterDeleteOne === dataSize - deletedOne &&
+                    deletedAll === entriesAfterDeleteOne && ds.size === 0,
+                valid: validAfterInsert && ds.validate().valid
             };
         }
 
-        this.results.memory = results;
+        this.results.duplicates = results;
         return results;
     }
 
+    // 以选项对象构造数据结构：所有结构都接受只有一个选项对象的构造调用
+    _createStructure(DataStructureClass, options) {
+        return new DataStructureClass(options);
+    }
+
+    // 根据分布名称生成测试数据，并转换为指定的键类型
+    _generateData(distribution, size, keyType = this.keyType) {
+        let data;
+
+        switch (distribution) {
+            case 'uniform':
+                data = DataGenerator.uniformDistribution(size);
+                break;
+            case 'normal':
+                data = DataGenerator.normalDistribution(size);
+                break;
+            case 'skewed':
+                data = DataGenerator.skewedDistribution(size);
+                break;
+            case 'nearSorted':
+                data = DataGenerator.nearSortedDistribution(size);
+                break;
+            case 'sorted':
+                data = DataGenerator.sortedDistribution(size);
+                break;
+            case 'reverseSorted':
+                data = DataGenerator.reverseSortedDistribution(size);
+                break;
+            case 'duplicateHeavy':
+                data = DataGenerator.duplicateHeavyDistribution(size);
+                break;
+            default:
+                data = DataGenerator.uniformDistribution(size);
+        }
+
+        return DataGenerator.withKeyType(data, keyType);
+    }
+
+    // 按键排序并去重（保留最后一次出现的值，与逐个插入的覆盖语义一致），用作 fromSorted 的输入
+    _sortedUniqueEntries(data, compare = defaultCompare) {
+        const sorted = [...data].sort((a, b) => compare(a.key, b.key));
+        const entries = [];
+
+        for (const item of sorted) {
+            if (entries.length > 0 && compare(entries[entries.length - 1].key, item.key) === 0) {
+                entries[entries.length - 1] = item;
+            } else {
+                entries.push(item);
+            }
+        }
+
+        return entries;
+    }
+
+    // 将数值键转换为当前测试的键类型
+    _key(key) {
+        return DataGenerator.convertKey(key, this.keyType);
+    }
+
+    // 调用 validate() 校验数据结构不变量，损坏的结构会被标记并排除在排名之外
+    // 校验在计时区间之外进行，不影响性能数据
+    _checkIntegrity(record, ds, context) {
+        if (typeof ds.validate !== 'function') {
+            return true;
+        }
+
+        const report = ds.validate();
+
+        if (!report.valid) {
+            record.corrupted = true;
+            record.violations.push({
+                ...context,
+                count: report.violations.length,
+                samples: report.violations.slice(0, 5)
+            });
+        }
+
+        return report.valid;
+    }
+
+    // 任一测试中未通过校验的数据结构都视为损坏
+    _isCorrupted(name) {
+        return ['crud', 'mixedLoad'].some(test => this.results[test] && this.results[test][name] && this.results[test][name].corrupted);
+    }
+
     // 生成性能报告
     generateReport() {
         if (!this.results.crud) {
@@ -3096,6 +11867,13 @@ class PerformanceTester {
         }
 
         let report = "# 数据结构性能对比报告\n\n";
+        report += `键类型: ${this.keyType}\n\n`;
+        report += `随机种子: ${this.seed}\n\n`;
+
+        if (this.results.conformance) {
+            const conformance = Object.values(this.results.conformance);
+            report += `一致性检查: ${conformance.length} 个数据结构全部通过 ${conformance[0] ? conformance[0].checks : 0} 项检查（insert/search/delete 返回值、size、范围查询与遍历顺序，以及与 Map 参照的随机对照）\n\n`;
+        }
 
         // CRUD性能报告
         report += "## CRUD操作性能\n\n";
@@ -3128,6 +11906,86 @@ class PerformanceTester {
                 report += "\n";
             }
 
+            report += "\n";
+            report += this._formatOperationCounts(operation);
+        }
+
+        // 批量加载与逐个插入对比
+        const bulkLoaders = Object.entries(this.results.crud).filter(([, results]) => results.bulkLoad && results.bulkLoad.length > 0);
+
+        if (bulkLoaders.length > 0) {
+            report += "### 批量加载 (fromSorted) 与逐个插入对比\n\n";
+            report += "| 数据结构 | ";
+            for (const size of this.testSizes) {
+                report += `${size}：批量加载 / 逐个插入 | `;
+            }
+            report += "\n";
+
+            report += "| --- | ";
+            for (let i = 0; i < this.testSizes.length; i++) {
+                report += "--- | ";
+            }
+            report += "\n";
+
+            for (const [name, results] of bulkLoaders) {
+                report += `| ${name} | `;
+
+                for (const result of results.bulkLoad) {
+                    const insert = results.insert.find(r => r.size === result.size);
+                    report += `${result.time.toFixed(2)}ms / ${insert.time.toFixed(2)}ms | `;
+                }
+
+                report += "\n";
+            }
+
+            report += "\n";
+        }
+
+        // B树、B+树大量删除后的树高与填充率
+        const fillReporters = Object.entries(this.results.crud).filter(([, results]) => results.fill && results.fill.length > 0);
+
+        if (fillReporters.length > 0) {
+            report += "### 大量删除后的树高与节点填充率\n\n";
+            report += "删除 90% 的键之后统计，填充率为节点键数与最大键数之比（最低填充率不计根节点）。\n\n";
+            report += "| 数据结构 | 数据量 | 插入后树高 | 插入后平均填充率 | 删除后树高 | 删除后平均填充率 | 删除后最低填充率 |\n";
+            report += "| --- | --- | --- | --- | --- | --- | --- |\n";
+
+            for (const [name, results] of fillReporters) {
+                for (const result of results.fill) {
+                    report += `| ${name} | ${result.size} | ${result.afterInsert.height.toFixed(1)} | ${(result.afterInsert.averageFill * 100).toFixed(1)}% | `;
+                    report += `${result.afterDelete.height.toFixed(1)} | ${(result.afterDelete.averageFill * 100).toFixed(1)}% | ${(result.afterDelete.minFill * 100).toFixed(1)}% |\n`;
+                }
+            }
+
+            report += "\n";
+        }
+
+        report += this._formatShapeReport();
+
+        // 数据结构完整性校验报告
+        const corrupted = [];
+
+        for (const [testName, testResults] of [['CRUD', this.results.crud], ['混合负载', this.results.mixedLoad]]) {
+            for (const [name, results] of Object.entries(testResults || {})) {
+                if (results.corrupted) {
+                    corrupted.push({testName, name, violations: results.violations});
+                }
+            }
+        }
+
+        if (corrupted.length > 0) {
+            report += "## 数据结构完整性校验\n\n";
+            report += "以下数据结构在测试过程中未通过 validate() 校验，其结果不参与排名和推荐：\n\n";
+            report += "| 测试 | 数据结构 | 阶段 | 数据量 | 违规数 | 示例 |\n";
+            report += "| --- | --- | --- | --- | --- | --- |\n";
+
+            for (const {testName, name, violations} of corrupted) {
+                for (const violation of violations) {
+                    const sample = violation.samples[0];
+                    report += `| ${testName} | ${name} | ${violation.phase} | ${violation.size !== undefined ? violation.size : '-'} | ${violation.count} | ${sample.rule}: ${sample.message} |\n`;
+                }
+            }
+
             report += "\n";
         }
 
@@ -3150,13 +12008,13 @@ class PerformanceTester {
 
             for (const rangeFraction of [0.001, 0.01, 0.1, 0.5]) {
                 report += `### 范围大小: ${rangeFraction * 100}%\n\n`;
-                report += "| 数据结构 | 查询时间 (ms) | 结果集大小 |\n";
-                report += "| --- | --- | --- |\n";
+                report += "| 数据结构 | 查询时间 (ms) | 结果集大小 | 前K条延迟 (ms) | 逆序前K条延迟 (ms) | 迭代扫描吞吐量 (条/秒) |\n";
+                report += "| --- | --- | --- | --- | --- | --- |\n";
 
                 for (const [name, results] of Object.entries(this.results.rangeQuery)) {
                     const result = results.ranges.find(r => r.rangeFraction === rangeFraction);
                     if (result) {
-                        report += `| ${name} | ${result.time.toFixed(2)} | ${result.actualSize} |\n`;
+                        report += `| ${name} | ${result.time.toFixed(2)} | ${result.actualSize} | ${result.firstKTime.toFixed(4)} | ${result.reverseFirstKTime.toFixed(4)} | ${Math.round(result.scanThroughput)} |\n`;
                     }
                 }
 
@@ -3177,19 +12035,148 @@ class PerformanceTester {
             report += "\n";
         }
 
-        // 内存使用报告
-        if (this.results.memory) {
-            report += "## 内存使用估计\n\n";
-            report += "| 数据结构 | 总内存 (bytes) | 每节点内存 (bytes) |\n";
-            report += "| --- | --- | --- |\n";
+        // 顺序统计测试报告
+        if (this.results.orderStatistic) {
+            report += "## 顺序统计测试\n\n";
+            report += "| 数据结构 | 实现方式 | select (ms/次) | rank (ms/次) | countRange (ms/次) |\n";
+            report += "| --- | --- | --- | --- | --- |\n";
+
+            for (const [name, results] of Object.entries(this.results.orderStatistic)) {
+                report += `| ${name} | ${results.native ? '原生 O(log n)' : '遍历回退 O(n)'} | ${results.select.toFixed(4)} | ${results.rank.toFixed(4)} | ${results.countRange.toFixed(4)} |\n`;
+            }
+
+            report += "\n";
+        }
+
+        // 最近键查找测试报告
+        if (this.results.nearestKey) {
+            report += "## 最近键查找测试\n\n";
+
+            const distributions = [...new Set(Object.values(this.results.nearestKey).flatMap(r => Object.keys(r)))];
+
+            for (const distribution of distributions) {
+                report += `### 数据分布: ${distribution}\n\n`;
+                report += "| 数据结构 | floor (ms/次) | ceiling (ms/次) | lower (ms/次) | higher (ms/次) | min (ms/次) | max (ms/次) |\n";
+                report += "| --- | --- | --- | --- | --- | --- | --- |\n";
+
+                for (const [name, results] of Object.entries(this.results.nearestKey)) {
+                    const result = results[distribution];
+
+                    if (!result) {
+                        continue;
+                    }
+
+                    if (result.error) {
+                        report += `| ${name} | 测试失败 | - | - | - | - | - |\n`;
+                    } else {
+                        report += `| ${name} | ${result.floor.toFixed(4)} | ${result.ceiling.toFixed(4)} | ${result.lower.toFixed(4)} | ${result.higher.toFixed(4)} | ${result.min.toFixed(4)} | ${result.max.toFixed(4)} |\n`;
+                    }
+                }
+
+                report += "\n";
+            }
+        }
+
+        // 持久化红黑树版本测试报告
+        if (this.results.versioning) {
+            report += "## 持久化红黑树版本测试\n\n";
+            report += "| 变体 | 插入 (ms) | 查找 (ms) | 删除 (ms) | 插入后内存增量 (MB) | 保留版本数 |\n";
+            report += "| --- | --- | --- | --- | --- | --- |\n";
+
+            for (const [name, result] of Object.entries(this.results.versioning)) {
+                report += `| ${name} | ${result.insert.toFixed(2)} | ${result.search.toFixed(2)} | ${result.delete.toFixed(2)} | ${(result.memory / 1024 / 1024).toFixed(2)} | ${result.retainedVersions} |\n`;
+            }
+
+            report += "\n";
+        }
+
+        // 集合运算测试报告
+        if (this.results.setOperations) {
+            report += "## 集合运算测试\n\n";
+            report += "基于 split/join 的集合运算与遍历导出后线性归并、再批量构建结果树的对比（单位 ms）。\n\n";
+            report += "| 数据结构 | 规模 | union (split/join / 归并) | intersection (split/join / 归并) | difference (split/join / 归并) |\n";
+            report += "| --- | --- | --- | --- | --- |\n";
+
+            for (const [name, bySize] of Object.entries(this.results.setOperations)) {
+                for (const [sizeLabel, record] of Object.entries(bySize)) {
+                    report += `| ${name} | ${sizeLabel} | `;
+
+                    for (const operation of ['union', 'intersection', 'difference']) {
+                        const result = record[operation];
+                        report += `${result.tree.toFixed(2)} / ${result.merge.toFixed(2)}${result.consistent ? '' : ' (结果不一致)'} | `;
+                    }
+
+                    report += "\n";
+                }
+            }
+
+            report += "\n";
+        }
+
+        // 区间查询测试报告
+        if (this.results.interval) {
+            report += "## 区间查询测试\n\n";
+            report += "| 实现 | 构建 (ms) | 点查询 (ms/次) | 区间相交查询 (ms/次) | 删除一半区间 (ms) | 平均结果数 |\n";
+            report += "| --- | --- | --- | --- | --- | --- |\n";
+
+            for (const [name, result] of Object.entries(this.results.interval)) {
+                report += `| ${name} | ${result.insert.toFixed(2)} | ${result.stab.toFixed(4)} | ${result.overlap.toFixed(4)} | ${result.delete.toFixed(2)} | ${result.averageResults.toFixed(1)}${result.consistent ? '' : ' (结果不一致)'} |\n`;
+            }
+
+            report += "\n";
+        }
+
+        // 哈希表设计对比报告
+        if (this.results.hashing) {
+            const keySetLabels = {uniform: '均匀随机整数', sequential: '连续整数', float: '负数与小数', date: 'Date 对象'};
+
+            report += "## 哈希表设计对比\n\n";
+            report += "每组键先全部插入，再依次进行命中查找、未命中查找、删除一半键和查找已删除的键。";
+            report += "探测长度为一次查找检查的槽数（拉链法为比较的链表条目数，布谷鸟哈希含溢出区）。\n\n";
+
+            for (const [keySet, structures] of Object.entries(this.results.hashing)) {
+                report += `### 键集：${keySetLabels[keySet] || keySet}\n\n`;
+                report += "| 数据结构 | 插入 (ms) | 命中查找 (ms) | 未命中查找 (ms) | 删除一半 (ms) | 查找已删除键 (ms) | 平均探测长度 (命中/未命中) | 最大探测长度 | 删除后平均探测长度 (命中/未命中) | 负载因子 | 墓碑 / 溢出区 | 校验 |\n";
+                report += "| --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- | --- |\n";
+
+                for (const [name, result] of Object.entries(structures)) {
+                    const probes = result.probes;
+                    const after = result.probesAfterDelete;
+                    const status = result.correct && result.valid ? '通过' : (result.valid ? '结果错误' : '结构损坏');
+
+                    report += `| ${name} | ${result.insert.toFixed(2)} | ${result.searchHit.toFixed(2)} | ${result.searchMiss.toFixed(2)} | ${result.delete.toFixed(2)} | ${result.searchDeleted.toFixed(2)} | ` +
+                        `${probes.averageSuccessful.toFixed(2)} / ${probes.averageUnsuccessful.toFixed(2)} | ${probes.maxSuccessful} | ` +
+                        `${after.averageSuccessful.toFixed(2)} / ${after.averageUnsuccessful.toFixed(2)} | ${probes.loadFactor.toFixed(2)} | ${after.tombstones} / ${after.stash} | ${status} |\n`;
+                }
+
+                report += "\n";
+            }
+        }
+
+        // 重复键（多重映射）测试报告
+        if (this.results.duplicates) {
+            report += "## 重复键（多重映射）测试\n\n";
+            report += "各结构以 `allowDuplicates` 模式构造，插入少数键大量重复的数据后依次进行 searchAll、范围查询、按值删除一半条目和按键删除剩余条目。";
+            report += "每个不同的键占用一个节点，同一键的值按插入顺序保存在值桶中。\n\n";
+            report += "| 数据结构 | 插入 (ms) | searchAll (ms) | 范围查询 (ms) | deleteOne 一半 (ms) | deleteAll (ms) | 不同键数 | 条目数 | 校验 |\n";
+            report += "| --- | --- | --- | --- | --- | --- | --- | --- | --- |\n";
 
-            for (const [name, results] of Object.entries(this.results.memory)) {
-                report += `| ${name} | ${results.totalMemory} | ${results.perNodeMemory.toFixed(2)} |\n`;
+            for (const [name, result] of Object.entries(this.results.duplicates)) {
+                const status = result.correct && result.valid ? '通过' : (result.valid ? '结果错误' : '结构损坏');
+
+                report += `| ${name} | ${result.insert.toFixed(2)} | ${result.searchAll.toFixed(2)} | ${result.range.toFixed(2)} | ${result.deleteOne.toFixed(2)} | ${result.deleteAll.toFixed(2)} | ${result.distinctKeys} | ${result.entryCount} | ${status} |\n`;
             }
 
             report += "\n";
         }
 
+        // 内存使用报告
+        if (this.results.memory) {
+            report += "## 内存使用估计\n\n";
+            report += this._formatMemoryModelReport();
+            report += this._formatHeapDeltaReport();
+        }
+
         // 总结与建议
         report += "## 性能总结与应用场景建议\n\n";
 
@@ -3207,6 +12194,10 @@ class PerformanceTester {
                 let bestName = '';
 
                 for (const [name, results] of Object.entries(crudResults)) {
+                    if (this._isCorrupted(name)) {
+                        continue;
+                    }
+
                     const result = results[operation].find(r => r.size === size);
                     if (result && result.time < bestTime) {
                         bestTime = result.time;
@@ -3268,6 +12259,165 @@ class PerformanceTester {
     }
 
     // 辅助方法：根据特定操作获取推荐
+    // CRUD 报告中紧跟计时表的计数表：最大数据量下平均每次操作的计数，结构不统计的计数项显示为 -
+    _formatOperationCounts(operation) {
+        const counted = Object.entries(this.results.crud)
+            .map(([name, results]) => [name, results[operation][results[operation].length - 1]])
+            .filter(([, result]) => result && result.counters);
+
+        if (counted.length === 0) {
+            return "";
+        }
+
+        let report = `平均每次操作的计数（数据量 ${counted[0][1].size}，与机器无关）：\n\n`;
+        report += `| 数据结构 | ${COUNTER_NAMES.map(counter => COUNTER_LABELS[counter]).join(' | ')} |\n`;
+        report += `| --- | ${COUNTER_NAMES.map(() => '---').join(' | ')} |\n`;
+
+        for (const [name, result] of counted) {
+            const cells = COUNTER_NAMES.map(counter => result.counters[counter] === null ? '-' : result.counters[counter].toFixed(2));
+            report += `| ${name} | ${cells.join(' | ')} |\n`;
+        }
+
+        return report + "\n";
+    }
+
+    // 内存模型与堆快照实测的对照：总量、每键开销与实测/模型之比，以及按构造函数名的构成
+    _formatMemoryModelReport() {
+        const entries = Object.entries(this.results.memory).filter(([, results]) => results.model || results.retained);
+
+        if (entries.length === 0) {
+            return "";
+        }
+
+        const bytes = part => part ? `${part.bytes}` : '-';
+        const perKey = part => part ? part.perKey.toFixed(2) : '-';
+
+        let report = "### 理论模型与堆快照实测\n\n";
+        report += "模型按节点数与字段布局计算；实测为堆快照中结构独占对象的大小之和（不含输入数据中的键和值）。\n\n";
+        report += "| 数据结构 | 模型 (bytes) | 实测 (bytes) | 模型每键 (bytes) | 实测每键 (bytes) | 实测/模型 |\n";
+        report += "| --- | --- | --- | --- | --- | --- |\n";
+
+        for (const [name, results] of entries) {
+            const ratio = results.overheadRatio !== undefined ? results.overheadRatio.toFixed(2) : '-';
+            report += `| ${name} | ${bytes(results.model)} | ${bytes(results.retained)} | ${perKey(results.model)} | ${perKey(results.retained)} | ${ratio} |\n`;
+        }
+
+        report += "\n#### 按构造函数名的构成\n\n";
+        report += "| 数据结构 | 构造函数名 | 模型 (bytes) | 实测 (bytes) |\n";
+        report += "| --- | --- | --- | --- |\n";
+
+        for (const [name, results] of entries) {
+            const modelBreakdown = results.model ? results.model.breakdown : {};
+            const retainedBreakdown = results.retained ? results.retained.breakdown : {};
+            const constructors = [...new Set([...Object.keys(modelBreakdown), ...Object.keys(retainedBreakdown)])]
+                .sort((a, b) => (retainedBreakdown[b] || modelBreakdown[b] || 0) - (retainedBreakdown[a] || modelBreakdown[a] || 0));
+
+            for (const constructor of constructors) {
+                const cell = breakdown => breakdown[constructor] !== undefined ? breakdown[constructor] : '-';
+                report += `| ${name} | ${constructor} | ${cell(modelBreakdown)} | ${cell(retainedBreakdown)} |\n`;
+            }
+        }
+
+        return report + "\n";
+    }
+
+    // heapUsed 差值：只有使用 --expose-gc 运行时才有测量结果，作为模型与实测之外的参考
+    _formatHeapDeltaReport() {
+        const entries = Object.entries(this.results.memory).filter(([, results]) => results.heapDelta);
+
+        let report = "### heapUsed 差值（参考）\n\n";
+
+        if (entries.length === 0) {
+            return report + "未使用 --expose-gc 运行，无法在测量前后强制垃圾回收，heapUsed 差值不可靠，已省略；请以理论模型与堆快照实测为准。\n\n";
+        }
+
+        report += "| 数据结构 | 总内存 (bytes) | 堆内 (bytes) | 堆外 ArrayBuffer (bytes) | 每节点内存 (bytes) |\n";
+        report += "| --- | --- | --- | --- | --- |\n";
+
+        for (const [name, {heapDelta}] of entries) {
+            report += `| ${name} | ${heapDelta.totalMemory} | ${heapDelta.heapMemory} | ${heapDelta.offHeapMemory} | ${heapDelta.perNodeMemory.toFixed(2)} |\n`;
+        }
+
+        return report + "\n";
+    }
+
+    // 树形统计报告：每种数据分布下最大数据量时逐个插入与批量加载后的形状，用于解释计时差异（如有序插入使二叉搜索树退化）
+    _formatShapeReport() {
+        if (!this.results.shape) {
+            return "";
+        }
+
+        let report = "## 树形统计\n\n";
+        report += "树高为层数，深度从根（深度 0）算起；哈希表没有树高，只列出桶（簇）的分布。\n\n";
+
+        for (const [distribution, shapes] of Object.entries(this.results.shape)) {
+            report += `### 数据分布: ${distribution}\n\n`;
+            report += "| 数据结构 | 数据量 | 加载方式 | 节点数 | 树高 | 平均深度 | 最大深度 | 其他 |\n";
+            report += "| --- | --- | --- | --- | --- | --- | --- | --- |\n";
+
+            for (const [name, samples] of Object.entries(shapes)) {
+                const sample = samples[samples.length - 1];
+
+                for (const [phase, shape] of [['逐个插入', sample.afterInsert], ['批量加载', sample.afterBulkLoad]]) {
+                    if (shape === null) {
+                        continue;
+                    }
+
+                    const cell = value => value === undefined ? '-' : (Number.isInteger(value) ? value : value.toFixed(2));
+                    report += `| ${name} | ${sample.size} | ${phase} | ${cell(shape.nodeCount)} | ${cell(shape.height)} | `;
+                    report += `${cell(shape.averageDepth)} | ${cell(shape.maxDepth)} | ${this._formatShapeDetails(shape)} |\n`;
+                }
+            }
+
+            report += "\n";
+        }
+
+        return report;
+    }
+
+    // 各结构特有的树形指标：黑高、平衡因子分布、节点填充率、跳表层高分布、哈希表桶长（簇长）分布
+    _formatShapeDetails(shape) {
+        const formatHistogram = histogram => Object.keys(histogram)
+            .sort((a, b) => Number(a) - Number(b))
+            .map(value => `${value}:${histogram[value]}`)
+            .join(' ');
+        const details = [];
+
+        if (shape.blackHeight !== undefined) {
+            details.push(`黑高 ${shape.blackHeight}`);
+        }
+
+        if (shape.balanceFactors) {
+            details.push(`平衡因子 ${formatHistogram(shape.balanceFactors)}`);
+        }
+
+        if (shape.averageFill !== undefined) {
+            details.push(`平均填充率 ${(shape.averageFill * 100).toFixed(1)}%，最低填充率 ${(shape.minFill * 100).toFixed(1)}%`);
+        }
+
+        if (shape.levelHistogram) {
+            details.push(`层高分布 ${formatHistogram(shape.levelHistogram)}`);
+        }
+
+        if (shape.loadFactor !== undefined) {
+            details.push(`负载因子 ${shape.loadFactor.toFixed(2)}`);
+        }
+
+        if (shape.bucketLengths) {
+            details.push(`桶长分布 ${formatHistogram(shape.bucketLengths)}`);
+        }
+
+        if (shape.clusterLengths) {
+            details.push(`簇长分布 ${formatHistogram(shape.clusterLengths)}`);
+        }
+
+        if (shape.tableFill) {
+            details.push(`两表占用率 ${shape.tableFill.map(fill => `${(fill * 100).toFixed(1)}%`).join(' / ')}，溢出区 ${shape.stash}`);
+        }
+
+        return details.length > 0 ? details.join('；') : '-';
+    }
+
     _getRecommendationForScenario(operation) {
         const scoreMap = {};
 
@@ -3279,6 +12429,10 @@ class PerformanceTester {
         const maxSize = Math.max(...this.testSizes);
 
         for (const [name, results] of Object.entries(this.results.crud)) {
+            if (this._isCorrupted(name)) {
+                continue;
+            }
+
             for (const result of results[operation]) {
                 // 计算性能得分，时间越短越好
                 const score = 1 / result.time;
@@ -3334,6 +12488,10 @@ class PerformanceTester {
             }
 
             for (const [name, results] of Object.entries(this.results.crud)) {
+                if (this._isCorrupted(name)) {
+                    continue;
+                }
+
                 for (const result of results[operation]) {
                     // 计算性能得分，时间越短越好
                     const score = 1 / result.time;
@@ -3348,6 +12506,10 @@ class PerformanceTester {
         // 如果有混合负载测试结果，也考虑进来
         if (this.results.mixedLoad) {
             for (const [name, results] of Object.entries(this.results.mixedLoad)) {
+                if (this._isCorrupted(name)) {
+                    continue;
+                }
+
                 // 考虑吞吐量
                 const throughputScore = results.throughput / 10000; // 标准化
                 scoreMap[name] += throughputScore;
@@ -3371,27 +12533,19 @@ class PerformanceTester {
 
 // ====================== 4. 主测试程序 ======================
 
-// 定义要测试的数据结构
-const dataStructures = {
-    'RedBlackTree': RedBlackTree,
-    'AVLTree': AVLTree,
-    'BTree': BTree,
-    'BPlusTree': BPlusTree,
-    'SkipList': SkipList,
-    'HashTable': HashTable,
-    'BinarySearchTree': BinarySearchTree,
-    'LinearArray': LinearArray
-};
-
 // 定义测试数据大小
 const testSizes = [100, 1000, 10000, 100000];
 
-// 创建性能测试器
-const tester = new PerformanceTester(dataStructures, testSizes, 3);
+// 运行测试并生成报告的主函数；seed 为随机种子，传入上次运行报告中记录的种子即可复现；
+// plugins 为插件模块路径，其中登记的结构与内置结构一起参与测试
+async function runTests({seed = null, plugins = []} = {}) {
+    structureRegistry.loadModules(plugins);
+
+    // 创建性能测试器（构造时执行一致性检查并重置随机数流，因此不在模块加载时创建）
+    const tester = new PerformanceTester(structureRegistry.structures({keyType: 'number'}), testSizes, 3, {seed});
 
-// 运行测试并生成报告的主函数
-async function runTests() {
     console.log("开始数据结构性能对比测试...");
+    console.log(`随机种子: ${tester.seed}`);
 
     // 运行CRUD测试 (多种数据分布)
     await tester.runCRUDTest('uniform');
@@ -3409,9 +12563,29 @@ async function runTests() {
     // 运行访问模式测试
     await tester.runAccessPatternTest();
 
-    // 估计内存使用
-    // 注意: 在浏览器环境中可能无法准确测量
-    // tester.estimateMemoryUsage();
+    // 运行顺序统计测试
+    await tester.runOrderStatisticTest();
+
+    // 运行最近键查找测试
+    await tester.runNearestKeyTest();
+
+    // 运行持久化红黑树版本测试
+    await tester.runVersioningTest();
+
+    // 运行集合运算测试
+    await tester.runSetOperationTest();
+
+    // 运行区间查询测试
+    await tester.runIntervalTest();
+
+    // 运行哈希表设计对比测试
+    await tester.runHashTableTest();
+
+    // 运行重复键（多重映射）测试
+    await tester.runDuplicateKeyTest();
+
+    // 估计内存使用：理论模型与堆快照实测（使用 --expose-gc 运行时另外记录 heapUsed 差值作为参考）
+    await tester.estimateMemoryUsage();
 
     // 生成性能报告
     const report = tester.generateReport();
@@ -3474,25 +12648,68 @@ function generateASCIIChart(title, data, maxWidth = 50) {
 module.exports = {
     // 数据结构实现
     RedBlackTree,
+    PersistentRedBlackTree,
+    IntervalTree,
+    TypedRedBlackTree,
     AVLTree,
     SkipList,
+    SharedSkipList,
     HashTable,
+    LinearProbingHashTable,
+    RobinHoodHashTable,
+    CuckooHashTable,
     BinarySearchTree,
+    Treap,
+    SplayTree,
+    ScapegoatTree,
+    WAVLTree,
+    LeftLeaningRedBlackTree,
     BTree,
     BPlusTree,
     LinearArray,
+    PackedMemoryArray,
+
+    // 操作计数
+    OperationCounters,
+    instrument,
+
+    // 内存核算
+    measureRetainedMemory,
+
+    // 一致性检查
+    checkConformance,
+    assertConformance,
+
+    // 键比较与哈希
+    defaultCompare,
+    defaultEquals,
+    defaultHash,
+
+    // 可复现的随机数
+    SeededRandom,
+    sharedRandom,
+    setRandomSeed,
+    randomSeed,
 
     // 测试工具
     DataGenerator,
     PerformanceTester,
 
+    // 数据结构注册表
+    StructureRegistry,
+    structureRegistry,
+
     // 主测试函数
     runTests
 };
 
 // 如果直接运行此文件，执行测试
 if (require.main === module) {
-    runTests().catch(console.error);
+    // 支持 --seed=<整数> 复现之前的运行，--plugin=<路径> 加载插件模块（可重复）
+    const argv = process.argv.slice(2);
+    const seedArg = argv.find(arg => arg.startsWith('--seed='));
+    const plugins = argv.filter(arg => arg.startsWith('--plugin=')).map(arg => arg.slice('--plugin='.length));
+    runTests({seed: seedArg ? Number(seedArg.slice('--seed='.length)) : null, plugins}).catch(console.error);
 }
 
 
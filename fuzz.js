@@ -0,0 +1,413 @@
+// fuzz.js - 差分模糊测试：按种子生成随机操作序列，同时在各数据结构与有序 Map 参照模型上执行并对照结果
+
+const fs = require('fs');
+const path = require('path');
+
+const {structureRegistry, SeededRandom, setRandomSeed} = require('./data_structure_comparison');
+
+// 回放文件格式版本，格式变化时递增
+const REPLAY_FORMAT_VERSION = 1;
+
+// 默认参数：键空间较小，使插入、删除经常命中已有键，B树等结构的合并与借键路径也更容易被触发
+const DEFAULT_OPTIONS = {
+    seed: 1,
+    runs: 100,
+    length: 200,
+    keySpace: 64,
+    structures: null,
+    plugins: [],
+    outputDir: './results/fuzz'
+};
+
+// 各类操作的生成权重
+const OPERATION_WEIGHTS = [
+    ['insert', 0.4],
+    ['delete', 0.3],
+    ['search', 0.15],
+    ['rangeSearch', 0.1],
+    ['traverse', 0.05]
+];
+
+/**
+ * 按种子生成操作序列，操作为可直接写入回放文件的普通对象
+ * @param {number} seed - 随机种子
+ * @param {Object} options - length 为操作个数，keySpace 为键的取值范围 [0, keySpace)
+ */
+function generateOperations(seed, {length = DEFAULT_OPTIONS.length, keySpace = DEFAULT_OPTIONS.keySpace} = {}) {
+    const random = new SeededRandom(seed);
+    const randomKey = () => Math.floor(random.next() * keySpace);
+    const operations = [];
+
+    for (let i = 0; i < length; i++) {
+        let roll = random.next();
+        let op = OPERATION_WEIGHTS[OPERATION_WEIGHTS.length - 1][0];
+
+        for (const [name, weight] of OPERATION_WEIGHTS) {
+            if (roll < weight) {
+                op = name;
+                break;
+            }
+            roll -= weight;
+        }
+
+        if (op === 'insert') {
+            operations.push({op, key: randomKey(), value: i});
+        } else if (op === 'rangeSearch') {
+            const a = randomKey();
+            const b = randomKey();
+            operations.push({op, minKey: Math.min(a, b), maxKey: Math.max(a, b)});
+        } else if (op === 'traverse') {
+            operations.push({op});
+        } else {
+            operations.push({op, key: randomKey()});
+        }
+    }
+
+    return operations;
+}
+
+/**
+ * 参照模型：用 Map 保存键值，需要有序结果时排序，返回值遵守一致性检查中的接口约定
+ */
+class SortedMapModel {
+    constructor() {
+        this.map = new Map();
+    }
+
+    get size() {
+        return this.map.size;
+    }
+
+    insert(key, value = null) {
+        const added = !this.map.has(key);
+        this.map.set(key, value);
+        return added;
+    }
+
+    search(key) {
+        return this.map.has(key) ? this.map.get(key) : null;
+    }
+
+    delete(key) {
+        return this.map.delete(key);
+    }
+
+    rangeSearch(minKey, maxKey) {
+        return this._sortedEntries()
+            .filter(([key]) => key >= minKey && key <= maxKey)
+            .map(([key, value]) => ({key, value}));
+    }
+
+    traverse() {
+        return this._sortedEntries();
+    }
+
+    _sortedEntries() {
+        return [...this.map].sort((a, b) => a[0] - b[0]);
+    }
+}
+
+/**
+ * 在结构上执行一个操作，返回可与参照模型比较的结果
+ */
+function applyOperation(structure, operation) {
+    switch (operation.op) {
+        case 'insert':
+            return structure.insert(operation.key, operation.value);
+        case 'search':
+            return structure.search(operation.key);
+        case 'delete':
+            return structure.delete(operation.key);
+        case 'rangeSearch':
+            return structure.rangeSearch(operation.minKey, operation.maxKey).map(({key, value}) => ({key, value}));
+        case 'traverse':
+            return structure instanceof SortedMapModel ? structure.traverse() : [...structure];
+        default:
+            throw new Error(`未知的操作类型: ${operation.op}`);
+    }
+}
+
+function sameResult(actual, expected) {
+    return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+/**
+ * 在 StructureClass 的新实例与参照模型上依次执行操作序列
+ * 每步比较返回值与 size，插入和删除之后还检查 validate() 报告的不变量
+ * 执行前用 seed 重置共享随机数流，使跳表层级、Treap 优先级等随机决策在缩减和回放时保持不变
+ * @returns {Object|null} 第一处分歧 {index, operation, expected, actual}，全部一致时返回 null
+ */
+function runSequence(StructureClass, operations, seed = 0) {
+    setRandomSeed(seed);
+    const structure = new StructureClass();
+    const model = new SortedMapModel();
+
+    for (let index = 0; index < operations.length; index++) {
+        const operation = operations[index];
+        const expected = applyOperation(model, operation);
+        let actual;
+
+        try {
+            actual = applyOperation(structure, operation);
+        } catch (error) {
+            return {index, operation, expected, actual: `抛出异常: ${error.message}`};
+        }
+
+        if (!sameResult(actual, expected)) {
+            return {index, operation, expected, actual};
+        }
+
+        if (structure.size !== model.size) {
+            return {index, operation, expected: {size: model.size}, actual: {size: structure.size}};
+        }
+
+        if ((operation.op === 'insert' || operation.op === 'delete') && typeof structure.validate === 'function') {
+            const {violations} = structure.validate();
+
+            if (violations.length > 0) {
+                return {index, operation, expected: {violations: []}, actual: {violations}};
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * 把出现分歧的操作序列缩减为仍然出现分歧的最小序列
+ * 先截掉分歧之后的操作，再按块删除（块长从一半逐次减半到 1），直到删除任何一个操作都不再出现分歧
+ */
+function shrinkSequence(StructureClass, operations, seed = 0) {
+    let current = operations;
+    let divergence = runSequence(StructureClass, current, seed);
+
+    if (divergence === null) {
+        return null;
+    }
+
+    current = current.slice(0, divergence.index + 1);
+
+    for (let chunk = Math.max(1, Math.floor(current.length / 2)); chunk >= 1; chunk = Math.floor(chunk / 2)) {
+        let removed = true;
+
+        // 某个块删除成功后从头再试同样的块长，直到这一轮没有可删除的块
+        while (removed) {
+            removed = false;
+
+            for (let start = 0; start < current.length; start += chunk) {
+                const candidate = current.slice(0, start).concat(current.slice(start + chunk));
+                const candidateDivergence = candidate.length > 0 ? runSequence(StructureClass, candidate, seed) : null;
+
+                if (candidateDivergence !== null) {
+                    current = candidate.slice(0, candidateDivergence.index + 1);
+                    divergence = candidateDivergence;
+                    removed = true;
+                    break;
+                }
+            }
+        }
+    }
+
+    return {operations: current, divergence};
+}
+
+/**
+ * 写出回放文件：{version, structure, seed, options, operations, divergence}
+ */
+function writeReplay(filePath, record) {
+    fs.mkdirSync(path.dirname(filePath), {recursive: true});
+    fs.writeFileSync(filePath, JSON.stringify({version: REPLAY_FORMAT_VERSION, ...record}, null, 2));
+}
+
+/**
+ * 读取回放文件，重新执行其中的操作序列；registry 默认取自数据结构注册表（插件结构需先加载插件模块）
+ * @returns {Object} {structure, operations, divergence}，divergence 为 null 表示问题已不再复现
+ */
+function replay(filePath, registry = structureRegistry.structures()) {
+    const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+    if (record.version !== REPLAY_FORMAT_VERSION) {
+        throw new Error(`不支持的回放文件版本: ${record.version}`);
+    }
+
+    const StructureClass = registry[record.structure];
+
+    if (!StructureClass) {
+        throw new Error(`回放文件中的数据结构不存在: ${record.structure}`);
+    }
+
+    return {structure: record.structure, operations: record.operations, divergence: runSequence(StructureClass, record.operations, record.seed)};
+}
+
+/**
+ * 对注册表中的结构执行多轮模糊测试，第 r 轮使用种子 seed + r
+ * 每个结构的分歧都会被缩减并写成回放文件，同一结构只记录第一处分歧
+ * 未传入 registry 时先加载 options.plugins 中的插件模块，再取数据结构注册表中的全部结构
+ * @returns {Object} {结构名: {runs, operations, failure}}，failure 为 {seed, file, operations, divergence} 或 null
+ */
+function fuzz(options = {}, registry = null) {
+    const {seed, runs, length, keySpace, structures, plugins, outputDir} = {...DEFAULT_OPTIONS, ...options};
+
+    if (registry === null) {
+        structureRegistry.loadModules(plugins);
+        registry = structureRegistry.structures();
+    }
+
+    const names = structures || Object.keys(registry);
+    const summary = {};
+
+    for (const name of names) {
+        if (!registry[name]) {
+            throw new Error(`未知的数据结构: ${name}`);
+        }
+
+        summary[name] = {runs: 0, operations: 0, failure: null};
+    }
+
+    for (let run = 0; run < runs; run++) {
+        const runSeed = seed + run;
+        const operations = generateOperations(runSeed, {length, keySpace});
+
+        for (const name of names) {
+            const result = summary[name];
+
+            if (result.failure !== null) {
+                continue;
+            }
+
+            result.runs++;
+            result.operations += operations.length;
+
+            if (runSequence(registry[name], operations, runSeed) === null) {
+                continue;
+            }
+
+            const shrunk = shrinkSequence(registry[name], operations, runSeed);
+            const file = path.join(outputDir, `${name}-seed-${runSeed}.json`);
+
+            writeReplay(file, {
+                structure: name,
+                seed: runSeed,
+                options: {length, keySpace},
+                operations: shrunk.operations,
+                divergence: shrunk.divergence
+            });
+
+            result.failure = {seed: runSeed, file, ...shrunk};
+        }
+    }
+
+    return summary;
+}
+
+/**
+ * 输出一处分歧：最小操作序列及出现分歧的那一步
+ */
+function printDivergence(operations, divergence) {
+    console.log(`  最小失败序列（${operations.length} 个操作）:`);
+
+    operations.forEach((operation, index) => {
+        const marker = index === divergence.index ? '=>' : '  ';
+        console.log(`  ${marker} ${index}: ${JSON.stringify(operation)}`);
+    });
+
+    console.log(`  期望: ${JSON.stringify(divergence.expected)}`);
+    console.log(`  实际: ${JSON.stringify(divergence.actual)}`);
+}
+
+/**
+ * 解析命令行参数
+ * 支持 --seed=<n> --runs=<n> --length=<n> --key-space=<n> --structures=<A,B> --plugin=<路径>（可重复） --out=<目录> --replay=<回放文件>
+ */
+function parseArgs(argv) {
+    const options = {};
+    const integerOptions = {'seed': 'seed', 'runs': 'runs', 'length': 'length', 'key-space': 'keySpace'};
+
+    for (const arg of argv) {
+        const match = arg.match(/^--([a-z-]+)=(.*)$/);
+
+        if (!match) {
+            throw new Error(`无法识别的参数: ${arg}`);
+        }
+
+        const [, name, value] = match;
+
+        if (integerOptions[name]) {
+            if (!/^-?\d+$/.test(value)) {
+                throw new Error(`--${name} 需要整数: ${value}`);
+            }
+            options[integerOptions[name]] = Number(value);
+        } else if (name === 'structures') {
+            options.structures = value.split(',').filter(Boolean);
+        } else if (name === 'plugin') {
+            options.plugins = [...(options.plugins || []), value];
+        } else if (name === 'out') {
+            options.outputDir = value;
+        } else if (name === 'replay') {
+            options.replay = value;
+        } else {
+            throw new Error(`无法识别的参数: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * 命令行入口：回放指定文件，或执行模糊测试并汇总结果；出现分歧时以退出码 1 结束
+ */
+function main(argv) {
+    const options = parseArgs(argv);
+
+    if (options.replay) {
+        structureRegistry.loadModules(options.plugins || []);
+        const {structure, operations, divergence} = replay(options.replay);
+
+        if (divergence === null) {
+            console.log(`${structure}: ${operations.length} 个操作全部与参照模型一致，问题已不再复现`);
+            return 0;
+        }
+
+        console.log(`${structure}: 回放仍出现分歧`);
+        printDivergence(operations, divergence);
+        return 1;
+    }
+
+    const settings = {...DEFAULT_OPTIONS, ...options};
+    console.log(`差分模糊测试: 种子 ${settings.seed} 起共 ${settings.runs} 轮，每轮 ${settings.length} 个操作，键空间 ${settings.keySpace}`);
+
+    const summary = fuzz(options);
+    let failures = 0;
+
+    for (const [name, result] of Object.entries(summary)) {
+        if (result.failure === null) {
+            console.log(`${name.padEnd(24)} 通过 (${result.runs} 轮, ${result.operations} 个操作)`);
+            continue;
+        }
+
+        failures++;
+        console.log(`${name.padEnd(24)} 失败 (种子 ${result.failure.seed})，回放文件: ${result.failure.file}`);
+        printDivergence(result.failure.operations, result.failure.divergence);
+    }
+
+    return failures > 0 ? 1 : 0;
+}
+
+// 如果直接运行此文件，执行模糊测试
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (err) {
+        console.error('模糊测试执行失败:', err.message);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = {
+    generateOperations,
+    SortedMapModel,
+    runSequence,
+    shrinkSequence,
+    replay,
+    fuzz
+};
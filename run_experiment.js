@@ -3,19 +3,12 @@
 const fs = require('fs');
 const path = require('path');
 
-// 导入数据结构和测试工具
+// 导入数据结构注册表和测试工具
 const {
-    RedBlackTree,
-    AVLTree,
-    BTree,
-    BPlusTree,
-    SkipList,
-    HashTable,
-    BinarySearchTree,
-    LinearArray,
-    DataGenerator,
-    PerformanceTester
-} = require('./data_structures');
+    structureRegistry,
+    PerformanceTester,
+    randomSeed
+} = require('./data_structure_comparison');
 
 // 导入高级测试工具
 const AdvancedPerformanceTester = require('./advanced_tests');
@@ -23,17 +16,8 @@ const AdvancedPerformanceTester = require('./advanced_tests');
 // 导入可视化工具
 const PerformanceVisualizer = require('./visualization');
 
-// 定义要测试的数据结构
-const dataStructures = {
-    'RedBlackTree': RedBlackTree,
-    'AVLTree': AVLTree,
-    'BTree': BTree,
-    'BPlusTree': BPlusTree,
-    'SkipList': SkipList,
-    'HashTable': HashTable,
-    'BinarySearchTree': BinarySearchTree,
-    'LinearArray': LinearArray
-};
+// 高级测试只测试部分内置结构以节省时间，插件登记的结构全部参与
+const advancedBuiltinStructures = ['RedBlackTree', 'TypedRedBlackTree', 'AVLTree', 'SkipList', 'BinarySearchTree', 'HashTable'];
 
 // 定义测试数据大小
 const testSizes = [100, 1000, 10000, 50000];
@@ -48,20 +32,34 @@ if (!fs.existsSync(outputDir)) {
 
 /**
  * 运行全部测试
+ * @param {Object} options - 运行选项
+ * @param {string} options.keyType - 基础测试使用的键类型：'number'、'string' 或 'tuple'
+ * @param {number|null} options.seed - 随机种子，为 null 时随机选取；基础测试与高级测试使用同一种子
+ * @param {string[]} options.plugins - 插件模块路径，其中登记的结构与内置结构一起参与测试
  */
-async function runAllTests() {
+async function runAllTests({ keyType = 'number', seed = null, plugins = [] } = {}) {
     console.log("=====================================================");
     console.log("  红黑树与其他数据结构性能对比实验");
     console.log("=====================================================\n");
 
+    // 加载插件模块，登记其中的数据结构
+    for (const modulePath of plugins) {
+        const names = structureRegistry.loadModule(modulePath);
+        console.log(`已加载插件 ${modulePath}: ${names.join(', ') || '（未登记新结构）'}`);
+    }
+
+    // 未指定种子时随机选取一个并打印，之后用 --seed 即可复现本次运行
+    const runSeed = seed === null ? randomSeed() : seed;
+    console.log(`随机种子: ${runSeed}（使用 --seed=${runSeed} 复现本次运行）`);
+
     // 创建测试结果目录结构
     createResultDirectories();
 
     // 运行基础性能测试
-    const basicResults = await runBasicTests();
+    const basicResults = await runBasicTests({ keyType, seed: runSeed });
 
     // 运行高级性能测试
-    const advancedResults = await runAdvancedTests();
+    const advancedResults = await runAdvancedTests({ seed: runSeed });
 
     // 生成可视化
     createVisualizations(basicResults);
@@ -93,14 +91,20 @@ function createResultDirectories() {
 
 /**
  * 运行基础性能测试
+ * @param {Object} options - 运行选项
+ * @param {string} options.keyType - 测试使用的键类型：'number'、'string' 或 'tuple'
+ * @param {number|null} options.seed - 随机种子，记录在结果数据的 seed 字段中
  */
-async function runBasicTests() {
+async function runBasicTests({ keyType = 'number', seed = null } = {}) {
     console.log("\n-----------------------------------------------------");
-    console.log("  运行基础性能测试");
+    console.log(`  运行基础性能测试 (键类型: ${keyType})`);
     console.log("-----------------------------------------------------\n");
 
+    // 只测试登记了该键类型的结构（如 TypedRedBlackTree 的键存放在 Float64Array 中，只参与数字键的测试）
+    const structures = structureRegistry.structures({ keyType });
+
     // 创建性能测试器
-    const tester = new PerformanceTester(dataStructures, testSizes, 5);
+    const tester = new PerformanceTester(structures, testSizes, 5, { keyType, seed });
 
     // 运行CRUD测试 (多种数据分布)
     console.log("测试均匀分布数据...");
@@ -130,6 +134,38 @@ async function runBasicTests() {
     console.log("\n测试不同访问模式...");
     await tester.runAccessPatternTest();
 
+    // 运行顺序统计测试
+    console.log("\n测试顺序统计操作 (select/rank/countRange)...");
+    await tester.runOrderStatisticTest();
+
+    // 运行最近键查找测试
+    console.log("\n测试最近键查找 (floor/ceiling/lower/higher/min/max)...");
+    await tester.runNearestKeyTest();
+
+    // 运行持久化红黑树版本测试
+    console.log("\n测试持久化红黑树的路径复制开销...");
+    await tester.runVersioningTest();
+
+    // 运行集合运算测试
+    console.log("\n测试集合运算 (union/intersection/difference)...");
+    await tester.runSetOperationTest();
+
+    // 运行区间查询测试
+    console.log("\n测试区间树的区间查询...");
+    await tester.runIntervalTest();
+
+    // 运行哈希表设计对比测试
+    console.log("\n测试哈希表设计 (拉链法/线性探测/Robin Hood/布谷鸟)...");
+    await tester.runHashTableTest();
+
+    // 运行重复键（多重映射）测试
+    console.log("\n测试重复键 (allowDuplicates 多重映射)...");
+    await tester.runDuplicateKeyTest();
+
+    // 估计内存使用：理论模型与堆快照实测（使用 --expose-gc 运行时另外记录 heapUsed 差值作为参考）
+    console.log("\n估计各数据结构的内存使用...");
+    await tester.estimateMemoryUsage();
+
     // 生成性能报告
     const report = tester.generateReport();
     console.log("\n生成基础性能测试报告...");
@@ -149,30 +185,30 @@ async function runBasicTests() {
 
 /**
  * 运行高级性能测试
+ * @param {Object} options - 运行选项
+ * @param {number|null} options.seed - 随机种子，记录在结果数据的 seed 字段中
  */
-async function runAdvancedTests() {
+async function runAdvancedTests({ seed = null } = {}) {
     console.log("\n-----------------------------------------------------");
     console.log("  运行高级性能测试");
     console.log("-----------------------------------------------------\n");
 
-    // 创建高级测试器，仅测试部分数据结构以节省时间
-    const advancedStructures = {
-        'RedBlackTree': RedBlackTree,
-        'AVLTree': AVLTree,
-        'SkipList': SkipList,
-        'BinarySearchTree': BinarySearchTree,
-        'HashTable': HashTable
-    };
+    // 创建高级测试器，仅测试部分数据结构以节省时间；高级测试使用数字键
+    const advancedStructures = Object.fromEntries(structureRegistry.names({ keyType: 'number' })
+        .filter(name => advancedBuiltinStructures.includes(name) || structureRegistry.get(name).source !== 'builtin')
+        .map(name => [name, structureRegistry.resolve(name)]));
 
     const advancedTester = new AdvancedPerformanceTester(advancedStructures, {
         basePath: path.join(outputDir, 'data'),
         concurrentThreads: 4,                  // 并发线程数
         stressTestDuration: 30 * 1000,         // 压力测试持续时间：30秒（实际使用时可设置更长）
-        checkpointInterval: 5 * 1000           // 检查点间隔：5秒
+        checkpointInterval: 5 * 1000,          // 检查点间隔：5秒
+        sharedStructures: structureRegistry.structures({ shared: true }), // 多线程共享同一实例的结构
+        seed
     });
 
     // 运行高级测试
-    console.log("运行高级性能测试（并发、倾斜、压力和持久化测试）...");
+    console.log("运行高级性能测试（并发、共享内存并发、倾斜、压力和持久化测试）...");
     await advancedTester.runAllTests();
 
     // 生成高级测试报告
@@ -253,7 +289,8 @@ function analyzeRedBlackTreePerformance(basicResults, advancedResults) {
     // 分析基础性能测试结果
     if (basicResults.crud) {
         const operations = ['insert', 'search', 'delete', 'range'];
-        const dataStructures = Object.keys(basicResults.crud);
+        // 未通过 validate() 校验的数据结构不参与排名
+        const dataStructures = Object.keys(basicResults.crud).filter(ds => !basicResults.crud[ds].corrupted);
 
         // 计算各操作的平均性能排名
         for (const op of operations) {
@@ -551,6 +588,18 @@ function createFinalReport(analysis, basicReport, advancedReport) {
     report += "- **二叉搜索树 (BST)**: 基本的二叉搜索树，无平衡保证\n";
     report += "- **线性数组 (Linear Array)**: 作为基准参照的简单有序数组\n\n";
 
+    report += "完整的参赛结构以数据结构注册表为准：\n\n";
+    report += "| 数据结构 | 键顺序 | 键类型 | 支持的操作 | 来源 |\n";
+    report += "| --- | --- | --- | --- | --- |\n";
+
+    for (const name of structureRegistry.names({ shared: null })) {
+        const entry = structureRegistry.get(name);
+        const source = entry.source === 'builtin' ? '内置' : path.relative(process.cwd(), entry.source);
+        report += `| ${name} | ${entry.ordered ? '有序' : '无序'} | ${entry.keyTypes.join(', ')} | ${entry.operations.join(', ')} | ${source} |\n`;
+    }
+
+    report += "\n";
+
     report += "### 1.2 测试类型\n\n";
     report += "**基础性能测试**：\n";
     report += "- CRUD操作性能（插入、查找、删除、范围查询）\n";
@@ -843,9 +892,46 @@ function operationNameMap(operation) {
     return map[operation] || operation;
 }
 
+/**
+ * 解析命令行参数，支持 --key-type=<number|string|tuple>、--seed=<整数> 与 --plugin=<路径>（可重复）
+ */
+function parseArgs(argv) {
+    const options = {};
+
+    for (const arg of argv) {
+        const match = arg.match(/^--key-type=(.+)$/);
+
+        if (match) {
+            if (!['number', 'string', 'tuple'].includes(match[1])) {
+                throw new Error(`不支持的键类型: ${match[1]}`);
+            }
+
+            options.keyType = match[1];
+        }
+
+        const seedMatch = arg.match(/^--seed=(.+)$/);
+
+        if (seedMatch) {
+            if (!/^\d+$/.test(seedMatch[1])) {
+                throw new Error(`随机种子必须是非负整数: ${seedMatch[1]}`);
+            }
+
+            options.seed = Number(seedMatch[1]);
+        }
+
+        const pluginMatch = arg.match(/^--plugin=(.+)$/);
+
+        if (pluginMatch) {
+            options.plugins = [...(options.plugins || []), pluginMatch[1]];
+        }
+    }
+
+    return options;
+}
+
 // 如果直接运行此文件，执行全部测试
 if (require.main === module) {
-    runAllTests().catch(err => {
+    Promise.resolve().then(() => runAllTests(parseArgs(process.argv.slice(2)))).catch(err => {
         console.error('测试执行失败:', err);
         process.exit(1);
     });
@@ -4,25 +4,18 @@ const fs = require('fs');
 const { createCanvas } = require('canvas');
 const Chart = require('chart.js');
 
+const { structureRegistry } = require('./data_structure_comparison');
+
 /**
  * 数据结构性能可视化工具类
  */
 class PerformanceVisualizer {
-    constructor(results, outputDir = './charts') {
+    constructor(results, outputDir = './charts', registry = structureRegistry) {
         this.results = results;
         this.outputDir = outputDir;
 
-        // 为每个数据结构分配固定颜色
-        this.colors = {
-            'RedBlackTree': '#FF0000',
-            'AVLTree': '#00AA00',
-            'BTree': '#0000FF',
-            'BPlusTree': '#9932CC',
-            'SkipList': '#FF8C00',
-            'HashTable': '#4682B4',
-            'BinarySearchTree': '#2F4F4F',
-            'LinearArray': '#696969'
-        };
+        // 各数据结构的颜色取自注册表中登记的 color，插件结构同样适用
+        this.colors = registry.colors();
 
         // 创建输出目录
         if (!fs.existsSync(outputDir)) {
@@ -590,24 +583,31 @@ class PerformanceVisualizer {
 
         console.log('正在生成内存使用测试图表...');
 
+        // 创建理论模型与堆快照实测的每键内存对比图
+        this._createModelMemoryChart();
+
         // 创建总内存使用对比图
         this._createTotalMemoryChart();
 
-        // 创建每节点内存使用对比图
+        // 创建每节点内存使用对比图（heapUsed 差值，只在使用 --expose-gc 运行时有结果）
         this._createPerNodeMemoryChart();
 
         console.log(`内存使用测试图表已保存到 ${this.outputDir} 目录`);
     }
 
     /**
-     * 创建总内存使用对比图
+     * 创建总内存使用对比图：堆快照实测的结构独占内存
      */
     _createTotalMemoryChart() {
-        const dataStructureNames = Object.keys(this.results.memory);
+        const dataStructureNames = Object.keys(this.results.memory).filter(name => this.results.memory[name].retained);
         const totalMemoryData = [];
 
+        if (dataStructureNames.length === 0) {
+            return;
+        }
+
         for (const name of dataStructureNames) {
-            totalMemoryData.push(this.results.memory[name].totalMemory);
+            totalMemoryData.push(this.results.memory[name].retained.bytes);
         }
 
         // 创建画布
@@ -626,7 +626,7 @@ class PerformanceVisualizer {
             data: {
                 labels: dataStructureNames,
                 datasets: [{
-                    label: 'Total Memory Usage (bytes)',
+                    label: 'Retained Memory (bytes)',
                     data: totalMemoryData,
                     backgroundColor: backgroundColors,
                     borderColor: borderColors,
@@ -637,7 +637,7 @@ class PerformanceVisualizer {
                 responsive: false,
                 title: {
                     display: true,
-                    text: 'Total Memory Usage Comparison'
+                    text: 'Retained Memory Comparison (Heap Snapshot)'
                 },
                 scales: {
                     y: {
@@ -660,14 +660,19 @@ class PerformanceVisualizer {
     }
 
     /**
-     * 创建每节点内存使用对比图
+     * 创建每节点内存使用对比图：heapUsed 差值，未使用 --expose-gc 运行时没有结果，跳过
      */
     _createPerNodeMemoryChart() {
-        const dataStructureNames = Object.keys(this.results.memory);
+        const dataStructureNames = Object.keys(this.results.memory).filter(name => this.results.memory[name].heapDelta);
         const perNodeMemoryData = [];
 
+        if (dataStructureNames.length === 0) {
+            console.log('未使用 --expose-gc 运行，跳过 heapUsed 差值的每节点内存图表');
+            return;
+        }
+
         for (const name of dataStructureNames) {
-            perNodeMemoryData.push(this.results.memory[name].perNodeMemory);
+            perNodeMemoryData.push(this.results.memory[name].heapDelta.perNodeMemory);
         }
 
         // 创建画布
@@ -686,7 +691,7 @@ class PerformanceVisualizer {
             data: {
                 labels: dataStructureNames,
                 datasets: [{
-                    label: 'Per Node Memory Usage (bytes)',
+                    label: 'Per Node heapUsed Delta (bytes)',
                     data: perNodeMemoryData,
                     backgroundColor: backgroundColors,
                     borderColor: borderColors,
@@ -697,7 +702,7 @@ class PerformanceVisualizer {
                 responsive: false,
                 title: {
                     display: true,
-                    text: 'Per Node Memory Usage Comparison'
+                    text: 'Per Node heapUsed Delta Comparison (--expose-gc)'
                 },
                 scales: {
                     y: {
@@ -719,6 +724,269 @@ class PerformanceVisualizer {
         out.on('finish', () => console.log(`已保存每节点内存使用图表到 ${filePath}`));
     }
 
+    /**
+     * 创建理论模型与堆快照实测的每键内存对比图
+     */
+    _createModelMemoryChart() {
+        const dataStructureNames = Object.keys(this.results.memory)
+            .filter(name => this.results.memory[name].model || this.results.memory[name].retained);
+
+        if (dataStructureNames.length === 0) {
+            return;
+        }
+
+        const perKey = (name, field) => {
+            const entry = this.results.memory[name][field];
+            return entry ? entry.perKey : null;
+        };
+
+        // 创建画布
+        const width = 800;
+        const height = 600;
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        // 创建图表
+        const chart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: dataStructureNames,
+                datasets: [{
+                    label: 'Model (bytes per key)',
+                    data: dataStructureNames.map(name => perKey(name, 'model')),
+                    backgroundColor: this._hexToRgba('#4e79a7', 0.7),
+                    borderColor: '#4e79a7',
+                    borderWidth: 1
+                }, {
+                    label: 'Heap Snapshot (bytes per key)',
+                    data: dataStructureNames.map(name => perKey(name, 'retained')),
+                    backgroundColor: this._hexToRgba('#e15759', 0.7),
+                    borderColor: '#e15759',
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                responsive: false,
+                title: {
+                    display: true,
+                    text: 'Modelled vs Measured Memory per Key'
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Memory (bytes)'
+                        }
+                    }
+                }
+            }
+        });
+
+        // 保存图表
+        const filePath = `${this.outputDir}/memory_model_vs_measured.png`;
+        const out = fs.createWriteStream(filePath);
+        const stream = canvas.createPNGStream();
+        stream.pipe(out);
+        out.on('finish', () => console.log(`已保存内存模型对比图表到 ${filePath}`));
+    }
+
+    /**
+     * 创建树形统计图表：各数据分布下的树高、平均深度，以及平衡因子、跳表层高、桶长（簇长）分布
+     */
+    createShapeCharts() {
+        if (!this.results.shape) {
+            console.error('树形统计结果不存在');
+            return;
+        }
+
+        console.log('正在生成树形统计图表...');
+
+        this._createShapeMetricChart('height', 'Tree Height (Levels)', 'Levels', 'shape_height.png');
+        this._createShapeMetricChart('averageDepth', 'Average Node Depth', 'Depth', 'shape_average_depth.png');
+
+        this._createShapeHistogramChart('balanceFactors', 'AVL Balance Factor Distribution', 'Balance Factor', 'shape_balance_factors.png');
+        this._createShapeHistogramChart('levelHistogram', 'Skip List Node Level Distribution', 'Node Level', 'shape_skiplist_levels.png');
+        this._createShapeHistogramChart('bucketLengths', 'Hash Table Bucket Length Distribution', 'Bucket Length', 'shape_bucket_lengths.png');
+        this._createShapeHistogramChart('clusterLengths', 'Open Addressing Cluster Length Distribution', 'Cluster Length', 'shape_cluster_lengths.png');
+
+        console.log(`树形统计图表已保存到 ${this.outputDir} 目录`);
+    }
+
+    /**
+     * 取某个数据分布下某个结构最大数据量时逐个插入后的树形
+     */
+    _largestShape(samples) {
+        return samples.length > 0 ? samples[samples.length - 1].afterInsert : null;
+    }
+
+    /**
+     * 创建树形指标的分组柱状图：横轴为数据结构，每种数据分布一组柱
+     */
+    _createShapeMetricChart(field, title, axisTitle, fileName) {
+        const distributions = Object.keys(this.results.shape);
+        const dataStructureNames = [];
+
+        for (const shapes of Object.values(this.results.shape)) {
+            for (const [name, samples] of Object.entries(shapes)) {
+                const shape = this._largestShape(samples);
+
+                if (shape && shape[field] !== undefined && !dataStructureNames.includes(name)) {
+                    dataStructureNames.push(name);
+                }
+            }
+        }
+
+        if (dataStructureNames.length === 0) {
+            return;
+        }
+
+        const distributionColors = ['#4682B4', '#FF8C00', '#00AA00', '#9932CC'];
+        const datasets = distributions.map((distribution, index) => {
+            const color = distributionColors[index % distributionColors.length];
+
+            return {
+                label: distribution,
+                data: dataStructureNames.map(name => {
+                    const samples = this.results.shape[distribution][name];
+                    const shape = samples ? this._largestShape(samples) : null;
+                    return shape ? shape[field] : null;
+                }),
+                backgroundColor: this._hexToRgba(color, 0.7),
+                borderColor: color,
+                borderWidth: 1
+            };
+        });
+
+        // 创建画布
+        const width = 800;
+        const height = 600;
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        // 创建图表
+        const chart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: dataStructureNames,
+                datasets: datasets
+            },
+            options: {
+                responsive: false,
+                title: {
+                    display: true,
+                    text: title
+                },
+                scales: {
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: axisTitle
+                        }
+                    }
+                }
+            }
+        });
+
+        // 保存图表
+        const filePath = `${this.outputDir}/${fileName}`;
+        const out = fs.createWriteStream(filePath);
+        const stream = canvas.createPNGStream();
+        stream.pipe(out);
+        out.on('finish', () => console.log(`已保存树形统计图表到 ${filePath}`));
+    }
+
+    /**
+     * 创建直方图型树形指标的柱状图：横轴为取值，每个（数据结构, 数据分布）组合一组柱
+     */
+    _createShapeHistogramChart(field, title, axisTitle, fileName) {
+        const series = [];
+
+        for (const [distribution, shapes] of Object.entries(this.results.shape)) {
+            for (const [name, samples] of Object.entries(shapes)) {
+                const shape = this._largestShape(samples);
+
+                if (shape && shape[field]) {
+                    series.push({name, distribution, histogram: shape[field]});
+                }
+            }
+        }
+
+        if (series.length === 0) {
+            return;
+        }
+
+        const values = [];
+        for (const {histogram} of series) {
+            for (const value of Object.keys(histogram).map(Number)) {
+                if (!values.includes(value)) {
+                    values.push(value);
+                }
+            }
+        }
+        values.sort((a, b) => a - b);
+
+        const distributions = Object.keys(this.results.shape);
+        const datasets = series.map(({name, distribution, histogram}) => {
+            const color = this.colors[name] || '#000000';
+            // 同一结构的不同数据分布用同色不同透明度区分
+            const alpha = 0.9 - 0.6 * distributions.indexOf(distribution) / Math.max(1, distributions.length);
+
+            return {
+                label: `${name} (${distribution})`,
+                data: values.map(value => histogram[value] || 0),
+                backgroundColor: this._hexToRgba(color, alpha),
+                borderColor: color,
+                borderWidth: 1
+            };
+        });
+
+        // 创建画布
+        const width = 800;
+        const height = 600;
+        const canvas = createCanvas(width, height);
+        const ctx = canvas.getContext('2d');
+
+        // 创建图表
+        const chart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: values.map(value => value.toString()),
+                datasets: datasets
+            },
+            options: {
+                responsive: false,
+                title: {
+                    display: true,
+                    text: title
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: axisTitle
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Count'
+                        }
+                    }
+                }
+            }
+        });
+
+        // 保存图表
+        const filePath = `${this.outputDir}/${fileName}`;
+        const out = fs.createWriteStream(filePath);
+        const stream = canvas.createPNGStream();
+        stream.pipe(out);
+        out.on('finish', () => console.log(`已保存树形分布图表到 ${filePath}`));
+    }
+
     /**
      * 创建所有图表
      */
@@ -728,6 +996,7 @@ class PerformanceVisualizer {
         this.createRangeQueryCharts();
         this.createAccessPatternCharts();
         this.createMemoryUsageCharts();
+        this.createShapeCharts();
 
         console.log('所有图表已生成完毕');
     }
@@ -755,7 +1024,7 @@ module.exports = PerformanceVisualizer;
 
 // 使用示例:
 /*
-const { runTests } = require('./data_structures');
+const { runTests } = require('./data_structure_comparison');
 const PerformanceVisualizer = require('./visualization');
 
 async function runTestsAndVisualize() {
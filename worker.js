@@ -1,17 +1,26 @@
 const { workerData, parentPort } = require('worker_threads');
 const fs = require('fs');
 
-// 动态导入数据结构
-// 注意：在实际使用时，需要确保数据结构的实现支持在工作线程中使用
+// 导入数据结构注册表与可复现的随机数
+const { structureRegistry, SeededRandom, setRandomSeed } = require('./data_structure_comparison');
+
+// 从数据结构注册表解析结构类：先按主线程的加载顺序加载插件模块，使插件登记的结构在本线程中同样可用
 function importDataStructure(className) {
-    // 这里假设所有数据结构都在data_structures.js中定义
-    const dataStructures = require('./data_structures');
-    return dataStructures[className];
+    structureRegistry.loadModules(workerData.plugins || []);
+    return structureRegistry.resolve(className);
+}
+
+// 用主线程为本线程派生的种子初始化随机数：结构内部的随机决策（如跳表层级）使用重置后的共享流，
+// 本线程生成操作序列使用由同一种子派生的另一条流
+function createWorkerRandom(seed) {
+    setRandomSeed(seed);
+    return new SeededRandom(seed).derive('operations');
 }
 
 // 处理并发测试
 async function handleConcurrentTest() {
-    const { testFilePath, threadId, operations } = workerData;
+    const { testFilePath, threadId, operations, seed } = workerData;
+    const random = createWorkerRandom(seed);
 
     // 读取测试数据
     const testData = JSON.parse(fs.readFileSync(testFilePath, 'utf8'));
@@ -42,9 +51,9 @@ async function handleConcurrentTest() {
 
     for (let i = 0; i < operations; i++) {
         try {
-            if (Math.random() < testData.readRatio) {
+            if (random.next() < testData.readRatio) {
                 // 读操作
-                const key = testData.testData[Math.floor(Math.random() * testData.testData.length)].key;
+                const key = testData.testData[Math.floor(random.next() * testData.testData.length)].key;
                 const readStart = performance.now();
                 ds.search(key);
                 const readEnd = performance.now();
@@ -52,11 +61,11 @@ async function handleConcurrentTest() {
                 result.readOps++;
             } else {
                 // 写操作
-                const isInsert = Math.random() < 0.5;
+                const isInsert = random.next() < 0.5;
 
                 if (isInsert) {
                     // 插入操作
-                    const key = Math.floor(Math.random() * testData.testData.length * 10);
+                    const key = Math.floor(random.next() * testData.testData.length * 10);
                     const value = `thread-${threadId}-value-${key}`;
 
                     const writeStart = performance.now();
@@ -66,7 +75,7 @@ async function handleConcurrentTest() {
                     result.writeOps++;
                 } else {
                     // 删除操作
-                    const key = testData.testData[Math.floor(Math.random() * testData.testData.length)].key;
+                    const key = testData.testData[Math.floor(random.next() * testData.testData.length)].key;
 
                     const writeStart = performance.now();
                     ds.delete(key);
@@ -89,12 +98,87 @@ async function handleConcurrentTest() {
     parentPort.postMessage(result);
 }
 
+// 处理共享内存并发测试：附着到主线程创建的共享结构，所有线程操作同一个实例
+async function handleSharedConcurrentTest() {
+    const { className, buffer, startSignal, threadId, operations, readRatio, keySpace, seed } = workerData;
+    const random = createWorkerRandom(seed);
+    const DataStructureClass = importDataStructure(className);
+    const ds = new DataStructureClass({ buffer });
+    const signal = new Int32Array(startSignal);
+
+    // 报到后等待主线程统一发令，使各线程同时开始
+    Atomics.add(signal, 1, 1);
+    while (Atomics.load(signal, 0) === 0) {
+        Atomics.wait(signal, 0, 0);
+    }
+
+    // 准备测试结果
+    const result = {
+        threadId,
+        totalOps: 0,
+        readTime: 0,
+        writeTime: 0,
+        readOps: 0,
+        writeOps: 0,
+        errors: 0,
+        totalTime: 0,
+        lockWaits: 0,
+        retries: 0
+    };
+
+    // 执行操作
+    const startTime = performance.now();
+
+    for (let i = 0; i < operations; i++) {
+        const key = Math.floor(random.next() * keySpace);
+
+        try {
+            if (random.next() < readRatio) {
+                // 读操作
+                const readStart = performance.now();
+                ds.search(key);
+                const readEnd = performance.now();
+                result.readTime += (readEnd - readStart);
+                result.readOps++;
+            } else {
+                // 写操作：插入和删除各占一半
+                const writeStart = performance.now();
+
+                if (random.next() < 0.5) {
+                    ds.insert(key, threadId);
+                } else {
+                    ds.delete(key);
+                }
+
+                const writeEnd = performance.now();
+                result.writeTime += (writeEnd - writeStart);
+                result.writeOps++;
+            }
+
+            result.totalOps++;
+        } catch (error) {
+            result.errors++;
+        }
+    }
+
+    const endTime = performance.now();
+    result.totalTime = endTime - startTime;
+    result.lockWaits = ds.stats.lockWaits;
+    result.retries = ds.stats.retries;
+
+    // 返回结果
+    parentPort.postMessage(result);
+}
+
 // 处理工作任务
 async function handleWork() {
     switch (workerData.testType) {
         case 'concurrent':
             await handleConcurrentTest();
             break;
+        case 'sharedConcurrent':
+            await handleSharedConcurrentTest();
+            break;
         default:
             parentPort.postMessage({ error: `Unknown test type: ${workerData.testType}` });
     }
@@ -104,44 +188,3 @@ async function handleWork() {
 handleWork().catch(error => {
     parentPort.postMessage({ error: error.message });
 });
-
-
-// 导出高级测试类
-module.exports = AdvancedPerformanceTester;
-
-
-const {
-  RedBlackTree, AVLTree, BTree, BPlusTree, SkipList,
-  HashTable, BinarySearchTree, LinearArray
-} = require('./data_structures');
-
-const AdvancedPerformanceTester = require('./advanced_tests');
-
-// 定义要测试的数据结构
-const dataStructures = {
-  'RedBlackTree': RedBlackTree,
-  'AVLTree': AVLTree,
-  'SkipList': SkipList,
-  'BinarySearchTree': BinarySearchTree
-};
-
-// 创建高级测试器
-const advancedTester = new AdvancedPerformanceTester(dataStructures, {
-  concurrentThreads: 4,
-  stressTestDuration: 30 * 1000 // 30秒，用于示例
-});
-
-// 运行测试
-async function runAdvancedTests() {
-  await advancedTester.runAllTests();
-
-  // 生成报告
-  const report = advancedTester.generateReport();
-  console.log("生成高级测试报告...");
-
-  // 保存报告
-  require('fs').writeFileSync('advanced_performance_report.md', report);
-  console.log("报告已保存到 advanced_performance_report.md");
-}
-
-runAdvancedTests().catch(console.error);
\ No newline at end of file